@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+
+/**
+ * Mock BCF API 3.0 server, for trying out and testing BCFAPIConnector without an OpenCDE platform
+ *
+ * Keeps its topics, comments and viewpoints in memory, so they're lost when the server stops. There's a
+ * project for each project in app/data/projects/index.json, with the same ID, and every request is made
+ * as the same user, without authentication.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import url from 'url';
+import crypto from 'crypto';
+
+const PORT = process.env.PORT || 8081;
+const HOST = process.env.HOST || '0.0.0.0';
+
+const PROJECTS_INDEX = './app/data/projects/index.json';
+
+// Viewpoints can hold PNG snapshots and bitmaps
+const MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+const currentUser = {id: 'mock.user@example.com', name: 'Mock User'};
+
+const extensions = {
+    topic_type: ['Issue', 'Clash', 'Request', 'Remark'],
+    topic_status: ['Open', 'In Progress', 'Resolved', 'Closed'],
+    topic_label: ['Architecture', 'Structure', 'MEP'],
+    snippet_type: [],
+    priority: ['Low', 'Normal', 'High', 'Critical'],
+    users: [currentUser.id],
+    stage: [],
+    project_actions: ['createTopic'],
+    topic_actions: ['update', 'updateBimSnippet', 'updateRelatedTopics', 'updateDocumentReferences', 'updateFiles', 'createComment', 'createViewpoint', 'delete'],
+    comment_actions: ['update', 'delete']
+};
+
+const topicFields = ['topic_type', 'topic_status', 'reference_links', 'title', 'priority', 'index', 'labels',
+    'assigned_to', 'stage', 'description', 'due_date'];
+
+const viewpointFields = ['index', 'orthogonal_camera', 'perspective_camera', 'lines', 'clipping_planes'];
+
+/**
+ * Error that is sent as a response, with its status
+ */
+class APIError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const projects = new Map();
+
+function loadProjects() {
+    let index = {projects: []};
+    try {
+        index = JSON.parse(fs.readFileSync(PROJECTS_INDEX, 'utf8'));
+    } catch (e) {
+        console.warn('Failed to read ' + PROJECTS_INDEX + ': ' + e.message);
+    }
+    index.projects.forEach((projectInfo) => {
+        projects.set(projectInfo.id, {
+            project: {
+                project_id: projectInfo.id,
+                name: projectInfo.name || projectInfo.id,
+                authorization: {project_actions: extensions.project_actions}
+            },
+            topics: new Map()
+        });
+    });
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+function pick(object, fields) {
+    const result = {};
+    fields.forEach((field) => {
+        if (object[field] !== undefined && object[field] !== null) {
+            result[field] = object[field];
+        }
+    });
+    return result;
+}
+
+function checkGuid(guid, existing, kind) {
+    if (guid === undefined || guid === null) {
+        return crypto.randomUUID();
+    }
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(guid))) {
+        throw new APIError(400, 'Not a GUID: \'' + guid + '\'');
+    }
+    if (existing.has(guid)) {
+        throw new APIError(409, kind + ' already exists: \'' + guid + '\'');
+    }
+    return guid;
+}
+
+function getProject(projectId) {
+    const project = projects.get(projectId);
+    if (!project) {
+        throw new APIError(404, 'Project not found: \'' + projectId + '\'');
+    }
+    return project;
+}
+
+function getTopic(projectId, topicGuid) {
+    const entry = getProject(projectId).topics.get(topicGuid);
+    if (!entry) {
+        throw new APIError(404, 'Topic not found: \'' + topicGuid + '\'');
+    }
+    return entry;
+}
+
+function getComment(entry, commentGuid) {
+    const comment = entry.comments.get(commentGuid);
+    if (!comment) {
+        throw new APIError(404, 'Comment not found: \'' + commentGuid + '\'');
+    }
+    return comment;
+}
+
+function getViewpoint(entry, viewpointGuid) {
+    const viewpoint = entry.viewpoints.get(viewpointGuid);
+    if (!viewpoint) {
+        throw new APIError(404, 'Viewpoint not found: \'' + viewpointGuid + '\'');
+    }
+    return viewpoint;
+}
+
+function checkTopic(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new APIError(400, 'Expected a JSON object');
+    }
+    if (!body.title || typeof body.title !== 'string') {
+        throw new APIError(400, 'A topic needs a title');
+    }
+}
+
+function checkComment(body, entry) {
+    if (!body || typeof body !== 'object' || !body.comment || typeof body.comment !== 'string') {
+        throw new APIError(400, 'A comment needs some text');
+    }
+    if (body.viewpoint_guid && !entry.viewpoints.has(body.viewpoint_guid)) {
+        throw new APIError(400, 'Viewpoint not found: \'' + body.viewpoint_guid + '\'');
+    }
+}
+
+/**
+ * Viewpoint as the API returns it - without its components, and with only the types of its snapshot and bitmaps
+ */
+function viewpointResponse(viewpoint) {
+    const response = Object.assign({guid: viewpoint.guid}, pick(viewpoint, viewpointFields));
+    if (viewpoint.bitmaps.length > 0) {
+        response.bitmaps = viewpoint.bitmaps.map((bitmap) => pick(bitmap, ['guid', 'bitmap_type', 'location', 'normal', 'up', 'height']));
+    }
+    if (viewpoint.snapshot) {
+        response.snapshot = {snapshot_type: viewpoint.snapshot.snapshot_type};
+    }
+    return response;
+}
+
+function imageResponse(type, base64) {
+    return {status: 200, contentType: (type === 'jpg') ? 'image/jpeg' : 'image/png', body: Buffer.from(base64, 'base64')};
+}
+
+function json(status, body) {
+    return {status, contentType: 'application/json', body: (body === null) ? '' : JSON.stringify(body)};
+}
+
+/**
+ * Routes, each as [method, path pattern, handler], where the handler is given the decoded path parameters and the
+ * request body, and returns the response
+ */
+const routes = [
+    ['GET', /^\/foundation\/versions$/, () => json(200, {
+        versions: [{api_id: 'bcf', version_id: '3.0', detailed_version: 'https://github.com/buildingSMART/BCF-API/tree/release_3_0'}]
+    })],
+    ['GET', /^\/bcf\/3\.0\/auth$/, () => json(200, {supported_oauth2_flows: []})],
+    ['GET', /^\/bcf\/3\.0\/current-user$/, () => json(200, currentUser)],
+    ['GET', /^\/bcf\/3\.0\/projects$/, () => json(200, Array.from(projects.values()).map(entry => entry.project))],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)$/, ([projectId]) => json(200, getProject(projectId).project)],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/extensions$/, ([projectId]) => {
+        getProject(projectId);
+        return json(200, extensions);
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics$/, ([projectId]) => {
+        return json(200, Array.from(getProject(projectId).topics.values()).map(entry => entry.topic));
+    }],
+    ['POST', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics$/, ([projectId], body) => {
+        const project = getProject(projectId);
+        checkTopic(body);
+        const topic = Object.assign({guid: checkGuid(body.guid, project.topics, 'Topic')}, pick(body, topicFields), {
+            creation_date: now(),
+            creation_author: currentUser.id,
+            authorization: {topic_actions: extensions.topic_actions}
+        });
+        topic.topic_status = topic.topic_status || 'Open';
+        project.topics.set(topic.guid, {topic, comments: new Map(), viewpoints: new Map()});
+        return json(201, topic);
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)$/, ([projectId, topicGuid]) => {
+        return json(200, getTopic(projectId, topicGuid).topic);
+    }],
+    ['PUT', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)$/, ([projectId, topicGuid], body) => {
+        const entry = getTopic(projectId, topicGuid);
+        checkTopic(body);
+        entry.topic = Object.assign(pick(entry.topic, ['guid', 'creation_date', 'creation_author', 'authorization']), pick(body, topicFields), {
+            modified_date: now(),
+            modified_author: currentUser.id
+        });
+        return json(200, entry.topic);
+    }],
+    ['DELETE', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)$/, ([projectId, topicGuid]) => {
+        getTopic(projectId, topicGuid);
+        getProject(projectId).topics.delete(topicGuid);
+        return json(204, null);
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/comments$/, ([projectId, topicGuid]) => {
+        return json(200, Array.from(getTopic(projectId, topicGuid).comments.values()));
+    }],
+    ['POST', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/comments$/, ([projectId, topicGuid], body) => {
+        const entry = getTopic(projectId, topicGuid);
+        checkComment(body, entry);
+        const comment = Object.assign({guid: checkGuid(body.guid, entry.comments, 'Comment')},
+            pick(body, ['comment', 'viewpoint_guid', 'reply_to_comment_guid']), {
+                date: now(),
+                author: currentUser.id,
+                topic_guid: topicGuid,
+                authorization: {comment_actions: extensions.comment_actions}
+            });
+        entry.comments.set(comment.guid, comment);
+        return json(201, comment);
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/comments\/([^/]+)$/, ([projectId, topicGuid, commentGuid]) => {
+        return json(200, getComment(getTopic(projectId, topicGuid), commentGuid));
+    }],
+    ['PUT', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/comments\/([^/]+)$/, ([projectId, topicGuid, commentGuid], body) => {
+        const entry = getTopic(projectId, topicGuid);
+        const comment = getComment(entry, commentGuid);
+        checkComment(body, entry);
+        delete comment.viewpoint_guid;
+        delete comment.reply_to_comment_guid;
+        Object.assign(comment, pick(body, ['comment', 'viewpoint_guid', 'reply_to_comment_guid']), {
+            modified_date: now(),
+            modified_author: currentUser.id
+        });
+        return json(200, comment);
+    }],
+    ['DELETE', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/comments\/([^/]+)$/, ([projectId, topicGuid, commentGuid]) => {
+        const entry = getTopic(projectId, topicGuid);
+        getComment(entry, commentGuid);
+        entry.comments.delete(commentGuid);
+        return json(204, null);
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/viewpoints$/, ([projectId, topicGuid]) => {
+        return json(200, Array.from(getTopic(projectId, topicGuid).viewpoints.values()).map(viewpointResponse));
+    }],
+    ['POST', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/viewpoints$/, ([projectId, topicGuid], body) => {
+        const entry = getTopic(projectId, topicGuid);
+        if (!body || typeof body !== 'object' || (!body.perspective_camera && !body.orthogonal_camera)) {
+            throw new APIError(400, 'A viewpoint needs a camera');
+        }
+        const components = body.components || {};
+        const viewpoint = Object.assign({guid: checkGuid(body.guid, entry.viewpoints, 'Viewpoint')}, pick(body, viewpointFields), {
+            components: {
+                selection: components.selection || [],
+                coloring: components.coloring || [],
+                visibility: components.visibility || {default_visibility: true}
+            },
+            bitmaps: (body.bitmaps || []).map((bitmap) => Object.assign({guid: crypto.randomUUID()}, bitmap)),
+            snapshot: (body.snapshot && body.snapshot.snapshot_data) ? body.snapshot : null
+        });
+        entry.viewpoints.set(viewpoint.guid, viewpoint);
+        return json(201, viewpointResponse(viewpoint));
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/viewpoints\/([^/]+)$/, ([projectId, topicGuid, viewpointGuid]) => {
+        return json(200, viewpointResponse(getViewpoint(getTopic(projectId, topicGuid), viewpointGuid)));
+    }],
+    ['DELETE', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/viewpoints\/([^/]+)$/, ([projectId, topicGuid, viewpointGuid]) => {
+        const entry = getTopic(projectId, topicGuid);
+        getViewpoint(entry, viewpointGuid);
+        entry.viewpoints.delete(viewpointGuid);
+        return json(204, null);
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/viewpoints\/([^/]+)\/(selection|coloring|visibility)$/, ([projectId, topicGuid, viewpointGuid, component]) => {
+        const viewpoint = getViewpoint(getTopic(projectId, topicGuid), viewpointGuid);
+        return json(200, {[component]: viewpoint.components[component]});
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/viewpoints\/([^/]+)\/snapshot$/, ([projectId, topicGuid, viewpointGuid]) => {
+        const viewpoint = getViewpoint(getTopic(projectId, topicGuid), viewpointGuid);
+        if (!viewpoint.snapshot) {
+            throw new APIError(404, 'Viewpoint has no snapshot: \'' + viewpointGuid + '\'');
+        }
+        return imageResponse(viewpoint.snapshot.snapshot_type, viewpoint.snapshot.snapshot_data);
+    }],
+    ['GET', /^\/bcf\/3\.0\/projects\/([^/]+)\/topics\/([^/]+)\/viewpoints\/([^/]+)\/bitmaps\/([^/]+)$/, ([projectId, topicGuid, viewpointGuid, bitmapGuid]) => {
+        const viewpoint = getViewpoint(getTopic(projectId, topicGuid), viewpointGuid);
+        const bitmap = viewpoint.bitmaps.find(bitmap => bitmap.guid === bitmapGuid);
+        if (!bitmap) {
+            throw new APIError(404, 'Bitmap not found: \'' + bitmapGuid + '\'');
+        }
+        return imageResponse(bitmap.bitmap_type, bitmap.bitmap_data);
+    }]
+];
+
+/**
+ * Read a JSON request body
+ */
+function readJSONBody(req, done, error) {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            error(new APIError(413, 'Request body too large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (size > MAX_BODY_SIZE) {
+            return;
+        }
+        try {
+            done(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+        } catch (e) {
+            error(new APIError(400, 'Invalid JSON: ' + e.message));
+        }
+    });
+}
+
+function send(res, response) {
+    res.writeHead(response.status, {
+        'Content-Type': response.contentType,
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end((response.status === 204) ? undefined : response.body);
+}
+
+/**
+ * Main request handler
+ */
+function requestHandler(req, res) {
+    const pathname = url.parse(req.url).pathname.replace(/\/+$/, '');
+    const matches = routes
+        .map(([method, pattern, handler]) => ({method, match: pattern.exec(pathname), handler}))
+        .filter(route => !!route.match);
+
+    if (matches.length === 0) {
+        send(res, json(404, {message: 'Not found: ' + pathname}));
+        return;
+    }
+
+    const allow = matches.map(route => route.method).join(', ');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': allow,
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        });
+        res.end();
+        return;
+    }
+
+    const route = matches.find(route => route.method === req.method);
+    if (!route) {
+        res.writeHead(405, {'Allow': allow, 'Access-Control-Allow-Origin': '*'});
+        res.end();
+        return;
+    }
+
+    const sendError = (e) => {
+        if (!(e instanceof APIError)) {
+            console.error(e);
+        }
+        send(res, json(e.status || 500, {message: e.message}));
+    };
+
+    let params;
+    try {
+        params = route.match.slice(1).map(decodeURIComponent);
+    } catch (e) {
+        sendError(new APIError(400, 'Malformed URL'));
+        return;
+    }
+
+    const handle = (body) => {
+        try {
+            send(res, route.handler(params, body));
+        } catch (e) {
+            sendError(e);
+        }
+    };
+
+    if (req.method === 'POST' || req.method === 'PUT') {
+        readJSONBody(req, handle, sendError);
+    } else {
+        handle(null);
+    }
+}
+
+loadProjects();
+
+// Create and start server
+const server = http.createServer(requestHandler);
+
+server.listen(PORT, HOST, () => {
+    console.log(`Mock BCF API server running at http://${HOST}:${PORT}/`);
+    console.log('');
+    console.log(`  Versions: http://${HOST}:${PORT}/foundation/versions`);
+    console.log(`  Projects: http://${HOST}:${PORT}/bcf/3.0/projects`);
+    console.log(`  Topics: http://${HOST}:${PORT}/bcf/3.0/projects/<projectId>/topics`);
+    console.log('');
+    console.log('Topics are kept in memory, and lost when the server stops.');
+    console.log('Hit CTRL-C to stop the server');
+});
+
+// Graceful shutdown
+process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully');
+    server.close(() => {
+        console.log('Server closed');
+        process.exit(0);
+    });
+});
+
+process.on('SIGINT', () => {
+    console.log('\nSIGINT received, shutting down gracefully');
+    server.close(() => {
+        console.log('Server closed');
+        process.exit(0);
+    });
+});
@@ -1,6 +1,9 @@
 import {Server} from "./src/server/Server.js";
+import {CachingServer} from "./src/server/CachingServer.js";
+import {MemoryServer} from "./src/server/MemoryServer.js";
+import {BCFAPIConnector} from "./src/bcf/BCFAPIConnector.js";
 import {BIMViewer} from "./src/BIMViewer.js";
 import {LocaleService} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
 import BimViewerWebComponent from "./src/webComponent/webComponent.js";
 
-export { BIMViewer, Server, LocaleService, BimViewerWebComponent };
+export { BIMViewer, Server, CachingServer, MemoryServer, BCFAPIConnector, LocaleService, BimViewerWebComponent };
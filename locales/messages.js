@@ -7,7 +7,8 @@ const messages = {
 
     "en": {
         "busyModal": { // The dialog that appears in the center of the canvas while we are loading a model
-            "loading": "Loading" // Loading <myModel>
+            "loading": "Loading", // Loading <myModel>
+            "cancel": "Cancel"
         },
         "NavCube": { // The 3D navigation cube at the bottom right of the canvas
             "front": "Front",
@@ -47,6 +48,92 @@ const messages = {
             "hideAll": "Hide all",
             "hideAllTip": "Hide all storeys"
         },
+        "issuesExplorer": { // The "Issues" tab on the left of the canvas
+            "title": "Issues",
+            "showPins": "Show pins",
+            "showPinsTip": "Show issue pins on the canvas",
+            "hidePins": "Hide pins",
+            "hidePinsTip": "Hide issue pins on the canvas",
+            "noIssues": "No issues found for the loaded models.",
+            "importBCF": "Import BCF",
+            "importBCFTip": "Import topics from a BCF file",
+            "exportBCF": "Export BCF",
+            "exportBCFTip": "Export issues and topics to a BCF file",
+            "bcfTopics": "Imported BCF topics", // Heading above the imported topics
+            "syncBCF": "Sync BCF",
+            "syncBCFTip": "Sync issues and topics with the BCF server"
+        },
+        "issuesContextMenu": { // Context menu that appears when we right-click an issue in the "Issues" tab
+            "showIssue": "Show",
+            "setStatus": "Set Status",
+            "statusOpen": "Open",
+            "statusInProgress": "In Progress",
+            "statusResolved": "Resolved",
+            "statusClosed": "Closed",
+            "addComment": "Add Comment...",
+            "deleteIssue": "Delete..."
+        },
+        "issueDialog": { // Dialog in which issues are created, commented on and deleted
+            "createTitle": "Create Issue",
+            "issueTitle": "Title",
+            "description": "Description",
+            "priority": "Priority",
+            "priorityLow": "Low",
+            "priorityNormal": "Normal",
+            "priorityHigh": "High",
+            "priorityCritical": "Critical",
+            "assignee": "Assignee",
+            "create": "Create",
+            "commentTitle": "Add Comment",
+            "comment": "Comment",
+            "addComment": "Add",
+            "deleteTitle": "Delete Issue",
+            "deleteMessage": "Delete this issue and its comments?",
+            "delete": "Delete",
+            "cancel": "Cancel"
+        },
+        "clashesExplorer": { // The "Clashes" tab on the left of the canvas
+            "title": "Clashes",
+            "selectionA": "Objects A",
+            "selectionB": "Objects B",
+            "allObjects": "All objects",
+            "models": "Models",
+            "types": "Types",
+            "clashType": "Type",
+            "hard": "Hard",
+            "clearance": "Clearance",
+            "tolerance": "Tolerance",
+            "groupBy": "Group by",
+            "groupByNone": "None",
+            "groupByState": "State",
+            "groupByTypes": "Types",
+            "groupByObjectA": "Object A",
+            "groupByObjectB": "Object B",
+            "run": "Run",
+            "runTip": "Find clashes between the two sets of objects",
+            "clear": "Clear",
+            "clearTip": "Clear the clashes and their statuses",
+            "import": "Import",
+            "importTip": "Import clashes from a JSON file, to compare with the next run",
+            "export": "Export",
+            "exportTip": "Export the clashes to a file",
+            "testing": "Testing object pairs",
+            "noClashes": "No clashes found.",
+            "statusOpen": "Open",
+            "statusApproved": "Approved",
+            "statusIgnored": "Ignored",
+            "approximate": "Approximate",
+            "stateNew": "New",
+            "stateActive": "Active",
+            "stateResolved": "Resolved"
+        },
+        "clashesContextMenu": { // Context menu that appears when we right-click a clash in the "Clashes" tab
+            "flyTo": "Fly To",
+            "isolate": "Isolate",
+            "approve": "Approve",
+            "ignore": "Ignore",
+            "reopen": "Reopen"
+        },
         "propertiesInspector": { // The "Properties" tab on the right of the canvas
             "title": "Properties",
             "noObjectSelectedWarning": "No object inspected. Right-click or long-tab an object and select \'Inspect Properties\' to view its properties here.",
@@ -64,6 +151,7 @@ const messages = {
             "selectObjectsTip": "Select objects", // Button to activate "Select objects" tool
             "queryObjectsTip": "Query objects", // Button to activate "Query objects" tool
             "sliceObjectsTip": "Slice objects", // Button to activate "Slice objects" tool
+            "sectionBoxTip": "Section box", // Button to activate "Section box" tool
             "slicesMenuTip": "Slices menu", // Button to open the pull-down menu of existing section planes
             "showSpacesTip": "Show IFCSpaces", //Button to show IFC spaces
             "numSlicesTip": "Number of existing slices", // Label shows number of sexisting section planes
@@ -126,7 +214,8 @@ const messages = {
             "hideMeasurementAxisWires": "Hide Measurement Axis", // **** added
             "showMeasurementAxisWires": "Show Measurement Axis", // **** added
             "disableMeasurementSnapping": "Dsiable Snapping", // **** added
-            "enableMeasurementSnapping": "Enable Snapping" // **** added
+            "enableMeasurementSnapping": "Enable Snapping", // **** added
+            "createIssue": "Create Issue..." // Menu option to file an issue on this object
         },
         "treeViewContextMenu": { // Context menu that appears when we right-click an object node in the tree within in the "Objects" tab
             "inspectProperties": "Inspect Properties", //menu option to inspect properties in the properties inspector
@@ -157,6 +246,7 @@ const messages = {
             "enableMeasurementSnapping": "Enable Snapping" // **** added
         },
         "sectionToolContextMenu": { // Context menu that appears when we right-click an the Slicing tool
+            "showPanel": "Section Panel...", // Menu option to open the panel in which a slice's position and direction are typed
             "slice": "Slice", // Title of submenu for each slice, eg. "Slice #0, Slice #1" etc
             "clearSlices": "Clear Slices", // Menu option to delete all slices
             "flipSlices": "Flip Slices", // Menu option to reverse the cutting direction of all slices
@@ -165,6 +255,19 @@ const messages = {
             "delete": "Delete" // Sub-menu option to delete a single slice
         },
 
+        "sectionPanel": { // Panel in which a slice's position and direction are typed
+            "title": "Section Plane", // Title of the panel
+            "slice": "Slice", // Label of the list of slices to edit
+            "newSlice": "New slice", // Option to create a new slice with a preset
+            "presets": "Through center, facing along", // Label of the X, Y and Z buttons, which put the slice through the center of the models
+            "storey": "Storey elevation", // Label of the list of storeys to align the slice with
+            "alignStorey": "Align", // Button to put the slice at the storey's elevation
+            "position": "Position", // Label of the slice's X, Y and Z position fields
+            "direction": "Direction", // Label of the slice's X, Y and Z direction fields
+            "flip": "Flip", // Button to reverse the slice's cutting direction
+            "offset": "Move along direction" // Label of the slider that moves the slice along its direction
+        },
+
         "measureContextMenu": {
             "hideMeasurementAxisWires": "Hide Measurement Axis", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
             "showMeasurementAxisWires": "Show Measurement Axis", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
@@ -178,7 +281,8 @@ const messages = {
 
     "de": {
         "busyModal": { // The dialog that appears in the center of the canvas while we are loading a model
-            "loading": "Laden von" // Loading <myModel>
+            "loading": "Laden von", // Loading <myModel>
+            "cancel": "Abbrechen"
         },
         "NavCube": { // The 3D navigation cube at the bottom right of the canvas
             "front": "Vorne",
@@ -218,6 +322,92 @@ const messages = {
             "hideAll": "Alle ausblenden",
             "hideAllTip": "Alle Stockwerke ausblenden"
         },
+        "issuesExplorer": { // The "Issues" tab on the left of the canvas
+            "title": "Probleme",
+            "showPins": "Pins zeigen",
+            "showPinsTip": "Problem-Pins im Canvas zeigen",
+            "hidePins": "Pins ausblenden",
+            "hidePinsTip": "Problem-Pins im Canvas ausblenden",
+            "noIssues": "Keine Probleme für die geladenen Modelle gefunden.",
+            "importBCF": "BCF importieren",
+            "importBCFTip": "Themen aus einer BCF-Datei importieren",
+            "exportBCF": "BCF exportieren",
+            "exportBCFTip": "Probleme und Themen in eine BCF-Datei exportieren",
+            "bcfTopics": "Importierte BCF-Themen",
+            "syncBCF": "BCF synchronisieren",
+            "syncBCFTip": "Probleme und Themen mit dem BCF-Server synchronisieren"
+        },
+        "issuesContextMenu": {
+            "showIssue": "Anzeigen",
+            "setStatus": "Status setzen",
+            "statusOpen": "Offen",
+            "statusInProgress": "In Bearbeitung",
+            "statusResolved": "Gelöst",
+            "statusClosed": "Geschlossen",
+            "addComment": "Kommentar hinzufügen...",
+            "deleteIssue": "Löschen..."
+        },
+        "issueDialog": {
+            "createTitle": "Problem erstellen",
+            "issueTitle": "Titel",
+            "description": "Beschreibung",
+            "priority": "Priorität",
+            "priorityLow": "Niedrig",
+            "priorityNormal": "Normal",
+            "priorityHigh": "Hoch",
+            "priorityCritical": "Kritisch",
+            "assignee": "Zuständig",
+            "create": "Erstellen",
+            "commentTitle": "Kommentar hinzufügen",
+            "comment": "Kommentar",
+            "addComment": "Hinzufügen",
+            "deleteTitle": "Problem löschen",
+            "deleteMessage": "Dieses Problem und seine Kommentare löschen?",
+            "delete": "Löschen",
+            "cancel": "Abbrechen"
+        },
+        "clashesExplorer": { // The "Clashes" tab on the left of the canvas
+            "title": "Kollisionen",
+            "selectionA": "Objekte A",
+            "selectionB": "Objekte B",
+            "allObjects": "Alle Objekte",
+            "models": "Modelle",
+            "types": "Typen",
+            "clashType": "Art",
+            "hard": "Hart",
+            "clearance": "Abstand",
+            "tolerance": "Toleranz",
+            "groupBy": "Gruppieren nach",
+            "groupByNone": "Keine",
+            "groupByState": "Zustand",
+            "groupByTypes": "Typen",
+            "groupByObjectA": "Objekt A",
+            "groupByObjectB": "Objekt B",
+            "run": "Prüfen",
+            "runTip": "Kollisionen zwischen den beiden Objektgruppen finden",
+            "clear": "Leeren",
+            "clearTip": "Kollisionen und ihren Status entfernen",
+            "import": "Importieren",
+            "importTip": "Kollisionen aus einer JSON-Datei importieren, um sie mit dem nächsten Lauf zu vergleichen",
+            "export": "Exportieren",
+            "exportTip": "Kollisionen in eine Datei exportieren",
+            "testing": "Prüfe Objektpaare",
+            "noClashes": "Keine Kollisionen gefunden.",
+            "statusOpen": "Offen",
+            "statusApproved": "Genehmigt",
+            "statusIgnored": "Ignoriert",
+            "approximate": "Ungefähr",
+            "stateNew": "Neu",
+            "stateActive": "Aktiv",
+            "stateResolved": "Behoben"
+        },
+        "clashesContextMenu": {
+            "flyTo": "Hinfliegen",
+            "isolate": "Isolieren",
+            "approve": "Genehmigen",
+            "ignore": "Ignorieren",
+            "reopen": "Wieder öffnen"
+        },
         "propertiesInspector": { // The "Properties" tab on the right of the canvas
             "title": "Eigenschaften",
             "noObjectSelectedWarning": "Kein Objekt inspiziert. Klicken Sie mit der rechten Maustaste auf ein Objekt oder führen Sie einen langen Tabulator aus und wählen Sie \'Eigenschaften prüfen\', um die Eigenschaften des Objekts anzuzeigen.",
@@ -235,6 +425,7 @@ const messages = {
             "selectObjectsTip": "Objekte auswählen", // Button to activate/deactivate "Select objects" tool
             "queryObjectsTip": "Abfrageobjekte", // Button to activate/deactivate "Query objects" tool
             "sliceObjectsTip": "Objekte schneiden", // Button to activate/deactivate "Slice objects" tool
+            "sectionBoxTip": "Schnittbox", // Button to activate/deactivate "Section box" tool
             "slicesMenuTip": "Menü Schnittebenen", // Button to open the pull-down menu of existing section planes
             "showSpacesTip": "IFC-Räume anzeigen", //Button to show IFC spaces
             "numSlicesTip": "Anzahl der Schnittebenen", // Label shows number of existing section planes
@@ -297,7 +488,8 @@ const messages = {
             "hideMeasurementAxisWires": "Messachse ausblenden", // **** added
             "showMeasurementAxisWires": "Messachse anzeigen", // **** added
             "disableMeasurementSnapping": "Ausrichten deaktivieren", // **** added
-            "enableMeasurementSnapping": "Einrasten aktivieren" // **** added
+            "enableMeasurementSnapping": "Einrasten aktivieren", // **** added
+            "createIssue": "Problem erstellen..."
         },
         "treeViewContextMenu": { // Context menu that appears when we right-click an object node in the tree within in the "Objects" tab
             "inspectProperties": "Eigenschaften prüfen", //menu option to inspect properties in the properties inspector
@@ -328,6 +520,7 @@ const messages = {
             "enableMeasurementSnapping": "Einrasten aktivieren" // **** added
         },
         "sectionToolContextMenu": { // Context menu that appears when we right-click an the Slicing tool
+            "showPanel": "Schnittpanel...", // Menu option to open the panel in which a slice's position and direction are typed
             "slice": "Schnitte", // Title of submenu for each slice, eg. "Slice #0, Slice #1" etc
             "clearSlices": "Schnittebenen löschen", // Menu option to delete all slices
             "flipSlices": "Schnittebenen umdrehen", // Menu option to reverse the cutting direction of all slices
@@ -336,6 +529,19 @@ const messages = {
             "delete": "Löschen" // Sub-menu option to delete a single slice
         },
 
+        "sectionPanel": { // Panel in which a slice's position and direction are typed
+            "title": "Schnittebene", // Title of the panel
+            "slice": "Schnitt", // Label of the list of slices to edit
+            "newSlice": "Neuer Schnitt", // Option to create a new slice with a preset
+            "presets": "Durch die Mitte, entlang", // Label of the X, Y and Z buttons, which put the slice through the center of the models
+            "storey": "Geschosshöhe", // Label of the list of storeys to align the slice with
+            "alignStorey": "Ausrichten", // Button to put the slice at the storey's elevation
+            "position": "Position", // Label of the slice's X, Y and Z position fields
+            "direction": "Richtung", // Label of the slice's X, Y and Z direction fields
+            "flip": "Umdrehen", // Button to reverse the slice's cutting direction
+            "offset": "Entlang der Richtung verschieben" // Label of the slider that moves the slice along its direction
+        },
+
         "measureContextMenu": {
             "hideMeasurementAxisWires": "Messachse ausblenden", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
             "showMeasurementAxisWires": "Messachse anzeigen", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
@@ -349,7 +555,8 @@ const messages = {
 
     "fr": {
         "busyModal": { // The dialog that appears in the center of the canvas while we are loading a model
-            "loading": "Chargement" // Loading <myModel>
+            "loading": "Chargement", // Loading <myModel>
+            "cancel": "Annuler"
         },
         "NavCube": { // The 3D navigation cube at the bottom right of the canvas
             "front": "Face",
@@ -389,6 +596,92 @@ const messages = {
             "hideAll": "Masquer tout",
             "hideAllTip": "Masquer tous les étages"
         },
+        "issuesExplorer": { // The "Issues" tab on the left of the canvas
+            "title": "Problèmes",
+            "showPins": "Afficher les épingles",
+            "showPinsTip": "Afficher les épingles des problèmes",
+            "hidePins": "Masquer les épingles",
+            "hidePinsTip": "Masquer les épingles des problèmes",
+            "noIssues": "Aucun problème trouvé pour les modèles chargés.",
+            "importBCF": "Importer BCF",
+            "importBCFTip": "Importer les sujets d'un fichier BCF",
+            "exportBCF": "Exporter BCF",
+            "exportBCFTip": "Exporter les problèmes et les sujets dans un fichier BCF",
+            "bcfTopics": "Sujets BCF importés",
+            "syncBCF": "Synchroniser BCF",
+            "syncBCFTip": "Synchroniser les problèmes et les sujets avec le serveur BCF"
+        },
+        "issuesContextMenu": {
+            "showIssue": "Afficher",
+            "setStatus": "Définir le statut",
+            "statusOpen": "Ouvert",
+            "statusInProgress": "En cours",
+            "statusResolved": "Résolu",
+            "statusClosed": "Fermé",
+            "addComment": "Ajouter un commentaire...",
+            "deleteIssue": "Supprimer..."
+        },
+        "issueDialog": {
+            "createTitle": "Créer un problème",
+            "issueTitle": "Titre",
+            "description": "Description",
+            "priority": "Priorité",
+            "priorityLow": "Basse",
+            "priorityNormal": "Normale",
+            "priorityHigh": "Haute",
+            "priorityCritical": "Critique",
+            "assignee": "Responsable",
+            "create": "Créer",
+            "commentTitle": "Ajouter un commentaire",
+            "comment": "Commentaire",
+            "addComment": "Ajouter",
+            "deleteTitle": "Supprimer le problème",
+            "deleteMessage": "Supprimer ce problème et ses commentaires ?",
+            "delete": "Supprimer",
+            "cancel": "Annuler"
+        },
+        "clashesExplorer": { // The "Clashes" tab on the left of the canvas
+            "title": "Conflits",
+            "selectionA": "Objets A",
+            "selectionB": "Objets B",
+            "allObjects": "Tous les objets",
+            "models": "Modèles",
+            "types": "Types",
+            "clashType": "Type",
+            "hard": "Dur",
+            "clearance": "Dégagement",
+            "tolerance": "Tolérance",
+            "groupBy": "Grouper par",
+            "groupByNone": "Aucun",
+            "groupByState": "État",
+            "groupByTypes": "Types",
+            "groupByObjectA": "Objet A",
+            "groupByObjectB": "Objet B",
+            "run": "Lancer",
+            "runTip": "Trouver les conflits entre les deux ensembles d'objets",
+            "clear": "Effacer",
+            "clearTip": "Effacer les conflits et leurs statuts",
+            "import": "Importer",
+            "importTip": "Importer des conflits depuis un fichier JSON, pour les comparer à la prochaine exécution",
+            "export": "Exporter",
+            "exportTip": "Exporter les conflits dans un fichier",
+            "testing": "Test des paires d'objets",
+            "noClashes": "Aucun conflit trouvé.",
+            "statusOpen": "Ouvert",
+            "statusApproved": "Approuvé",
+            "statusIgnored": "Ignoré",
+            "approximate": "Approximatif",
+            "stateNew": "Nouveau",
+            "stateActive": "Actif",
+            "stateResolved": "Résolu"
+        },
+        "clashesContextMenu": {
+            "flyTo": "Voler vers",
+            "isolate": "Isoler",
+            "approve": "Approuver",
+            "ignore": "Ignorer",
+            "reopen": "Rouvrir"
+        },
         "propertiesInspector": { // The "Properties" tab on the right of the canvas
             "title": "Propriétés",
             "noObjectSelectedWarning": "Aucun objet n'a été inspecté. Cliquez avec le bouton droit ou le bouton long sur un objet et sélectionnez \'Inspecter les propriétés\' pour afficher ses propriétés ici.",
@@ -406,6 +699,7 @@ const messages = {
             "selectObjectsTip": "Sélectionner", // Button to activate "Select objects" tool
             "queryObjectsTip": "Informations objets", // Button to activate "Query objects" tool
             "sliceObjectsTip": "Coupes", // Button to activate "Slice objects" tool
+            "sectionBoxTip": "Boîte de coupe", // Button to activate "Section box" tool
             "slicesMenuTip": "Outils de coupe", // Button to open the pull-down menu of existing section planes
             "showSpacesTip": "Afficher les espaces IFC", //Button to show IFC spaces
             "numSlicesTip": "Nombre de coupes", // Label shows number of sexisting section planes
@@ -468,7 +762,8 @@ const messages = {
             "hideMeasurementAxisWires": "Masquer l'axe de mesure", // **** added
             "showMeasurementAxisWires": "Afficher l'axe de mesure", // **** added
             "disableMeasurementSnapping": "Désactiver l'accrochage", // **** added
-            "enableMeasurementSnapping": "Activer l'accrochage" // **** added
+            "enableMeasurementSnapping": "Activer l'accrochage", // **** added
+            "createIssue": "Créer un problème..."
         },
         "treeViewContextMenu": { // Context menu that appears when we right-click an object node in the tree within in the "Objects" tab
             "inspectProperties": "Inspecter les propriétés", //menu option to inspect properties in the properties inspector
@@ -498,6 +793,7 @@ const messages = {
             "enableMeasurementSnapping": "Activer l'accrochage" // **** added
         },
         "sectionToolContextMenu": { // Context menu that appears when we right-click an the Slicing tool
+            "showPanel": "Panneau de coupe...", // Menu option to open the panel in which a slice's position and direction are typed
             "slice": "Coupe", // Title of submenu for each slice, eg. "Slice #0, Slice #1" etc
             "clearSlices": "Effacer les coupes", // Menu option to delete all slices
             "flipSlices": "Inverser les coupes", // Menu option to reverse the cutting direction of all slices
@@ -506,6 +802,19 @@ const messages = {
             "delete": "Supprimer" // Sub-menu option to delete a single slice
         },
 
+        "sectionPanel": { // Panel in which a slice's position and direction are typed
+            "title": "Plan de coupe", // Title of the panel
+            "slice": "Coupe", // Label of the list of slices to edit
+            "newSlice": "Nouvelle coupe", // Option to create a new slice with a preset
+            "presets": "Par le centre, orienté selon", // Label of the X, Y and Z buttons, which put the slice through the center of the models
+            "storey": "Niveau de l'étage", // Label of the list of storeys to align the slice with
+            "alignStorey": "Aligner", // Button to put the slice at the storey's elevation
+            "position": "Position", // Label of the slice's X, Y and Z position fields
+            "direction": "Direction", // Label of the slice's X, Y and Z direction fields
+            "flip": "Inverser", // Button to reverse the slice's cutting direction
+            "offset": "Déplacer selon la direction" // Label of the slider that moves the slice along its direction
+        },
+
         "measureContextMenu": {
             "hideMeasurementAxisWires": "Masquer l'axe de mesure", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
             "showMeasurementAxisWires": "Afficher l'axe de mesure", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
@@ -519,7 +828,8 @@ const messages = {
 
     "pl": {
         "busyModal": { // The dialog that appears in the center of the canvas while we are loading a model
-            "loading": "Ładowanie" // Loading <myModel>
+            "loading": "Ładowanie", // Loading <myModel>
+            "cancel": "Anuluj"
         },
         "NavCube": { // The 3D navigation cube at the bottom right of the canvas
             "front": "Przód",
@@ -559,6 +869,92 @@ const messages = {
             "hideAll": "Ukryj",
             "hideAllTip": "Ukryj wszystkie piętra"
         },
+        "issuesExplorer": { // The "Issues" tab on the left of the canvas
+            "title": "Problemy",
+            "showPins": "Pokaż pinezki",
+            "showPinsTip": "Pokaż pinezki problemów",
+            "hidePins": "Ukryj pinezki",
+            "hidePinsTip": "Ukryj pinezki problemów",
+            "noIssues": "Nie znaleziono problemów dla załadowanych modeli.",
+            "importBCF": "Importuj BCF",
+            "importBCFTip": "Importuj tematy z pliku BCF",
+            "exportBCF": "Eksportuj BCF",
+            "exportBCFTip": "Eksportuj problemy i tematy do pliku BCF",
+            "bcfTopics": "Zaimportowane tematy BCF",
+            "syncBCF": "Synchronizuj BCF",
+            "syncBCFTip": "Synchronizuj problemy i tematy z serwerem BCF"
+        },
+        "issuesContextMenu": {
+            "showIssue": "Pokaż",
+            "setStatus": "Ustaw status",
+            "statusOpen": "Otwarte",
+            "statusInProgress": "W toku",
+            "statusResolved": "Rozwiązane",
+            "statusClosed": "Zamknięte",
+            "addComment": "Dodaj komentarz...",
+            "deleteIssue": "Usuń..."
+        },
+        "issueDialog": {
+            "createTitle": "Utwórz zgłoszenie",
+            "issueTitle": "Tytuł",
+            "description": "Opis",
+            "priority": "Priorytet",
+            "priorityLow": "Niski",
+            "priorityNormal": "Normalny",
+            "priorityHigh": "Wysoki",
+            "priorityCritical": "Krytyczny",
+            "assignee": "Przypisane do",
+            "create": "Utwórz",
+            "commentTitle": "Dodaj komentarz",
+            "comment": "Komentarz",
+            "addComment": "Dodaj",
+            "deleteTitle": "Usuń zgłoszenie",
+            "deleteMessage": "Usunąć to zgłoszenie i jego komentarze?",
+            "delete": "Usuń",
+            "cancel": "Anuluj"
+        },
+        "clashesExplorer": { // The "Clashes" tab on the left of the canvas
+            "title": "Kolizje",
+            "selectionA": "Obiekty A",
+            "selectionB": "Obiekty B",
+            "allObjects": "Wszystkie obiekty",
+            "models": "Modele",
+            "types": "Typy",
+            "clashType": "Rodzaj",
+            "hard": "Twarda",
+            "clearance": "Odstęp",
+            "tolerance": "Tolerancja",
+            "groupBy": "Grupuj według",
+            "groupByNone": "Brak",
+            "groupByState": "Stan",
+            "groupByTypes": "Typy",
+            "groupByObjectA": "Obiekt A",
+            "groupByObjectB": "Obiekt B",
+            "run": "Uruchom",
+            "runTip": "Znajdź kolizje między dwoma zbiorami obiektów",
+            "clear": "Wyczyść",
+            "clearTip": "Wyczyść kolizje i ich statusy",
+            "import": "Importuj",
+            "importTip": "Importuj kolizje z pliku JSON, aby porównać je z następnym uruchomieniem",
+            "export": "Eksportuj",
+            "exportTip": "Eksportuj kolizje do pliku",
+            "testing": "Sprawdzanie par obiektów",
+            "noClashes": "Nie znaleziono kolizji.",
+            "statusOpen": "Otwarta",
+            "statusApproved": "Zatwierdzona",
+            "statusIgnored": "Zignorowana",
+            "approximate": "Przybliżona",
+            "stateNew": "Nowa",
+            "stateActive": "Aktywna",
+            "stateResolved": "Rozwiązana"
+        },
+        "clashesContextMenu": {
+            "flyTo": "Leć do",
+            "isolate": "Izoluj",
+            "approve": "Zatwierdź",
+            "ignore": "Zignoruj",
+            "reopen": "Otwórz ponownie"
+        },
         "propertiesInspector": { // The "Properties" tab on the right of the canvas
             "title": "Właściwości",
             "noObjectSelectedWarning": "Nie sprawdzono żadnego obiektu. Kliknij prawym przyciskiem myszy lub kliknij długo na obiekcie i wybierz opcję \'Sprawdź właściwości\', aby wyświetlić jego właściwości.",
@@ -576,6 +972,7 @@ const messages = {
             "selectObjectsTip": "Zaznacz obiekt", // Button to activate/deactivate "Select objects" tool
             "queryObjectsTip": "Wywołaj obiekt", // Button to activate/deactivate "Query objects" tool
             "sliceObjectsTip": "Przekroje obiektów", // Button to activate/deactivate "Slice objects" tool
+            "sectionBoxTip": "Prostopadłościan przekroju", // Button to activate/deactivate "Section box" tool
             "slicesMenuTip": "Menu przekroi", // Button to open the pull-down menu of existing section planes
             "showSpacesTip": "Pokaż przestrzenie IFC", //Button to show IFC spaces
             "numSlicesTip": "Liczba przekroi", // Label shows number of existing section planes
@@ -638,7 +1035,8 @@ const messages = {
             "hideMeasurementAxisWires": "Ukryj oś pomiaru", // **** added
             "showMeasurementAxisWires": "Pokaż oś pomiaru", // **** added
             "disableMeasurementSnapping": "Wyłącz przyciąganie", // **** added
-            "enableMeasurementSnapping": "Włącz przyciąganie" // **** added
+            "enableMeasurementSnapping": "Włącz przyciąganie", // **** added
+            "createIssue": "Utwórz zgłoszenie..."
         },
         "treeViewContextMenu": { // Context menu that appears when we right-click an object node in the tree within in the "Objects" tab
             "inspectProperties": "Sprawdź właściwości", //menu option to inspect properties in the properties inspector
@@ -669,6 +1067,7 @@ const messages = {
             "enableMeasurementSnapping": "Włącz przyciąganie" // **** added
         },
         "sectionToolContextMenu": { // Context menu that appears when we right-click an the Slicing tool
+            "showPanel": "Panel przekroju...", // Menu option to open the panel in which a slice's position and direction are typed
             "clearSlices": "Usuń przekroje", // Menu option to delete all slices
             "flipSlices": "Zmień kierunek", // Menu option to reverse the cutting direction of all slices
             "edit": "Edytuj", // Sub-menu option to edit a single slice
@@ -676,6 +1075,19 @@ const messages = {
             "delete": "Usuń" // Sub-menu option to delete a single slice
         },
 
+        "sectionPanel": { // Panel in which a slice's position and direction are typed
+            "title": "Płaszczyzna przekroju", // Title of the panel
+            "slice": "Przekrój", // Label of the list of slices to edit
+            "newSlice": "Nowy przekrój", // Option to create a new slice with a preset
+            "presets": "Przez środek, wzdłuż osi", // Label of the X, Y and Z buttons, which put the slice through the center of the models
+            "storey": "Wysokość kondygnacji", // Label of the list of storeys to align the slice with
+            "alignStorey": "Wyrównaj", // Button to put the slice at the storey's elevation
+            "position": "Położenie", // Label of the slice's X, Y and Z position fields
+            "direction": "Kierunek", // Label of the slice's X, Y and Z direction fields
+            "flip": "Obróć", // Button to reverse the slice's cutting direction
+            "offset": "Przesuń wzdłuż kierunku" // Label of the slider that moves the slice along its direction
+        },
+
         "measureContextMenu": {
             "hideMeasurementAxisWires": "Masquer l'axe de mesure", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
             "showMeasurementAxisWires": "Pokaż oś pomiaru", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
@@ -691,6 +1103,7 @@ const messages = {
         "busyModal": {
             // The dialog that appears in the center of the canvas while we are loading a model
             "loading": "Загрузка", // Loading <myModel>
+            "cancel": "Отмена"
         },
         "NavCube": {
             // The 3D navigation cube at the bottom right of the canvas
@@ -735,6 +1148,92 @@ const messages = {
             "hideAll": "Скрыть все",
             "hideAllTip": "Скрыть все этажи",
         },
+        "issuesExplorer": {
+            "title": "Замечания",
+            "showPins": "Показать метки",
+            "showPinsTip": "Показать метки замечаний",
+            "hidePins": "Скрыть метки",
+            "hidePinsTip": "Скрыть метки замечаний",
+            "noIssues": "Для загруженных моделей замечаний не найдено.",
+            "importBCF": "Импорт BCF",
+            "importBCFTip": "Импортировать темы из файла BCF",
+            "exportBCF": "Экспорт BCF",
+            "exportBCFTip": "Экспортировать замечания и темы в файл BCF",
+            "bcfTopics": "Импортированные темы BCF",
+            "syncBCF": "Синхронизировать BCF",
+            "syncBCFTip": "Синхронизировать замечания и темы с сервером BCF"
+        },
+        "issuesContextMenu": {
+            "showIssue": "Показать",
+            "setStatus": "Изменить статус",
+            "statusOpen": "Открыто",
+            "statusInProgress": "В работе",
+            "statusResolved": "Решено",
+            "statusClosed": "Закрыто",
+            "addComment": "Добавить комментарий...",
+            "deleteIssue": "Удалить..."
+        },
+        "issueDialog": {
+            "createTitle": "Создать замечание",
+            "issueTitle": "Заголовок",
+            "description": "Описание",
+            "priority": "Приоритет",
+            "priorityLow": "Низкий",
+            "priorityNormal": "Обычный",
+            "priorityHigh": "Высокий",
+            "priorityCritical": "Критический",
+            "assignee": "Исполнитель",
+            "create": "Создать",
+            "commentTitle": "Добавить комментарий",
+            "comment": "Комментарий",
+            "addComment": "Добавить",
+            "deleteTitle": "Удалить замечание",
+            "deleteMessage": "Удалить это замечание и его комментарии?",
+            "delete": "Удалить",
+            "cancel": "Отмена"
+        },
+        "clashesExplorer": {
+            "title": "Коллизии",
+            "selectionA": "Объекты A",
+            "selectionB": "Объекты B",
+            "allObjects": "Все объекты",
+            "models": "Модели",
+            "types": "Типы",
+            "clashType": "Тип",
+            "hard": "Пересечение",
+            "clearance": "Зазор",
+            "tolerance": "Допуск",
+            "groupBy": "Группировать по",
+            "groupByNone": "Нет",
+            "groupByState": "Состояние",
+            "groupByTypes": "Типам",
+            "groupByObjectA": "Объекту A",
+            "groupByObjectB": "Объекту B",
+            "run": "Запустить",
+            "runTip": "Найти коллизии между двумя наборами объектов",
+            "clear": "Очистить",
+            "clearTip": "Очистить коллизии и их статусы",
+            "import": "Импорт",
+            "importTip": "Импортировать коллизии из файла JSON для сравнения со следующим запуском",
+            "export": "Экспорт",
+            "exportTip": "Экспортировать коллизии в файл",
+            "testing": "Проверка пар объектов",
+            "noClashes": "Коллизии не найдены.",
+            "statusOpen": "Открыта",
+            "statusApproved": "Одобрена",
+            "statusIgnored": "Игнорируется",
+            "approximate": "Приблизительно",
+            "stateNew": "Новая",
+            "stateActive": "Активная",
+            "stateResolved": "Устранена"
+        },
+        "clashesContextMenu": {
+            "flyTo": "Перелететь",
+            "isolate": "Изолировать",
+            "approve": "Одобрить",
+            "ignore": "Игнорировать",
+            "reopen": "Открыть снова"
+        },
         "propertiesInspector": {
             // The "Properties" tab on the right of the canvas
             "title": "Свойства",
@@ -754,6 +1253,7 @@ const messages = {
             "selectObjectsTip": "Выбрать объекты", // Button to activate "Select objects" tool
             "queryObjectsTip": "Выбрать объекты", // Button to activate "Query objects" tool
             "sliceObjectsTip": "Рассечь объекты", // Button to activate "Slice objects" tool
+            "sectionBoxTip": "Секущий параллелепипед", // Button to activate "Section box" tool
             "slicesMenuTip": "Меню сечений", // Button to open the pull-down menu of existing section planes
             "showSpacesTip": "Показать места IFC", //Button to show IFC spaces
             "numSlicesTip": "Количество существующих сечений", // Label shows number of sexisting section planes
@@ -819,7 +1319,8 @@ const messages = {
             "hideMeasurementAxisWires": "Скрыть ось измерения", // **** added
             "showMeasurementAxisWires": "Показать ось измерения", // **** added
             "disableMeasurementSnapping": "Отключить привязку", // **** added
-            "enableMeasurementSnapping": "Включить привязку" // **** added
+            "enableMeasurementSnapping": "Включить привязку", // **** added
+            "createIssue": "Создать замечание..."
         },
         "treeViewContextMenu": {
             // Context menu that appears when we right-click an object node in the tree within in the "Objects" tab
@@ -852,6 +1353,7 @@ const messages = {
         },
         "sectionToolContextMenu": {
             // Context menu that appears when we right-click an the Slicing tool
+            "showPanel": "Панель сечения...",
             "slice": "Сечение", // Title of submenu for each slice, eg. "Slice #0, Slice #1" etc
             "clearSlices": "Очистить сечения", // Menu option to delete all slices
             "flipSlices": "Развернуть сечения", // Menu option to reverse the cutting direction of all slices
@@ -860,6 +1362,19 @@ const messages = {
             "delete": "Удалить", // Sub-menu option to delete a single slice
         },
 
+        "sectionPanel": {
+            "title": "Плоскость сечения",
+            "slice": "Сечение",
+            "newSlice": "Новое сечение",
+            "presets": "Через центр, вдоль оси",
+            "storey": "Отметка этажа",
+            "alignStorey": "Выровнять",
+            "position": "Положение",
+            "direction": "Направление",
+            "flip": "Развернуть",
+            "offset": "Сдвинуть по направлению"
+        },
+
         "measureContextMenu": {
             "hideMeasurementAxisWires": "Скрыть ось измерения", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
             "showMeasurementAxisWires": "Показать ось измерения", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
@@ -873,7 +1388,8 @@ const messages = {
 
     "ch": {
         "busyModal": { // The dialog that appears in the center of the canvas while we are loading a model
-            "loading": "載入中"
+            "loading": "載入中",
+            "cancel": "取消"
         },
         "NavCube": { // The 3D navigation cube at the bottom right of the canvas
             "front": "前",
@@ -913,6 +1429,92 @@ const messages = {
             "hideAll": "全部隱藏",
             "hideAllTip": "隱藏所有樓層"
         },
+        "issuesExplorer": { // The "Issues" tab on the left of the canvas
+            "title": "問題",
+            "showPins": "顯示圖釘",
+            "showPinsTip": "顯示問題圖釘",
+            "hidePins": "隱藏圖釘",
+            "hidePinsTip": "隱藏問題圖釘",
+            "noIssues": "已載入的模型中沒有問題。",
+            "importBCF": "匯入 BCF",
+            "importBCFTip": "從 BCF 檔案匯入主題",
+            "exportBCF": "匯出 BCF",
+            "exportBCFTip": "將問題和主題匯出為 BCF 檔案",
+            "bcfTopics": "已匯入的 BCF 主題",
+            "syncBCF": "同步 BCF",
+            "syncBCFTip": "與 BCF 伺服器同步問題和主題"
+        },
+        "issuesContextMenu": {
+            "showIssue": "顯示",
+            "setStatus": "設定狀態",
+            "statusOpen": "未處理",
+            "statusInProgress": "處理中",
+            "statusResolved": "已解決",
+            "statusClosed": "已關閉",
+            "addComment": "新增評論...",
+            "deleteIssue": "刪除..."
+        },
+        "issueDialog": {
+            "createTitle": "建立問題",
+            "issueTitle": "標題",
+            "description": "描述",
+            "priority": "優先級",
+            "priorityLow": "低",
+            "priorityNormal": "一般",
+            "priorityHigh": "高",
+            "priorityCritical": "緊急",
+            "assignee": "負責人",
+            "create": "建立",
+            "commentTitle": "新增評論",
+            "comment": "評論",
+            "addComment": "新增",
+            "deleteTitle": "刪除問題",
+            "deleteMessage": "刪除此問題及其評論？",
+            "delete": "刪除",
+            "cancel": "取消"
+        },
+        "clashesExplorer": { // The "Clashes" tab on the left of the canvas
+            "title": "碰撞",
+            "selectionA": "物件 A",
+            "selectionB": "物件 B",
+            "allObjects": "所有物件",
+            "models": "模組",
+            "types": "類型",
+            "clashType": "類型",
+            "hard": "硬碰撞",
+            "clearance": "間隙",
+            "tolerance": "容差",
+            "groupBy": "分組依據",
+            "groupByNone": "無",
+            "groupByState": "狀態",
+            "groupByTypes": "類型",
+            "groupByObjectA": "物件 A",
+            "groupByObjectB": "物件 B",
+            "run": "執行",
+            "runTip": "尋找兩組物件之間的碰撞",
+            "clear": "清除",
+            "clearTip": "清除碰撞及其狀態",
+            "import": "導入",
+            "importTip": "從 JSON 文件導入碰撞，以便與下次運行比較",
+            "export": "導出",
+            "exportTip": "將碰撞導出到文件",
+            "testing": "正在測試物件對",
+            "noClashes": "未發現碰撞。",
+            "statusOpen": "開啟",
+            "statusApproved": "已核准",
+            "statusIgnored": "已忽略",
+            "approximate": "近似",
+            "stateNew": "新",
+            "stateActive": "活動",
+            "stateResolved": "已解決"
+        },
+        "clashesContextMenu": {
+            "flyTo": "飛至",
+            "isolate": "隔離",
+            "approve": "核准",
+            "ignore": "忽略",
+            "reopen": "重新開啟"
+        },
         "propertiesInspector": { // The "Properties" tab on the right of the canvas
             "title": "屬性",
             "noObjectSelectedWarning": "未選擇物件進行檢查。右鍵點擊或長按物件並選擇「檢查屬性」以查看其屬性。",
@@ -930,6 +1532,7 @@ const messages = {
             "selectObjectsTip": "選擇物件",
             "queryObjectsTip": "檢查物件",
             "sliceObjectsTip": "創建剖面",
+            "sectionBoxTip": "剖切盒",
             "slicesMenuTip": "剖面工具",
             "showSpacesTip": "顯示 IFCSpace 物件",
             "numSlicesTip": "現有剖面數量",
@@ -993,6 +1596,7 @@ const messages = {
             "showMeasurementAxisWires": "顯示量度軸線", // **** added
             "disableMeasurementSnapping": "不用邊角對準", // **** added
             "enableMeasurementSnapping": "選用邊角對準", // **** added
+            "createIssue": "建立問題..."
         },
         "treeViewContextMenu": {
             "inspectProperties": "檢查屬性",
@@ -1023,6 +1627,7 @@ const messages = {
             "enableMeasurementSnapping": "選用邊角對準", // **** added
         },
         "sectionToolContextMenu": {
+            "showPanel": "剖面面板...",
             "slice": "剖面",
             "clearSlices": "清除剖面",
             "flipSlices": "翻轉剖面",
@@ -1031,6 +1636,19 @@ const messages = {
             "delete": "刪除"
         },
 
+        "sectionPanel": {
+            "title": "剖切面",
+            "slice": "剖面",
+            "newSlice": "新剖面",
+            "presets": "通過中心，沿軸向",
+            "storey": "樓層標高",
+            "alignStorey": "對齊",
+            "position": "位置",
+            "direction": "方向",
+            "flip": "翻轉",
+            "offset": "沿方向移動"
+        },
+
         "measureContextMenu": {
             "hideMeasurementAxisWires": "隱藏量度軸線", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
             "showMeasurementAxisWires": "顯示量度軸線", // **** added & previous bug fixed in zeokit-bim-viewer.es.js
@@ -1044,7 +1662,8 @@ const messages = {
 
     "cn": {
         "busyModal": {
-            "loading": "加载中"
+            "loading": "加载中",
+            "cancel": "取消"
         },
         "NavCube": {
             "front": "前",
@@ -1084,6 +1703,92 @@ const messages = {
             "hideAll": "全部隐藏",
             "hideAllTip": "隐藏所有楼层"
         },
+        "issuesExplorer": {
+            "title": "问题",
+            "showPins": "显示图钉",
+            "showPinsTip": "显示问题图钉",
+            "hidePins": "隐藏图钉",
+            "hidePinsTip": "隐藏问题图钉",
+            "noIssues": "已加载的模型中没有问题。",
+            "importBCF": "导入 BCF",
+            "importBCFTip": "从 BCF 文件导入主题",
+            "exportBCF": "导出 BCF",
+            "exportBCFTip": "将问题和主题导出为 BCF 文件",
+            "bcfTopics": "已导入的 BCF 主题",
+            "syncBCF": "同步 BCF",
+            "syncBCFTip": "与 BCF 服务器同步问题和主题"
+        },
+        "issuesContextMenu": {
+            "showIssue": "显示",
+            "setStatus": "设置状态",
+            "statusOpen": "未处理",
+            "statusInProgress": "处理中",
+            "statusResolved": "已解决",
+            "statusClosed": "已关闭",
+            "addComment": "添加评论...",
+            "deleteIssue": "删除..."
+        },
+        "issueDialog": {
+            "createTitle": "创建问题",
+            "issueTitle": "标题",
+            "description": "描述",
+            "priority": "优先级",
+            "priorityLow": "低",
+            "priorityNormal": "一般",
+            "priorityHigh": "高",
+            "priorityCritical": "紧急",
+            "assignee": "负责人",
+            "create": "创建",
+            "commentTitle": "添加评论",
+            "comment": "评论",
+            "addComment": "添加",
+            "deleteTitle": "删除问题",
+            "deleteMessage": "删除此问题及其评论？",
+            "delete": "删除",
+            "cancel": "取消"
+        },
+        "clashesExplorer": {
+            "title": "碰撞",
+            "selectionA": "对象 A",
+            "selectionB": "对象 B",
+            "allObjects": "所有对象",
+            "models": "模型",
+            "types": "类型",
+            "clashType": "类型",
+            "hard": "硬碰撞",
+            "clearance": "间隙",
+            "tolerance": "容差",
+            "groupBy": "分组依据",
+            "groupByNone": "无",
+            "groupByState": "状态",
+            "groupByTypes": "类型",
+            "groupByObjectA": "对象 A",
+            "groupByObjectB": "对象 B",
+            "run": "运行",
+            "runTip": "查找两组对象之间的碰撞",
+            "clear": "清除",
+            "clearTip": "清除碰撞及其状态",
+            "import": "导入",
+            "importTip": "从 JSON 文件导入碰撞，以便与下次运行比较",
+            "export": "导出",
+            "exportTip": "将碰撞导出到文件",
+            "testing": "正在测试对象对",
+            "noClashes": "未发现碰撞。",
+            "statusOpen": "打开",
+            "statusApproved": "已批准",
+            "statusIgnored": "已忽略",
+            "approximate": "近似",
+            "stateNew": "新",
+            "stateActive": "活动",
+            "stateResolved": "已解决"
+        },
+        "clashesContextMenu": {
+            "flyTo": "飞至",
+            "isolate": "隔离",
+            "approve": "批准",
+            "ignore": "忽略",
+            "reopen": "重新打开"
+        },
         "propertiesInspector": {
             "title": "属性",
             "noObjectSelectedWarning": "未选择物件进行检查。右键点击或长按物件并选择“检查属性”以查看其属性。",
@@ -1101,6 +1806,7 @@ const messages = {
             "selectObjectsTip": "选择物件",
             "queryObjectsTip": "检查物件",
             "sliceObjectsTip": "创建剖面",
+            "sectionBoxTip": "剖切盒",
             "slicesMenuTip": "剖面工具",
             "showSpacesTip": "显示 IFCSpace 物件",
             "numSlicesTip": "现有剖面数量",
@@ -1163,7 +1869,8 @@ const messages = {
             "hideMeasurementAxisWires": "隐藏量度轴线",
             "showMeasurementAxisWires": "显示量度轴线",
             "disableMeasurementSnapping": "不用边角对准",
-            "enableMeasurementSnapping": "选用边角对准"
+            "enableMeasurementSnapping": "选用边角对准",
+            "createIssue": "创建问题..."
         },
         "treeViewContextMenu": {
             "inspectProperties": "检查属性",
@@ -1194,6 +1901,7 @@ const messages = {
             "enableMeasurementSnapping": "选用边角对准"
         },
         "sectionToolContextMenu": {
+            "showPanel": "剖面面板...",
             "slice": "剖面",
             "clearSlices": "清除剖面",
             "flipSlices": "翻转剖面",
@@ -1201,6 +1909,18 @@ const messages = {
             "flip": "翻转",
             "delete": "删除"
         },
+        "sectionPanel": {
+            "title": "剖切面",
+            "slice": "剖面",
+            "newSlice": "新剖面",
+            "presets": "通过中心，沿轴向",
+            "storey": "楼层标高",
+            "alignStorey": "对齐",
+            "position": "位置",
+            "direction": "方向",
+            "flip": "翻转",
+            "offset": "沿方向移动"
+        },
         "measureContextMenu": {
             "hideMeasurementAxisWires": "隐藏量度轴线",
             "showMeasurementAxisWires": "显示量度轴线",
@@ -4,211 +4,85 @@
  * Simple HTTP server that serves static files and OData endpoints for xeokit-bim-viewer
  * 
  * This server extends basic static file serving with OData endpoint support
- * to make the OData functionality accessible via HTTP.
+ * to make the OData functionality accessible via HTTP, and with routes that
+ * create, update and delete the issues in each model's issues.json.
  */
 
 import fs from 'fs';
 import path from 'path';
 import http from 'http';
 import url from 'url';
+import {ODataQueryError} from './src/server/ODataQuery.js';
+import {ODataService} from './src/server/ODataService.js';
+import {FileSystemServer} from './src/server/FileSystemServer.js';
 
 const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || '0.0.0.0';
 
-/**
- * Simple OData metadata implementation
- */
-function getODataMetadata() {
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<edmx:Edmx xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx" Version="4.0">
-  <edmx:DataServices>
-    <Schema xmlns="http://docs.oasis-open.org/odata/ns/edm" Namespace="XeokitBIM">
-      <EntityType Name="Element">
-        <Key>
-          <PropertyRef Name="id"/>
-        </Key>
-        <Property Name="id" Type="Edm.String" Nullable="false"/>
-        <Property Name="projectId" Type="Edm.String" Nullable="false"/>
-        <Property Name="modelId" Type="Edm.String" Nullable="true"/>
-        <Property Name="name" Type="Edm.String" Nullable="true"/>
-        <Property Name="type" Type="Edm.String" Nullable="true"/>
-        <Property Name="parent" Type="Edm.String" Nullable="true"/>
-        <Property Name="attributes" Type="Edm.String" Nullable="true"/>
-      </EntityType>
-      <EntityContainer Name="Container">
-        <EntitySet Name="Elements" EntityType="XeokitBIM.Element"/>
-      </EntityContainer>
-    </Schema>
-  </edmx:DataServices>
-</edmx:Edmx>`;
-}
+const DATA_DIR = './app/data/projects';
 
 /**
- * Load project data
+ * Read and parse a JSON file, treating a missing file as "not found"
  */
-function loadProject(projectId, callback) {
-    const projectPath = path.join('./app/data/projects', projectId, 'index.json');
-    fs.readFile(projectPath, 'utf8', (err, data) => {
+function loadJSON(filePath, notFoundMessage, done, error) {
+    fs.readFile(filePath, 'utf8', (err, data) => {
         if (err) {
-            callback(null, err);
+            error((err.code === 'ENOENT') ? new ODataQueryError(notFoundMessage, 404, 'NotFound') : err.message);
             return;
         }
+        let json;
         try {
-            const projectData = JSON.parse(data);
-            callback(projectData);
+            json = JSON.parse(data);
         } catch (parseErr) {
-            callback(null, parseErr);
+            error('Failed to parse ' + filePath + ': ' + parseErr.message);
+            return;
         }
+        done(json);
     });
 }
 
 /**
- * Load model metadata
+ * Whether an ID names a single file or directory within its parent, so that it can't reach outside DATA_DIR
  */
-function loadModelMetadata(projectId, modelId, callback) {
-    const metadataPath = path.join('./app/data/projects', projectId, 'models', modelId, 'metadata.json');
-    fs.readFile(metadataPath, 'utf8', (err, data) => {
-        if (err) {
-            callback(null, err);
-            return;
-        }
-        try {
-            const metadata = JSON.parse(data);
-            callback(metadata);
-        } catch (parseErr) {
-            callback(null, parseErr);
-        }
-    });
+function isFileName(id) {
+    return (typeof id === 'string') && id !== '' && id !== '.' && id !== '..' && !/[\\/\0]/.test(id);
 }
 
 /**
- * Get OData elements for a project
+ * Data source that reads projects and model metadata from the file system
  */
-function getODataElements(projectId, options, callback) {
-    loadProject(projectId, (projectData, error) => {
-        if (error || !projectData) {
-            callback(null, error || 'Project not found');
+const fileSystemDataSource = {
+    getProjects(done, error) {
+        loadJSON(path.join(DATA_DIR, 'index.json'), 'Projects index not found', done, error);
+    },
+    getProject(projectId, done, error) {
+        const notFoundMessage = "Project not found: '" + projectId + "'";
+        if (!isFileName(projectId)) {
+            error(new ODataQueryError(notFoundMessage, 404, 'NotFound'));
             return;
         }
-
-        if (!projectData.models || projectData.models.length === 0) {
-            callback({
-                "@odata.context": "$metadata#Elements",
-                "@odata.count": 0,
-                "value": []
-            });
+        loadJSON(path.join(DATA_DIR, projectId, 'index.json'), notFoundMessage, done, error);
+    },
+    getMetadata(projectId, modelId, done, error) {
+        const notFoundMessage = "Model not found: '" + modelId + "'";
+        if (!isFileName(projectId) || !isFileName(modelId)) {
+            error(new ODataQueryError(notFoundMessage, 404, 'NotFound'));
             return;
         }
-
-        const elements = [];
-        let modelsProcessed = 0;
-        const totalModels = projectData.models.length;
-
-        projectData.models.forEach(model => {
-            loadModelMetadata(projectId, model.id, (metadata, error) => {
-                if (!error && metadata && metadata.metaObjects) {
-                    Object.keys(metadata.metaObjects).forEach(objectId => {
-                        const metaObject = metadata.metaObjects[objectId];
-                        const element = {
-                            id: objectId,
-                            projectId: projectId,
-                            modelId: model.id,
-                            name: metaObject.name || null,
-                            type: metaObject.type || null,
-                            parent: metaObject.parent || null,
-                            attributes: metaObject.attributes ? JSON.stringify(metaObject.attributes) : null
-                        };
-                        elements.push(element);
-                    });
-                }
-
-                modelsProcessed++;
-                if (modelsProcessed === totalModels) {
-                    // Apply filters and return response
-                    let filteredElements = elements;
-                    
-                    // Apply OData filter
-                    if (options.$filter) {
-                        filteredElements = applyODataFilter(filteredElements, options.$filter);
-                    }
-
-                    // Apply select
-                    if (options.$select) {
-                        const selectFields = options.$select.split(',').map(f => f.trim());
-                        filteredElements = filteredElements.map(element => {
-                            const selected = {};
-                            selectFields.forEach(field => {
-                                if (element.hasOwnProperty(field)) {
-                                    selected[field] = element[field];
-                                }
-                            });
-                            return selected;
-                        });
-                    }
-
-                    // Apply pagination
-                    const skip = parseInt(options.$skip) || 0;
-                    const top = parseInt(options.$top);
-
-                    if (skip > 0) {
-                        filteredElements = filteredElements.slice(skip);
-                    }
-
-                    if (top && top > 0) {
-                        filteredElements = filteredElements.slice(0, top);
-                    }
-
-                    const response = {
-                        "@odata.context": "$metadata#Elements",
-                        "@odata.count": elements.length,
-                        "value": filteredElements
-                    };
-
-                    callback(response);
-                }
-            });
-        });
-    });
-}
-
-/**
- * Apply OData filter expressions
- */
-function applyODataFilter(elements, filterExpression) {
-    if (!filterExpression) return elements;
-
-    // Handle simple equality operations
-    const eqMatch = filterExpression.match(/(\w+)\s+eq\s+'([^']+)'/);
-    if (eqMatch) {
-        const [, field, value] = eqMatch;
-        return elements.filter(element => element[field] === value);
+        loadJSON(path.join(DATA_DIR, projectId, 'models', modelId, 'metadata.json'), notFoundMessage, done, error);
     }
+};
 
-    // Handle 'contains' operations
-    if (filterExpression.includes('contains(')) {
-        const containsMatch = filterExpression.match(/contains\((\w+),\s*'([^']+)'\)/);
-        if (containsMatch) {
-            const [, field, searchValue] = containsMatch;
-            return elements.filter(element => 
-                element[field] && element[field].toLowerCase().includes(searchValue.toLowerCase())
-            );
-        }
-    }
+const oDataService = new ODataService(fileSystemDataSource);
 
-    // Handle 'startswith' operations
-    if (filterExpression.includes('startswith(')) {
-        const startswithMatch = filterExpression.match(/startswith\((\w+),\s*'([^']+)'\)/);
-        if (startswithMatch) {
-            const [, field, searchValue] = startswithMatch;
-            return elements.filter(element => 
-                element[field] && element[field].toLowerCase().startsWith(searchValue.toLowerCase())
-            );
-        }
-    }
+// Writes issues.json files atomically, one change at a time
+const issuesServer = new FileSystemServer({dataDir: path.dirname(DATA_DIR)});
 
-    // If no recognized filter pattern, return all elements
-    return elements;
-}
+// Issues can hold BCF viewpoints with PNG snapshots
+const MAX_ISSUE_BODY_SIZE = 50 * 1024 * 1024;
+
+// <dataDir>/projects/<projectId>/models/<modelId>/issues[/<issueId>[/comments]]
+const issuesRoute = /^(.*)\/projects\/([^/]+)\/models\/([^/]+)\/issues(?:\/([^/]+)(\/comments)?)?$/;
 
 // MIME types for static file serving
 const mimeTypes = {
@@ -252,77 +126,129 @@ function serveStaticFile(filePath, res) {
     });
 }
 
+const oDataQueryOptions = ['$filter', '$search', '$orderby', '$count', '$select', '$expand', '$top', '$skip'];
+
 /**
- * Handle OData service document endpoint
+ * Handle OData endpoints - the service document, $metadata, and the Projects, Models and Elements entity sets
  */
-function handleODataServiceDocument(res) {
-    const serviceDocument = {
-        "@odata.context": "$metadata",
-        "@odata.serviceRoot": "/odata/",
-        "value": [
-            {
-                "name": "Elements",
-                "kind": "EntitySet",
-                "url": "Elements"
-            }
-        ]
-    };
+function handleOData(req, res, resourcePath) {
+    const query = url.parse(req.url, true).query;
+    const options = {};
+    oDataQueryOptions.forEach((name) => {
+        if (query[name]) options[name] = query[name];
+    });
 
-    res.writeHead(200, { 
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(resourcePath);
+    } catch (e) {
+        decodedPath = resourcePath;
+    }
+
+    oDataService.handleRequest(decodedPath, options, (status, contentType, body) => {
+        res.writeHead(status, {
+            'Content-Type': contentType,
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.end(body);
     });
-    res.end(JSON.stringify(serviceDocument, null, 2));
 }
 
 /**
- * Handle OData metadata endpoint
+ * Read a JSON request body
  */
-function handleODataMetadata(res) {
-    const metadata = getODataMetadata();
-    res.writeHead(200, { 
-        'Content-Type': 'application/xml',
+function readJSONBody(req, done, error) {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_ISSUE_BODY_SIZE) {
+            error(413, 'Request body too large');
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (size > MAX_ISSUE_BODY_SIZE) {
+            return;
+        }
+        try {
+            done(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+        } catch (e) {
+            error(400, 'Invalid JSON: ' + e.message);
+        }
+    });
+}
+
+function sendJSON(res, status, json) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*'
     });
-    res.end(metadata);
+    res.end((json === null) ? undefined : JSON.stringify(json));
 }
 
 /**
- * Handle OData Elements endpoint
+ * Handle the issue routes - POST to create an issue, PATCH to update one, DELETE to delete one, and POST to its
+ * comments to add a comment. Returns false when the path is not an issue route within the data directory.
  */
-function handleODataElements(req, res) {
-    const urlParts = url.parse(req.url, true);
-    const query = urlParts.query;
-    
-    // Extract projectId from filter or use default
-    let projectId = 'WestRiversideHospital'; // Default project
-    
-    if (query.$filter && query.$filter.includes('projectId eq')) {
-        const match = query.$filter.match(/projectId eq '([^']+)'/);
-        if (match) {
-            projectId = match[1];
-        }
+function handleIssues(req, res, pathname) {
+    const match = issuesRoute.exec(pathname);
+    if (!match || path.resolve('.' + match[1], 'projects') !== path.resolve(DATA_DIR)) {
+        return false;
     }
-
-    // Prepare options for OData query
-    const options = {};
-    if (query.$filter) options.$filter = query.$filter;
-    if (query.$select) options.$select = query.$select;
-    if (query.$top) options.$top = parseInt(query.$top);
-    if (query.$skip) options.$skip = parseInt(query.$skip);
-
-    getODataElements(projectId, options, (response, error) => {
-        if (error) {
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error }));
-        } else {
-            res.writeHead(200, { 
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            });
-            res.end(JSON.stringify(response, null, 2));
+    let projectId, modelId, issueId;
+    try {
+        projectId = decodeURIComponent(match[2]);
+        modelId = decodeURIComponent(match[3]);
+        issueId = (match[4] !== undefined) ? decodeURIComponent(match[4]) : null;
+    } catch (e) {
+        sendJSON(res, 400, {error: {message: 'Malformed URL'}});
+        return true;
+    }
+    const comments = !!match[5];
+    let allow;
+    let change;
+    if (issueId === null) {
+        allow = 'POST';
+        if (req.method === 'POST') {
+            change = (body) => issuesServer.createIssue(projectId, modelId, body).then(issue => [201, issue]);
         }
-    });
+    } else if (comments) {
+        allow = 'POST';
+        if (req.method === 'POST') {
+            change = (body) => issuesServer.addIssueComment(projectId, modelId, issueId, body).then(comment => [201, comment]);
+        }
+    } else {
+        allow = 'PATCH, DELETE';
+        if (req.method === 'PATCH') {
+            change = (body) => issuesServer.updateIssue(projectId, modelId, issueId, body).then(issue => [200, issue]);
+        } else if (req.method === 'DELETE') {
+            change = () => issuesServer.deleteIssue(projectId, modelId, issueId).then(() => [204, null]);
+        }
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': allow,
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        });
+        res.end();
+        return true;
+    }
+    if (!change) {
+        res.writeHead(405, {'Allow': allow, 'Access-Control-Allow-Origin': '*'});
+        res.end();
+        return true;
+    }
+    const sendError = (status, message) => sendJSON(res, status, {error: {message}});
+    readJSONBody(req, (body) => {
+        change(body)
+            .then(([status, result]) => sendJSON(res, status, result))
+            .catch((e) => sendError(e.status || 500, e.message));
+    }, sendError);
+    return true;
 }
 
 /**
@@ -333,16 +259,13 @@ function requestHandler(req, res) {
     let pathname = parsedUrl.pathname;
 
     // Handle OData endpoints
-    if (pathname === '/odata/' || pathname === '/odata') {
-        return handleODataServiceDocument(res);
+    if (pathname === '/odata' || pathname.startsWith('/odata/')) {
+        return handleOData(req, res, pathname.substring('/odata'.length).replace(/^\/+/, ''));
     }
-    
-    if (pathname === '/odata/$metadata') {
-        return handleODataMetadata(res);
-    }
-    
-    if (pathname === '/odata/Elements') {
-        return handleODataElements(req, res);
+
+    // Handle issue changes
+    if (handleIssues(req, res, pathname)) {
+        return;
     }
 
     // Handle static files
@@ -415,7 +338,16 @@ server.listen(PORT, HOST, () => {
     console.log('OData endpoints available:');
     console.log(`  Service Document: http://${HOST}:${PORT}/odata/`);
     console.log(`  Metadata: http://${HOST}:${PORT}/odata/$metadata`);
+    console.log(`  Projects: http://${HOST}:${PORT}/odata/Projects`);
+    console.log(`  Models: http://${HOST}:${PORT}/odata/Models`);
     console.log(`  Elements: http://${HOST}:${PORT}/odata/Elements`);
+    console.log(`  Project Elements: http://${HOST}:${PORT}/odata/Projects('Duplex')/Elements`);
+    console.log('');
+    console.log('Issue routes available:');
+    console.log(`  Create: POST http://${HOST}:${PORT}/app/data/projects/<projectId>/models/<modelId>/issues`);
+    console.log(`  Update: PATCH http://${HOST}:${PORT}/app/data/projects/<projectId>/models/<modelId>/issues/<issueId>`);
+    console.log(`  Delete: DELETE http://${HOST}:${PORT}/app/data/projects/<projectId>/models/<modelId>/issues/<issueId>`);
+    console.log(`  Comment: POST http://${HOST}:${PORT}/app/data/projects/<projectId>/models/<modelId>/issues/<issueId>/comments`);
     console.log('');
     console.log('Hit CTRL-C to stop the server');
 });
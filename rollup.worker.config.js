@@ -0,0 +1,17 @@
+import {nodeResolve} from '@rollup/plugin-node-resolve';
+import terser from "@rollup/plugin-terser";
+
+export default {
+    input: './src/ifc/ifcWorker.js',
+    output: [{
+        file: './dist/xeokit-bim-viewer-ifc-worker.js',
+        format: 'es',
+        name: 'bundle'
+    },],
+    plugins: [
+        nodeResolve({
+            browser: true
+        }),
+        terser()
+    ]
+}
@@ -2,20 +2,25 @@ import {BCFViewpointsPlugin, FastNavPlugin, math, stats, Viewer,} from "@xeokit/
 
 import {Controller} from "./Controller.js";
 import {BusyModal} from "./BusyModal.js";
+import {LocalFileDropZone} from "./LocalFileDropZone.js";
 import {ResetAction} from "./toolbar/ResetAction.js";
 import {FitAction} from "./toolbar/FitAction.js";
 import {FirstPersonMode} from "./toolbar/FirstPersonMode.js";
 import {HideTool} from "./toolbar/HideTool.js";
 import {SelectionTool} from "./toolbar/SelectionTool.js";
 import {ShowSpacesMode} from "./toolbar/ShowSpacesMode.js";
+import {SectionCaps} from "./toolbar/SectionCaps.js";
 import {QueryTool} from "./toolbar/QueryTool.js";
 import {SectionTool} from "./toolbar/SectionTool.js";
+import {SectionBoxTool} from "./toolbar/SectionBoxTool.js";
 import {NavCubeMode} from "./toolbar/NavCubeMode.js";
 
 import {ModelsExplorer} from "./explorer/ModelsExplorer.js";
 import {ObjectsExplorer} from "./explorer/ObjectsExplorer.js";
 import {ClassesExplorer} from "./explorer/ClassesExplorer.js";
 import {StoreysExplorer} from "./explorer/StoreysExplorer.js";
+import {IssuesExplorer} from "./explorer/IssuesExplorer.js";
+import {ClashesExplorer} from "./explorer/ClashesExplorer.js";
 
 import {ThreeDMode} from "./toolbar/ThreeDMode.js";
 import {ObjectContextMenu} from "./contextMenus/ObjectContextMenu.js";
@@ -26,6 +31,7 @@ import {ObjectsKdTree3} from "./collision/ObjectsKdTree3.js";
 import {MarqueeSelectionTool} from "./toolbar/MarqueeSelectionTool.js";
 import {MeasureDistanceTool} from "./toolbar/MeasureDistanceTool.js";
 import {MeasureAngleTool} from "./toolbar/MeasureAngleTool.js";
+import {callbackPromise, isAbortError} from "./utils/callbackPromise.js";
 
 
 const hideEdgesMinDrawCount = 5; // FastNavPlugin enables dynamic edges when xeokit's per-frame draw count drops below this
@@ -73,6 +79,54 @@ function createExplorerTemplate(cfg) {
              <div class="xeokit-storeys xeokit-tree-panel"></div>
         </div>
     </div>
+    <div class="xeokit-tab xeokit-issuesTab">
+        <a class="xeokit-i18n xeokit-tab-btn disabled" href="#" data-xeokit-i18n="issuesExplorer.title">Issues</a>
+        <div class="xeokit-tab-content">
+            <div class="xeokit-btn-group">
+                <button type="button" class="xeokit-i18n xeokit-showIssuePins xeokit-btn disabled" data-xeokit-i18n="issuesExplorer.showPins" data-xeokit-i18ntip="issuesExplorer.showPinsTip" data-tippy-content="Show issue pins">Show pins</button>
+                <button type="button" class="xeokit-i18n xeokit-hideIssuePins xeokit-btn disabled" data-xeokit-i18n="issuesExplorer.hidePins" data-xeokit-i18ntip="issuesExplorer.hidePinsTip" data-tippy-content="Hide issue pins">Hide pins</button>
+                <button type="button" class="xeokit-i18n xeokit-importBCF xeokit-btn disabled" data-xeokit-i18n="issuesExplorer.importBCF" data-xeokit-i18ntip="issuesExplorer.importBCFTip" data-tippy-content="Import topics from a BCF file">Import BCF</button>
+                <button type="button" class="xeokit-i18n xeokit-exportBCF xeokit-btn disabled" data-xeokit-i18n="issuesExplorer.exportBCF" data-xeokit-i18ntip="issuesExplorer.exportBCFTip" data-tippy-content="Export issues and topics to a BCF file">Export BCF</button>` +
+        (cfg.bcfConnector ? `<button type="button" class="xeokit-i18n xeokit-syncBCF xeokit-btn disabled" data-xeokit-i18n="issuesExplorer.syncBCF" data-xeokit-i18ntip="issuesExplorer.syncBCFTip" data-tippy-content="Sync issues and topics with the BCF server">Sync BCF</button>` : ``) + `
+            </div>
+            <div class="xeokit-issues xeokit-tree-panel"></div>
+        </div>
+    </div>
+    <div class="xeokit-tab xeokit-clashesTab">
+        <a class="xeokit-i18n xeokit-tab-btn disabled" href="#" data-xeokit-i18n="clashesExplorer.title">Clashes</a>
+        <div class="xeokit-tab-content">
+            <div class="xeokit-clash-settings">
+                <label><span class="xeokit-i18n" data-xeokit-i18n="clashesExplorer.selectionA">Objects A</span><select class="xeokit-clashSelectionA"></select></label>
+                <label><span class="xeokit-i18n" data-xeokit-i18n="clashesExplorer.selectionB">Objects B</span><select class="xeokit-clashSelectionB"></select></label>
+                <label><span class="xeokit-i18n" data-xeokit-i18n="clashesExplorer.clashType">Type</span><select class="xeokit-clashType">
+                    <option class="xeokit-i18n" value="hard" data-xeokit-i18n="clashesExplorer.hard">Hard</option>
+                    <option class="xeokit-i18n" value="clearance" data-xeokit-i18n="clashesExplorer.clearance">Clearance</option>
+                </select></label>
+                <label><span class="xeokit-i18n" data-xeokit-i18n="clashesExplorer.tolerance">Tolerance</span><input type="number" class="xeokit-clashTolerance" min="0" step="0.01" value="0.05"></label>
+                <label><span class="xeokit-i18n" data-xeokit-i18n="clashesExplorer.groupBy">Group by</span><select class="xeokit-clashGroupBy">
+                    <option class="xeokit-i18n" value="none" data-xeokit-i18n="clashesExplorer.groupByNone">None</option>
+                    <option class="xeokit-i18n" value="state" data-xeokit-i18n="clashesExplorer.groupByState">State</option>
+                    <option class="xeokit-i18n" value="types" data-xeokit-i18n="clashesExplorer.groupByTypes">Types</option>
+                    <option class="xeokit-i18n" value="objectA" data-xeokit-i18n="clashesExplorer.groupByObjectA">Object A</option>
+                    <option class="xeokit-i18n" value="objectB" data-xeokit-i18n="clashesExplorer.groupByObjectB">Object B</option>
+                </select></label>
+            </div>
+            <div class="xeokit-btn-group">
+                <button type="button" class="xeokit-i18n xeokit-runClashes xeokit-btn disabled" data-xeokit-i18n="clashesExplorer.run" data-xeokit-i18ntip="clashesExplorer.runTip" data-tippy-content="Find clashes between the two sets of objects">Run</button>
+                <button type="button" class="xeokit-i18n xeokit-clearClashes xeokit-btn disabled" data-xeokit-i18n="clashesExplorer.clear" data-xeokit-i18ntip="clashesExplorer.clearTip" data-tippy-content="Clear the clashes and their statuses">Clear</button>
+            </div>
+            <div class="xeokit-btn-group">
+                <button type="button" class="xeokit-i18n xeokit-importClashes xeokit-btn disabled" data-xeokit-i18n="clashesExplorer.import" data-xeokit-i18ntip="clashesExplorer.importTip" data-tippy-content="Import clashes from a JSON file, to compare with the next run">Import</button>
+                <button type="button" class="xeokit-i18n xeokit-exportClashes xeokit-btn disabled" data-xeokit-i18n="clashesExplorer.export" data-xeokit-i18ntip="clashesExplorer.exportTip" data-tippy-content="Export the clashes to a file">Export</button>
+                <select class="xeokit-clashExportFormat">
+                    <option value="bcf">BCF</option>
+                    <option value="csv">CSV</option>
+                    <option value="json">JSON</option>
+                </select>
+            </div>
+            <div class="xeokit-clashes xeokit-tree-panel"></div>
+        </div>
+    </div>
 </div>`;
     return explorerTemplate;
 }
@@ -115,6 +169,8 @@ function createToolbarTemplate(cfg = {}) {
             </div>
             <div class="xeokit-i18n xeokit-section-counter" data-xeokit-i18ntip="toolbar.numSlicesTip" data-tippy-content="Number of existing slices"></div>
         </button>
+        <!-- Section box tool button -->
+        <button type="button" class="xeokit-i18n xeokit-sectionBox xeokit-btn fas fa-box fa-2x disabled" data-xeokit-i18ntip="toolbar.sectionBoxTip" data-tippy-content="Section box"></button>
     </div>
 </div>`;
     return toolbarTemplate;
@@ -185,9 +241,16 @@ class BIMViewer extends Controller {
      * @param {Server} server Data access strategy.
      * @param {*} cfg Configuration.
      * @param {Boolean} [cfg.enableEditModels=false] Set ````true```` to show "Add", "Edit" and "Delete" options in the Models tab's context menu.
+     * @param {Boolean} [cfg.enableEditIssues=false] Set ````true```` to let the user file issues on objects, and comment on, change the status of, and delete issues, through context menus - see {@link BIMViewer#createIssue}.
+     * @param {BCFAPIConnector} [cfg.bcfConnector] Connector to a BCF API server, with which the Issues tab gets a "Sync BCF" button - see {@link BIMViewer#syncBCFTopics}.
+     * @param {String} [cfg.bcfProjectId] ID of the BCF API project that the "Sync BCF" button syncs with. Defaults to the ID of the loaded project.
+     * @param {Boolean} [cfg.enableSectionCaps=false] Set ````true```` to let the viewer fill the cuts that section planes make through solid objects - see the ````"sectionCaps"```` configuration. This keeps a copy of each model's geometry in browser memory.
      * @param {Boolean} [cfg.enableMeasurements=true] Set ````true```` to enable distance and angle measurements with the BIMViewer.
      * @param {Boolean} [cfg.keyboardEventsElement] Optional reference to HTML element on which key events should be handled. Defaults to the HTML Document.
      * @param {Node | undefined} [cfg.containerElement] Optional reference of an existing DOM Node (e.g. ShadowRoot), which encapsulates all HTML elements related to viewer plugins, defaults to ````document.body````. 
+     * @param {String} [cfg.ifcWorkerSrc] URL of ````xeokit-bim-viewer-ifc-worker.js````, which parses models whose format is ````"ifc"````. Defaults to the file next to the viewer's bundle in ````dist/````.
+     * @param {String} [cfg.ifcWasmPath] URL of the directory containing ````web-ifc.wasm````. Defaults to the directory containing the IFC worker.
+     * @param {Boolean} [cfg.enableDropZone=true] Set ````false```` to stop XKT files that are dropped onto the canvas from being loaded - see {@link BIMViewer#loadLocalFile} - and BCF files from being imported - see {@link BIMViewer#importBCF}.
      */
     constructor(server, cfg = {}) {
 
@@ -236,6 +299,7 @@ class BIMViewer extends Controller {
             saoEnabled: true,
             pbrEnabled: false,
             colorTextureEnabled: true,
+            readableGeometryEnabled: !!cfg.enableSectionCaps, // Section caps are cut from readable geometry
 
 
             // Enhances the efficiency of SectionPlane creation by proactively allocating Viewer resources
@@ -255,7 +319,9 @@ class BIMViewer extends Controller {
         this._configs = {};
 
         this._enableAddModels = !!cfg.enableEditModels;
+        this._enableEditIssues = !!cfg.enableEditIssues;
         this._enableMeasurements = (cfg.enableMeasurements !== false);
+        this._enableSectionCaps = !!cfg.enableSectionCaps;
         this._enablePropertiesInspector = !!cfg.inspectorElement;
 
         /**
@@ -294,7 +360,9 @@ class BIMViewer extends Controller {
             addModelButtonElement: explorerElement.querySelector(".xeokit-addModel"), // Can be undefined
             modelsElement: explorerElement.querySelector(".xeokit-models"),
             enableEditModels: this._enableAddModels,
-            containerElement: this._containerElement
+            containerElement: this._containerElement,
+            ifcWorkerSrc: cfg.ifcWorkerSrc,
+            ifcWasmPath: cfg.ifcWasmPath
         });
 
         this._objectsExplorer = new ObjectsExplorer(this, {
@@ -324,6 +392,38 @@ class BIMViewer extends Controller {
             containerElement: this._containerElement
         });
 
+        this._issuesExplorer = new IssuesExplorer(this, {
+            issuesTabElement: explorerElement.querySelector(".xeokit-issuesTab"),
+            showIssuePinsButtonElement: explorerElement.querySelector(".xeokit-showIssuePins"),
+            hideIssuePinsButtonElement: explorerElement.querySelector(".xeokit-hideIssuePins"),
+            importBCFButtonElement: explorerElement.querySelector(".xeokit-importBCF"),
+            exportBCFButtonElement: explorerElement.querySelector(".xeokit-exportBCF"),
+            syncBCFButtonElement: explorerElement.querySelector(".xeokit-syncBCF"),
+            bcfConnector: cfg.bcfConnector,
+            bcfProjectId: cfg.bcfProjectId,
+            issuesElement: explorerElement.querySelector(".xeokit-issues"),
+            enableEditIssues: this._enableEditIssues,
+            dialogBackdropElement: busyModelBackdropElement,
+            containerElement: this._containerElement
+        });
+
+        this._clashesExplorer = new ClashesExplorer(this, {
+            clashesTabElement: explorerElement.querySelector(".xeokit-clashesTab"),
+            runClashesButtonElement: explorerElement.querySelector(".xeokit-runClashes"),
+            clearClashesButtonElement: explorerElement.querySelector(".xeokit-clearClashes"),
+            selectionAElement: explorerElement.querySelector(".xeokit-clashSelectionA"),
+            selectionBElement: explorerElement.querySelector(".xeokit-clashSelectionB"),
+            clashTypeElement: explorerElement.querySelector(".xeokit-clashType"),
+            toleranceElement: explorerElement.querySelector(".xeokit-clashTolerance"),
+            groupByElement: explorerElement.querySelector(".xeokit-clashGroupBy"),
+            importClashesButtonElement: explorerElement.querySelector(".xeokit-importClashes"),
+            exportClashesButtonElement: explorerElement.querySelector(".xeokit-exportClashes"),
+            exportFormatElement: explorerElement.querySelector(".xeokit-clashExportFormat"),
+            clashesElement: explorerElement.querySelector(".xeokit-clashes"),
+            objectsKdTree3: this._objectsKdTree3,
+            containerElement: this._containerElement
+        });
+
         if (this._enablePropertiesInspector) {
             this._propertiesInspector = new PropertiesInspector(this, {
                 propertiesTabElement: inspectorElement.querySelector(".xeokit-propertiesTab"),
@@ -412,13 +512,23 @@ class BIMViewer extends Controller {
             active: false
         });
 
+        this._sectionCaps = new SectionCaps(this, {
+            active: false
+        });
+
+        this._sectionBoxTool = new SectionBoxTool(this, {
+            buttonElement: toolbarElement.querySelector(".xeokit-sectionBox"),
+            active: false
+        });
+
         this._sectionTool = new SectionTool(this, {
             buttonElement: toolbarElement.querySelector(".xeokit-section"),
             counterElement: toolbarElement.querySelector(".xeokit-section-counter"),
             menuButtonElement: toolbarElement.querySelector(".xeokit-section-menu-button"),
             menuButtonArrowElement: toolbarElement.querySelector(".xeokit-section-menu-button-arrow"),
             active: false,
-            containerElement: this._containerElement
+            containerElement: this._containerElement,
+            sectionBoxTool: this._sectionBoxTool
         });
 
         if (this._enableMeasurements) {
@@ -443,6 +553,12 @@ class BIMViewer extends Controller {
             busyModalBackdropElement: busyModelBackdropElement
         });
 
+        if (cfg.enableDropZone !== false) {
+            this._localFileDropZone = new LocalFileDropZone(this, {
+                dropZoneElement: canvasElement
+            });
+        }
+
         this._threeDMode.setActive(true);
         this._firstPersonMode.setActive(false);
         this._navCubeMode.setActive(true);
@@ -462,6 +578,62 @@ class BIMViewer extends Controller {
             this.fire("modelUnloaded", modelId);
         });
 
+        this._modelsExplorer.on("modelLoadProgress", (progress) => {
+            this.fire("modelLoadProgress", progress, true);
+        });
+
+        this._modelsExplorer.on("modelLoadCancelled", (modelId) => {
+            this.fire("modelLoadCancelled", modelId, true);
+        });
+
+        this._issuesExplorer.on("issuesLoaded", (e) => {
+            this.fire("issuesLoaded", e, true);
+        });
+
+        this._issuesExplorer.on("issueSelected", (e) => {
+            this.fire("issueSelected", e, true);
+        });
+
+        this._issuesExplorer.on("issueChanged", (e) => {
+            this.fire("issueChanged", e, true);
+        });
+
+        this._issuesExplorer.on("bcfImported", (e) => {
+            this.fire("bcfImported", e, true);
+        });
+
+        this._issuesExplorer.on("bcfTopicSelected", (e) => {
+            this.fire("bcfTopicSelected", e, true);
+        });
+
+        this._issuesExplorer.on("bcfPushed", (e) => {
+            this.fire("bcfPushed", e, true);
+        });
+
+        this._issuesExplorer.on("bcfPulled", (e) => {
+            this.fire("bcfPulled", e, true);
+        });
+
+        this._clashesExplorer.on("clashesDetected", (e) => {
+            this.fire("clashesDetected", e, true);
+        });
+
+        this._clashesExplorer.on("clashesImported", (e) => {
+            this.fire("clashesImported", e, true);
+        });
+
+        this._clashesExplorer.on("clashSelected", (e) => {
+            this.fire("clashSelected", e, true);
+        });
+
+        this._clashesExplorer.on("clashStatusChanged", (e) => {
+            this.fire("clashStatusChanged", e, true);
+        });
+
+        this._sectionBoxTool.on("sectionBoxChanged", (aabb) => {
+            this.fire("sectionBoxChanged", aabb, true);
+        });
+
         this._resetAction.on("reset", () => {
             this.fire("reset", true);
         });
@@ -510,7 +682,9 @@ class BIMViewer extends Controller {
 
         explorerElement.querySelector(".xeokit-loadAllModels").addEventListener("click", (event) => {
             this.setControlsEnabled(false); // For quick UI feedback
-            this.loadAllModels();
+            this.loadAllModels().catch(() => {
+                // Already logged
+            });
             event.preventDefault();
         });
 
@@ -640,6 +814,7 @@ class BIMViewer extends Controller {
         this._objectContextMenu = new ObjectContextMenu(this, {
             hideOnAction: true,
             enableMeasurements: this._enableMeasurements,
+            enableEditIssues: this._enableEditIssues,
             parentNode: this._containerElement
         });
 
@@ -689,7 +864,8 @@ class BIMViewer extends Controller {
                         }
                         this.showObjectInExplorers(objectId);
                     },
-                    entity: hit.entity
+                    entity: hit.entity,
+                    canvasPos
                 };
                 this._objectContextMenu.show(event.pageX, event.pageY);
             } else {
@@ -722,7 +898,15 @@ class BIMViewer extends Controller {
             "highlightGlowThrough": true,
             "backgroundColor": [1.0, 1.0, 1.0],
             "externalMetadata": false,
-            "dtxEnabled": false
+            "dtxEnabled": false,
+            "modelLoadConcurrency": 3,
+            "pointSize": 1,
+            "minPerspectivePointSize": 2,
+            "maxPerspectivePointSize": 4,
+            "pointBudget": 10000000,
+            "sectionCaps": this._enableSectionCaps,
+            "sectionCapsColorBy": "object",
+            "sectionCapsHatch": "none"
         });
     }
 
@@ -875,11 +1059,51 @@ class BIMViewer extends Controller {
                     this.viewer.scene.dtxEnabled = value;
                     break;
 
+                case "pointSize":
+                    this.viewer.scene.pointsMaterial.pointSize = this._configs[name] = parseFloat(value);
+                    break;
+
+                case "minPerspectivePointSize":
+                    this.viewer.scene.pointsMaterial.minPerspectivePointSize = this._configs[name] = parseFloat(value);
+                    break;
+
+                case "maxPerspectivePointSize":
+                    this.viewer.scene.pointsMaterial.maxPerspectivePointSize = this._configs[name] = parseFloat(value);
+                    break;
+
+                case "pointBudget":
+                    this._configs[name] = parseInt(value) || 0;
+                    break;
+
+                case "modelLoadConcurrency":
+                    this._configs[name] = Math.max(1, parseInt(value) || 1);
+                    break;
+
                 case "objectColors":
                     this._configs[name] = value;
                     this._modelsExplorer.setObjectColors(value);
                     break;
 
+                case "sectionCaps":
+                    this._sectionCaps.setActive(parseBool(value));
+                    this._configs[name] = parseBool(value);
+                    break;
+
+                case "sectionCapsColorBy":
+                    this._sectionCaps.setColorBy(value);
+                    this._configs[name] = value;
+                    break;
+
+                case "sectionCapsHatch":
+                    this._sectionCaps.setHatch(value);
+                    this._configs[name] = value;
+                    break;
+
+                case "sectionCapsStyles":
+                    this._sectionCaps.setStyles(value);
+                    this._configs[name] = value;
+                    break;
+
                 default:
                     this.warn("setConfig() - unsupported configuration: '" + name + "'");
             }
@@ -911,19 +1135,20 @@ class BIMViewer extends Controller {
      *
      * See [Getting Info on Available Projects](https://xeokit.github.io/xeokit-bim-viewer/docs/#getting-info-on-available-projects) for usage.
      *
-     * @param {Function} done Callback invoked on success, into which the projects information JSON is passed.
-     * @param {Function} error Callback invoked on failure, into which the error message string is passed.
-     */
-    getProjectsInfo(done, error) {
-        if (!done) {
-            this.error("getProjectsInfo() - Argument expected: 'done'");
-            return;
-        }
-        this.server.getProjects(done, (errorMsg) => {
-            this.error("getProjectsInfo() - " + errorMsg);
-            if (error) {
-                error(errorMsg);
-            }
+     * @param {Function} [done] Callback invoked on success, into which the projects information JSON is passed.
+     * @param {Function} [error] Callback invoked on failure, into which the error message string is passed.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with the projects information JSON.
+     */
+    getProjectsInfo(done, error, options) {
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            this.server.getProjects(resolve, (errorMsg) => {
+                if (!(signal && signal.aborted)) {
+                    this.error("getProjectsInfo() - " + errorMsg);
+                }
+                reject(errorMsg);
+            }, {signal});
         });
     }
 
@@ -933,25 +1158,27 @@ class BIMViewer extends Controller {
      * See [Getting Info on a Project](https://xeokit.github.io/xeokit-bim-viewer/docs/#getting-info-on-a-project) for usage.
      *
      * @param {String} projectId ID of the project to get information on. Must be the ID of one of the projects in the information obtained by {@link BIMViewer#getProjects}.
-     * @param {Function} done Callback invoked on success, into which the project information JSON is passed.
-     * @param {Function} error Callback invoked on failure, into which the error message string is passed.
-     */
-    getProjectInfo(projectId, done, error) {
-        if (!projectId) {
-            this.error("getProjectInfo() - Argument expected: projectId");
-            return;
-        }
-        if (!done) {
-            this.error("getProjectInfo() - Argument expected: 'done'");
-            return;
-        }
-        this.server.getProject(projectId,
-            done, (errorMsg) => {
-                this.error("getProjectInfo() - " + errorMsg);
-                if (error) {
-                    error(errorMsg);
-                }
-            });
+     * @param {Function} [done] Callback invoked on success, into which the project information JSON is passed.
+     * @param {Function} [error] Callback invoked on failure, into which the error message string is passed.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with the project information JSON.
+     */
+    getProjectInfo(projectId, done, error, options) {
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            if (!projectId) {
+                this.error("getProjectInfo() - Argument expected: projectId");
+                reject("Argument expected: projectId");
+                return;
+            }
+            this.server.getProject(projectId,
+                resolve, (errorMsg) => {
+                    if (!(signal && signal.aborted)) {
+                        this.error("getProjectInfo() - " + errorMsg);
+                    }
+                    reject(errorMsg);
+                }, {signal});
+        });
     }
 
     /**
@@ -962,33 +1189,22 @@ class BIMViewer extends Controller {
      * @param {String} projectId ID of the project to get information on. Must be the ID of one of the projects in the information obtained by {@link BIMViewer#getProjects}.
      * @param {String} modelId ID of a model within the project. Must be the ID of one of the models in the information obtained by {@link BIMViewer#getProjectInfo}.
      * @param {String} objectId ID of an object in the model.
-     * @param {Function} done Callback invoked on success, into which the object information JSON is passed.
-     * @param {Function} error Callback invoked on failure, into which the error message string is passed.
-     */
-    getObjectInfo(projectId, modelId, objectId, done, error) {
-        if (!projectId) {
-            this.error("getObjectInfo() - Argument expected: projectId");
-            return;
-        }
-        if (!modelId) {
-            this.error("getObjectInfo() - Argument expected: modelId");
-            return;
-        }
-        if (!objectId) {
-            this.error("getObjectInfo() - Argument expected: objectId");
-            return;
-        }
-        if (!done) {
-            this.error("getProjectInfo() - Argument expected: 'done'");
-            return;
-        }
-        this.server.getObjectInfo(projectId, modelId, objectId,
-            done,
-            (errorMsg) => {
-                if (error) {
-                    error(errorMsg);
-                }
-            });
+     * @param {Function} [done] Callback invoked on success, into which the object information JSON is passed.
+     * @param {Function} [error] Callback invoked on failure, into which the error message string is passed.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with the object information JSON.
+     */
+    getObjectInfo(projectId, modelId, objectId, done, error, options) {
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            const missingArg = (!projectId) ? "projectId" : (!modelId) ? "modelId" : (!objectId) ? "objectId" : null;
+            if (missingArg) {
+                this.error("getObjectInfo() - Argument expected: " + missingArg);
+                reject("Argument expected: " + missingArg);
+                return;
+            }
+            this.server.getObjectInfo(projectId, modelId, objectId, resolve, reject, {signal});
+        });
     }
 
     //------------------------------------------------------------------------------------------------------------------
@@ -1000,30 +1216,40 @@ class BIMViewer extends Controller {
      *
      * Unloads any currently loaded project and its models first. If the given project is already loaded, will unload that project first.
      *
+     * Aborting through ````options.signal```` stops loading the project's models, leaving loaded whatever has already
+     * finished loading. Loading fails with an ````AbortError```` when aborted, and also when the project is unloaded, or
+     * another project starts loading, before it finishes.
+     *
      * @param {String} projectId ID of the project to load. Must be the ID of one of the projects in the information obtained by {@link BIMViewer#getProjects}.
-     * @param {Function} done Callback invoked on success.
-     * @param {Function} error Callback invoked on failure, into which the error message string is passed.
-     */
-    loadProject(projectId, done, error) {
-        if (!projectId) {
-            this.error("loadProject() - Argument expected: objectId");
-            return;
-        }
-        this._modelsExplorer.loadProject(projectId,
-            () => {
-                if (done) {
-                    done();
-                }
-            }, (errorMsg) => {
-                this.error("loadProject() - " + errorMsg);
-                if (error) {
-                    error(errorMsg);
-                }
-            });
+     * @param {Function} [done] Callback invoked on success.
+     * @param {Function} [error] Callback invoked on failure, into which the error message string is passed.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which loading may be aborted.
+     * @returns {Promise} Resolves when the project is loaded.
+     */
+    loadProject(projectId, done, error, options) {
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            if (!projectId) {
+                this.error("loadProject() - Argument expected: projectId");
+                reject("Argument expected: projectId");
+                return;
+            }
+            this._modelsExplorer.loadProject(projectId,
+                () => {
+                    resolve();
+                }, (e) => {
+                    if (!isAbortError(e)) {
+                        this.error("loadProject() - " + e);
+                    }
+                    reject(e);
+                }, {signal});
+        });
     }
 
     /**
      * Unloads whatever project is currently loaded.
+     *
+     * Cancels loading any of the project's models that are still loading.
      */
     unloadProject() {
         this._modelsExplorer.unloadProject();
@@ -1054,56 +1280,119 @@ class BIMViewer extends Controller {
      *
      * Assumes that the project containing the model is currently loaded.
      *
+     * Loading is cancelled by aborting ````options.signal````, clicking the cancel button on the busy dialog, or by
+     * calling {@link BIMViewer#cancelModelLoad}, {@link BIMViewer#unloadModel} or {@link BIMViewer#unloadProject}.
+     * Cancelling aborts the model's requests, destroys the partially-loaded model, fires a ````"modelLoadCancelled"````
+     * event with the model ID, and rejects with an ````AbortError````.
+     *
+     * While loading, fires ````"modelLoadProgress"```` events, each with ````{modelId, part, bytesLoaded, bytesTotal,
+     * numParts, numPartsLoaded, progress}````, where ````progress```` is the fraction loaded, from ````0```` to ````1````,
+     * or ````null```` while unknown, and ````bytesTotal```` and ````numParts```` are ````null```` while unknown.
+     *
      * @param {String} modelId ID of the model to load. Must be the ID of one of the models in the currently loaded project.
-     * @param {Function} done Callback invoked on success.
-     * @param {Function} error Callback invoked on failure, into which the error message string is passed.
-     */
-    loadModel(modelId, done, error) {
-        if (!modelId) {
-            this.error("loadModel() - Argument expected: modelId");
-            return;
-        }
-        this._modelsExplorer.loadModel(modelId,
-            () => {
-                if (done) {
-                    done();
-                }
-            }, (errorMsg) => {
-                this.error("loadModel() - " + errorMsg);
-                if (error) {
-                    error(errorMsg);
-                }
-            });
+     * @param {Function} [done] Callback invoked on success.
+     * @param {Function} [error] Callback invoked on failure, into which the error message string is passed.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which loading may be aborted.
+     * @returns {Promise} Resolves when the model is loaded.
+     */
+    loadModel(modelId, done, error, options) {
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            if (!modelId) {
+                this.error("loadModel() - Argument expected: modelId");
+                reject("Argument expected: modelId");
+                return;
+            }
+            this._modelsExplorer.loadModel(modelId,
+                () => {
+                    resolve();
+                }, (e) => {
+                    if (!isAbortError(e)) {
+                        this.error("loadModel() - " + e);
+                    }
+                    reject(e);
+                }, {signal});
+        });
     }
 
     /**
      * Load all models in the currently loaded project.
      *
-     * Doesn't reload any models that are currently loaded.
+     * Doesn't reload any models that are currently loaded. Loads several models at once, as set by the
+     * ````"modelLoadConcurrency"```` viewer config, while firing their ````"modelLoaded"```` events in the order of
+     * {@link BIMViewer#getModelIds}. A model that fails to load doesn't stop the others from loading.
+     *
+     * @param {Function} [done] Callback invoked on successful loading of all the models.
+     * @param {Function} [error] Callback invoked once all the models have either loaded or failed, if any failed,
+     * into which a message string summarizing the failures is passed. Also invoked if loading is aborted or cancelled.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which loading may be aborted.
+     * @returns {Promise} Resolves when the models are loaded. If any fail, rejects with an ````Error```` whose
+     * ````errors```` property is an array of ````{modelId, message}```` for the models that failed.
+     */
+    loadAllModels(done, error, options) {
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            const modelIds = this._modelsExplorer.getModelIds();
+            this._modelsExplorer.loadModels(modelIds, (errors) => {
+                if (errors.length === 0) {
+                    resolve();
+                    return;
+                }
+                const e = new Error("Failed to load " + errors.length + " of " + modelIds.length + " models: " +
+                    errors.map(modelError => modelError.modelId + " (" + modelError.message + ")").join(", "));
+                e.errors = errors;
+                this.error("loadAllModels() - " + e.message);
+                reject(e);
+            }, reject, {signal});
+        });
+    }
+
+    /**
+     * Loads an XKT file from the user's machine, such as one that was just converted, without it going to the server.
+     *
+     * The XKT file may be accompanied by a metadata JSON file, for XKT files that don't embed their metadata. The model
+     * is listed in the Models tab, with a generated ID, until it's unloaded, whether or not a project is loaded. It's
+     * not part of the project, so unloading the model, or the project, removes it.
+     *
+     * Files that are dropped onto the canvas are loaded with this method, unless the ````enableDropZone```` config is
+     * ````false````.
      *
-     * @param {Function} done Callback invoked on successful loading of the models.
+     * Loading can be cancelled like any other model - see {@link BIMViewer#loadModel}.
+     *
+     * @param {File|File[]|FileList} files The XKT file, or the XKT file and the metadata file, eg. from a file input or a drop event.
+     * @param {Function} [done] Callback invoked on success, into which the ID of the model is passed.
+     * @param {Function} [error] Callback invoked on failure, into which the error message string is passed.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which loading may be aborted.
+     * @returns {Promise} Resolves with the ID of the model when it's loaded.
      */
-    loadAllModels(done = function () {
-    }) {
-        const modelIds = this._modelsExplorer.getModelIds();
-        const loadNextModel = (i, done2) => {
-            if (i >= modelIds.length) {
-                done2();
-            } else {
-                const modelId = modelIds[i];
-                if (!this._modelsExplorer.isModelLoaded(modelId)) {
-                    this._modelsExplorer.loadModel(modelId, () => {
-                        loadNextModel(i + 1, done2);
-                    }, (errorMsg) => {
-                        this.error("loadAllModels() - " + errorMsg);
-                        loadNextModel(i + 1, done2);
-                    });
-                } else {
-                    loadNextModel(i + 1, done2);
-                }
+    loadLocalFile(files, done, error, options) {
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            if (!files) {
+                this.error("loadLocalFile() - Argument expected: files");
+                reject("Argument expected: files");
+                return;
             }
-        };
-        loadNextModel(0, done);
+            this._modelsExplorer.loadLocalModel(files,
+                (modelId) => {
+                    resolve(modelId);
+                }, (e) => {
+                    if (!isAbortError(e)) {
+                        this.error("loadLocalFile() - " + e);
+                    }
+                    reject(e);
+                }, {signal});
+        });
+    }
+
+    /**
+     * Gets if the given model was loaded from the user's machine with {@link BIMViewer#loadLocalFile}.
+     *
+     * @param {String} modelId ID of the model to check.
+     * @returns {Boolean} True if the given model is a local file.
+     */
+    isLocalModel(modelId) {
+        return this._modelsExplorer.isLocalModel(modelId);
     }
 
     /**
@@ -1129,10 +1418,42 @@ class BIMViewer extends Controller {
         return this._modelsExplorer.isModelLoaded(modelId);
     }
 
+    /**
+     * Gets if the given model is currently loading.
+     *
+     * @param {String} modelId ID of the model to check.
+     * @returns {Boolean} True if the given model is loading.
+     */
+    isModelLoading(modelId) {
+        if (!modelId) {
+            this.error("isModelLoading() - Argument expected: modelId");
+            return;
+        }
+        return this._modelsExplorer.isModelLoading(modelId);
+    }
+
+    /**
+     * Cancels loading a model.
+     *
+     * Destroys the partially-loaded model and fires a ````"modelLoadCancelled"```` event. Does nothing if the model is
+     * not currently loading.
+     *
+     * @param {String} modelId ID of the model.
+     * @returns {Boolean} True if the model was loading.
+     */
+    cancelModelLoad(modelId) {
+        if (!modelId) {
+            this.error("cancelModelLoad() - Argument expected: modelId");
+            return false;
+        }
+        return this._modelsExplorer.cancelModelLoad(modelId);
+    }
+
     /**
      * Unloads a model from the viewer.
      *
-     * Does nothing if the model is not currently loaded.
+     * If the model is still loading, cancels loading it instead - see {@link BIMViewer#cancelModelLoad}. Does nothing if
+     * the model is not currently loaded.
      *
      * @param {String} modelId ID of the model to unload.
      */
@@ -1235,10 +1556,16 @@ class BIMViewer extends Controller {
      * See [Viewer States](https://xeokit.github.io/xeokit-bim-viewer/docs/#viewer_states) for the list of states that may be batch-updated with this method.
      *
      * @param {Object} viewerState Specifies the viewer UI state updates.
-     * @param {Function} done Callback invoked on successful update of the viewer states.
+     * @param {Function} [done] Callback invoked on successful update of the viewer states.
+     * @returns {Promise} Resolves when the viewer states are updated.
      */
-    setViewerState(viewerState, done = () => {
-    }) {
+    setViewerState(viewerState, done) {
+        return callbackPromise(done, null, null, (resolve) => {
+            this._setViewerState(viewerState, resolve);
+        });
+    }
+
+    _setViewerState(viewerState, done) {
         if (viewerState.tabOpen) {
             this.openTab(viewerState.tabOpen);
         }
@@ -1263,7 +1590,9 @@ class BIMViewer extends Controller {
 
     _parseSelectedStorey(viewerState, done) {
         if (viewerState.selectedStorey) {
-            this.selectStorey(viewerState.selectedStorey);
+            this.selectStorey(viewerState.selectedStorey).catch(() => {
+                // Already logged
+            });
             done();
         } else {
             done();
@@ -1507,13 +1836,21 @@ class BIMViewer extends Controller {
      * Flies the camera to fit the given object in view.
      *
      * @param {String} objectId ID of the object
-     * @param {Function} done Callback invoked on completion
+     * @param {Function} [done] Callback invoked on completion
+     * @returns {Promise} Resolves on completion.
      */
     flyToObject(objectId, done) {
-        if (!objectId) {
-            this.error("flyToObject() - Argument expected: objectId");
-            return;
-        }
+        return callbackPromise(done, null, null, (resolve, reject) => {
+            if (!objectId) {
+                this.error("flyToObject() - Argument expected: objectId");
+                reject("Argument expected: objectId");
+                return;
+            }
+            this._flyToObject(objectId, resolve);
+        });
+    }
+
+    _flyToObject(objectId, done) {
         const viewer = this.viewer;
         const scene = viewer.scene;
         const objectIds = [];
@@ -1549,13 +1886,21 @@ class BIMViewer extends Controller {
      * Flies the camera to fit the given objects in view.
      *
      * @param {String[]} objectIds IDs of the objects
-     * @param {Function} done Callback invoked on completion
+     * @param {Function} [done] Callback invoked on completion
+     * @returns {Promise} Resolves on completion.
      */
     viewFitObjects(objectIds, done) {
-        if (!objectIds) {
-            this.error("flyToObject() - Argument expected: objectIds");
-            return;
-        }
+        return callbackPromise(done, null, null, (resolve, reject) => {
+            if (!objectIds) {
+                this.error("viewFitObjects() - Argument expected: objectIds");
+                reject("Argument expected: objectIds");
+                return;
+            }
+            this._viewFitObjects(objectIds, resolve);
+        });
+    }
+
+    _viewFitObjects(objectIds, done) {
         const viewer = this.viewer;
         const scene = viewer.scene;
 
@@ -1594,20 +1939,19 @@ class BIMViewer extends Controller {
     /**
      * Flies the camera to fit all objects in view.
      *
-     * @param {Function} done Callback invoked on completion
+     * @param {Function} [done] Callback invoked on completion
+     * @returns {Promise} Resolves on completion.
      */
     viewFitAll(done) {
-        const viewer = this.viewer;
-        const scene = viewer.scene;
-        const aabb = scene.getAABB();
-        viewer.cameraFlight.flyTo({
-            aabb: aabb
-        }, () => {
-            if (done) {
-                done();
-            }
+        return callbackPromise(done, null, null, (resolve) => {
+            const viewer = this.viewer;
+            const scene = viewer.scene;
+            const aabb = scene.getAABB();
+            viewer.cameraFlight.flyTo({
+                aabb: aabb
+            }, resolve);
+            viewer.cameraControl.pivotPos = math.getAABB3Center(aabb);
         });
-        viewer.cameraControl.pivotPos = math.getAABB3Center(aabb);
     }
 
     /**
@@ -1667,12 +2011,26 @@ class BIMViewer extends Controller {
      *
      * @param {String[]} modelIds ID of the models.
      * @param {Function} [done] Callback invoked on completion. Will be animated if this is given, otherwise will be instantaneous.
-     */
-    viewFitModels(modelIds, done) {
-        if (!modelIds) {
-            this.error("viewFitModels() - Argument expected: modelIds");
-            return;
-        }
+     * @param {Object} [options] Options.
+     * @param {Boolean} [options.animate] Whether to animate, regardless of whether ````done```` is given.
+     * @returns {Promise} Resolves on completion.
+     */
+    viewFitModels(modelIds, done, options = {}) {
+        return callbackPromise(done, null, null, (resolve, reject) => {
+            if (!modelIds) {
+                this.error("viewFitModels() - Argument expected: modelIds");
+                reject("Argument expected: modelIds");
+                return;
+            }
+            const animate = (options.animate !== undefined) ? options.animate : !!done;
+            this._viewFitModels(modelIds, animate ? resolve : null);
+            if (!animate) {
+                resolve();
+            }
+        });
+    }
+
+    _viewFitModels(modelIds, done) {
         const viewer = this.viewer;
         const scene = viewer.scene;
         const aabb = math.AABB3();
@@ -1716,7 +2074,9 @@ class BIMViewer extends Controller {
      *  * "models" - the Models tab, which lists the models available within the currently loaded project,
      *  * "objects" - the Objects tab, which contains a tree view for each loaded model, organized to indicate the containment hierarchy of their objects,
      *  * "classes" - the Classes tab, which contains a tree view for each loaded model, with nodes grouped by IFC types of their objects,
-     *  * "storeys" - the Storeys tab, which contains a tree view for each loaded model, with nodes grouped within ````IfcBuildingStoreys````, sub-grouped by their IFC types, and
+     *  * "storeys" - the Storeys tab, which contains a tree view for each loaded model, with nodes grouped within ````IfcBuildingStoreys````, sub-grouped by their IFC types,
+     *  * "issues" - the Issues tab, which lists the issues of each loaded model,
+     *  * "clashes" - the Clashes tab, which finds and lists clashes between two sets of objects, and
      *  * "properties" - the Properties tab, which shows property sets for a given object.
      *
      * @param {String} tabId ID of the tab to open - see method description.
@@ -1740,6 +2100,12 @@ class BIMViewer extends Controller {
             case "storeys":
                 tabSelector = "xeokit-storeysTab";
                 break;
+            case "issues":
+                tabSelector = "xeokit-issuesTab";
+                break;
+            case "clashes":
+                tabSelector = "xeokit-clashesTab";
+                break;
             case "properties":
                 tabSelector = "xeokit-propertiesTab";
                 break;
@@ -1775,6 +2141,8 @@ class BIMViewer extends Controller {
      *  * "objects" - the Objects tab, which contains a tree view for each loaded model, organized to indicate the containment hierarchy of their objects,
      *  * "classes" - the Classes tab, which contains a tree view for each loaded model, with nodes grouped by IFC types of their objects,
      *  * "storeys" - the Storeys tab, which contains a tree view for each loaded model, with nodes grouped within ````IfcBuildingStoreys````, sub-grouped by their IFC types,
+     *  * "issues" - the Issues tab, which lists the issues of each loaded model,
+     *  * "clashes" - the Clashes tab, which finds and lists clashes between two sets of objects,
      *  * "properties" - the Properties tab, which shows property sets for a given object, and
      *  * "none" - no tab is open; this is unlikely, since one of the above tabs should be open at a any time, but here for robustness.
      */
@@ -1803,6 +2171,14 @@ class BIMViewer extends Controller {
         if (hasClass(storeysTab, activeClass)) {
             return "storeys";
         }
+        let issuesTab = this._explorerElement.querySelector(".xeokit-issuesTab");
+        if (hasClass(issuesTab, activeClass)) {
+            return "issues";
+        }
+        let clashesTab = this._explorerElement.querySelector(".xeokit-clashesTab");
+        if (hasClass(clashesTab, activeClass)) {
+            return "clashes";
+        }
         let propertiesTab = this._inspectorElement.querySelector(".xeokit-propertiesTab");
         if (hasClass(propertiesTab, activeClass)) {
             return "properties";
@@ -1814,10 +2190,19 @@ class BIMViewer extends Controller {
      * Switches the viewer between 2D and 3D viewing modes.
      *
      * @param {Boolean} enabled Set true to switch into 3D mode, else false to switch into 2D mode.
-     * @param {Function} done Callback to invoke when switch complete. Supplying this callback causes an animated transition. Otherwise, the transition will be instant.
-     */
-    set3DEnabled(enabled, done) {
-        this._threeDMode.setActive(enabled, done);
+     * @param {Function} [done] Callback to invoke when switch complete. Supplying this callback causes an animated transition. Otherwise, the transition will be instant.
+     * @param {Object} [options] Options.
+     * @param {Boolean} [options.animate] Whether to animate the transition, regardless of whether ````done```` is given.
+     * @returns {Promise} Resolves when the switch is complete.
+     */
+    set3DEnabled(enabled, done, options = {}) {
+        return callbackPromise(done, null, null, (resolve) => {
+            const animate = (options.animate !== undefined) ? options.animate : !!done;
+            this._threeDMode.setActive(enabled, animate ? resolve : undefined);
+            if (!animate) {
+                resolve();
+            }
+        });
     }
 
     /**
@@ -1853,10 +2238,19 @@ class BIMViewer extends Controller {
      * The viewer is either in orthographic mode or perspective mode. The viewer is in perspective mode by default.
      *
      * @param {Boolean} enabled Set true to switch into ortho mode, else false to switch into perspective mode.
-     * @param {Function} done Callback to invoke when switch complete. Supplying this callback causes an animated transition. Otherwise, the transition will be instant.
-     */
-    setOrthoEnabled(enabled, done) {
-        this._orthoMode.setActive(enabled, done);
+     * @param {Function} [done] Callback to invoke when switch complete. Supplying this callback causes an animated transition. Otherwise, the transition will be instant.
+     * @param {Object} [options] Options.
+     * @param {Boolean} [options.animate] Whether to animate the transition, regardless of whether ````done```` is given.
+     * @returns {Promise} Resolves when the switch is complete.
+     */
+    setOrthoEnabled(enabled, done, options = {}) {
+        return callbackPromise(done, null, null, (resolve) => {
+            const animate = (options.animate !== undefined) ? options.animate : !!done;
+            this._orthoMode.setActive(enabled, animate ? resolve : undefined);
+            if (!animate) {
+                resolve();
+            }
+        });
     }
 
     /**
@@ -1877,19 +2271,32 @@ class BIMViewer extends Controller {
      *
      * @param {String} storeyObjectId ID of an ````IfcBuildingStorey```` object.
      * @param {Function} [done] Optional callback to invoke on completion. When provided, the transition will be animated, with the camera flying into position. Otherwise, the transition will be instant, with the camera jumping into position.
-     */
-    selectStorey(storeyObjectId, done) {
-        const metaScene = this.viewer.metaScene;
-        const storeyMetaObject = metaScene.metaObjects[storeyObjectId];
-        if (!storeyMetaObject) {
-            this.error("selectStorey() - Object is not found: '" + storeyObjectId + "'");
-            return;
-        }
-        if (storeyMetaObject.type !== "IfcBuildingStorey") {
-            this.error("selectStorey() - Object is not an IfcBuildingStorey: '" + storeyObjectId + "'");
-            return;
-        }
-        this._storeysExplorer.selectStorey(storeyObjectId, done);
+     * @param {Object} [options] Options.
+     * @param {Boolean} [options.animate] Whether to animate the transition, regardless of whether ````done```` is given.
+     * @returns {Promise} Resolves on completion, or rejects if the object is not found or is not an ````IfcBuildingStorey````.
+     */
+    selectStorey(storeyObjectId, done, options = {}) {
+        return callbackPromise(done, null, null, (resolve, reject) => {
+            const metaScene = this.viewer.metaScene;
+            const storeyMetaObject = metaScene.metaObjects[storeyObjectId];
+            if (!storeyMetaObject) {
+                const errorMsg = "Object is not found: '" + storeyObjectId + "'";
+                this.error("selectStorey() - " + errorMsg);
+                reject(errorMsg);
+                return;
+            }
+            if (storeyMetaObject.type !== "IfcBuildingStorey") {
+                const errorMsg = "Object is not an IfcBuildingStorey: '" + storeyObjectId + "'";
+                this.error("selectStorey() - " + errorMsg);
+                reject(errorMsg);
+                return;
+            }
+            const animate = (options.animate !== undefined) ? options.animate : !!done;
+            this._storeysExplorer.selectStorey(storeyObjectId, animate ? resolve : undefined);
+            if (!animate) {
+                resolve();
+            }
+        });
     }
 
     /**
@@ -2011,6 +2418,432 @@ class BIMViewer extends Controller {
         }
         this._orthoMode.setActive(this.viewer.camera.projection === "ortho");
         this._bcfViewpointsPlugin.setViewpoint(bcfViewpoint, options);
+        this._sectionBoxTool.restoreSectionBox();
+    }
+
+    /**
+     * Gets the issues of a loaded model, as listed in the Issues tab.
+     *
+     * Issues are loaded with {@link Server#getIssues} whenever a model is loaded, after which an ````"issuesLoaded"````
+     * event is fired with ````{modelId, issues}````. Each issue is an object like
+     * ````{id, title, description, status, priority, assignee, position, viewpoint}````, where ````position```` is the
+     * World-space position of the issue's pin, and ````viewpoint```` is a BCF viewpoint, as for {@link BIMViewer#loadBCFViewpoint}.
+     *
+     * @param {String} modelId ID of the model.
+     * @returns {Object[]} The model's issues, or an empty array when the model has none, or is not loaded.
+     */
+    getIssues(modelId) {
+        return this._issuesExplorer.getIssues(modelId);
+    }
+
+    /**
+     * Reloads the issues of a loaded model, to pick up changes made since the model was loaded.
+     *
+     * @param {String} modelId ID of the model.
+     * @param {Function} [done] Callback invoked with the model's issues once they're loaded.
+     * @param {Function} [error] Callback invoked with an error message if the issues could not be loaded.
+     * @returns {Promise} Resolves with the model's issues.
+     */
+    reloadIssues(modelId, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            if (!this._modelsExplorer.isModelLoaded(modelId)) {
+                reject("Model not loaded: '" + modelId + "'");
+                return;
+            }
+            this._issuesExplorer.loadIssues(modelId, resolve, reject);
+        });
+    }
+
+    /**
+     * Selects an issue in the Issues tab, and restores the issue's BCF viewpoint.
+     *
+     * When the issue has no viewpoint, the camera flies to look at the issue's position instead. Fires an
+     * ````"issueSelected"```` event with ````{modelId, issue}````, as also happens when the user clicks an issue or its pin.
+     *
+     * @param {String} modelId ID of the issue's model.
+     * @param {String} issueId ID of the issue.
+     */
+    showIssue(modelId, issueId) {
+        this._issuesExplorer.showIssue(modelId, issueId);
+    }
+
+    /**
+     * Creates an issue for a loaded model, with {@link Server#createIssue}, then adds it to the Issues tab.
+     *
+     * Fires an ````"issueChanged"```` event with ````{modelId, action: "create", issueId, issue}```` once the issue is saved,
+     * as do the other methods that change issues, with their own actions.
+     *
+     * When the viewer is configured with ````enableEditIssues````, the user can also file an issue on an object through
+     * the object context menu, which captures a viewpoint of the object with {@link BIMViewer#saveBCFViewpoint},
+     * including a snapshot of the canvas.
+     *
+     * @param {String} modelId ID of a loaded model, belonging to the loaded project.
+     * @param {Object} issue The issue, which needs a ````title````, as described for {@link BIMViewer#getIssues}.
+     * @param {Function} [done] Callback invoked with the saved issue, including its ID.
+     * @param {Function} [error] Callback invoked with an error message if the issue could not be saved.
+     * @returns {Promise} Resolves with the saved issue.
+     */
+    createIssue(modelId, issue, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.createIssue(modelId, issue).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Updates fields of an issue, with {@link Server#updateIssue}.
+     *
+     * @param {String} modelId ID of the issue's model.
+     * @param {String} issueId ID of the issue.
+     * @param {Object} changes New values of the fields to change, eg. ````{status: "Closed"}````. A field given as ````null```` is removed.
+     * @param {Function} [done] Callback invoked with the updated issue.
+     * @param {Function} [error] Callback invoked with an error message if the issue could not be updated.
+     * @returns {Promise} Resolves with the updated issue.
+     */
+    updateIssue(modelId, issueId, changes, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.updateIssue(modelId, issueId, changes).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Deletes an issue, with {@link Server#deleteIssue}.
+     *
+     * @param {String} modelId ID of the issue's model.
+     * @param {String} issueId ID of the issue.
+     * @param {Function} [done] Callback invoked once the issue is deleted.
+     * @param {Function} [error] Callback invoked with an error message if the issue could not be deleted.
+     * @returns {Promise} Resolves once the issue is deleted.
+     */
+    deleteIssue(modelId, issueId, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.deleteIssue(modelId, issueId).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Adds a comment to an issue, with {@link Server#addIssueComment}.
+     *
+     * @param {String} modelId ID of the issue's model.
+     * @param {String} issueId ID of the issue.
+     * @param {Object} comment The comment, as ````{text, author}````.
+     * @param {Function} [done] Callback invoked with the saved comment.
+     * @param {Function} [error] Callback invoked with an error message if the comment could not be saved.
+     * @returns {Promise} Resolves with the saved comment.
+     */
+    addIssueComment(modelId, issueId, comment, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.addIssueComment(modelId, issueId, comment).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Imports the topics in a BCF-XML 2.1 or 3.0 archive (a ````.bcf```` or ````.bcfzip```` file), listing them in the Issues tab.
+     *
+     * Each topic is an object like the BCF API's topics, with its ````comments````, and its ````viewpoints```` as
+     * for {@link BIMViewer#loadBCFViewpoint}, each with its ````snapshot````. Topics replace any already imported with
+     * the same GUIDs. Fires a ````"bcfImported"```` event with ````{version, project, topics}````.
+     *
+     * @param {File|Blob|ArrayBuffer} data The archive.
+     * @param {Function} [done] Callback invoked with the imported topics.
+     * @param {Function} [error] Callback invoked with an error message if the archive could not be read.
+     * @returns {Promise} Resolves with the imported topics.
+     */
+    importBCF(data, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.importBCF(data).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Exports the issues of the loaded models, and the imported BCF topics, to a BCF-XML archive.
+     *
+     * @param {Object} [options] Export options.
+     * @param {String} [options.version="2.1"] BCF-XML version to write, ````"2.1"```` or ````"3.0"````.
+     * @param {String} [options.author] Author of topics and comments that don't have one.
+     * @param {Function} [done] Callback invoked with the archive, as a Blob.
+     * @param {Function} [error] Callback invoked with an error message if the archive could not be written.
+     * @returns {Promise} Resolves with the archive, as a Blob.
+     */
+    exportBCF(options, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.exportBCF(options || {}).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Sends the issues of the loaded models, and the BCF topics listed in the Issues tab, to a BCF API project, with
+     * {@link BCFAPIConnector#pushTopics}.
+     *
+     * Each issue is sent as a topic, whose GUID is the issue's ID, or derived from it, when the ID isn't a UUID. Fires
+     * a ````"bcfPushed"```` event with ````{projectId, created, updated, comments, viewpoints}````.
+     *
+     * @param {BCFAPIConnector} connector Connector to the BCF API server.
+     * @param {String} [bcfProjectId] ID of the BCF API project. Defaults to the ID of the loaded project.
+     * @param {Function} [done] Callback invoked with how many topics, comments and viewpoints were sent, as for {@link BCFAPIConnector#pushTopics}.
+     * @param {Function} [error] Callback invoked with an error message if the topics could not be sent.
+     * @returns {Promise} Resolves with how many topics, comments and viewpoints were sent.
+     */
+    pushBCFTopics(connector, bcfProjectId, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.pushBCFTopics(connector, this._getBCFProjectId(bcfProjectId)).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Gets the topics of a BCF API project, with {@link BCFAPIConnector#pullTopics}.
+     *
+     * Topics that are issues of the loaded models update those issues, where the topics were modified more recently,
+     * and add their new comments to them, through the {@link Server}. That needs the viewer to be configured with
+     * ````enableEditIssues````. Other topics are listed in the Issues tab, like those imported with
+     * {@link BIMViewer#importBCF}. Fires a ````"bcfPulled"```` event with ````{projectId, topics}````.
+     *
+     * @param {BCFAPIConnector} connector Connector to the BCF API server.
+     * @param {String} [bcfProjectId] ID of the BCF API project. Defaults to the ID of the loaded project.
+     * @param {Function} [done] Callback invoked with the project's topics.
+     * @param {Function} [error] Callback invoked with an error message if the topics could not be pulled.
+     * @returns {Promise} Resolves with the project's topics.
+     */
+    pullBCFTopics(connector, bcfProjectId, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.pullBCFTopics(connector, this._getBCFProjectId(bcfProjectId)).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Syncs the issues of the loaded models, and the BCF topics listed in the Issues tab, with a BCF API project.
+     *
+     * Pushes with {@link BIMViewer#pushBCFTopics}, then pulls with {@link BIMViewer#pullBCFTopics}. The "Sync BCF"
+     * button in the Issues tab does the same, when the viewer is configured with a ````bcfConnector````.
+     *
+     * @param {BCFAPIConnector} connector Connector to the BCF API server.
+     * @param {String} [bcfProjectId] ID of the BCF API project. Defaults to the ID of the loaded project.
+     * @param {Function} [done] Callback invoked with the project's topics.
+     * @param {Function} [error] Callback invoked with an error message if the topics could not be synced.
+     * @returns {Promise} Resolves with the project's topics.
+     */
+    syncBCFTopics(connector, bcfProjectId, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._issuesExplorer.syncBCFTopics(connector, this._getBCFProjectId(bcfProjectId)).then(resolve, reject);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _getBCFProjectId(bcfProjectId) {
+        const projectId = bcfProjectId || this._modelsExplorer.getLoadedProjectId();
+        if (!projectId) {
+            throw new Error("No BCF project given, and no project loaded");
+        }
+        return projectId;
+    }
+
+    /**
+     * Gets the topics imported with {@link BIMViewer#importBCF}, or pulled with {@link BIMViewer#pullBCFTopics}.
+     *
+     * @returns {Object[]} The imported topics.
+     */
+    getBCFTopics() {
+        return this._issuesExplorer.getBCFTopics();
+    }
+
+    /**
+     * Selects an imported BCF topic in the Issues tab, and restores one of its viewpoints.
+     *
+     * Fires a ````"bcfTopicSelected"```` event with ````{topic, viewpoint}````, as also happens when the user clicks the
+     * topic, or one of its snapshots.
+     *
+     * @param {String} topicGuid GUID of the topic.
+     * @param {String} [viewpointGuid] GUID of the viewpoint to restore. Restores the topic's first viewpoint by default.
+     */
+    showBCFTopic(topicGuid, viewpointGuid) {
+        this._issuesExplorer.showBCFTopic(topicGuid, viewpointGuid);
+    }
+
+    /**
+     * Removes the imported BCF topics from the Issues tab.
+     */
+    clearBCFTopics() {
+        this._issuesExplorer.clearBCFTopics();
+    }
+
+    /**
+     * Sets whether the issue pins are shown on the canvas.
+     *
+     * @param {Boolean} visible Set ````true```` to show the pins, else ````false```` to hide them.
+     */
+    setIssuePinsVisible(visible) {
+        this._issuesExplorer.setPinsVisible(visible);
+    }
+
+    /**
+     * Gets whether the issue pins are shown on the canvas.
+     *
+     * @returns {Boolean} True if the pins are shown.
+     */
+    getIssuePinsVisible() {
+        return this._issuesExplorer.getPinsVisible();
+    }
+
+    /**
+     * Finds clashes between two sets of objects, and lists them in the Clashes tab, in place of any listed already.
+     *
+     * Each set is given as criteria, which an object must match all of. Context models, such as terrain, are never
+     * included, and neither are ````IfcSpace```` and ````IfcOpeningElement```` objects, unless their types are asked for.
+     * A test between the objects of a structural model and an MEP model might look like
+     * ````{selectionA: {modelIds: ["structure"]}, selectionB: {modelIds: ["mep"]}, type: "hard"}````.
+     *
+     * Hard clashes are where the objects' surfaces cross, or one object is inside another. Clearance clashes are where
+     * the objects come within the tolerance of each other, as well. A clash is listed with the status it was last given
+     * with {@link BIMViewer#setClashStatus}, or else as "open". Fires a ````"clashesDetected"```` event with
+     * ````{params, clashes}````.
+     *
+     * A clash's ID is derived from the type of clash and the GUIDs of its objects, such as their IFC GlobalIds, so that
+     * it stays the same when the models are updated. When the listed clashes were found or imported with the same
+     * parameters, each clash gets a ````state```` of "active" if it was listed, or else "new", and the listed clashes
+     * that weren't found again are kept, with state "resolved". Otherwise each clash is "new".
+     *
+     * @param {Object} params Clash test parameters.
+     * @param {Object} [params.selectionA] The first set of objects. Includes all objects by default.
+     * @param {String[]} [params.selectionA.modelIds] IDs of models whose objects to include.
+     * @param {String[]} [params.selectionA.types] IFC types of objects to include, such as ````"IfcDuctSegment"````.
+     * @param {String[]} [params.selectionA.objectIds] IDs of objects to include, along with the objects within them.
+     * @param {Object} [params.selectionB] The second set of objects, given like the first.
+     * @param {String} [params.type="hard"] Type of clash to find, "hard" or "clearance".
+     * @param {Number} [params.tolerance=0] How close objects may come before they clash, in World-space units, for clearance clashes.
+     * @param {Function} [params.onProgress] Callback periodically invoked with ````{numPairs, numPairsTested, numClashes}````.
+     * @param {Function} [done] Callback invoked with the clashes once the test is complete.
+     * @param {Function} [error] Callback invoked with an error message if the test failed, or was cancelled.
+     * @returns {Promise} Resolves with the clashes, each an object like
+     * ````{id, type, objectIdA, objectIdB, modelIdA, modelIdB, guidA, guidB, typeA, typeB, nameA, nameB, point, distance, exact, status, state, foundAt, viewpoint}````,
+     * where ````viewpoint```` is a BCF viewpoint that looks at the objects, as for {@link BIMViewer#loadBCFViewpoint}.
+     */
+    runClashDetection(params, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._clashesExplorer.runClashDetection(params || {}).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Cancels the clash test being run, if any.
+     */
+    cancelClashDetection() {
+        this._clashesExplorer.cancelClashDetection();
+    }
+
+    /**
+     * Gets the clashes listed in the Clashes tab, as found by the last {@link BIMViewer#runClashDetection}.
+     *
+     * @returns {Object[]} The clashes.
+     */
+    getClashes() {
+        return this._clashesExplorer.getClashes();
+    }
+
+    /**
+     * Sets the status of a clash.
+     *
+     * Statuses are kept when clash tests are run again, so that approved and ignored clashes stay that way. Fires a
+     * ````"clashStatusChanged"```` event with ````{clash}````.
+     *
+     * @param {String} clashId ID of the clash.
+     * @param {String} status "open", "approved" or "ignored".
+     */
+    setClashStatus(clashId, status) {
+        this._clashesExplorer.setClashStatus(clashId, status);
+    }
+
+    /**
+     * Removes the clashes from the Clashes tab, and forgets their statuses.
+     */
+    clearClashes() {
+        this._clashesExplorer.clearClashes();
+    }
+
+    /**
+     * Selects a clash in the Clashes tab, and flies the camera to it.
+     *
+     * Fires a ````"clashSelected"```` event with ````{clash}````, as also happens when the user clicks the clash.
+     *
+     * @param {String} clashId ID of the clash.
+     */
+    showClash(clashId) {
+        this._clashesExplorer.showClash(clashId);
+    }
+
+    /**
+     * Selects the objects of a clash, and flies the camera to fit them in view.
+     *
+     * @param {String} clashId ID of the clash.
+     * @param {Function} [done] Callback invoked on arrival.
+     * @returns {Promise} Resolves on arrival.
+     */
+    flyToClash(clashId, done) {
+        return callbackPromise(done, null, null, (resolve) => {
+            this._clashesExplorer.flyToClash(clashId, resolve);
+        });
+    }
+
+    /**
+     * Hides every object except those of a clash, then flies the camera to fit them in view.
+     *
+     * @param {String} clashId ID of the clash.
+     * @param {Function} [done] Callback invoked on arrival.
+     * @returns {Promise} Resolves on arrival.
+     */
+    isolateClash(clashId, done) {
+        return callbackPromise(done, null, null, (resolve) => {
+            this._clashesExplorer.isolateClash(clashId, resolve);
+        });
+    }
+
+    /**
+     * Exports the clashes listed in the Clashes tab.
+     *
+     * As BCF, each clash is a topic of type "Clash", with a viewpoint that selects its objects, and the GUIDs of its
+     * objects in its description. As CSV, each clash is a row, with the GUIDs of its objects and its viewpoint's camera.
+     * As JSON, the clashes are written as they are, along with the parameters of the test, so that they can be imported
+     * with {@link BIMViewer#importClashes} to compare with a later test.
+     *
+     * @param {String} [format="bcf"] ````"bcf"````, ````"csv"```` or ````"json"````.
+     * @param {Object} [options] Options for BCF exports, as for {@link BIMViewer#exportBCF}.
+     * @param {Function} [done] Callback invoked with the exported file, as a Blob.
+     * @param {Function} [error] Callback invoked with an error message if the clashes could not be exported.
+     * @returns {Promise} Resolves with the exported file, as a Blob.
+     */
+    exportClashes(format, options, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._clashesExplorer.exportClashes(format || "bcf", options || {}).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Imports clashes exported as JSON with {@link BIMViewer#exportClashes}, listing them in the Clashes tab in place of
+     * any listed already, with their statuses.
+     *
+     * Running the same clash test again then classifies each clash as new, active or resolved. Fires a
+     * ````"clashesImported"```` event with ````{params, clashes}````.
+     *
+     * @param {File|Blob|String|Object} data The exported clashes.
+     * @param {Function} [done] Callback invoked with the imported clashes.
+     * @param {Function} [error] Callback invoked with an error message if the clashes could not be read.
+     * @returns {Promise} Resolves with the imported clashes.
+     */
+    importClashes(data, done, error) {
+        return callbackPromise(done, error, null, (resolve, reject) => {
+            this._clashesExplorer.importClashes(data).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Sets how clashes are grouped in the Clashes tab.
+     *
+     * @param {String} groupBy "none", "state" to group by whether clashes are new, active or resolved, "types" to group
+     * by the IFC types of the clashing objects, "objectA" to group by the object from the first set, or "objectB" to
+     * group by the object from the second set.
+     */
+    setClashGroupBy(groupBy) {
+        this._clashesExplorer.setGroupBy(groupBy);
     }
 
     /**
@@ -2038,6 +2871,8 @@ class BIMViewer extends Controller {
         this._objectsExplorer.setEnabled(enabled);
         this._classesExplorer.setEnabled(enabled);
         this._storeysExplorer.setEnabled(enabled);
+        this._issuesExplorer.setEnabled(enabled);
+        this._clashesExplorer.setEnabled(enabled);
 
         // Toolbar
 
@@ -2056,6 +2891,7 @@ class BIMViewer extends Controller {
             this._measureAngleTool.setEnabled(enabled);
         }
         this._sectionTool.setEnabled(enabled);
+        this._sectionBoxTool.setEnabled(enabled);
 
         if (this._enablePropertiesInspector) {
             this._propertiesInspector.setEnabled(enabled);
@@ -2136,6 +2972,67 @@ class BIMViewer extends Controller {
         return this._sectionTool.getNumSections();
     }
 
+    /**
+     * Creates a section at an exact position, such as to cut the models at a given elevation.
+     *
+     * @param {Number[]} pos World-space position of the section plane.
+     * @param {Number[]} dir Direction of the section plane, which is the side of it on which the models remain visible.
+     * @returns {String} ID of the section plane.
+     */
+    createSection(pos, dir) {
+        return this._sectionTool.createSection(pos, math.normalizeVec3(dir, math.vec3())).id;
+    }
+
+    /**
+     * Shows the section panel, in which we can type the position and direction of a section, align it with a World
+     * axis or a storey's elevation, and move it along its direction with a slider.
+     *
+     * @param {String} [sectionPlaneId] ID of the section plane to edit. Defaults to the first section, if any.
+     */
+    showSectionPanel(sectionPlaneId) {
+        this._sectionTool.showPanel(sectionPlaneId);
+    }
+
+    /**
+     * Hides the section panel, if currently shown.
+     */
+    hideSectionPanel() {
+        this._sectionTool.hidePanel();
+    }
+
+    /**
+     * Cuts a box out of the models, to see inside it, like the toolbar's section box button does.
+     *
+     * The box is made of six section planes, whose faces can be dragged by their handles, and is saved in BCF
+     * viewpoints as six clipping planes. Loading a viewpoint with six World axis-aligned clipping planes that enclose
+     * a box restores the section box. Fires a ````"sectionBoxChanged"```` event with the box's AABB whenever it's
+     * changed, including by dragging its faces, or with ````null```` when it's removed.
+     *
+     * @param {Number[]} [aabb] World-space AABB of the box, as ````[xmin, ymin, zmin, xmax, ymax, zmax]````. Fits the
+     * box to the selected objects by default, or to the visible objects when none are selected.
+     */
+    setSectionBox(aabb) {
+        this._sectionBoxTool.setSectionBox(aabb);
+    }
+
+    /**
+     * Gets the section box.
+     *
+     * @returns {Number[]|null} World-space AABB of the box, or ````null```` if there's no section box.
+     */
+    getSectionBox() {
+        return this._sectionBoxTool.getSectionBox();
+    }
+
+    /**
+     * Removes the section box.
+     *
+     * The box's section planes are separate from the slices, so {@link BIMViewer#clearSections} leaves the box alone.
+     */
+    clearSectionBox() {
+        this._sectionBoxTool.clearSectionBox();
+    }
+
     /**
      * Gets if measurements are enabled for this BIMViewer.
      * This is immutable and is set via the BIMViewer constructor.
@@ -2212,6 +3109,11 @@ class BIMViewer extends Controller {
      * Destroys the viewer, freeing all resources.
      */
     destroy() {
+        if (this._localFileDropZone) {
+            this._localFileDropZone.destroy();
+        }
+        this._issuesExplorer.destroy();
+        this._clashesExplorer.destroy();
         this.viewer.destroy();
         this._bcfViewpointsPlugin.destroy();
         this._canvasContextMenu.destroy();
@@ -1,5 +1,9 @@
 import {Controller} from "./Controller.js";
 
+function formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+}
+
 /** @private */
 class BusyModal extends Controller {
 
@@ -15,22 +19,90 @@ class BusyModal extends Controller {
 
         this._modal = document.createElement("div");
         this._modal.classList.add("xeokit-busy-modal");
-        this._modal.innerHTML = '<div class="xeokit-busy-modal-content"><div class="xeokit-busy-modal-body"><div class="xeokit-busy-modal-message">Default text</div></div></div>';
+        this._modal.innerHTML = '<div class="xeokit-busy-modal-content"><div class="xeokit-busy-modal-body">' +
+            '<div class="xeokit-busy-modal-message">Default text</div>' +
+            '<div class="xeokit-busy-modal-progress"><div class="xeokit-busy-modal-progress-bar"></div></div>' +
+            '<div class="xeokit-busy-modal-progress-text"></div>' +
+            '<button type="button" class="xeokit-busy-modal-cancel">Cancel</button>' +
+            '</div></div>';
 
         busyModalBackdropElement.appendChild(this._modal);
 
+        this._progressElement = this._modal.querySelector('.xeokit-busy-modal-progress');
+        this._progressBarElement = this._modal.querySelector('.xeokit-busy-modal-progress-bar');
+        this._progressTextElement = this._modal.querySelector('.xeokit-busy-modal-progress-text');
+        this._cancelButtonElement = this._modal.querySelector('.xeokit-busy-modal-cancel');
+
+        this._cancelButtonElement.addEventListener("click", (e) => {
+            if (this._onCancel) {
+                this._onCancel();
+            }
+            e.preventDefault();
+        });
+
+        this._onCancel = null;
         this._modalVisible = false;
         this._modal.style.display = 'hidden';
     }
 
-    show(message) {
+    /**
+     * Shows the modal with the given message.
+     *
+     * The progress bar is hidden until {@link BusyModal#setProgress} is called. The cancel button is only shown when
+     * ````options.onCancel```` is given.
+     *
+     * @param {String} message The message.
+     * @param {Object} [options] Options.
+     * @param {Function} [options.onCancel] Callback invoked when the user clicks the cancel button.
+     */
+    show(message, options = {}) {
         this._modalVisible = true;
         this._modal.querySelector('.xeokit-busy-modal-message').innerText = message;
+        this._onCancel = options.onCancel || null;
+        this._cancelButtonElement.innerText = this.viewer.localeService.translate("busyModal.cancel") || "Cancel";
+        this._cancelButtonElement.style.display = this._onCancel ? 'inline-block' : 'none';
+        this._progressElement.style.display = 'none';
+        this._progressTextElement.innerText = "";
         this._modal.style.display = 'block';
     }
 
+    /**
+     * Updates the progress bar.
+     *
+     * @param {Object} progress Progress.
+     * @param {Number|null} progress.progress Fraction complete, from ````0```` to ````1````, or ````null```` if unknown, in which case the bar is indeterminate.
+     * @param {Number} [progress.bytesLoaded] Number of bytes received.
+     * @param {Number|null} [progress.bytesTotal] Total number of bytes, or ````null```` if unknown.
+     * @param {Number|null} [progress.numParts] Number of parts, for models that are split into multiple files.
+     * @param {Number} [progress.numPartsLoaded] Number of parts received.
+     */
+    setProgress(progress) {
+        if (!this._modalVisible) {
+            return;
+        }
+        this._progressElement.style.display = 'block';
+        if (progress.progress === null || progress.progress === undefined) {
+            this._progressElement.classList.add("xeokit-busy-modal-progress-indeterminate");
+            this._progressBarElement.style.width = "";
+        } else {
+            this._progressElement.classList.remove("xeokit-busy-modal-progress-indeterminate");
+            this._progressBarElement.style.width = (Math.min(1, Math.max(0, progress.progress)) * 100).toFixed(1) + "%";
+        }
+        let text = "";
+        if (progress.bytesLoaded !== undefined) {
+            text = (progress.bytesTotal)
+                ? formatMegabytes(progress.bytesLoaded) + " / " + formatMegabytes(progress.bytesTotal) + " MB"
+                : formatMegabytes(progress.bytesLoaded) + " MB";
+        }
+        if (progress.numParts > 1) {
+            text += " [" + progress.numPartsLoaded + " / " + progress.numParts + "]";
+        }
+        this._progressTextElement.innerText = text;
+    }
+
     hide() {
         this._modalVisible = false;
+        this._onCancel = null;
         this._modal.style.display = 'none';
     }
 
@@ -43,4 +115,4 @@ class BusyModal extends Controller {
     }
 }
 
-export {BusyModal};
\ No newline at end of file
+export {BusyModal};
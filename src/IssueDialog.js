@@ -0,0 +1,160 @@
+import {Controller} from "./Controller.js";
+
+/**
+ * Modal form through which the user files an issue, comments on one, or confirms deleting one.
+ *
+ * @private
+ */
+class IssueDialog extends Controller {
+
+    constructor(parent, cfg = {}) {
+
+        super(parent, cfg);
+
+        if (!cfg.dialogBackdropElement) {
+            throw "Missing config: dialogBackdropElement";
+        }
+
+        this._dialog = document.createElement("div");
+        this._dialog.classList.add("xeokit-issue-dialog");
+        this._dialog.innerHTML = '<form class="xeokit-issue-dialog-content">' +
+            '<div class="xeokit-issue-dialog-title"></div>' +
+            '<div class="xeokit-issue-dialog-body"></div>' +
+            '<div class="xeokit-issue-dialog-error"></div>' +
+            '<div class="xeokit-issue-dialog-buttons">' +
+            '<button type="submit" class="xeokit-issue-dialog-submit"></button>' +
+            '<button type="button" class="xeokit-issue-dialog-cancel"></button>' +
+            '</div>' +
+            '</form>';
+
+        cfg.dialogBackdropElement.appendChild(this._dialog);
+
+        this._formElement = this._dialog.querySelector(".xeokit-issue-dialog-content");
+        this._titleElement = this._dialog.querySelector(".xeokit-issue-dialog-title");
+        this._bodyElement = this._dialog.querySelector(".xeokit-issue-dialog-body");
+        this._errorElement = this._dialog.querySelector(".xeokit-issue-dialog-error");
+        this._submitButtonElement = this._dialog.querySelector(".xeokit-issue-dialog-submit");
+        this._cancelButtonElement = this._dialog.querySelector(".xeokit-issue-dialog-cancel");
+
+        this._fieldElements = {};
+        this._onSubmit = null;
+
+        this._formElement.addEventListener("submit", (event) => {
+            event.preventDefault();
+            if (!this._onSubmit || this._submitButtonElement.disabled) {
+                return;
+            }
+            const values = {};
+            for (let name in this._fieldElements) {
+                values[name] = this._fieldElements[name].value.trim();
+            }
+            this._submitButtonElement.disabled = true;
+            this._errorElement.textContent = "";
+            Promise.resolve(this._onSubmit(values)).then(() => {
+                this.hide();
+            }, (e) => {
+                this._submitButtonElement.disabled = false;
+                this._errorElement.textContent = (e && e.message !== undefined) ? e.message : e;
+            });
+        });
+
+        this._cancelButtonElement.addEventListener("click", (event) => {
+            event.preventDefault();
+            this.hide();
+        });
+
+        this._dialog.addEventListener("keydown", (event) => {
+            event.stopPropagation(); // Keep typing from moving the camera
+            if (event.key === "Escape") {
+                this.hide();
+            }
+        });
+
+        this.hide();
+    }
+
+    /**
+     * Shows the dialog.
+     *
+     * @param {Object} params Dialog parameters.
+     * @param {String} params.title Title of the dialog.
+     * @param {String} [params.message] Message shown above the fields.
+     * @param {String} [params.snapshot] Data URL of an image to show above the fields.
+     * @param {Object[]} [params.fields] Fields, each ````{name, label, type, options, value, required}````, where ````type````
+     * is ````"text"```` (the default), ````"textarea"```` or ````"select"````, with ````options```` to choose from.
+     * @param {String} params.submitLabel Label of the submit button.
+     * @param {Function} onSubmit Given the field values, mapped to their names. The dialog stays open, showing the
+     * error, if this throws, or returns a Promise that rejects.
+     */
+    show(params, onSubmit) {
+        const localeService = this.viewer.localeService;
+        this._titleElement.textContent = params.title;
+        this._bodyElement.innerHTML = "";
+        this._errorElement.textContent = "";
+        this._fieldElements = {};
+        if (params.snapshot) {
+            const snapshotElement = document.createElement("img");
+            snapshotElement.className = "xeokit-issue-dialog-snapshot";
+            snapshotElement.src = params.snapshot;
+            this._bodyElement.appendChild(snapshotElement);
+        }
+        if (params.message) {
+            const messageElement = document.createElement("p");
+            messageElement.className = "xeokit-issue-dialog-message";
+            messageElement.textContent = params.message;
+            this._bodyElement.appendChild(messageElement);
+        }
+        const fields = params.fields || [];
+        for (let i = 0, len = fields.length; i < len; i++) {
+            const field = fields[i];
+            const labelElement = document.createElement("label");
+            labelElement.className = "xeokit-issue-dialog-field";
+            labelElement.appendChild(document.createTextNode(field.label));
+            let inputElement;
+            if (field.type === "select") {
+                inputElement = document.createElement("select");
+                field.options.forEach((option) => {
+                    const optionElement = document.createElement("option");
+                    optionElement.value = option.value;
+                    optionElement.textContent = option.label;
+                    inputElement.appendChild(optionElement);
+                });
+            } else {
+                inputElement = document.createElement((field.type === "textarea") ? "textarea" : "input");
+                if (field.type !== "textarea") {
+                    inputElement.type = "text";
+                }
+            }
+            inputElement.name = field.name;
+            inputElement.required = !!field.required;
+            if (field.value !== undefined) {
+                inputElement.value = field.value;
+            }
+            labelElement.appendChild(inputElement);
+            this._bodyElement.appendChild(labelElement);
+            this._fieldElements[field.name] = inputElement;
+        }
+        this._onSubmit = onSubmit;
+        this._submitButtonElement.textContent = params.submitLabel;
+        this._submitButtonElement.disabled = false;
+        this._cancelButtonElement.textContent = localeService.translate("issueDialog.cancel") || "Cancel";
+        this._dialog.style.display = "block";
+        const firstField = this._formElement.querySelector("input, textarea, select");
+        (firstField || this._submitButtonElement).focus();
+    }
+
+    hide() {
+        this._onSubmit = null;
+        this._dialog.style.display = "none";
+    }
+
+    destroy() {
+        super.destroy();
+        if (this._dialog) {
+            this._dialog.parentNode.removeChild(this._dialog);
+            this._dialog = null;
+        }
+    }
+}
+
+export {IssueDialog};
@@ -0,0 +1,102 @@
+import {Controller} from "./Controller.js";
+
+function hasFiles(event) {
+    const types = event.dataTransfer ? event.dataTransfer.types : null;
+    return !!types && Array.prototype.indexOf.call(types, "Files") !== -1;
+}
+
+function isBCFFile(file) {
+    return /\.(bcf|bcfzip)$/i.test(file.name);
+}
+
+/**
+ * Loads XKT files, along with any metadata JSON files, that are dropped onto the canvas, as transient models, and
+ * imports the topics in dropped BCF files into the Issues tab.
+ *
+ * Highlights the canvas with the ````xeokit-drop-target```` class while files are dragged over it.
+ *
+ * @private
+ */
+class LocalFileDropZone extends Controller {
+
+    constructor(parent, cfg = {}) {
+
+        super(parent, cfg);
+
+        if (!cfg.dropZoneElement) {
+            throw "Missing config: dropZoneElement";
+        }
+
+        this._dropZoneElement = cfg.dropZoneElement;
+        this._dragDepth = 0; // Enter and leave fire for child elements too
+
+        this._onDragEnter = (event) => {
+            if (!this.getEnabled() || !hasFiles(event)) {
+                return;
+            }
+            event.preventDefault();
+            this._dragDepth++;
+            this._dropZoneElement.classList.add("xeokit-drop-target");
+        };
+
+        this._onDragOver = (event) => {
+            if (!this.getEnabled() || !hasFiles(event)) {
+                return;
+            }
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
+        };
+
+        this._onDragLeave = (event) => {
+            if (!this.getEnabled() || !hasFiles(event)) {
+                return;
+            }
+            this._dragDepth = Math.max(0, this._dragDepth - 1);
+            if (this._dragDepth === 0) {
+                this._dropZoneElement.classList.remove("xeokit-drop-target");
+            }
+        };
+
+        this._onDrop = (event) => {
+            if (!this.getEnabled() || !hasFiles(event)) {
+                return;
+            }
+            event.preventDefault();
+            this._dragDepth = 0;
+            this._dropZoneElement.classList.remove("xeokit-drop-target");
+            const files = Array.from(event.dataTransfer.files);
+            const bcfFiles = files.filter(isBCFFile);
+            const modelFiles = files.filter((file) => !isBCFFile(file));
+            bcfFiles.forEach((file) => {
+                this.bimViewer.importBCF(file).then(() => {
+                    this.bimViewer.openTab("issues");
+                }, (e) => {
+                    this.error("Failed to import BCF file '" + file.name + "': " + e.message);
+                });
+            });
+            if (modelFiles.length > 0) {
+                this.bimViewer.loadLocalFile(modelFiles).catch(() => {
+                    // Already logged
+                });
+            }
+        };
+
+        this._dropZoneElement.addEventListener("dragenter", this._onDragEnter);
+        this._dropZoneElement.addEventListener("dragover", this._onDragOver);
+        this._dropZoneElement.addEventListener("dragleave", this._onDragLeave);
+        this._dropZoneElement.addEventListener("drop", this._onDrop);
+
+        this.setEnabled(true);
+    }
+
+    destroy() {
+        super.destroy();
+        this._dropZoneElement.removeEventListener("dragenter", this._onDragEnter);
+        this._dropZoneElement.removeEventListener("dragover", this._onDragOver);
+        this._dropZoneElement.removeEventListener("dragleave", this._onDragLeave);
+        this._dropZoneElement.removeEventListener("drop", this._onDrop);
+        this._dropZoneElement.classList.remove("xeokit-drop-target");
+    }
+}
+
+export {LocalFileDropZone};
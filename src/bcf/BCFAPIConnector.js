@@ -0,0 +1,509 @@
+import {RequestPipeline} from "../server/RequestPipeline.js";
+import {bytesToDataURL, dataURLToBase64} from "./dataURLs.js";
+
+/**
+ * Topic fields that a client may set, when creating or updating a topic.
+ */
+const topicFields = ["topic_type", "topic_status", "reference_links", "title", "priority", "index", "labels",
+    "assigned_to", "stage", "description", "due_date"];
+
+const viewpointFields = ["index", "orthogonal_camera", "perspective_camera", "lines", "clipping_planes"];
+
+function getModifiedDate(topic) {
+    return Date.parse(topic.modified_date || topic.creation_date) || 0;
+}
+
+function pick(object, fields) {
+    const result = {};
+    fields.forEach((field) => {
+        if (object[field] !== undefined && object[field] !== null) {
+            result[field] = object[field];
+        }
+    });
+    return result;
+}
+
+/**
+ * Syncs topics, comments and viewpoints with a server that implements the BCF API 3.0, such as an OpenCDE platform.
+ *
+ * Topics are exchanged as they're read and written by {@link BIMViewer#importBCF} and {@link BIMViewer#exportBCF},
+ * with their comments and viewpoints inline, and each viewpoint as for {@link BIMViewer#loadBCFViewpoint}, including
+ * its selection, coloring and visibility components, and its snapshot and bitmaps as data URLs. The API instead
+ * serves each of those from its own URL, and the connector gathers them into, and splits them out of, the topics.
+ *
+ * Requests go through the same pipeline as those of a {@link Server}, and so take the same configuration for
+ * headers, access tokens, retries and timeouts. Each method returns a Promise, and takes an optional ````options````
+ * argument, whose ````signal```` can abort the requests.
+ *
+ * ````javascript
+ * const connector = new BCFAPIConnector({
+ *     url: "https://cde.example.com",
+ *     getAccessToken: () => auth.token
+ * });
+ *
+ * const topics = await connector.pullTopics("Duplex");
+ *
+ * topics[0].topic_status = "Closed";
+ * topics[0].modified_date = new Date().toISOString();
+ *
+ * await connector.pushTopics("Duplex", topics);
+ * ````
+ *
+ * A BIMViewer syncs its issues, and the BCF topics listed in its Issues tab, through a connector with
+ * {@link BIMViewer#syncBCFTopics}.
+ */
+class BCFAPIConnector {
+
+    /**
+     * Constructs a BCFAPIConnector.
+     *
+     * @param {*} cfg Connector configuration.
+     * @param {String} cfg.url Base URL of the server, under which the API is at ````/bcf/3.0````, and its versions at ````/foundation/versions````.
+     * @param {Object|Function} [cfg.headers] Headers to add to each request, as for {@link Server}.
+     * @param {Function} [cfg.getAccessToken] Returns, or resolves with, an access token, as for {@link Server}.
+     * @param {Function} [cfg.refreshAccessToken] Refreshes the access token on a ````401```` response, as for {@link Server}.
+     * @param {Number} [cfg.retries=0] Number of times to retry a failed ````GET````, ````PUT```` or ````DELETE```` request, as for {@link Server}.
+     * @param {Number} [cfg.timeout=0] Milliseconds after which each request attempt fails, as for {@link Server}.
+     * @param {Function} [cfg.fetch] Function that makes the requests, with the same signature as ````window.fetch````, which is the default.
+     */
+    constructor(cfg = {}) {
+        if (!cfg.url) {
+            throw "Missing config: url";
+        }
+        this._url = cfg.url.replace(/\/+$/, "");
+        this._requestPipeline = new RequestPipeline(cfg);
+    }
+
+    /**
+     * Adds a request interceptor, as for {@link Server#addRequestInterceptor}.
+     *
+     * @param {Function} interceptor The request interceptor.
+     */
+    addRequestInterceptor(interceptor) {
+        this._requestPipeline.addRequestInterceptor(interceptor);
+    }
+
+    /**
+     * Removes a request interceptor.
+     *
+     * @param {Function} interceptor The request interceptor.
+     */
+    removeRequestInterceptor(interceptor) {
+        this._requestPipeline.removeRequestInterceptor(interceptor);
+    }
+
+    /**
+     * Gets the API versions that the server supports.
+     *
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with ````{versions: [{api_id, version_id, detailed_version}]}````.
+     */
+    getVersions(options = {}) {
+        return this._request("GET", this._url + "/foundation/versions", null, options);
+    }
+
+    /**
+     * Gets the user that the server knows the requests to come from.
+     *
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with ````{id, name}````.
+     */
+    getCurrentUser(options = {}) {
+        return this._request("GET", this._path("current-user"), null, options);
+    }
+
+    /**
+     * Gets the projects that the user can access.
+     *
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the projects, each as ````{project_id, name}````.
+     */
+    getProjects(options = {}) {
+        return this._request("GET", this._path("projects"), null, options);
+    }
+
+    /**
+     * Gets a project.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the project.
+     */
+    getProject(projectId, options = {}) {
+        return this._request("GET", this._path("projects", projectId), null, options);
+    }
+
+    /**
+     * Gets the topic types, statuses, priorities, labels, users and stages that a project allows.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the project extensions.
+     */
+    getProjectExtensions(projectId, options = {}) {
+        return this._request("GET", this._path("projects", projectId, "extensions"), null, options);
+    }
+
+    /**
+     * Gets the topics of a project, without their comments and viewpoints.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the topics.
+     */
+    getTopics(projectId, options = {}) {
+        return this._request("GET", this._path("projects", projectId, "topics"), null, options);
+    }
+
+    /**
+     * Gets a topic, without its comments and viewpoints.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the topic.
+     */
+    getTopic(projectId, topicGuid, options = {}) {
+        return this._request("GET", this._path("projects", projectId, "topics", topicGuid), null, options);
+    }
+
+    /**
+     * Creates a topic.
+     *
+     * Only the fields that a client may set are sent - the server sets the author and dates itself. Comments and
+     * viewpoints are added separately.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Object} topic The topic, which needs a ````title````, and may have the ````guid```` to create it with.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the new topic.
+     */
+    createTopic(projectId, topic, options = {}) {
+        const body = pick(topic, topicFields);
+        if (topic.guid) {
+            body.guid = topic.guid;
+        }
+        return this._request("POST", this._path("projects", projectId, "topics"), body, options);
+    }
+
+    /**
+     * Updates a topic, replacing all the fields that a client may set.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Object} topic The topic.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the updated topic.
+     */
+    updateTopic(projectId, topicGuid, topic, options = {}) {
+        return this._request("PUT", this._path("projects", projectId, "topics", topicGuid), pick(topic, topicFields), options);
+    }
+
+    /**
+     * Deletes a topic, with its comments and viewpoints.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves once the topic is deleted.
+     */
+    deleteTopic(projectId, topicGuid, options = {}) {
+        return this._request("DELETE", this._path("projects", projectId, "topics", topicGuid), null, options);
+    }
+
+    /**
+     * Gets the comments on a topic.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the comments.
+     */
+    getComments(projectId, topicGuid, options = {}) {
+        return this._request("GET", this._path("projects", projectId, "topics", topicGuid, "comments"), null, options);
+    }
+
+    /**
+     * Adds a comment to a topic.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Object} comment The comment, as ````{comment, viewpoint_guid, reply_to_comment_guid}````, and may have
+     * the ````guid```` to create it with.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the new comment.
+     */
+    createComment(projectId, topicGuid, comment, options = {}) {
+        const body = pick(comment, ["guid", "comment", "viewpoint_guid", "reply_to_comment_guid"]);
+        return this._request("POST", this._path("projects", projectId, "topics", topicGuid, "comments"), body, options);
+    }
+
+    /**
+     * Deletes a comment.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {String} commentGuid GUID of the comment.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves once the comment is deleted.
+     */
+    deleteComment(projectId, topicGuid, commentGuid, options = {}) {
+        return this._request("DELETE", this._path("projects", projectId, "topics", topicGuid, "comments", commentGuid), null, options);
+    }
+
+    /**
+     * Gets the viewpoints of a topic, each with its components, snapshot and bitmaps.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the viewpoints.
+     */
+    getViewpoints(projectId, topicGuid, options = {}) {
+        return this._request("GET", this._path("projects", projectId, "topics", topicGuid, "viewpoints"), null, options)
+            .then((viewpoints) => this._sequence(viewpoints, (viewpoint) => this._completeViewpoint(projectId, topicGuid, viewpoint, options)));
+    }
+
+    /**
+     * Gets a viewpoint, with its components, snapshot and bitmaps.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {String} viewpointGuid GUID of the viewpoint.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the viewpoint.
+     */
+    getViewpoint(projectId, topicGuid, viewpointGuid, options = {}) {
+        return this._request("GET", this._path("projects", projectId, "topics", topicGuid, "viewpoints", viewpointGuid), null, options)
+            .then((viewpoint) => this._completeViewpoint(projectId, topicGuid, viewpoint, options));
+    }
+
+    /**
+     * Adds a viewpoint to a topic.
+     *
+     * The viewpoint may be one made by {@link BIMViewer#saveBCFViewpoint}. Viewpoints can't be changed once created.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {Object} viewpoint The viewpoint, which may have the ````guid```` to create it with.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the new viewpoint, as the server returns it, without its components, snapshot and bitmaps.
+     */
+    createViewpoint(projectId, topicGuid, viewpoint, options = {}) {
+        const body = pick(viewpoint, viewpointFields);
+        if (viewpoint.guid) {
+            body.guid = viewpoint.guid;
+        }
+        if (viewpoint.components) {
+            body.components = pick(viewpoint.components, ["selection", "coloring", "visibility"]);
+        }
+        if (viewpoint.bitmaps) {
+            body.bitmaps = viewpoint.bitmaps.map((bitmap) => {
+                return Object.assign(pick(bitmap, ["bitmap_type", "location", "normal", "up", "height"]), {
+                    bitmap_data: dataURLToBase64(bitmap.bitmap_data)
+                });
+            });
+        }
+        if (viewpoint.snapshot && viewpoint.snapshot.snapshot_data) {
+            body.snapshot = {
+                snapshot_type: viewpoint.snapshot.snapshot_type || "png",
+                snapshot_data: dataURLToBase64(viewpoint.snapshot.snapshot_data)
+            };
+        }
+        return this._request("POST", this._path("projects", projectId, "topics", topicGuid, "viewpoints"), body, options);
+    }
+
+    /**
+     * Deletes a viewpoint.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} topicGuid GUID of the topic.
+     * @param {String} viewpointGuid GUID of the viewpoint.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves once the viewpoint is deleted.
+     */
+    deleteViewpoint(projectId, topicGuid, viewpointGuid, options = {}) {
+        return this._request("DELETE", this._path("projects", projectId, "topics", topicGuid, "viewpoints", viewpointGuid), null, options);
+    }
+
+    /**
+     * Gets all the topics of a project, each with its comments and complete viewpoints.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with the topics.
+     */
+    pullTopics(projectId, options = {}) {
+        return this.getTopics(projectId, options)
+            .then((topics) => this._sequence(topics, (topic) => {
+                return this.getComments(projectId, topic.guid, options)
+                    .then((comments) => {
+                        topic.comments = comments;
+                        return this.getViewpoints(projectId, topic.guid, options);
+                    })
+                    .then((viewpoints) => {
+                        topic.viewpoints = viewpoints;
+                        return topic;
+                    });
+            }));
+    }
+
+    /**
+     * Sends topics to a project, with their comments and viewpoints.
+     *
+     * Topics that the project doesn't have yet are created, and those that have been modified since the project's
+     * copy are updated. Comments and viewpoints that the project doesn't have yet are added, matching them by GUID.
+     * Nothing is ever deleted from the project.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Object[]} topics The topics.
+     * @param {Object} [options] Options, as for {@link BCFAPIConnector#getVersions}.
+     * @returns {Promise} Resolves with how many of each were sent, as ````{created, updated, comments, viewpoints}````.
+     */
+    pushTopics(projectId, topics, options = {}) {
+        const result = {created: 0, updated: 0, comments: 0, viewpoints: 0};
+        return this.getTopics(projectId, options)
+            .then((serverTopics) => {
+                const serverTopicsByGuid = {};
+                serverTopics.forEach((serverTopic) => {
+                    serverTopicsByGuid[serverTopic.guid] = serverTopic;
+                });
+                return this._sequence(topics, (topic) => {
+                    const serverTopic = serverTopicsByGuid[topic.guid];
+                    let sent;
+                    if (!serverTopic) {
+                        sent = this.createTopic(projectId, topic, options).then(() => {
+                            result.created++;
+                            return {comments: [], viewpoints: []};
+                        });
+                    } else {
+                        sent = ((getModifiedDate(topic) > getModifiedDate(serverTopic))
+                            ? this.updateTopic(projectId, topic.guid, topic, options).then(() => {
+                                result.updated++;
+                            })
+                            : Promise.resolve())
+                            .then(() => Promise.all([
+                                this.getComments(projectId, topic.guid, options),
+                                this._request("GET", this._path("projects", projectId, "topics", topic.guid, "viewpoints"), null, options)
+                            ]))
+                            .then(([comments, viewpoints]) => {
+                                return {comments, viewpoints};
+                            });
+                    }
+                    return sent.then((existing) => {
+                        const viewpointGuids = new Set(existing.viewpoints.map((viewpoint) => viewpoint.guid));
+                        const commentGuids = new Set(existing.comments.map((comment) => comment.guid));
+                        // Viewpoints first, since comments can refer to them
+                        return this._sequence((topic.viewpoints || []).filter((viewpoint) => !viewpointGuids.has(viewpoint.guid)), (viewpoint) => {
+                            return this.createViewpoint(projectId, topic.guid, viewpoint, options).then(() => {
+                                result.viewpoints++;
+                            });
+                        }).then(() => this._sequence((topic.comments || []).filter((comment) => !commentGuids.has(comment.guid)), (comment) => {
+                            return this.createComment(projectId, topic.guid, comment, options).then(() => {
+                                result.comments++;
+                            });
+                        }));
+                    });
+                });
+            })
+            .then(() => result);
+    }
+
+    /**
+     * Private helper method that gets the components, snapshot and bitmaps of a viewpoint, which the API serves
+     * separately from the viewpoint itself.
+     *
+     * @private
+     */
+    _completeViewpoint(projectId, topicGuid, viewpoint, options) {
+        const path = this._path("projects", projectId, "topics", topicGuid, "viewpoints", viewpoint.guid);
+        const components = {};
+        return Promise.all([
+            this._request("GET", path + "/selection", null, options).then((json) => {
+                components.selection = json.selection;
+            }),
+            this._request("GET", path + "/coloring", null, options).then((json) => {
+                components.coloring = json.coloring;
+            }),
+            this._request("GET", path + "/visibility", null, options).then((json) => {
+                components.visibility = json.visibility;
+            })
+        ]).then(() => {
+            viewpoint.components = components;
+            if (!viewpoint.snapshot) {
+                return;
+            }
+            const snapshotType = viewpoint.snapshot.snapshot_type || "png";
+            return this._requestImage(path + "/snapshot", snapshotType, options).then((dataURL) => {
+                viewpoint.snapshot = {snapshot_type: snapshotType, snapshot_data: dataURL};
+            });
+        }).then(() => this._sequence(viewpoint.bitmaps || [], (bitmap) => {
+            return this._requestImage(path + "/bitmaps/" + encodeURIComponent(bitmap.guid), bitmap.bitmap_type, options).then((dataURL) => {
+                bitmap.bitmap_data = dataURL;
+            });
+        })).then(() => viewpoint);
+    }
+
+    /**
+     * Private helper method that applies an asynchronous function to each item of an array, one at a time.
+     *
+     * @private
+     */
+    _sequence(items, fn) {
+        const results = [];
+        return items.reduce((promise, item) => {
+            return promise.then(() => fn(item)).then((result) => {
+                results.push(result);
+            });
+        }, Promise.resolve()).then(() => results);
+    }
+
+    /**
+     * @private
+     */
+    _path(...segments) {
+        return this._url + "/bcf/3.0/" + segments.map((segment) => encodeURIComponent(segment)).join("/");
+    }
+
+    /**
+     * Private helper method that fetches a URL through the request pipeline, and checks the response.
+     *
+     * @private
+     */
+    _fetch(method, url, body, options) {
+        return this._requestPipeline.fetch(url, {
+            signal: options.signal || null,
+            method,
+            headers: (body !== null) ? {"Content-Type": "application/json"} : {},
+            body: (body !== null) ? JSON.stringify(body) : undefined
+        }).then((response) => {
+            if (!response.ok) {
+                const message = "Failed to " + method + " " + url + ": " + response.status + " " + response.statusText;
+                return response.json().then((json) => json.message || (json.error && json.error.message), () => null).then((reason) => {
+                    throw new Error(reason ? (message + " - " + reason) : message);
+                });
+            }
+            return response;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _request(method, url, body, options) {
+        return this._fetch(method, url, body, options)
+            .then((response) => (response.status === 204) ? null : response.json());
+    }
+
+    /**
+     * @private
+     */
+    _requestImage(url, imageType, options) {
+        return this._fetch("GET", url, null, options)
+            .then((response) => response.arrayBuffer())
+            .then((arrayBuffer) => bytesToDataURL(new Uint8Array(arrayBuffer), imageType));
+    }
+}
+
+export {BCFAPIConnector};
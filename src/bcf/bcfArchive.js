@@ -0,0 +1,553 @@
+import {readZip, writeZip} from "./zip.js";
+import {bytesToDataURL, dataURLToBytes} from "./dataURLs.js";
+import {createGuid, isGuid} from "./guids.js";
+
+/**
+ * Reads and writes BCF-XML archives (````.bcf```` / ````.bcfzip````), in versions 2.1 and 3.0.
+ *
+ * Topics are given as JSON objects, named like the topics of the BCF API, with their comments and viewpoints
+ * inline:
+ *
+ * ````javascript
+ * {
+ *     guid, topic_type, topic_status, title, priority, index, labels, reference_links,
+ *     creation_date, creation_author, modified_date, modified_author, due_date, assigned_to, stage, description,
+ *     comments: [{ guid, date, author, comment, viewpoint_guid, modified_date, modified_author }],
+ *     viewpoints: [{ guid, index, perspective_camera, orthogonal_camera, lines, clipping_planes, bitmaps, components, snapshot }]
+ * }
+ * ````
+ *
+ * Viewpoints are BCF JSON viewpoints, as loaded by {@link BIMViewer#loadBCFViewpoint}, whose snapshots and bitmaps
+ * are data URLs.
+ *
+ * @private
+ */
+
+const supportedVersions = ["2.1", "3.0"];
+
+const textDecoder = new TextDecoder();
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+function getImageType(fileName) {
+    const extension = fileName.substring(fileName.lastIndexOf(".") + 1).toLowerCase();
+    return (extension === "jpeg") ? "jpg" : extension;
+}
+
+//----------------------------------------------------------------------------------------------------------------------
+// Reading
+//----------------------------------------------------------------------------------------------------------------------
+
+function parseXML(bytes, path) {
+    const doc = new DOMParser().parseFromString(textDecoder.decode(bytes), "application/xml");
+    const root = doc.documentElement;
+    if (!root || root.nodeName === "parsererror" || doc.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("Invalid XML in BCF archive: '" + path + "'");
+    }
+    return root;
+}
+
+function getChildren(element, name) {
+    const children = [];
+    if (element) {
+        for (let node = element.firstChild; node; node = node.nextSibling) {
+            if (node.nodeType === 1 && (node.localName || node.nodeName) === name) {
+                children.push(node);
+            }
+        }
+    }
+    return children;
+}
+
+function getChild(element, name) {
+    return getChildren(element, name)[0] || null;
+}
+
+function getText(element, name) {
+    const child = getChild(element, name);
+    return child ? child.textContent.trim() : undefined;
+}
+
+function getAttribute(element, name) {
+    return (element && element.hasAttribute(name)) ? element.getAttribute(name) : undefined;
+}
+
+function getNumber(element, name) {
+    const text = getText(element, name);
+    return (text !== undefined && text !== "") ? parseFloat(text) : undefined;
+}
+
+function getBoolean(value) {
+    return (value === "true" || value === "1");
+}
+
+function getVector(element) {
+    return element ? {
+        x: getNumber(element, "X"),
+        y: getNumber(element, "Y"),
+        z: getNumber(element, "Z")
+    } : undefined;
+}
+
+/**
+ * Texts of elements that BCF 2.1 repeats, and BCF 3.0 wraps in a list element, eg. ````<Labels>```` and ````<Label>````.
+ */
+function getTexts(element, name, itemName) {
+    const texts = [];
+    getChildren(element, name).forEach((child) => {
+        const items = getChildren(child, itemName);
+        if (items.length > 0) {
+            items.forEach((item) => texts.push(item.textContent.trim()));
+        } else {
+            texts.push(child.textContent.trim());
+        }
+    });
+    return texts;
+}
+
+function set(object, name, value) {
+    if (value !== undefined && value !== "" && !(typeof value === "number" && isNaN(value))) {
+        object[name] = value;
+    }
+    return object;
+}
+
+function readComponent(element) {
+    const component = {};
+    set(component, "ifc_guid", getAttribute(element, "IfcGuid"));
+    set(component, "originating_system", getText(element, "OriginatingSystem"));
+    set(component, "authoring_tool_id", getText(element, "AuthoringToolId"));
+    return component;
+}
+
+function readComponents(element) {
+    return getChildren(element, "Component").map(readComponent);
+}
+
+function readCamera(element, scaleName) {
+    const camera = {
+        camera_view_point: getVector(getChild(element, "CameraViewPoint")),
+        camera_direction: getVector(getChild(element, "CameraDirection")),
+        camera_up_vector: getVector(getChild(element, "CameraUpVector"))
+    };
+    set(camera, scaleName === "FieldOfView" ? "field_of_view" : "view_to_world_scale", getNumber(element, scaleName));
+    set(camera, "aspect_ratio", getNumber(element, "AspectRatio"));
+    return camera;
+}
+
+function readVisualizationInfo(root, dir, files) {
+    const viewpoint = {};
+    const componentsElement = getChild(root, "Components");
+    if (componentsElement) {
+        const visibilityElement = getChild(componentsElement, "Visibility");
+        const hintsElement = getChild(componentsElement, "ViewSetupHints") || getChild(visibilityElement, "ViewSetupHints");
+        const visibility = {
+            default_visibility: getAttribute(visibilityElement, "DefaultVisibility") !== "false",
+            exceptions: readComponents(getChild(visibilityElement, "Exceptions"))
+        };
+        if (hintsElement) {
+            visibility.view_setup_hints = {
+                spaces_visible: getBoolean(getAttribute(hintsElement, "SpacesVisible")),
+                space_boundaries_visible: getBoolean(getAttribute(hintsElement, "SpaceBoundariesVisible")),
+                openings_visible: getBoolean(getAttribute(hintsElement, "OpeningsVisible"))
+            };
+        }
+        viewpoint.components = {
+            selection: readComponents(getChild(componentsElement, "Selection")),
+            visibility,
+            coloring: getChildren(getChild(componentsElement, "Coloring"), "Color").map((colorElement) => {
+                return {
+                    color: getAttribute(colorElement, "Color"),
+                    components: readComponents(colorElement)
+                };
+            })
+        };
+    }
+    const perspectiveElement = getChild(root, "PerspectiveCamera");
+    if (perspectiveElement) {
+        viewpoint.perspective_camera = readCamera(perspectiveElement, "FieldOfView");
+    }
+    const orthogonalElement = getChild(root, "OrthogonalCamera");
+    if (orthogonalElement) {
+        viewpoint.orthogonal_camera = readCamera(orthogonalElement, "ViewToWorldScale");
+    }
+    const lineElements = getChildren(getChild(root, "Lines"), "Line");
+    if (lineElements.length > 0) {
+        viewpoint.lines = lineElements.map((lineElement) => {
+            return {
+                start_point: getVector(getChild(lineElement, "StartPoint")),
+                end_point: getVector(getChild(lineElement, "EndPoint"))
+            };
+        });
+    }
+    const planeElements = getChildren(getChild(root, "ClippingPlanes"), "ClippingPlane");
+    if (planeElements.length > 0) {
+        viewpoint.clipping_planes = planeElements.map((planeElement) => {
+            return {
+                location: getVector(getChild(planeElement, "Location")),
+                direction: getVector(getChild(planeElement, "Direction"))
+            };
+        });
+    }
+    const bitmapElements = getChildren(root, "Bitmap").concat(getChildren(getChild(root, "Bitmaps"), "Bitmap"));
+    const bitmaps = [];
+    bitmapElements.forEach((bitmapElement) => {
+        const reference = getText(bitmapElement, "Reference");
+        const bytes = reference ? files[dir + reference] : null;
+        if (!bytes) {
+            return; // Only bitmaps within the archive
+        }
+        const bitmapType = (getText(bitmapElement, "Format") || getText(bitmapElement, "Bitmap") || getImageType(reference)).toLowerCase();
+        bitmaps.push({
+            bitmap_type: bitmapType,
+            bitmap_data: bytesToDataURL(bytes, bitmapType),
+            location: getVector(getChild(bitmapElement, "Location")),
+            normal: getVector(getChild(bitmapElement, "Normal")),
+            up: getVector(getChild(bitmapElement, "Up")),
+            height: getNumber(bitmapElement, "Height")
+        });
+    });
+    if (bitmaps.length > 0) {
+        viewpoint.bitmaps = bitmaps;
+    }
+    return viewpoint;
+}
+
+function readViewpoint(viewpointElement, dir, files) {
+    const viewpointFile = getText(viewpointElement, "Viewpoint");
+    const snapshotFile = getText(viewpointElement, "Snapshot");
+    const visualizationInfo = viewpointFile ? files[dir + viewpointFile] : null;
+    if (!visualizationInfo) {
+        return null;
+    }
+    const viewpoint = readVisualizationInfo(parseXML(visualizationInfo, dir + viewpointFile), dir, files);
+    viewpoint.guid = getAttribute(viewpointElement, "Guid") || createGuid();
+    set(viewpoint, "index", getNumber(viewpointElement, "Index"));
+    const snapshot = snapshotFile ? files[dir + snapshotFile] : null;
+    if (snapshot) {
+        const snapshotType = getImageType(snapshotFile);
+        viewpoint.snapshot = {
+            snapshot_type: snapshotType,
+            snapshot_data: bytesToDataURL(snapshot, snapshotType)
+        };
+    }
+    return viewpoint;
+}
+
+function readComment(commentElement) {
+    const comment = {guid: getAttribute(commentElement, "Guid") || createGuid()};
+    set(comment, "date", getText(commentElement, "Date"));
+    set(comment, "author", getText(commentElement, "Author"));
+    set(comment, "comment", getText(commentElement, "Comment"));
+    set(comment, "viewpoint_guid", getAttribute(getChild(commentElement, "Viewpoint"), "Guid"));
+    set(comment, "modified_date", getText(commentElement, "ModifiedDate"));
+    set(comment, "modified_author", getText(commentElement, "ModifiedAuthor"));
+    return comment;
+}
+
+function readTopic(root, dir, files) {
+    const topicElement = getChild(root, "Topic");
+    if (!topicElement) {
+        throw new Error("BCF markup has no topic: '" + dir + "markup.bcf'");
+    }
+    const topic = {guid: getAttribute(topicElement, "Guid") || dir.replace(/\/$/, "")};
+    set(topic, "topic_type", getAttribute(topicElement, "TopicType"));
+    set(topic, "topic_status", getAttribute(topicElement, "TopicStatus"));
+    set(topic, "title", getText(topicElement, "Title"));
+    set(topic, "priority", getText(topicElement, "Priority"));
+    set(topic, "index", getNumber(topicElement, "Index"));
+    set(topic, "creation_date", getText(topicElement, "CreationDate"));
+    set(topic, "creation_author", getText(topicElement, "CreationAuthor"));
+    set(topic, "modified_date", getText(topicElement, "ModifiedDate"));
+    set(topic, "modified_author", getText(topicElement, "ModifiedAuthor"));
+    set(topic, "due_date", getText(topicElement, "DueDate"));
+    set(topic, "assigned_to", getText(topicElement, "AssignedTo"));
+    set(topic, "stage", getText(topicElement, "Stage"));
+    set(topic, "description", getText(topicElement, "Description"));
+    topic.labels = getTexts(topicElement, "Labels", "Label");
+    topic.reference_links = getChildren(topicElement, "ReferenceLink").map((element) => element.textContent.trim())
+        .concat(getTexts(topicElement, "ReferenceLinks", "ReferenceLink"));
+
+    // BCF 2.1 has comments and viewpoints next to the topic, and BCF 3.0 has them within it
+
+    const commentElements = getChildren(root, "Comment").concat(getChildren(getChild(topicElement, "Comments"), "Comment"));
+    topic.comments = commentElements.map(readComment);
+
+    const viewpointsElement = getChild(topicElement, "Viewpoints");
+    const viewpointElements = getChildren(root, "Viewpoints")
+        .concat(getChildren(viewpointsElement, "ViewPoint"))
+        .concat(getChildren(viewpointsElement, "Viewpoint")); // Written by some tools
+    topic.viewpoints = [];
+    viewpointElements.forEach((viewpointElement) => {
+        const viewpoint = readViewpoint(viewpointElement, dir, files);
+        if (viewpoint) {
+            topic.viewpoints.push(viewpoint);
+        }
+    });
+    if (viewpointElements.length === 0 && files[dir + "viewpoint.bcfv"]) { // Markup from BCF 1.0 doesn't list its viewpoint
+        const viewpoint = readVisualizationInfo(parseXML(files[dir + "viewpoint.bcfv"], dir + "viewpoint.bcfv"), dir, files);
+        viewpoint.guid = createGuid();
+        if (files[dir + "snapshot.png"]) {
+            viewpoint.snapshot = {snapshot_type: "png", snapshot_data: bytesToDataURL(files[dir + "snapshot.png"], "png")};
+        }
+        topic.viewpoints.push(viewpoint);
+    }
+    return topic;
+}
+
+/**
+ * Reads the topics in a BCF-XML archive.
+ *
+ * @private
+ * @param {ArrayBuffer|Uint8Array} data The archive.
+ * @returns {Promise<{version: String, project: (Object|null), topics: Object[]}>} Resolves with the archive's BCF
+ * version, its project as ````{project_id, name}```` if it has one, and its topics, as described above.
+ */
+function readBCFArchive(data) {
+    return readZip(data).then((files) => {
+        const markupPaths = Object.keys(files).filter((path) => /(^|\/)markup\.bcf$/.test(path));
+        if (!files["bcf.version"] && markupPaths.length === 0) {
+            throw new Error("Not a BCF archive");
+        }
+        let version = "2.1";
+        if (files["bcf.version"]) {
+            const versionElement = parseXML(files["bcf.version"], "bcf.version");
+            version = getAttribute(versionElement, "VersionId") || getText(versionElement, "DetailedVersion") || version;
+        }
+        let project = null;
+        if (files["project.bcfp"]) {
+            const projectElement = getChild(parseXML(files["project.bcfp"], "project.bcfp"), "Project");
+            if (projectElement) {
+                project = {project_id: getAttribute(projectElement, "ProjectId")};
+                set(project, "name", getText(projectElement, "Name"));
+            }
+        }
+        const topics = markupPaths.sort().map((path) => {
+            const dir = path.substring(0, path.length - "markup.bcf".length);
+            return readTopic(parseXML(files[path], path), dir, files);
+        });
+        topics.sort((a, b) => (a.index !== undefined && b.index !== undefined) ? a.index - b.index : 0);
+        return {version, project, topics};
+    });
+}
+
+//----------------------------------------------------------------------------------------------------------------------
+// Writing
+//----------------------------------------------------------------------------------------------------------------------
+
+function escapeXML(value) {
+    return String(value).replace(/[&<>"']/g, (c) => {
+        return {"&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;"}[c];
+    });
+}
+
+function schemaAttributes(schema, attributes) {
+    return Object.assign({}, attributes, {
+        "xmlns:xsi": "http://www.w3.org/2001/XMLSchema-instance",
+        "xsi:noNamespaceSchemaLocation": schema
+    });
+}
+
+/**
+ * An element, with any attributes that aren't undefined, and content that's already XML.
+ */
+function xmlElement(name, attributes, content) {
+    let xml = "<" + name;
+    for (let attributeName in attributes) {
+        const value = attributes[attributeName];
+        if (value !== undefined && value !== null) {
+            xml += " " + attributeName + "=\"" + escapeXML(value) + "\"";
+        }
+    }
+    return (content === undefined || content === "") ? xml + "/>" : xml + ">" + content + "</" + name + ">";
+}
+
+/**
+ * An element containing a text, or nothing if the text is undefined or empty.
+ */
+function xmlText(name, value) {
+    return (value === undefined || value === null || value === "") ? "" : "<" + name + ">" + escapeXML(value) + "</" + name + ">";
+}
+
+function writeVector(name, vector) {
+    return vector ? xmlElement(name, null, xmlText("X", vector.x) + xmlText("Y", vector.y) + xmlText("Z", vector.z)) : "";
+}
+
+function writeComponents(name, components) {
+    return (components && components.length > 0) ? xmlElement(name, null, components.map(writeComponent).join("")) : "";
+}
+
+function writeComponent(component) {
+    return xmlElement("Component", {IfcGuid: component.ifc_guid},
+        xmlText("OriginatingSystem", component.originating_system) + xmlText("AuthoringToolId", component.authoring_tool_id));
+}
+
+function writeCamera(name, camera, version) {
+    const scale = (name === "PerspectiveCamera")
+        ? xmlText("FieldOfView", camera.field_of_view)
+        : xmlText("ViewToWorldScale", camera.view_to_world_scale);
+    const aspectRatio = (version === "3.0") ? xmlText("AspectRatio", camera.aspect_ratio || 1) : "";
+    return xmlElement(name, null,
+        writeVector("CameraViewPoint", camera.camera_view_point) +
+        writeVector("CameraDirection", camera.camera_direction) +
+        writeVector("CameraUpVector", camera.camera_up_vector) +
+        scale + aspectRatio);
+}
+
+function writeVisualizationInfo(viewpoint, version, addFile, bitmapPrefix) {
+    const components = viewpoint.components || {};
+    const visibility = components.visibility || {};
+    const hints = visibility.view_setup_hints;
+    const hintsXML = hints ? xmlElement("ViewSetupHints", {
+        SpacesVisible: !!hints.spaces_visible,
+        SpaceBoundariesVisible: !!hints.space_boundaries_visible,
+        OpeningsVisible: !!hints.openings_visible
+    }) : "";
+    const visibilityXML = xmlElement("Visibility", {DefaultVisibility: visibility.default_visibility !== false},
+        (version === "3.0" ? hintsXML : "") + writeComponents("Exceptions", visibility.exceptions));
+    const coloring = components.coloring || [];
+    const coloringXML = (coloring.length > 0) ? xmlElement("Coloring", null, coloring.map((color) => {
+        return xmlElement("Color", {Color: color.color}, (color.components || []).map(writeComponent).join(""));
+    }).join("")) : "";
+    let xml = xmlElement("Components", null,
+        (version === "3.0" ? "" : hintsXML) +
+        writeComponents("Selection", components.selection) +
+        visibilityXML +
+        coloringXML);
+    if (viewpoint.orthogonal_camera) {
+        xml += writeCamera("OrthogonalCamera", viewpoint.orthogonal_camera, version);
+    }
+    if (viewpoint.perspective_camera) {
+        xml += writeCamera("PerspectiveCamera", viewpoint.perspective_camera, version);
+    }
+    if (viewpoint.lines && viewpoint.lines.length > 0) {
+        xml += xmlElement("Lines", null, viewpoint.lines.map((line) => {
+            return xmlElement("Line", null, writeVector("StartPoint", line.start_point) + writeVector("EndPoint", line.end_point));
+        }).join(""));
+    }
+    if (viewpoint.clipping_planes && viewpoint.clipping_planes.length > 0) {
+        xml += xmlElement("ClippingPlanes", null, viewpoint.clipping_planes.map((plane) => {
+            return xmlElement("ClippingPlane", null, writeVector("Location", plane.location) + writeVector("Direction", plane.direction));
+        }).join(""));
+    }
+    const bitmaps = (viewpoint.bitmaps || []).map((bitmap, i) => {
+        const bitmapType = (bitmap.bitmap_type === "jpeg") ? "jpg" : (bitmap.bitmap_type || "png");
+        const reference = bitmapPrefix + i + "." + bitmapType;
+        addFile(reference, dataURLToBytes(bitmap.bitmap_data));
+        return xmlElement("Bitmap", null,
+            xmlText(version === "3.0" ? "Format" : "Bitmap", version === "3.0" ? bitmapType : bitmapType.toUpperCase()) +
+            xmlText("Reference", reference) +
+            writeVector("Location", bitmap.location) +
+            writeVector("Normal", bitmap.normal) +
+            writeVector("Up", bitmap.up) +
+            xmlText("Height", bitmap.height));
+    }).join("");
+    if (bitmaps) {
+        xml += (version === "3.0") ? xmlElement("Bitmaps", null, bitmaps) : bitmaps;
+    }
+    return XML_DECLARATION + xmlElement("VisualizationInfo", schemaAttributes("visinfo.xsd", {Guid: viewpoint.guid}), xml);
+}
+
+function writeTopic(topic, version, options, addFile) {
+    const now = new Date().toISOString();
+    const guid = isGuid(topic.guid) ? topic.guid : createGuid();
+    const dir = guid + "/";
+    const addTopicFile = (name, data) => addFile(dir + name, data);
+    const viewpointGuids = {}; // GUIDs written for viewpoints, mapped to their given GUIDs, for comments to refer to
+    const viewpointsXML = (topic.viewpoints || []).map((viewpoint, i) => {
+        const viewpointGuid = isGuid(viewpoint.guid) ? viewpoint.guid : createGuid();
+        if (viewpoint.guid !== undefined) {
+            viewpointGuids[viewpoint.guid] = viewpointGuid;
+        }
+        const viewpointFile = (i === 0) ? "viewpoint.bcfv" : viewpointGuid + ".bcfv";
+        addTopicFile(viewpointFile, writeVisualizationInfo(Object.assign({}, viewpoint, {guid: viewpointGuid}), version, addTopicFile, viewpointGuid + "_bitmap_"));
+        let snapshotFile;
+        if (viewpoint.snapshot && viewpoint.snapshot.snapshot_data) {
+            const snapshotType = (viewpoint.snapshot.snapshot_type === "jpeg") ? "jpg" : (viewpoint.snapshot.snapshot_type || "png");
+            snapshotFile = ((i === 0) ? "snapshot." : viewpointGuid + ".") + snapshotType;
+            addTopicFile(snapshotFile, dataURLToBytes(viewpoint.snapshot.snapshot_data));
+        }
+        return xmlElement((version === "3.0") ? "ViewPoint" : "Viewpoints", {Guid: viewpointGuid},
+            xmlText("Viewpoint", viewpointFile) + xmlText("Snapshot", snapshotFile) + xmlText("Index", viewpoint.index !== undefined ? viewpoint.index : i));
+    });
+    const commentsXML = (topic.comments || []).map((comment) => {
+        const viewpointGuid = viewpointGuids[comment.viewpoint_guid];
+        return xmlElement("Comment", {Guid: isGuid(comment.guid) ? comment.guid : createGuid()},
+            xmlText("Date", comment.date || now) +
+            xmlText("Author", comment.author || options.author) +
+            xmlText("Comment", comment.comment || "") +
+            (viewpointGuid ? xmlElement("Viewpoint", {Guid: viewpointGuid}) : "") +
+            xmlText("ModifiedDate", comment.modified_date) +
+            xmlText("ModifiedAuthor", comment.modified_author));
+    });
+    const labels = topic.labels || [];
+    const referenceLinks = topic.reference_links || [];
+    const topicXML =
+        (version === "3.0"
+            ? ((referenceLinks.length > 0) ? xmlElement("ReferenceLinks", null, referenceLinks.map((link) => xmlText("ReferenceLink", link)).join("")) : "")
+            : referenceLinks.map((link) => xmlText("ReferenceLink", link)).join("")) +
+        xmlText("Title", topic.title || guid) +
+        xmlText("Priority", topic.priority) +
+        xmlText("Index", topic.index) +
+        (version === "3.0"
+            ? ((labels.length > 0) ? xmlElement("Labels", null, labels.map((label) => xmlText("Label", label)).join("")) : "")
+            : labels.map((label) => xmlText("Labels", label)).join("")) +
+        xmlText("CreationDate", topic.creation_date || now) +
+        xmlText("CreationAuthor", topic.creation_author || options.author) +
+        xmlText("ModifiedDate", topic.modified_date) +
+        xmlText("ModifiedAuthor", topic.modified_author) +
+        xmlText("DueDate", topic.due_date) +
+        xmlText("AssignedTo", topic.assigned_to) +
+        xmlText("Stage", topic.stage) +
+        xmlText("Description", topic.description) +
+        ((version === "3.0" && commentsXML.length > 0) ? xmlElement("Comments", null, commentsXML.join("")) : "") +
+        ((version === "3.0" && viewpointsXML.length > 0) ? xmlElement("Viewpoints", null, viewpointsXML.join("")) : "");
+    const topicAttributes = {
+        Guid: guid,
+        TopicType: topic.topic_type || ((version === "3.0") ? "Issue" : undefined),
+        TopicStatus: topic.topic_status || ((version === "3.0") ? "Open" : undefined)
+    };
+    let markupXML = xmlElement("Topic", topicAttributes, topicXML);
+    if (version !== "3.0") {
+        markupXML += commentsXML.join("") + viewpointsXML.join("");
+    }
+    addFile(dir + "markup.bcf", XML_DECLARATION + xmlElement("Markup", schemaAttributes("markup.xsd"), markupXML));
+}
+
+/**
+ * Writes topics to a BCF-XML archive.
+ *
+ * Topics, comments and viewpoints whose GUIDs aren't UUIDs, as BCF requires, are given new GUIDs.
+ *
+ * @private
+ * @param {Object} bcf What to write.
+ * @param {Object[]} bcf.topics The topics, as described above.
+ * @param {Object} [bcf.project] The project, as ````{project_id, name}````.
+ * @param {Object} [options] Options.
+ * @param {String} [options.version="2.1"] BCF version to write, either ````"2.1"```` or ````"3.0"````.
+ * @param {String} [options.author="xeokit-bim-viewer"] Author of topics and comments that have none, since BCF requires one.
+ * @returns {Promise<Uint8Array>} Resolves with the archive.
+ */
+function writeBCFArchive(bcf, options = {}) {
+    return Promise.resolve().then(() => {
+        const version = options.version || "2.1";
+        if (supportedVersions.indexOf(version) === -1) {
+            throw new Error("Unsupported BCF version: '" + version + "' - supported versions are " + supportedVersions.join(", "));
+        }
+        const writeOptions = {author: options.author || "xeokit-bim-viewer"};
+        const entries = [];
+        const addFile = (name, data) => entries.push({name, data});
+        addFile("bcf.version", XML_DECLARATION + xmlElement("Version", schemaAttributes("version.xsd", {VersionId: version}),
+            (version === "3.0") ? "" : xmlText("DetailedVersion", version)));
+        if (bcf.project) {
+            const projectXML = xmlElement("Project", {ProjectId: isGuid(bcf.project.project_id) ? bcf.project.project_id : createGuid()}, xmlText("Name", bcf.project.name));
+            addFile("project.bcfp", XML_DECLARATION + ((version === "3.0")
+                ? xmlElement("ProjectInfo", null, projectXML)
+                : xmlElement("ProjectExtension", null, projectXML + xmlElement("ExtensionSchema"))));
+        }
+        (bcf.topics || []).forEach((topic) => writeTopic(topic, version, writeOptions, addFile));
+        return writeZip(entries);
+    });
+}
+
+export {readBCFArchive, writeBCFArchive};
@@ -0,0 +1,58 @@
+/**
+ * Converts between the data URLs in which BCF JSON viewpoints hold their snapshots and bitmaps, and the images
+ * that BCF-XML archives and the BCF API exchange them as.
+ *
+ * @private
+ */
+
+const imageTypes = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg"
+};
+
+function bytesToBase64(bytes) {
+    let binary = "";
+    for (let i = 0, len = bytes.length; i < len; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @private
+ * @param {Uint8Array} bytes The image.
+ * @param {String} imageType BCF image type, eg. ````"png"````.
+ * @returns {String} The data URL.
+ */
+function bytesToDataURL(bytes, imageType) {
+    return "data:" + (imageTypes[String(imageType).toLowerCase()] || "application/octet-stream") + ";base64," + bytesToBase64(bytes);
+}
+
+/**
+ * Gets the base64 data of a data URL, which is also what the BCF API exchanges images as.
+ *
+ * @private
+ * @param {String} dataURL The data URL, or already just base64 data.
+ * @returns {String} The base64 data.
+ */
+function dataURLToBase64(dataURL) {
+    const comma = dataURL.indexOf(",");
+    return (dataURL.startsWith("data:") && comma !== -1) ? dataURL.substring(comma + 1) : dataURL;
+}
+
+/**
+ * @private
+ * @param {String} dataURL The data URL, or already just base64 data.
+ * @returns {Uint8Array} The image.
+ */
+function dataURLToBytes(dataURL) {
+    const binary = atob(dataURLToBase64(dataURL));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0, len = binary.length; i < len; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export {bytesToDataURL, dataURLToBase64, dataURLToBytes};
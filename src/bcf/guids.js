@@ -0,0 +1,40 @@
+/**
+ * Creates and derives the UUIDs that BCF uses as the GUIDs of projects, topics, comments and viewpoints.
+ *
+ * @private
+ */
+
+function createGuid() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+        const r = Math.random() * 16 | 0;
+        return (c === "x" ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+function isGuid(value) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+}
+
+/**
+ * Derives a UUID from a name, so that things whose IDs aren't UUIDs, such as issues and clashes, get the same BCF
+ * GUID every time they're exported or synced. It's a version 8 UUID, made of four FNV-1a hashes of the name.
+ */
+function nameToGuid(name) {
+    const hex = [0x811c9dc5, 0x9e3779b9, 0x6a09e667, 0xbb67ae85].map((seed) => {
+        let hash = seed;
+        for (let i = 0, len = name.length; i < len; i++) {
+            hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+        }
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b); // Mix, so that similar names get dissimilar GUIDs
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return (hash >>> 0).toString(16).padStart(8, "0");
+    }).join("");
+    return hex.substring(0, 8) + "-" + hex.substring(8, 12) + "-8" + hex.substring(13, 16) + "-"
+        + ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16) + hex.substring(17, 20) + "-" + hex.substring(20);
+}
+
+export {createGuid, isGuid, nameToGuid};
@@ -0,0 +1,191 @@
+/**
+ * Reads and writes the zip archives that BCF-XML is exchanged in.
+ *
+ * Supports stored and deflated entries, which covers the archives written by the usual BCF tools. Deflating and
+ * inflating is done with the native ````CompressionStream```` and ````DecompressionStream````, so there's nothing
+ * to bundle. ZIP64 archives, and encrypted entries, are not supported.
+ *
+ * @private
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+const UTF8_NAMES = 0x0800; // General purpose flag for UTF-8 entry names
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0, len = bytes.length; i < len; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function transform(bytes, stream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream))
+        .arrayBuffer()
+        .then((arrayBuffer) => new Uint8Array(arrayBuffer));
+}
+
+function findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF); // The record ends with a comment of up to 64K
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+    throw new Error("Not a zip archive");
+}
+
+/**
+ * Reads the files in a zip archive.
+ *
+ * @private
+ * @param {ArrayBuffer|Uint8Array} data The archive.
+ * @returns {Promise<Object>} Resolves with the contents of each file, as a Uint8Array, mapped to its path within the archive.
+ */
+function readZip(data) {
+    return Promise.resolve().then(() => {
+        const bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const eocdOffset = findEndOfCentralDirectory(view);
+        const numEntries = view.getUint16(eocdOffset + 10, true);
+        let offset = view.getUint32(eocdOffset + 16, true);
+        if (offset === 0xFFFFFFFF || numEntries === 0xFFFF) {
+            throw new Error("ZIP64 archives are not supported");
+        }
+        const files = {};
+        const inflates = [];
+        for (let i = 0; i < numEntries; i++) {
+            if (offset + 46 > bytes.byteLength || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error("Corrupt zip archive");
+            }
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localHeaderOffset = view.getUint32(offset + 42, true);
+            const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+            if (name.endsWith("/")) {
+                continue; // Directory
+            }
+            if (flags & 0x0001) {
+                throw new Error("Encrypted zip entries are not supported: '" + name + "'");
+            }
+            if (compressedSize === 0xFFFFFFFF || localHeaderOffset === 0xFFFFFFFF) {
+                throw new Error("ZIP64 archives are not supported");
+            }
+            if (view.getUint32(localHeaderOffset, true) !== LOCAL_FILE_HEADER) {
+                throw new Error("Corrupt zip archive");
+            }
+            const dataOffset = localHeaderOffset + 30
+                + view.getUint16(localHeaderOffset + 26, true)
+                + view.getUint16(localHeaderOffset + 28, true);
+            const compressed = bytes.subarray(dataOffset, dataOffset + compressedSize);
+            if (method === STORED) {
+                files[name] = compressed.slice();
+            } else if (method === DEFLATED) {
+                inflates.push(transform(compressed, new DecompressionStream("deflate-raw")).then((inflated) => {
+                    files[name] = inflated;
+                }));
+            } else {
+                throw new Error("Unsupported zip compression method " + method + ": '" + name + "'");
+            }
+        }
+        return Promise.all(inflates).then(() => files);
+    });
+}
+
+/**
+ * Writes files to a zip archive.
+ *
+ * Files are deflated where ````CompressionStream```` is available, and stored otherwise.
+ *
+ * @private
+ * @param {Object[]} entries The files, each as ````{name, data}````, where ````data```` is a String or a Uint8Array.
+ * @returns {Promise<Uint8Array>} Resolves with the archive.
+ */
+function writeZip(entries) {
+    const deflate = (typeof CompressionStream !== "undefined");
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    return Promise.all(entries.map((entry) => {
+        const data = (typeof entry.data === "string") ? textEncoder.encode(entry.data) : entry.data;
+        const compressed = deflate ? transform(data, new CompressionStream("deflate-raw")) : Promise.resolve(data);
+        return compressed.then((compressed) => {
+            return {
+                name: textEncoder.encode(entry.name),
+                method: deflate ? DEFLATED : STORED,
+                crc: crc32(data),
+                size: data.byteLength,
+                compressed
+            };
+        });
+    })).then((files) => {
+        let localSize = 0;
+        let centralSize = 0;
+        files.forEach((file) => {
+            localSize += 30 + file.name.byteLength + file.compressed.byteLength;
+            centralSize += 46 + file.name.byteLength;
+        });
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let localOffset = 0;
+        let centralOffset = localSize;
+        const writeHeader = (offset, file) => { // Fields shared by the local and central headers, from "version needed"
+            view.setUint16(offset, 20, true);
+            view.setUint16(offset + 2, UTF8_NAMES, true);
+            view.setUint16(offset + 4, file.method, true);
+            view.setUint16(offset + 6, dosTime, true);
+            view.setUint16(offset + 8, dosDate, true);
+            view.setUint32(offset + 10, file.crc, true);
+            view.setUint32(offset + 14, file.compressed.byteLength, true);
+            view.setUint32(offset + 18, file.size, true);
+            view.setUint16(offset + 22, file.name.byteLength, true);
+        };
+        files.forEach((file) => {
+            view.setUint32(localOffset, LOCAL_FILE_HEADER, true);
+            writeHeader(localOffset + 4, file);
+            bytes.set(file.name, localOffset + 30);
+            bytes.set(file.compressed, localOffset + 30 + file.name.byteLength);
+            view.setUint32(centralOffset, CENTRAL_DIRECTORY_HEADER, true);
+            view.setUint16(centralOffset + 4, 20, true); // Version made by
+            writeHeader(centralOffset + 6, file);
+            view.setUint32(centralOffset + 42, localOffset, true);
+            bytes.set(file.name, centralOffset + 46);
+            localOffset += 30 + file.name.byteLength + file.compressed.byteLength;
+            centralOffset += 46 + file.name.byteLength;
+        });
+        view.setUint32(centralOffset, END_OF_CENTRAL_DIRECTORY, true);
+        view.setUint16(centralOffset + 8, files.length, true);
+        view.setUint16(centralOffset + 10, files.length, true);
+        view.setUint32(centralOffset + 12, centralSize, true);
+        view.setUint32(centralOffset + 16, localSize, true);
+        return bytes;
+    });
+}
+
+export {readZip, writeZip};
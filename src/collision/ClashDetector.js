@@ -0,0 +1,541 @@
+import {math} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+import {createAbortError} from "../utils/callbackPromise.js";
+import {
+    countRayCrossings,
+    expandAABB3ByDistance,
+    getAABB3Distance,
+    getTriangleAABB3,
+    getTrianglesDistSquared,
+    intersectAABB3,
+    intersectsAABB3,
+    intersectTriangles
+} from "./collisionMath.js";
+
+const MAX_GRID_CELLS = 32;          // Max cells along each axis of the grid in which the narrow phase sorts triangles
+const CHUNK_TIME = 20;              // Milliseconds of work between yields to the browser
+const DEFAULT_EXCLUDED_TYPES = {    // Types that are excluded from object sets, unless asked for by name
+    IfcSpace: true,
+    IfcOpeningElement: true
+};
+
+const tempAABB3a = new Float64Array(6);
+const tempAABB3b = new Float64Array(6);
+const tempAABB3c = new Float64Array(6);
+const tempAABB3d = new Float64Array(6);
+const tempVec3a = new Float64Array(3);
+const tempVec3b = new Float64Array(3);
+const tempVec3c = new Float64Array(3);
+const rayDirs = [ // Skewed, so that rays are unlikely to run along the edges of axis-aligned geometry
+    new Float64Array([0.31234, 0.75681, 0.57420]),
+    new Float64Array([-0.68397, 0.21658, -0.69660]),
+    new Float64Array([0.47291, -0.83312, 0.28683])
+];
+
+function toSet(values) {
+    return (values && values.length > 0) ? new Set(values) : null;
+}
+
+/**
+ * Gets the ID of a clash from the type of clash and the GUIDs of the two objects, in either order, so that a clash
+ * between the same objects can be matched with the one found by an earlier test, even after the models are updated.
+ */
+function getClashId(type, guidA, guidB) {
+    return type + ":" + ((guidA < guidB) ? (guidA + ":" + guidB) : (guidB + ":" + guidA));
+}
+
+/**
+ * Reads the World-space triangles of an Entity into a triangle soup, with nine coordinates per triangle.
+ *
+ * Triangles are read back from the GPU where the SDK supports that, which doesn't need the Viewer's
+ * ````readableGeometryEnabled````, or else from geometry the Viewer retained. Points and lines are skipped.
+ *
+ * @returns {{triangles: Float64Array, solid: Boolean}|null} The triangles, and whether they all belong to closed
+ * meshes, or null when the Entity's geometry can't be read.
+ */
+function readEntityTriangles(entity) {
+    const meshes = entity.meshes || [];
+    const parts = [];
+    let numTriangles = 0;
+    let solid = true;
+    for (let i = 0, len = meshes.length; i < len; i++) {
+        const mesh = meshes[i];
+        const layer = mesh.layer;
+        if (!layer || layer.primitive === "points" || layer.primitive === "lines") {
+            continue;
+        }
+        let positions = null;
+        let indices = null;
+        if (layer.readGeometryData) {
+            const geometryData = layer.readGeometryData(mesh.portionId);
+            positions = geometryData.positions;
+            indices = geometryData.indices;
+        } else if (mesh.getEachVertex && mesh.getEachIndex) {
+            const vertices = [];
+            const meshIndices = [];
+            mesh.getEachVertex((vertex) => {
+                vertices.push(vertex[0], vertex[1], vertex[2]); // The vertex is reused for each call
+            });
+            mesh.getEachIndex((index) => {
+                meshIndices.push(index);
+            });
+            positions = vertices;
+            indices = meshIndices;
+        }
+        if (!positions || !indices || indices.length < 3) {
+            continue;
+        }
+        parts.push({positions, indices});
+        solid = solid && (layer.primitive === "solid");
+        numTriangles += Math.floor(indices.length / 3);
+    }
+    if (numTriangles === 0) {
+        return null;
+    }
+    const triangles = new Float64Array(numTriangles * 9);
+    let j = 0;
+    for (let p = 0, len = parts.length; p < len; p++) {
+        const {positions, indices} = parts[p];
+        for (let i = 0, lenIndices = indices.length - 2; i < lenIndices; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                const v = indices[i + k] * 3;
+                triangles[j++] = positions[v];
+                triangles[j++] = positions[v + 1];
+                triangles[j++] = positions[v + 2];
+            }
+        }
+    }
+    return {triangles, solid};
+}
+
+/**
+ * Uniform grid of triangles within an AABB, to find those near a given triangle without testing every one.
+ */
+class TriangleGrid {
+
+    constructor(triangles, triangleIndices, aabb) {
+        this.triangles = triangles;
+        this.aabb = aabb.slice();
+        const size = Math.max(1, Math.min(MAX_GRID_CELLS, Math.ceil(Math.cbrt(triangleIndices.length))));
+        this.size = size;
+        this.cellSize = [
+            Math.max((aabb[3] - aabb[0]) / size, 1e-9),
+            Math.max((aabb[4] - aabb[1]) / size, 1e-9),
+            Math.max((aabb[5] - aabb[2]) / size, 1e-9)
+        ];
+        this.cells = new Map();
+        this._visited = new Uint32Array(triangles.length / 9);
+        this._visit = 0;
+        for (let n = 0, len = triangleIndices.length; n < len; n++) {
+            const i = triangleIndices[n];
+            this._forEachCell(getTriangleAABB3(triangles, i, tempAABB3a), (key) => {
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(i);
+            });
+        }
+    }
+
+    /**
+     * Calls back with each triangle in the cells that an AABB overlaps, once each.
+     */
+    query(aabb, callback) {
+        const visit = ++this._visit;
+        this._forEachCell(aabb, (key) => {
+            const cell = this.cells.get(key);
+            if (!cell) {
+                return;
+            }
+            for (let n = 0, len = cell.length; n < len; n++) {
+                const i = cell[n];
+                if (this._visited[i] !== visit) {
+                    this._visited[i] = visit;
+                    callback(i);
+                }
+            }
+        });
+    }
+
+    _forEachCell(aabb, callback) {
+        const min = [0, 0, 0];
+        const max = [0, 0, 0];
+        for (let d = 0; d < 3; d++) {
+            if (aabb[d] > this.aabb[d + 3] || aabb[d + 3] < this.aabb[d]) {
+                return;
+            }
+            min[d] = Math.min(this.size - 1, Math.max(0, Math.floor((aabb[d] - this.aabb[d]) / this.cellSize[d])));
+            max[d] = Math.min(this.size - 1, Math.max(0, Math.floor((aabb[d + 3] - this.aabb[d]) / this.cellSize[d])));
+        }
+        for (let x = min[0]; x <= max[0]; x++) {
+            for (let y = min[1]; y <= max[1]; y++) {
+                for (let z = min[2]; z <= max[2]; z++) {
+                    callback((x * this.size + y) * this.size + z);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Finds clashes between two sets of objects.
+ *
+ * The broad phase queries an {@link ObjectsKdTree3} for the objects of one set whose AABBs overlap each object of
+ * the other. The narrow phase then tests the triangles of each overlapping pair, within the region where their
+ * AABBs overlap.
+ *
+ * Two types of clash are found:
+ *
+ *  * "hard" - the objects' surfaces cross, or one object is inside the other, and
+ *  * "clearance" - the objects come within a tolerance of each other, including where they cross.
+ *
+ * Faces that merely touch, such as a beam resting on a column, are not hard clashes.
+ *
+ * @private
+ */
+class ClashDetector {
+
+    constructor(cfg) {
+
+        if (!cfg) {
+            throw "Parameter expected: cfg";
+        }
+
+        if (!cfg.viewer) {
+            throw "Parameter expected: cfg.viewer";
+        }
+
+        if (!cfg.objectsKdTree3) {
+            throw "Parameter expected: cfg.objectsKdTree3";
+        }
+
+        this.viewer = cfg.viewer;
+        this._objectsKdTree3 = cfg.objectsKdTree3;
+        this._isExcludedModel = cfg.isExcludedModel || (() => false);
+    }
+
+    /**
+     * Resolves a set of objects, given as criteria, to the Entities that match all of them.
+     *
+     * @param {Object} [selection] The criteria.
+     * @param {String[]} [selection.modelIds] IDs of models whose objects to include. Includes all models by default.
+     * @param {String[]} [selection.types] IFC types of objects to include, such as ````"IfcDuctSegment"````. Includes all types by default, except ````IfcSpace```` and ````IfcOpeningElement````.
+     * @param {String[]} [selection.objectIds] IDs of objects to include, along with the objects within them.
+     * @returns {Entity[]} The matching Entities.
+     */
+    getEntities(selection = {}) {
+        const viewer = this.viewer;
+        const scene = viewer.scene;
+        const metaObjects = viewer.metaScene.metaObjects;
+        const modelIds = toSet(selection.modelIds);
+        const types = toSet(selection.types);
+        let objectIds = null;
+        if (selection.objectIds && selection.objectIds.length > 0) {
+            objectIds = new Set();
+            selection.objectIds.forEach((objectId) => {
+                viewer.metaScene.withMetaObjectsInSubtree(objectId, (metaObject) => {
+                    objectIds.add(metaObject.id);
+                });
+            });
+        }
+        const entities = [];
+        for (let objectId in scene.objects) {
+            const entity = scene.objects[objectId];
+            const modelId = entity.model.id;
+            if (this._isExcludedModel(modelId) || (modelIds && !modelIds.has(modelId))) {
+                continue;
+            }
+            if (objectIds && !objectIds.has(objectId)) {
+                continue;
+            }
+            const metaObject = metaObjects[objectId];
+            const type = metaObject ? metaObject.type : null;
+            if (types ? !types.has(type) : !!DEFAULT_EXCLUDED_TYPES[type]) {
+                continue;
+            }
+            entities.push(entity);
+        }
+        return entities;
+    }
+
+    /**
+     * Finds the clashes between two sets of objects.
+     *
+     * An object that is in both sets is not tested against itself, and each pair of objects is tested once. Each clash
+     * is an object like
+     * ````{id, type, objectIdA, objectIdB, modelIdA, modelIdB, guidA, guidB, typeA, typeB, nameA, nameB, point, distance, exact}````,
+     * where the GUIDs are the objects' IDs in their originating systems, such as IFC GlobalIds, ````point```` is a
+     * World-space position at the clash, ````distance```` is how close the objects come, which is zero for hard clashes,
+     * and ````exact```` is false when the objects' geometry could not be read, so that their AABBs were tested instead.
+     * The ````id```` is derived from the type and the GUIDs.
+     *
+     * @param {Object} params Clash test parameters.
+     * @param {Object} [params.selectionA] The first set of objects, as for {@link ClashDetector#getEntities}.
+     * @param {Object} [params.selectionB] The second set of objects.
+     * @param {String} [params.type="hard"] Type of clash to find, "hard" or "clearance".
+     * @param {Number} [params.tolerance=0] How close objects may come before they clash, for clearance clashes.
+     * @param {Function} [params.onProgress] Callback periodically invoked with ````{numPairs, numPairsTested, numClashes}````.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the test may be aborted.
+     * @returns {Promise} Resolves with the clashes.
+     */
+    detect(params = {}, options = {}) {
+        const type = params.type || "hard";
+        if (type !== "hard" && type !== "clearance") {
+            return Promise.reject(new Error("Clash type not recognized: '" + type + "'"));
+        }
+        const tolerance = (type === "clearance") ? Math.max(0, Number(params.tolerance) || 0) : 0;
+        const signal = options.signal;
+        const onProgress = params.onProgress;
+        const entitiesA = this.getEntities(params.selectionA);
+        const entitiesB = this.getEntities(params.selectionB);
+        const pairs = this._findPairs(entitiesA, entitiesB, tolerance);
+        const geometries = new Map(); // Triangles of each Entity, mapped to Entity, read once per test
+        const clashes = [];
+        let i = 0;
+        return new Promise((resolve, reject) => {
+            const step = () => {
+                if (signal && signal.aborted) {
+                    reject(createAbortError());
+                    return;
+                }
+                const startTime = Date.now();
+                try {
+                    while (i < pairs.length && (Date.now() - startTime) < CHUNK_TIME) {
+                        const pair = pairs[i++];
+                        const clash = this._testPair(pair[0], pair[1], type, tolerance, geometries);
+                        if (clash) {
+                            clashes.push(clash);
+                        }
+                    }
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                if (onProgress) {
+                    onProgress({numPairs: pairs.length, numPairsTested: i, numClashes: clashes.length});
+                }
+                if (i < pairs.length) {
+                    setTimeout(step, 0);
+                } else {
+                    resolve(clashes);
+                }
+            };
+            step();
+        });
+    }
+
+    /**
+     * Broad phase, which pairs each object of the first set with the objects of the second whose AABBs come within the
+     * tolerance of its own.
+     */
+    _findPairs(entitiesA, entitiesB, tolerance) {
+        const setB = new Set(entitiesB);
+        const setA = new Set(entitiesA);
+        const pairKeys = new Set();
+        const pairs = [];
+        const candidates = [];
+        for (let i = 0, len = entitiesA.length; i < len; i++) {
+            const entityA = entitiesA[i];
+            candidates.length = 0;
+            this._objectsKdTree3.queryAABB(expandAABB3ByDistance(entityA.aabb, tolerance, tempAABB3a), candidates);
+            for (let j = 0, lenCandidates = candidates.length; j < lenCandidates; j++) {
+                const entityB = candidates[j];
+                if (entityB === entityA || !setB.has(entityB)) {
+                    continue;
+                }
+                if (setA.has(entityB) && setB.has(entityA)) { // Would be paired both ways round, so order by ID
+                    const ordered = (entityA.id < entityB.id) ? [entityA, entityB] : [entityB, entityA];
+                    const key = ordered[0].id + "\n" + ordered[1].id;
+                    if (!pairKeys.has(key)) {
+                        pairKeys.add(key);
+                        pairs.push(ordered);
+                    }
+                    continue;
+                }
+                pairs.push([entityA, entityB]);
+            }
+        }
+        return pairs;
+    }
+
+    _getTriangles(entity, geometries) {
+        if (!geometries.has(entity)) {
+            geometries.set(entity, readEntityTriangles(entity));
+        }
+        return geometries.get(entity);
+    }
+
+    /**
+     * Narrow phase, which tests the triangles of two objects within the region where their AABBs overlap.
+     */
+    _testPair(entityA, entityB, type, tolerance, geometries) {
+        const aabbA = entityA.aabb;
+        const aabbB = entityB.aabb;
+        const region = intersectAABB3(
+            expandAABB3ByDistance(aabbA, tolerance, tempAABB3a),
+            expandAABB3ByDistance(aabbB, tolerance, tempAABB3b),
+            tempAABB3c);
+        if (region[0] > region[3] || region[1] > region[4] || region[2] > region[5]) {
+            return null;
+        }
+        const geometryA = this._getTriangles(entityA, geometries);
+        const geometryB = this._getTriangles(entityB, geometries);
+        if (!geometryA || !geometryB) {
+            return this._testAABBs(entityA, entityB, type, tolerance);
+        }
+        const trianglesA = geometryA.triangles;
+        const trianglesB = geometryB.triangles;
+        const indicesA = getTrianglesInAABB(trianglesA, region);
+        const indicesB = getTrianglesInAABB(trianglesB, region);
+        if (type === "hard") {
+            const point = ((indicesA.length > 0 && indicesB.length > 0) ? findCrossing(trianglesA, indicesA, trianglesB, indicesB, region) : null)
+                || findContainment(entityA, geometryA, entityB, geometryB)
+                || findContainment(entityB, geometryB, entityA, geometryA);
+            return point ? this._createClash(entityA, entityB, type, point, 0, true) : null;
+        }
+        const closest = (indicesA.length > 0 && indicesB.length > 0) ? findClosest(trianglesA, indicesA, trianglesB, indicesB, region, tolerance) : null;
+        if (closest) {
+            return this._createClash(entityA, entityB, type, closest.point, closest.distance, true);
+        }
+        const point = findContainment(entityA, geometryA, entityB, geometryB) || findContainment(entityB, geometryB, entityA, geometryA);
+        return point ? this._createClash(entityA, entityB, type, point, 0, true) : null;
+    }
+
+    /**
+     * Falls back on testing AABBs, for objects whose geometry can't be read.
+     */
+    _testAABBs(entityA, entityB, type, tolerance) {
+        const region = intersectAABB3(entityA.aabb, entityB.aabb, tempAABB3d);
+        if (type === "hard") {
+            if (region[0] >= region[3] || region[1] >= region[4] || region[2] >= region[5]) {
+                return null; // Touching isn't clashing
+            }
+            return this._createClash(entityA, entityB, type, Array.from(math.getAABB3Center(region)), 0, false);
+        }
+        const distance = getAABB3Distance(entityA.aabb, entityB.aabb);
+        if (distance > tolerance) {
+            return null;
+        }
+        const point = [0, 0, 0];
+        for (let d = 0; d < 3; d++) { // Middle of the gap, or of the overlap, along each axis
+            point[d] = (Math.max(entityA.aabb[d], entityB.aabb[d]) + Math.min(entityA.aabb[d + 3], entityB.aabb[d + 3])) / 2;
+        }
+        return this._createClash(entityA, entityB, type, point, distance, false);
+    }
+
+    _createClash(entityA, entityB, type, point, distance, exact) {
+        const metaObjects = this.viewer.metaScene.metaObjects;
+        const metaObjectA = metaObjects[entityA.id];
+        const metaObjectB = metaObjects[entityB.id];
+        const guidA = (metaObjectA && metaObjectA.originalSystemId) || entityA.originalSystemId || entityA.id;
+        const guidB = (metaObjectB && metaObjectB.originalSystemId) || entityB.originalSystemId || entityB.id;
+        return {
+            id: getClashId(type, guidA, guidB),
+            type,
+            objectIdA: entityA.id,
+            objectIdB: entityB.id,
+            modelIdA: entityA.model.id,
+            modelIdB: entityB.model.id,
+            guidA,
+            guidB,
+            typeA: metaObjectA ? metaObjectA.type : null,
+            typeB: metaObjectB ? metaObjectB.type : null,
+            nameA: metaObjectA ? (metaObjectA.name || null) : null,
+            nameB: metaObjectB ? (metaObjectB.name || null) : null,
+            point: Array.from(point),
+            distance,
+            exact
+        };
+    }
+}
+
+function getTrianglesInAABB(triangles, aabb) {
+    const indices = [];
+    for (let i = 0, len = triangles.length / 9; i < len; i++) {
+        if (intersectsAABB3(getTriangleAABB3(triangles, i, tempAABB3d), aabb)) {
+            indices.push(i);
+        }
+    }
+    return indices;
+}
+
+/**
+ * Finds where the surfaces of two objects cross, as the average of the points where the edges of their triangles
+ * cross each other's triangles.
+ */
+function findCrossing(trianglesA, indicesA, trianglesB, indicesB, region) {
+    const grid = new TriangleGrid(trianglesB, indicesB, region);
+    const sum = tempVec3a;
+    sum[0] = sum[1] = sum[2] = 0;
+    let count = 0;
+    for (let n = 0, len = indicesA.length; n < len; n++) {
+        const i = indicesA[n];
+        const aabb = getTriangleAABB3(trianglesA, i, tempAABB3d);
+        grid.query(aabb, (j) => {
+            if (intersectsAABB3(aabb, getTriangleAABB3(trianglesB, j, tempAABB3a))) {
+                count += intersectTriangles(trianglesA, i, trianglesB, j, sum);
+            }
+        });
+    }
+    return (count > 0) ? [sum[0] / count, sum[1] / count, sum[2] / count] : null;
+}
+
+/**
+ * Finds the closest points between two objects, where they come within the tolerance of each other.
+ */
+function findClosest(trianglesA, indicesA, trianglesB, indicesB, region, tolerance) {
+    const grid = new TriangleGrid(trianglesB, indicesB, region);
+    const closestA = tempVec3a;
+    const closestB = tempVec3b;
+    const queryAABB = new Float64Array(6);
+    let best = tolerance * tolerance * (1 + 1e-9) + 1e-12;
+    let point = null;
+    for (let n = 0, len = indicesA.length; n < len && best > 0; n++) {
+        const i = indicesA[n];
+        expandAABB3ByDistance(getTriangleAABB3(trianglesA, i, tempAABB3d), Math.sqrt(best), queryAABB);
+        grid.query(queryAABB, (j) => {
+            if (best === 0 || !intersectsAABB3(queryAABB, getTriangleAABB3(trianglesB, j, tempAABB3a))) {
+                return;
+            }
+            const distSquared = getTrianglesDistSquared(trianglesA, i, trianglesB, j, best, closestA, closestB);
+            if (distSquared < best) {
+                best = distSquared;
+                point = [(closestA[0] + closestB[0]) / 2, (closestA[1] + closestB[1]) / 2, (closestA[2] + closestB[2]) / 2];
+            }
+        });
+    }
+    return point ? {point, distance: Math.sqrt(best)} : null;
+}
+
+/**
+ * Tests if an object, whose surface doesn't cross that of another, is inside the other, which is when a ray cast from
+ * one of its vertices crosses the other's surface an odd number of times. Only closed meshes have an inside.
+ *
+ * Casts three rays and takes the majority, since a ray that grazes an edge may be counted as crossing twice.
+ */
+function findContainment(innerEntity, inner, outerEntity, outer) {
+    if (!outer.solid || !math.containsAABB3(outerEntity.aabb, innerEntity.aabb)) {
+        return null;
+    }
+    const trianglesInner = inner.triangles;
+    const trianglesOuter = outer.triangles;
+    const origin = tempVec3c;
+    origin[0] = trianglesInner[0];
+    origin[1] = trianglesInner[1];
+    origin[2] = trianglesInner[2];
+    const allIndices = [];
+    for (let j = 0, len = trianglesOuter.length / 9; j < len; j++) {
+        allIndices.push(j);
+    }
+    let numInside = 0;
+    for (let r = 0; r < rayDirs.length; r++) {
+        if ((countRayCrossings(origin, rayDirs[r], trianglesOuter, allIndices) % 2) === 1) {
+            numInside++;
+        }
+    }
+    return (numInside * 2 > rayDirs.length) ? [origin[0], origin[1], origin[2]] : null;
+}
+
+export {ClashDetector};
@@ -1,4 +1,5 @@
 import {math} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+import {intersectsAABB3} from "./collisionMath.js";
 
 const MAX_KD_TREE_DEPTH = 15; // Increase if greater precision needed
 const kdTreeDimLength = new Float32Array(3);
@@ -115,6 +116,41 @@ export class ObjectsKdTree3 {
         node.entities.push(entity);
     }
 
+    /**
+     * Finds the Entities whose World-space AABBs intersect the given AABB.
+     *
+     * @param {Number[]} aabb The AABB, as ````[xmin, ymin, zmin, xmax, ymax, zmax]````.
+     * @param {Entity[]} [entities] Array to which the Entities are added.
+     * @returns {Entity[]} The Entities.
+     */
+    queryAABB(aabb, entities = []) {
+        const root = this.root;
+        if (root) {
+            this._queryNode(root, aabb, entities);
+        }
+        return entities;
+    }
+
+    _queryNode(node, aabb, entities) {
+        if (!intersectsAABB3(node.aabb, aabb)) {
+            return;
+        }
+        if (node.entities) {
+            for (let i = 0, len = node.entities.length; i < len; i++) {
+                const entity = node.entities[i];
+                if (intersectsAABB3(entity.aabb, aabb)) {
+                    entities.push(entity);
+                }
+            }
+        }
+        if (node.left) {
+            this._queryNode(node.left, aabb, entities);
+        }
+        if (node.right) {
+            this._queryNode(node.right, aabb, entities);
+        }
+    }
+
     /**
      * Destroys this ObjectsKdTree3.
      */
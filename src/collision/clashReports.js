@@ -0,0 +1,196 @@
+import {nameToGuid} from "../bcf/guids.js";
+
+/**
+ * Compares clashes with those found by an earlier test, and exports them as BCF topics, CSV and JSON.
+ *
+ * Clashes are matched by their IDs, which are derived from the GUIDs of their objects, so that a clash between two
+ * objects is matched even after their models have been updated, and their objects given new IDs.
+ *
+ * @private
+ */
+
+const JSON_FORMAT = "xeokit-clashes";
+const JSON_VERSION = 1;
+
+const states = ["new", "active", "resolved"];
+
+const csvColumns = [
+    ["id", (clash) => clash.id],
+    ["state", (clash) => clash.state],
+    ["status", (clash) => clash.status],
+    ["type", (clash) => clash.type],
+    ["distance", (clash) => clash.distance],
+    ["exact", (clash) => clash.exact],
+    ["guidA", (clash) => clash.guidA],
+    ["objectIdA", (clash) => clash.objectIdA],
+    ["typeA", (clash) => clash.typeA],
+    ["nameA", (clash) => clash.nameA],
+    ["modelIdA", (clash) => clash.modelIdA],
+    ["guidB", (clash) => clash.guidB],
+    ["objectIdB", (clash) => clash.objectIdB],
+    ["typeB", (clash) => clash.typeB],
+    ["nameB", (clash) => clash.nameB],
+    ["modelIdB", (clash) => clash.modelIdB],
+    ["pointX", (clash) => clash.point[0]],
+    ["pointY", (clash) => clash.point[1]],
+    ["pointZ", (clash) => clash.point[2]],
+    ["foundAt", (clash) => clash.foundAt],
+    ["resolvedAt", (clash) => clash.resolvedAt],
+    ...["camera_view_point", "camera_direction", "camera_up_vector"].reduce((columns, name) => {
+        ["x", "y", "z"].forEach((axis) => {
+            columns.push([name + "_" + axis, (clash) => {
+                const camera = clash.viewpoint && clash.viewpoint.perspective_camera;
+                return camera ? camera[name][axis] : undefined;
+            }]);
+        });
+        return columns;
+    }, [])
+];
+
+/**
+ * Gets a key for the parameters of a clash test, which is the same for tests of the same objects in the same way,
+ * whatever order their models or types were given in.
+ */
+function getClashParamsKey(params = {}) {
+    const getSelectionKey = (selection = {}) => {
+        return ["modelIds", "types", "objectIds"].map((name) => (selection[name] || []).slice().sort().join(",")).join("|");
+    };
+    return [
+        params.type || "hard",
+        (params.type === "clearance") ? (params.tolerance || 0) : 0,
+        getSelectionKey(params.selectionA),
+        getSelectionKey(params.selectionB)
+    ].join(";");
+}
+
+/**
+ * Classifies each clash as "new" or "active", by whether an earlier test found it, and adds a copy of each clash that
+ * the earlier test found and this one didn't, with state "resolved".
+ *
+ * Clashes that were already resolved are dropped, so that a clash that comes back is new again.
+ */
+function compareClashes(previousClashes, clashes, date = new Date().toISOString()) {
+    const previous = {};
+    previousClashes.forEach((clash) => {
+        if (clash.state !== "resolved") {
+            previous[clash.id] = clash;
+        }
+    });
+    const result = clashes.map((clash) => {
+        const previousClash = previous[clash.id];
+        delete previous[clash.id];
+        clash.state = previousClash ? "active" : "new";
+        clash.foundAt = previousClash ? (previousClash.foundAt || date) : date;
+        delete clash.resolvedAt;
+        return clash;
+    });
+    for (let clashId in previous) {
+        result.push(Object.assign({}, previous[clashId], {state: "resolved", resolvedAt: date}));
+    }
+    return result;
+}
+
+function escapeCSV(value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    let text = String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) { // Keep spreadsheets from running it as a formula
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? ("\"" + text.replace(/"/g, "\"\"") + "\"") : text;
+}
+
+/**
+ * Writes clashes as CSV, one row per clash, with a header row.
+ */
+function clashesToCSV(clashes) {
+    const rows = [csvColumns.map(([name]) => name).join(",")];
+    clashes.forEach((clash) => {
+        rows.push(csvColumns.map(([, getValue]) => escapeCSV(getValue(clash))).join(","));
+    });
+    return rows.join("\r\n") + "\r\n";
+}
+
+/**
+ * Writes clashes as JSON, with the parameters of the test that found them, so that they can be read back with
+ * {@link parseClashesJSON} and compared with those of a later test.
+ */
+function clashesToJSON(report) {
+    return JSON.stringify({
+        format: JSON_FORMAT,
+        version: JSON_VERSION,
+        createdAt: new Date().toISOString(),
+        projectId: report.projectId || null,
+        params: report.params || null,
+        clashes: report.clashes
+    }, null, 2);
+}
+
+/**
+ * Reads clashes written by {@link clashesToJSON}.
+ */
+function parseClashesJSON(json) {
+    const report = (typeof json === "string") ? JSON.parse(json) : json;
+    if (!report || report.format !== JSON_FORMAT || !Array.isArray(report.clashes)) {
+        throw new Error("Not a clashes file");
+    }
+    if (report.version > JSON_VERSION) {
+        throw new Error("Unsupported clashes file version: " + report.version);
+    }
+    report.clashes.forEach((clash) => {
+        if (!clash.id || !clash.guidA || !clash.guidB || !Array.isArray(clash.point)) {
+            throw new Error("Clash is missing its ID, GUIDs or point");
+        }
+        if (states.indexOf(clash.state) === -1) {
+            clash.state = "new";
+        }
+        clash.status = clash.status || "open";
+    });
+    return report;
+}
+
+function getObjectDescription(type, name, guid) {
+    return (type || "Object") + (name ? (" '" + name + "'") : "") + " (" + guid + ")";
+}
+
+/**
+ * Converts a clash to a BCF topic, as written by {@link writeBCFArchive}.
+ *
+ * The topic's GUID is derived from the clash ID, so that exporting the same clash again updates the same topic.
+ */
+function clashToTopic(clash, index) {
+    const typeA = clash.typeA || "Object";
+    const typeB = clash.typeB || "Object";
+    let description = getObjectDescription(clash.typeA, clash.nameA, clash.guidA) + "\n" + getObjectDescription(clash.typeB, clash.nameB, clash.guidB);
+    if (clash.type === "clearance") {
+        description += "\nDistance: " + clash.distance;
+    }
+    if (!clash.exact) {
+        description += "\nApproximate: tested with bounding boxes";
+    }
+    let topicStatus;
+    if (clash.state === "resolved") {
+        topicStatus = "Resolved";
+    } else if (clash.status === "open") {
+        topicStatus = "Open";
+    } else {
+        topicStatus = "Closed";
+    }
+    const viewpoint = clash.viewpoint ? Object.assign({}, clash.viewpoint, {guid: nameToGuid("clash/" + clash.id + "/viewpoint")}) : null;
+    return {
+        guid: nameToGuid("clash/" + clash.id),
+        topic_type: "Clash",
+        topic_status: topicStatus,
+        title: ((clash.type === "clearance") ? "Clearance clash: " : "Hard clash: ") + typeA + " / " + typeB,
+        index,
+        labels: ["Clash", clash.type, clash.state, clash.status].filter((label) => !!label),
+        creation_date: clash.foundAt,
+        modified_date: clash.resolvedAt,
+        description,
+        comments: [],
+        viewpoints: viewpoint ? [viewpoint] : []
+    };
+}
+
+export {getClashParamsKey, compareClashes, clashesToCSV, clashesToJSON, parseClashesJSON, clashToTopic};
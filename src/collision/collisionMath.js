@@ -0,0 +1,402 @@
+/**
+ * Geometry tests for collision detection, on AABBs given as ````[xmin, ymin, zmin, xmax, ymax, zmax]````, and on
+ * triangles given as nine consecutive coordinates within a flat array of triangle soup.
+ *
+ * @private
+ */
+
+const EPSILON = 1e-9;
+const TOUCH_EPSILON = 1e-7; // Fraction of an edge within which segments and triangles only touch
+
+const tempVec3a = new Float64Array(3);
+const tempVec3b = new Float64Array(3);
+const tempVec3c = new Float64Array(3);
+const tempVec3d = new Float64Array(3);
+const tempVec3e = new Float64Array(3);
+const tempVec3f = new Float64Array(3);
+const tempVec3g = new Float64Array(3);
+const tempVec3h = new Float64Array(3);
+
+/**
+ * Tests if two AABBs intersect or touch.
+ */
+function intersectsAABB3(aabb1, aabb2) {
+    return (aabb1[0] <= aabb2[3] && aabb1[3] >= aabb2[0] &&
+        aabb1[1] <= aabb2[4] && aabb1[4] >= aabb2[1] &&
+        aabb1[2] <= aabb2[5] && aabb1[5] >= aabb2[2]);
+}
+
+/**
+ * Gets the intersection of two AABBs, which is empty, with a min greater than its max, when they don't intersect.
+ */
+function intersectAABB3(aabb1, aabb2, dest = new Float64Array(6)) {
+    dest[0] = Math.max(aabb1[0], aabb2[0]);
+    dest[1] = Math.max(aabb1[1], aabb2[1]);
+    dest[2] = Math.max(aabb1[2], aabb2[2]);
+    dest[3] = Math.min(aabb1[3], aabb2[3]);
+    dest[4] = Math.min(aabb1[4], aabb2[4]);
+    dest[5] = Math.min(aabb1[5], aabb2[5]);
+    return dest;
+}
+
+function expandAABB3ByDistance(aabb, distance, dest = new Float64Array(6)) {
+    dest[0] = aabb[0] - distance;
+    dest[1] = aabb[1] - distance;
+    dest[2] = aabb[2] - distance;
+    dest[3] = aabb[3] + distance;
+    dest[4] = aabb[4] + distance;
+    dest[5] = aabb[5] + distance;
+    return dest;
+}
+
+/**
+ * Gets the distance between two AABBs, which is zero when they intersect.
+ */
+function getAABB3Distance(aabb1, aabb2) {
+    const dx = Math.max(0, aabb1[0] - aabb2[3], aabb2[0] - aabb1[3]);
+    const dy = Math.max(0, aabb1[1] - aabb2[4], aabb2[1] - aabb1[4]);
+    const dz = Math.max(0, aabb1[2] - aabb2[5], aabb2[2] - aabb1[5]);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Gets the AABB of triangle ````i```` of a triangle soup.
+ */
+function getTriangleAABB3(triangles, i, dest = new Float64Array(6)) {
+    const j = i * 9;
+    dest[0] = Math.min(triangles[j], triangles[j + 3], triangles[j + 6]);
+    dest[1] = Math.min(triangles[j + 1], triangles[j + 4], triangles[j + 7]);
+    dest[2] = Math.min(triangles[j + 2], triangles[j + 5], triangles[j + 8]);
+    dest[3] = Math.max(triangles[j], triangles[j + 3], triangles[j + 6]);
+    dest[4] = Math.max(triangles[j + 1], triangles[j + 4], triangles[j + 7]);
+    dest[5] = Math.max(triangles[j + 2], triangles[j + 5], triangles[j + 8]);
+    return dest;
+}
+
+function sub(a, b, dest) {
+    dest[0] = a[0] - b[0];
+    dest[1] = a[1] - b[1];
+    dest[2] = a[2] - b[2];
+    return dest;
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b, dest) {
+    const x = a[1] * b[2] - a[2] * b[1];
+    const y = a[2] * b[0] - a[0] * b[2];
+    const z = a[0] * b[1] - a[1] * b[0];
+    dest[0] = x;
+    dest[1] = y;
+    dest[2] = z;
+    return dest;
+}
+
+function distSquared(a, b) {
+    const dx = a[0] - b[0];
+    const dy = a[1] - b[1];
+    const dz = a[2] - b[2];
+    return dx * dx + dy * dy + dz * dz;
+}
+
+function getVertex(triangles, i, k, dest) {
+    const j = i * 9 + k * 3;
+    dest[0] = triangles[j];
+    dest[1] = triangles[j + 1];
+    dest[2] = triangles[j + 2];
+    return dest;
+}
+
+/**
+ * Finds where the segment ````p````-````q```` crosses the triangle ````a````, ````b````, ````c````.
+ *
+ * Segments that lie in the triangle's plane, or that only touch the triangle with an end or at an edge, are treated as
+ * not crossing it, so that faces which merely touch don't count as intersecting.
+ *
+ * @returns {Boolean} True if the segment crosses the triangle, in which case ````dest```` gets the crossing point.
+ */
+function intersectSegmentTriangle(p, q, a, b, c, dest) {
+    const edge1 = sub(b, a, tempVec3a);
+    const edge2 = sub(c, a, tempVec3b);
+    const dir = sub(q, p, tempVec3c);
+    const pvec = cross(dir, edge2, tempVec3d);
+    const det = dot(edge1, pvec);
+    const scale = Math.sqrt(dot(dir, dir) * dot(edge1, edge1) * dot(edge2, edge2));
+    if (Math.abs(det) <= EPSILON * scale) {
+        return false;
+    }
+    const invDet = 1 / det;
+    const tvec = sub(p, a, tempVec3e);
+    const u = dot(tvec, pvec) * invDet;
+    if (u <= TOUCH_EPSILON || u >= 1 - TOUCH_EPSILON) {
+        return false;
+    }
+    const qvec = cross(tvec, edge1, tempVec3f);
+    const v = dot(dir, qvec) * invDet;
+    if (v <= TOUCH_EPSILON || u + v >= 1 - TOUCH_EPSILON) {
+        return false;
+    }
+    const t = dot(edge2, qvec) * invDet;
+    if (t <= TOUCH_EPSILON || t >= 1 - TOUCH_EPSILON) {
+        return false;
+    }
+    dest[0] = p[0] + dir[0] * t;
+    dest[1] = p[1] + dir[1] * t;
+    dest[2] = p[2] + dir[2] * t;
+    return true;
+}
+
+/**
+ * Counts the triangles crossed by a ray, for an inside test by parity.
+ */
+function countRayCrossings(origin, dir, triangles, triangleIndices) {
+    const a = tempVec3g;
+    const b = tempVec3h;
+    const c = new Float64Array(3);
+    const edge1 = new Float64Array(3);
+    const edge2 = new Float64Array(3);
+    const pvec = new Float64Array(3);
+    const tvec = new Float64Array(3);
+    const qvec = new Float64Array(3);
+    let count = 0;
+    for (let n = 0, len = triangleIndices.length; n < len; n++) {
+        const i = triangleIndices[n];
+        getVertex(triangles, i, 0, a);
+        getVertex(triangles, i, 1, b);
+        getVertex(triangles, i, 2, c);
+        sub(b, a, edge1);
+        sub(c, a, edge2);
+        cross(dir, edge2, pvec);
+        const det = dot(edge1, pvec);
+        if (Math.abs(det) < EPSILON) {
+            continue;
+        }
+        const invDet = 1 / det;
+        sub(origin, a, tvec);
+        const u = dot(tvec, pvec) * invDet;
+        if (u < 0 || u > 1) {
+            continue;
+        }
+        cross(tvec, edge1, qvec);
+        const v = dot(dir, qvec) * invDet;
+        if (v < 0 || u + v > 1) {
+            continue;
+        }
+        if (dot(edge2, qvec) * invDet > EPSILON) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Finds the closest point to ````p```` on the triangle ````a````, ````b````, ````c````.
+ *
+ * From Christer Ericson's "Real-Time Collision Detection".
+ */
+function closestPointOnTriangle(p, a, b, c, dest) {
+    const ab = sub(b, a, tempVec3a);
+    const ac = sub(c, a, tempVec3b);
+    const ap = sub(p, a, tempVec3c);
+    const d1 = dot(ab, ap);
+    const d2 = dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) {
+        dest.set(a);
+        return dest;
+    }
+    const bp = sub(p, b, tempVec3d);
+    const d3 = dot(ab, bp);
+    const d4 = dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) {
+        dest.set(b);
+        return dest;
+    }
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        const v = d1 / (d1 - d3);
+        dest[0] = a[0] + ab[0] * v;
+        dest[1] = a[1] + ab[1] * v;
+        dest[2] = a[2] + ab[2] * v;
+        return dest;
+    }
+    const cp = sub(p, c, tempVec3e);
+    const d5 = dot(ab, cp);
+    const d6 = dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) {
+        dest.set(c);
+        return dest;
+    }
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        const w = d2 / (d2 - d6);
+        dest[0] = a[0] + ac[0] * w;
+        dest[1] = a[1] + ac[1] * w;
+        dest[2] = a[2] + ac[2] * w;
+        return dest;
+    }
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+        const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        dest[0] = b[0] + (c[0] - b[0]) * w;
+        dest[1] = b[1] + (c[1] - b[1]) * w;
+        dest[2] = b[2] + (c[2] - b[2]) * w;
+        return dest;
+    }
+    const denom = 1 / (va + vb + vc);
+    const v = vb * denom;
+    const w = vc * denom;
+    dest[0] = a[0] + ab[0] * v + ac[0] * w;
+    dest[1] = a[1] + ab[1] * v + ac[1] * w;
+    dest[2] = a[2] + ab[2] * v + ac[2] * w;
+    return dest;
+}
+
+/**
+ * Finds the closest points between the segments ````p1````-````q1```` and ````p2````-````q2````.
+ *
+ * From Christer Ericson's "Real-Time Collision Detection".
+ */
+function closestPointsOnSegments(p1, q1, p2, q2, dest1, dest2) {
+    const d1 = sub(q1, p1, tempVec3a);
+    const d2 = sub(q2, p2, tempVec3b);
+    const r = sub(p1, p2, tempVec3c);
+    const a = dot(d1, d1);
+    const e = dot(d2, d2);
+    const f = dot(d2, r);
+    let s;
+    let t;
+    if (a <= EPSILON && e <= EPSILON) {
+        s = t = 0;
+    } else if (a <= EPSILON) {
+        s = 0;
+        t = Math.min(Math.max(f / e, 0), 1);
+    } else {
+        const c = dot(d1, r);
+        if (e <= EPSILON) {
+            t = 0;
+            s = Math.min(Math.max(-c / a, 0), 1);
+        } else {
+            const b = dot(d1, d2);
+            const denom = a * e - b * b;
+            s = (denom !== 0) ? Math.min(Math.max((b * f - c * e) / denom, 0), 1) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = Math.min(Math.max(-c / a, 0), 1);
+            } else if (t > 1) {
+                t = 1;
+                s = Math.min(Math.max((b - c) / a, 0), 1);
+            }
+        }
+    }
+    dest1[0] = p1[0] + d1[0] * s;
+    dest1[1] = p1[1] + d1[1] * s;
+    dest1[2] = p1[2] + d1[2] * s;
+    dest2[0] = p2[0] + d2[0] * t;
+    dest2[1] = p2[1] + d2[1] * t;
+    dest2[2] = p2[2] + d2[2] * t;
+    return distSquared(dest1, dest2);
+}
+
+const triA = [new Float64Array(3), new Float64Array(3), new Float64Array(3)];
+const triB = [new Float64Array(3), new Float64Array(3), new Float64Array(3)];
+const closestA = new Float64Array(3);
+const closestB = new Float64Array(3);
+const crossing = new Float64Array(3);
+
+function loadTriangle(triangles, i, tri) {
+    getVertex(triangles, i, 0, tri[0]);
+    getVertex(triangles, i, 1, tri[1]);
+    getVertex(triangles, i, 2, tri[2]);
+}
+
+/**
+ * Finds where the edges of triangle ````i```` of ````trianglesA```` and triangle ````j```` of ````trianglesB```` cross
+ * each other, adding each crossing point to ````sum````.
+ *
+ * @returns {Number} The number of crossing points, which is zero when the triangles don't intersect.
+ */
+function intersectTriangles(trianglesA, i, trianglesB, j, sum) {
+    loadTriangle(trianglesA, i, triA);
+    loadTriangle(trianglesB, j, triB);
+    let count = 0;
+    for (let k = 0; k < 3; k++) {
+        if (intersectSegmentTriangle(triA[k], triA[(k + 1) % 3], triB[0], triB[1], triB[2], crossing)) {
+            sum[0] += crossing[0];
+            sum[1] += crossing[1];
+            sum[2] += crossing[2];
+            count++;
+        }
+        if (intersectSegmentTriangle(triB[k], triB[(k + 1) % 3], triA[0], triA[1], triA[2], crossing)) {
+            sum[0] += crossing[0];
+            sum[1] += crossing[1];
+            sum[2] += crossing[2];
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Gets the squared distance between triangle ````i```` of ````trianglesA```` and triangle ````j```` of
+ * ````trianglesB````, along with the closest points on each, when it's less than ````maxDistSquared````.
+ *
+ * @returns {Number} The squared distance, or ````Infinity```` when it's not less than ````maxDistSquared````.
+ */
+function getTrianglesDistSquared(trianglesA, i, trianglesB, j, maxDistSquared, destA, destB) {
+    const sum = tempVec3g;
+    sum[0] = sum[1] = sum[2] = 0;
+    const count = intersectTriangles(trianglesA, i, trianglesB, j, sum);
+    if (count > 0) {
+        destA[0] = destB[0] = sum[0] / count;
+        destA[1] = destB[1] = sum[1] / count;
+        destA[2] = destB[2] = sum[2] / count;
+        return 0;
+    }
+    let best = maxDistSquared;
+    let found = false;
+    for (let k = 0; k < 3; k++) {
+        closestPointOnTriangle(triA[k], triB[0], triB[1], triB[2], closestB);
+        let d = distSquared(triA[k], closestB);
+        if (d < best) {
+            best = d;
+            found = true;
+            destA.set(triA[k]);
+            destB.set(closestB);
+        }
+        closestPointOnTriangle(triB[k], triA[0], triA[1], triA[2], closestA);
+        d = distSquared(triB[k], closestA);
+        if (d < best) {
+            best = d;
+            found = true;
+            destA.set(closestA);
+            destB.set(triB[k]);
+        }
+        for (let l = 0; l < 3; l++) {
+            d = closestPointsOnSegments(triA[k], triA[(k + 1) % 3], triB[l], triB[(l + 1) % 3], closestA, closestB);
+            if (d < best) {
+                best = d;
+                found = true;
+                destA.set(closestA);
+                destB.set(closestB);
+            }
+        }
+    }
+    return found ? best : Infinity;
+}
+
+export {
+    intersectsAABB3,
+    intersectAABB3,
+    expandAABB3ByDistance,
+    getAABB3Distance,
+    getTriangleAABB3,
+    intersectSegmentTriangle,
+    intersectTriangles,
+    countRayCrossings,
+    closestPointOnTriangle,
+    closestPointsOnSegments,
+    getTrianglesDistSquared
+};
@@ -0,0 +1,70 @@
+import {ContextMenu} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+
+/**
+ * @private
+ */
+class ClashesContextMenu extends ContextMenu {
+
+    constructor(cfg = {}) {
+
+        super(cfg);
+
+        this.items = [
+            [
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("clashesContextMenu.flyTo") || "Fly To";
+                    },
+                    doAction: (context) => {
+                        context.clashesExplorer.flyToClash(context.clash.id);
+                    }
+                },
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("clashesContextMenu.isolate") || "Isolate";
+                    },
+                    doAction: (context) => {
+                        context.clashesExplorer.isolateClash(context.clash.id);
+                    }
+                }
+            ],
+            [
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("clashesContextMenu.approve") || "Approve";
+                    },
+                    getEnabled: (context) => {
+                        return (context.clash.status !== "approved");
+                    },
+                    doAction: (context) => {
+                        context.clashesExplorer.setClashStatus(context.clash.id, "approved");
+                    }
+                },
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("clashesContextMenu.ignore") || "Ignore";
+                    },
+                    getEnabled: (context) => {
+                        return (context.clash.status !== "ignored");
+                    },
+                    doAction: (context) => {
+                        context.clashesExplorer.setClashStatus(context.clash.id, "ignored");
+                    }
+                },
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("clashesContextMenu.reopen") || "Reopen";
+                    },
+                    getEnabled: (context) => {
+                        return (context.clash.status !== "open");
+                    },
+                    doAction: (context) => {
+                        context.clashesExplorer.setClashStatus(context.clash.id, "open");
+                    }
+                }
+            ]
+        ];
+    }
+}
+
+export {ClashesContextMenu};
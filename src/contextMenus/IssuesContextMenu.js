@@ -0,0 +1,74 @@
+import {ContextMenu} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+
+const statuses = ["Open", "In Progress", "Resolved", "Closed"];
+
+function getStatusKey(status) {
+    return "issuesContextMenu.status" + status.replace(/ /g, "");
+}
+
+/**
+ * @private
+ */
+class IssuesContextMenu extends ContextMenu {
+
+    constructor(cfg = {}) {
+
+        super(cfg);
+
+        this.items = [
+            [
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("issuesContextMenu.showIssue") || "Show";
+                    },
+                    doAction: (context) => {
+                        context.bimViewer.showIssue(context.modelId, context.issue.id);
+                    }
+                }
+            ],
+            [
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("issuesContextMenu.setStatus") || "Set Status";
+                    },
+                    items: [
+                        statuses.map((status) => {
+                            return {
+                                getTitle: (context) => {
+                                    return context.viewer.localeService.translate(getStatusKey(status)) || status;
+                                },
+                                getEnabled: (context) => {
+                                    return (context.issue.status !== status);
+                                },
+                                doAction: (context) => {
+                                    context.bimViewer.updateIssue(context.modelId, context.issue.id, {status})
+                                        .catch((e) => {
+                                            context.bimViewer.error("Failed to update issue: " + e.message);
+                                        });
+                                }
+                            };
+                        })
+                    ]
+                },
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("issuesContextMenu.addComment") || "Add Comment...";
+                    },
+                    doAction: (context) => {
+                        context.issuesExplorer.showAddCommentDialog(context.modelId, context.issue.id);
+                    }
+                },
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("issuesContextMenu.deleteIssue") || "Delete...";
+                    },
+                    doAction: (context) => {
+                        context.issuesExplorer.showDeleteDialog(context.modelId, context.issue.id);
+                    }
+                }
+            ]
+        ];
+    }
+}
+
+export {IssuesContextMenu};
@@ -19,10 +19,12 @@ class ModelsContextMenu extends ContextMenu {
                         return context.viewer.localeService.translate("modelsContextMenu.loadModel") || "Load";
                     },
                     getEnabled: (context) => {
-                        return (!context.bimViewer.isModelLoaded(context.modelId));
+                        return (!context.bimViewer.isModelLoaded(context.modelId) && !context.bimViewer.isModelLoading(context.modelId));
                     },
                     doAction: (context) => {
-                        context.bimViewer.loadModel(context.modelId);
+                        context.bimViewer.loadModel(context.modelId).catch(() => {
+                            // Already logged
+                        });
                     }
                 },
                 {
@@ -30,7 +32,7 @@ class ModelsContextMenu extends ContextMenu {
                         return context.viewer.localeService.translate("modelsContextMenu.unloadModel") || "Unload";
                     },
                     getEnabled: (context) => {
-                        return context.bimViewer.isModelLoaded(context.modelId);
+                        return (context.bimViewer.isModelLoaded(context.modelId) || context.bimViewer.isModelLoading(context.modelId));
                     },
                     doAction: (context) => {
                         context.bimViewer.unloadModel(context.modelId);
@@ -47,7 +49,7 @@ class ModelsContextMenu extends ContextMenu {
                         return context.viewer.localeService.translate("modelsContextMenu.editModel") || "Edit";
                     },
                     getEnabled: (context) => {
-                        return true;
+                        return !context.bimViewer.isLocalModel(context.modelId); // Not in the project
                     },
                     doAction: (context) => {
                         context.bimViewer.editModel(context.modelId);
@@ -58,7 +60,7 @@ class ModelsContextMenu extends ContextMenu {
                         return context.viewer.localeService.translate("modelsContextMenu.deleteModel") || "Delete";
                     },
                     getEnabled: (context) => {
-                        return true;
+                        return !context.bimViewer.isLocalModel(context.modelId);
                     },
                     doAction: (context) => {
                         context.bimViewer.deleteModel(context.modelId);
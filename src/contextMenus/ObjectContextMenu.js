@@ -16,9 +16,24 @@ class ObjectContextMenu extends ContextMenu {
         const showObjectItems = [];
         const focusObjectItems = [];
         const measurementItems = [];
+        const issueItems = [];
 
         const enableMeasurements = (!!cfg.enableMeasurements);
 
+        if (cfg.enableEditIssues) {
+            issueItems.push({
+                getTitle: (context) => {
+                    return context.viewer.localeService.translate("objectContextMenu.createIssue") || "Create Issue...";
+                },
+                getEnabled: (context) => {
+                    return (!!context.entity.model && context.bimViewer._issuesExplorer.canEditIssues(context.entity.model.id));
+                },
+                doAction: (context) => {
+                    context.bimViewer._issuesExplorer.showCreateIssueDialog(context.entity, context.canvasPos);
+                }
+            });
+        }
+
         if (this._bimViewer._enablePropertiesInspector) {
             showObjectItems.push(...[{
                 getTitle: (context) => {
@@ -319,7 +334,8 @@ class ObjectContextMenu extends ContextMenu {
                     }
                 }
             ],
-            measurementItems
+            measurementItems,
+            issueItems
         ];
     }
 }
@@ -17,6 +17,7 @@ class SectionToolContextMenu extends ContextMenu {
         super(utils.apply({}, cfg));
 
         this._sectionPlanesPlugin = cfg.sectionPlanesPlugin;
+        this._sectionBoxTool = cfg.sectionBoxTool; // Can be undefined
         this._viewer = this._sectionPlanesPlugin.viewer;
 
         this._onSceneSectionPlaneCreated = this._viewer.scene.on("sectionPlaneCreated", () => {
@@ -33,7 +34,10 @@ class SectionToolContextMenu extends ContextMenu {
     _buildMenu() {
 
         const sectionPlanesPlugin = this._sectionPlanesPlugin;
-        const sectionPlanes = Object.values(sectionPlanesPlugin.sectionPlanes);
+        const sectionBoxTool = this._sectionBoxTool;
+        const sectionPlanes = Object.values(sectionPlanesPlugin.sectionPlanes).filter((sectionPlane) => {
+            return !sectionBoxTool || !sectionBoxTool.isSectionBoxPlane(sectionPlane); // The section box has its own handles
+        });
 
         const sectionPlanesMenuItems = [];
 
@@ -94,6 +98,10 @@ class SectionToolContextMenu extends ContextMenu {
                                     aabb: tempAABB,
                                     fitFOV: 65
                                 });
+
+                                if (context.sectionTool) {
+                                    context.sectionTool.showPanel(sectionPlane.id);
+                                }
                             }
                         },
                         {
@@ -122,6 +130,20 @@ class SectionToolContextMenu extends ContextMenu {
         }
 
         this.items = [
+            [
+                {
+                    getTitle: (context) => {
+                        return context.viewer.localeService.translate("sectionToolContextMenu.showPanel") || "Section Panel...";
+                    },
+                    getEnabled: (context) => {
+                        return !!context.sectionTool;
+                    },
+                    doAction: (context) => {
+                        this.hide();
+                        context.sectionTool.showPanel();
+                    }
+                }
+            ],
             [
                 {
                     getTitle: (context) => {
@@ -0,0 +1,791 @@
+import {math} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+import {Controller} from "../Controller.js";
+import {isAbortError} from "../utils/callbackPromise.js";
+import {ClashDetector} from "../collision/ClashDetector.js";
+import {getClashParamsKey, compareClashes, clashesToCSV, clashesToJSON, parseClashesJSON, clashToTopic} from "../collision/clashReports.js";
+import {writeBCFArchive} from "../bcf/bcfArchive.js";
+import {ClashesContextMenu} from "../contextMenus/ClashesContextMenu.js";
+
+const statuses = ["open", "approved", "ignored"];
+const groupBys = ["none", "state", "types", "objectA", "objectB"];
+const exportFormats = {
+    bcf: {extension: ".bcf", mimeType: "application/octet-stream"},
+    csv: {extension: ".csv", mimeType: "text/csv"},
+    json: {extension: ".json", mimeType: "application/json"}
+};
+
+function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    if (text !== undefined && text !== null && text !== "") {
+        element.textContent = text;
+    }
+    return element;
+}
+
+/**
+ * Parses the value of a Set A or Set B option, which is "all", "model:<modelId>" or "type:<IFC type>".
+ */
+function parseSelection(value) {
+    if (value && value.indexOf("model:") === 0) {
+        return {modelIds: [value.substring(6)]};
+    }
+    if (value && value.indexOf("type:") === 0) {
+        return {types: [value.substring(5)]};
+    }
+    return {};
+}
+
+/**
+ * Converts a World-space vector to a BCF one, as BCFViewpointsPlugin does, since BCF is Z-up.
+ */
+function toBCFVector(camera, vec) {
+    const bcfVec = camera.yUp ? [vec[0], -vec[2], vec[1]] : vec;
+    return {x: bcfVec[0], y: bcfVec[1], z: bcfVec[2]};
+}
+
+function toText(data) {
+    if (typeof data === "string") {
+        return Promise.resolve(data);
+    }
+    if (data && data.text) { // File or Blob
+        return data.text();
+    }
+    return Promise.resolve(data);
+}
+
+function download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const linkElement = document.createElement("a");
+    linkElement.href = url;
+    linkElement.download = fileName;
+    document.body.appendChild(linkElement);
+    linkElement.click();
+    document.body.removeChild(linkElement);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Finds clashes between two sets of objects, such as the ducts of an MEP model and the beams of a structural model,
+ * and lists them.
+ *
+ * Clashes can be grouped by state, by the types of the clashing objects, or by either object, and can be approved or
+ * ignored. Statuses are kept by clash ID, so that a clash keeps its status when the test is run again. Clicking a clash
+ * flies to it, and selects its objects.
+ *
+ * When the same test is run again, such as after the models have been updated, each clash is classified as new or
+ * active, and those no longer found are kept as resolved. Clashes can be exported as BCF topics, CSV or JSON, and a JSON
+ * export can be imported again, so that next week's test can be compared with this week's.
+ *
+ * @private
+ */
+class ClashesExplorer extends Controller {
+
+    constructor(parent, cfg = {}) {
+
+        super(parent);
+
+        if (!cfg.clashesTabElement) {
+            throw "Missing config: clashesTabElement";
+        }
+
+        if (!cfg.runClashesButtonElement) {
+            throw "Missing config: runClashesButtonElement";
+        }
+
+        if (!cfg.clearClashesButtonElement) {
+            throw "Missing config: clearClashesButtonElement";
+        }
+
+        if (!cfg.clashesElement) {
+            throw "Missing config: clashesElement";
+        }
+
+        if (!cfg.objectsKdTree3) {
+            throw "Missing config: objectsKdTree3";
+        }
+
+        this._clashesTabElement = cfg.clashesTabElement;
+        this._runClashesButtonElement = cfg.runClashesButtonElement;
+        this._clearClashesButtonElement = cfg.clearClashesButtonElement;
+        this._selectionAElement = cfg.selectionAElement;     // Can be undefined
+        this._selectionBElement = cfg.selectionBElement;     // Can be undefined
+        this._clashTypeElement = cfg.clashTypeElement;       // Can be undefined
+        this._toleranceElement = cfg.toleranceElement;       // Can be undefined
+        this._groupByElement = cfg.groupByElement;           // Can be undefined
+        this._importClashesButtonElement = cfg.importClashesButtonElement; // Can be undefined
+        this._exportClashesButtonElement = cfg.exportClashesButtonElement; // Can be undefined
+        this._exportFormatElement = cfg.exportFormatElement; // Can be undefined
+        this._clashesElement = cfg.clashesElement;
+        this._clashesTabButtonElement = this._clashesTabElement.querySelector(".xeokit-tab-btn");
+
+        if (!this._clashesTabButtonElement) {
+            throw "Missing DOM element: .xeokit-tab-btn";
+        }
+
+        this._clashDetector = new ClashDetector({
+            viewer: this.viewer,
+            objectsKdTree3: cfg.objectsKdTree3,
+            isExcludedModel: (modelId) => this.bimViewer._modelsExplorer.isContextModel(modelId)
+        });
+
+        this._clashes = [];
+        this._statuses = {};            // Status of each clash that isn't open, mapped to clash ID
+        this._paramsKey = null;         // Key of the parameters of the test that found the clashes
+        this._params = null;
+        this._selectedClashId = null;
+        this._groupBy = "none";
+        this._run = null;               // AbortController for the clash test being run
+        this._progress = null;          // Progress of the clash test being run
+
+        this._clashesContextMenu = new ClashesContextMenu({
+            hideOnAction: true,
+            parentNode: cfg.containerElement
+        });
+
+        this._onModelLoaded = this.bimViewer._modelsExplorer.on("modelLoaded", () => {
+            this._updateSelectionOptions();
+        });
+
+        this._onModelUnloaded = this.bimViewer._modelsExplorer.on("modelUnloaded", () => {
+            this._updateSelectionOptions(); // Keeps the clashes, to compare with those found once the model is reloaded
+        });
+
+        this._runClashesButtonElement.addEventListener("click", (event) => {
+            event.preventDefault();
+            if (this._runClashesButtonElement.classList.contains("disabled")) {
+                return;
+            }
+            if (this._run) {
+                this.cancelClashDetection();
+                return;
+            }
+            this.runClashDetection(this._getParams()).catch((e) => {
+                if (!isAbortError(e)) {
+                    this.error("Failed to detect clashes: " + e.message);
+                }
+            });
+        });
+
+        this._clearClashesButtonElement.addEventListener("click", (event) => {
+            event.preventDefault();
+            if (!this._clearClashesButtonElement.classList.contains("disabled")) {
+                this.clearClashes();
+            }
+        });
+
+        if (this._importClashesButtonElement) {
+            this._clashesFileInputElement = document.createElement("input");
+            this._clashesFileInputElement.type = "file";
+            this._clashesFileInputElement.accept = ".json";
+            this._clashesFileInputElement.style.display = "none";
+            this._clashesFileInputElement.addEventListener("change", () => {
+                const file = this._clashesFileInputElement.files[0];
+                this._clashesFileInputElement.value = "";
+                if (file) {
+                    this.importClashes(file).catch((e) => {
+                        this.error("Failed to import clashes file '" + file.name + "': " + e.message);
+                    });
+                }
+            });
+            this._clashesTabElement.appendChild(this._clashesFileInputElement);
+            this._importClashesButtonElement.addEventListener("click", (event) => {
+                if (!this._importClashesButtonElement.classList.contains("disabled")) {
+                    this._clashesFileInputElement.click();
+                }
+                event.preventDefault();
+            });
+        }
+
+        if (this._exportClashesButtonElement) {
+            this._exportClashesButtonElement.addEventListener("click", (event) => {
+                event.preventDefault();
+                if (this._exportClashesButtonElement.classList.contains("disabled")) {
+                    return;
+                }
+                const format = this._exportFormatElement ? this._exportFormatElement.value : "bcf";
+                const fileName = (this.bimViewer._modelsExplorer.getLoadedProjectId() || "clashes") + exportFormats[format].extension;
+                this.exportClashes(format).then((blob) => {
+                    download(blob, fileName);
+                }, (e) => {
+                    this.error("Failed to export clashes: " + e.message);
+                });
+            });
+        }
+
+        if (this._groupByElement) {
+            this._groupByElement.addEventListener("change", () => {
+                this.setGroupBy(this._groupByElement.value);
+            });
+        }
+
+        if (this._clashTypeElement && this._toleranceElement) {
+            const updateTolerance = () => {
+                this._toleranceElement.disabled = (this._clashTypeElement.value !== "clearance");
+            };
+            this._clashTypeElement.addEventListener("change", updateTolerance);
+            updateTolerance();
+        }
+
+        this._updateSelectionOptions();
+        this._update();
+    }
+
+    /**
+     * Finds the clashes between two sets of objects, replacing those already listed.
+     *
+     * When the listed clashes were found with the same parameters, each clash gets a ````state```` of "active" if it
+     * was listed, or "new" if it wasn't, and listed clashes that weren't found again are kept, with state "resolved".
+     * Otherwise, each clash is new.
+     *
+     * Aborts any clash test already running.
+     */
+    runClashDetection(params = {}) {
+        this.cancelClashDetection();
+        const run = new AbortController();
+        this._run = run;
+        this._progress = {numPairs: 0, numPairsTested: 0, numClashes: 0};
+        this._runClashesButtonElement.classList.add("active");
+        this._update();
+        return this._clashDetector.detect({
+            selectionA: params.selectionA,
+            selectionB: params.selectionB,
+            type: params.type,
+            tolerance: params.tolerance,
+            onProgress: (progress) => {
+                if (params.onProgress) {
+                    params.onProgress(progress);
+                }
+                if (this._run === run) {
+                    this._progress = progress;
+                    this._updateProgress();
+                }
+            }
+        }, {signal: run.signal}).then((clashes) => {
+            this._endRun(run);
+            const paramsKey = getClashParamsKey(params);
+            clashes.forEach((clash) => {
+                clash.status = this._statuses[clash.id] || "open";
+                clash.viewpoint = this._createClashViewpoint(clash);
+            });
+            this._clashes = compareClashes((paramsKey === this._paramsKey) ? this._clashes : [], clashes);
+            this._paramsKey = paramsKey;
+            this._params = {selectionA: params.selectionA, selectionB: params.selectionB, type: params.type, tolerance: params.tolerance};
+            this._selectedClashId = null;
+            this._update();
+            this.fire("clashesDetected", {params, clashes: this._clashes});
+            return this._clashes;
+        }, (e) => {
+            this._endRun(run);
+            this._update();
+            throw e;
+        });
+    }
+
+    cancelClashDetection() {
+        if (this._run) {
+            this._run.abort();
+            this._endRun(this._run);
+            this._update();
+        }
+    }
+
+    _endRun(run) {
+        if (this._run === run) {
+            this._run = null;
+            this._progress = null;
+            this._runClashesButtonElement.classList.remove("active");
+        }
+    }
+
+    getClashes() {
+        return this._clashes;
+    }
+
+    getClash(clashId) {
+        for (let i = 0, len = this._clashes.length; i < len; i++) {
+            if (this._clashes[i].id === clashId) {
+                return this._clashes[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sets whether a clash is "open", "approved" or "ignored".
+     */
+    setClashStatus(clashId, status) {
+        if (statuses.indexOf(status) === -1) {
+            this.error("setClashStatus() - status not recognized: '" + status + "'");
+            return;
+        }
+        const clash = this.getClash(clashId);
+        if (!clash) {
+            this.error("setClashStatus() - clash not found: '" + clashId + "'");
+            return;
+        }
+        clash.status = status;
+        if (status === "open") {
+            delete this._statuses[clashId];
+        } else {
+            this._statuses[clashId] = status;
+        }
+        this._update();
+        this.fire("clashStatusChanged", {clash});
+    }
+
+    /**
+     * Removes the listed clashes, and forgets their statuses.
+     */
+    clearClashes() {
+        this.cancelClashDetection();
+        this._clashes = [];
+        this._statuses = {};
+        this._paramsKey = null;
+        this._params = null;
+        this._selectedClashId = null;
+        this._update();
+    }
+
+    /**
+     * Writes the listed clashes to a Blob, as a BCF-XML archive with a topic for each clash, as CSV, or as JSON.
+     *
+     * Each clash has the GUIDs of its objects, and a viewpoint that looks at them.
+     */
+    exportClashes(format = "bcf", options = {}) {
+        const exportFormat = exportFormats[format];
+        if (!exportFormat) {
+            return Promise.reject(new Error("Export format not recognized: '" + format + "'"));
+        }
+        const projectId = this.bimViewer._modelsExplorer.getLoadedProjectId();
+        if (format === "bcf") {
+            return writeBCFArchive({
+                topics: this._clashes.map((clash, i) => clashToTopic(clash, i + 1)),
+                project: projectId ? {name: projectId} : null
+            }, options).then((bytes) => new Blob([bytes], {type: exportFormat.mimeType}));
+        }
+        const text = (format === "csv")
+            ? clashesToCSV(this._clashes)
+            : clashesToJSON({projectId, params: this._params, clashes: this._clashes});
+        return Promise.resolve(new Blob([text], {type: exportFormat.mimeType}));
+    }
+
+    /**
+     * Reads clashes exported as JSON, replacing those listed, so that running the same test again compares with them.
+     */
+    importClashes(data) {
+        return toText(data).then((json) => {
+            const report = parseClashesJSON(json);
+            this.cancelClashDetection();
+            this._clashes = report.clashes;
+            this._statuses = {};
+            this._clashes.forEach((clash) => {
+                if (clash.status !== "open" && statuses.indexOf(clash.status) !== -1) {
+                    this._statuses[clash.id] = clash.status;
+                }
+            });
+            this._params = report.params || null;
+            this._paramsKey = report.params ? getClashParamsKey(report.params) : null;
+            if (this._params) {
+                this._setParams(this._params);
+            }
+            this._selectedClashId = null;
+            this._update();
+            this.fire("clashesImported", {params: this._params, clashes: this._clashes});
+            return this._clashes;
+        });
+    }
+
+    setGroupBy(groupBy) {
+        if (groupBys.indexOf(groupBy) === -1) {
+            this.error("setGroupBy() - grouping not recognized: '" + groupBy + "'");
+            return;
+        }
+        this._groupBy = groupBy;
+        if (this._groupByElement) {
+            this._groupByElement.value = groupBy;
+        }
+        this._update();
+    }
+
+    getGroupBy() {
+        return this._groupBy;
+    }
+
+    /**
+     * Selects a clash in the list, selects its objects, and flies the camera to them.
+     */
+    showClash(clashId) {
+        const clash = this.getClash(clashId);
+        if (!clash) {
+            this.error("showClash() - clash not found: '" + clashId + "'");
+            return;
+        }
+        this._selectedClashId = clashId;
+        this._updateSelection();
+        this.flyToClash(clashId);
+        this.fire("clashSelected", {clash});
+    }
+
+    flyToClash(clashId, done) {
+        const clash = this.getClash(clashId);
+        if (!clash) {
+            this.error("flyToClash() - clash not found: '" + clashId + "'");
+            if (done) {
+                done();
+            }
+            return;
+        }
+        const scene = this.viewer.scene;
+        const objectIds = this._getClashObjectIds(clash);
+        if (objectIds.length === 0) { // Objects are gone, such as for a resolved clash
+            if (clash.viewpoint) {
+                this.bimViewer.loadBCFViewpoint(clash.viewpoint, {duration: 1});
+            }
+            if (done) {
+                done();
+            }
+            return;
+        }
+        scene.setObjectsSelected(scene.selectedObjectIds, false);
+        scene.setObjectsVisible(objectIds, true);
+        scene.setObjectsSelected(objectIds, true);
+        this.viewer.cameraFlight.flyTo({
+            aabb: scene.getAABB(objectIds)
+        }, () => {
+            if (done) {
+                done();
+            }
+        });
+        this.viewer.cameraControl.pivotPos = clash.point;
+    }
+
+    /**
+     * Hides every object except the two that clash, then flies the camera to them.
+     */
+    isolateClash(clashId, done) {
+        const clash = this.getClash(clashId);
+        if (!clash) {
+            this.error("isolateClash() - clash not found: '" + clashId + "'");
+            if (done) {
+                done();
+            }
+            return;
+        }
+        const scene = this.viewer.scene;
+        const objectIds = this._getClashObjectIds(clash);
+        scene.setObjectsVisible(scene.visibleObjectIds, false);
+        scene.setObjectsPickable(scene.xrayedObjectIds, true);
+        scene.setObjectsXRayed(scene.xrayedObjectIds, false);
+        this.flyToClash(clashId, done);
+    }
+
+    _getClashObjectIds(clash) {
+        const objects = this.viewer.scene.objects;
+        return [clash.objectIdA, clash.objectIdB].filter((objectId) => !!objects[objectId]);
+    }
+
+    /**
+     * Creates a BCF viewpoint that looks at the two objects of a clash, in the direction the camera is looking, and
+     * selects them.
+     */
+    _createClashViewpoint(clash) {
+        const scene = this.viewer.scene;
+        const camera = scene.camera;
+        const objectIds = this._getClashObjectIds(clash);
+        const aabb = (objectIds.length > 0) ? scene.getAABB(objectIds) : null;
+        const center = aabb ? math.getAABB3Center(aabb) : clash.point;
+        const diag = aabb ? math.getAABB3Diag(aabb) : 1;
+        const dir = math.normalizeVec3(math.subVec3(camera.look, camera.eye, math.vec3()));
+        const eye = math.subVec3(center, math.mulVec3Scalar(dir, Math.abs(diag / Math.tan(45 * math.DEGTORAD)), math.vec3()), math.vec3());
+        const bcfEye = toBCFVector(camera, eye);
+        const realWorldOffset = scene.realWorldOffset;
+        const originatingSystem = this.bimViewer._bcfViewpointsPlugin.originatingSystem;
+        return {
+            perspective_camera: {
+                camera_view_point: {x: bcfEye.x + realWorldOffset[0], y: bcfEye.y + realWorldOffset[1], z: bcfEye.z + realWorldOffset[2]},
+                camera_direction: toBCFVector(camera, dir),
+                camera_up_vector: toBCFVector(camera, camera.up),
+                field_of_view: camera.perspective.fov
+            },
+            components: {
+                selection: [[clash.guidA, clash.objectIdA], [clash.guidB, clash.objectIdB]].map(([guid, objectId]) => {
+                    return {ifc_guid: guid, originating_system: originatingSystem, authoring_tool_id: objectId};
+                }),
+                visibility: {
+                    default_visibility: true
+                }
+            }
+        };
+    }
+
+    _getParams() {
+        const params = {
+            selectionA: parseSelection(this._selectionAElement ? this._selectionAElement.value : "all"),
+            selectionB: parseSelection(this._selectionBElement ? this._selectionBElement.value : "all"),
+            type: this._clashTypeElement ? this._clashTypeElement.value : "hard"
+        };
+        if (params.type === "clearance" && this._toleranceElement) {
+            params.tolerance = Math.max(0, parseFloat(this._toleranceElement.value) || 0);
+        }
+        return params;
+    }
+
+    /**
+     * Shows the parameters of imported clashes in the settings, where their models and types are loaded.
+     */
+    _setParams(params) {
+        const toValue = (selection = {}) => {
+            if (selection.modelIds && selection.modelIds.length === 1) {
+                return "model:" + selection.modelIds[0];
+            }
+            if (selection.types && selection.types.length === 1) {
+                return "type:" + selection.types[0];
+            }
+            return "all";
+        };
+        [[this._selectionAElement, toValue(params.selectionA)], [this._selectionBElement, toValue(params.selectionB)], [this._clashTypeElement, params.type]].forEach(([element, value]) => {
+            if (element && value) {
+                element.value = value;
+                if (element.value !== value) {
+                    element.value = (element === this._clashTypeElement) ? "hard" : "all";
+                }
+            }
+        });
+        if (this._toleranceElement && params.tolerance !== undefined) {
+            this._toleranceElement.value = params.tolerance;
+        }
+        if (this._clashTypeElement && this._toleranceElement) {
+            this._toleranceElement.disabled = (this._clashTypeElement.value !== "clearance");
+        }
+    }
+
+    /**
+     * Offers all objects, the objects of each loaded model, and the objects of each IFC type, for Set A and Set B.
+     */
+    _updateSelectionOptions() {
+        const selectElements = [this._selectionAElement, this._selectionBElement].filter((element) => !!element);
+        if (selectElements.length === 0) {
+            return;
+        }
+        const viewer = this.viewer;
+        const modelsExplorer = this.bimViewer._modelsExplorer;
+        const localeService = viewer.localeService;
+        const models = [];
+        for (let modelId in viewer.scene.models) {
+            if (modelsExplorer.isModelLoaded(modelId) && !modelsExplorer.isContextModel(modelId)) {
+                const modelInfo = modelsExplorer.getModelInfo(modelId);
+                models.push({modelId, name: modelInfo ? modelInfo.name : modelId});
+            }
+        }
+        const types = {};
+        const metaObjects = viewer.metaScene.metaObjects;
+        for (let objectId in viewer.scene.objects) {
+            const metaObject = metaObjects[objectId];
+            if (metaObject && metaObject.type) {
+                types[metaObject.type] = true;
+            }
+        }
+        selectElements.forEach((selectElement) => {
+            const value = selectElement.value;
+            selectElement.innerHTML = "";
+            const allOption = createElement("option", "", localeService.translate("clashesExplorer.allObjects") || "All objects");
+            allOption.value = "all";
+            selectElement.appendChild(allOption);
+            if (models.length > 0) {
+                const modelsGroup = createElement("optgroup", "");
+                modelsGroup.label = localeService.translate("clashesExplorer.models") || "Models";
+                models.forEach((model) => {
+                    const option = createElement("option", "", model.name);
+                    option.value = "model:" + model.modelId;
+                    modelsGroup.appendChild(option);
+                });
+                selectElement.appendChild(modelsGroup);
+            }
+            const typeNames = Object.keys(types).sort();
+            if (typeNames.length > 0) {
+                const typesGroup = createElement("optgroup", "");
+                typesGroup.label = localeService.translate("clashesExplorer.types") || "Types";
+                typeNames.forEach((type) => {
+                    const option = createElement("option", "", type);
+                    option.value = "type:" + type;
+                    typesGroup.appendChild(option);
+                });
+                selectElement.appendChild(typesGroup);
+            }
+            selectElement.value = value;
+            if (selectElement.value !== value) { // The model or type is gone
+                selectElement.value = "all";
+            }
+        });
+    }
+
+    /**
+     * Labels an object with its type and name, falling back on those the clash was found with, when it's gone.
+     */
+    _getObjectLabel(objectId, type, name) {
+        const metaObject = this.viewer.metaScene.metaObjects[objectId];
+        if (metaObject) {
+            type = metaObject.type;
+            name = metaObject.name;
+        }
+        if (!type) {
+            return objectId;
+        }
+        return (name && name !== type) ? (type + " '" + name + "'") : (type + " " + objectId);
+    }
+
+    _getObjectType(objectId) {
+        const metaObject = this.viewer.metaScene.metaObjects[objectId];
+        return metaObject ? metaObject.type : "";
+    }
+
+    _getStateLabel(clash) {
+        const state = clash.state || "new";
+        const stateKey = "clashesExplorer.state" + state.charAt(0).toUpperCase() + state.substring(1);
+        return this.viewer.localeService.translate(stateKey) || state;
+    }
+
+    _getGroupKey(clash) {
+        switch (this._groupBy) {
+            case "state":
+                return this._getStateLabel(clash);
+            case "types":
+                return (clash.typeA || this._getObjectType(clash.objectIdA)) + " / " + (clash.typeB || this._getObjectType(clash.objectIdB));
+            case "objectA":
+                return this._getObjectLabel(clash.objectIdA, clash.typeA, clash.nameA);
+            case "objectB":
+                return this._getObjectLabel(clash.objectIdB, clash.typeB, clash.nameB);
+            default:
+                return null;
+        }
+    }
+
+    _update() {
+        const localeService = this.viewer.localeService;
+        this._clashesElement.innerHTML = "";
+        if (this._run) {
+            this._progressElement = createElement("p", "subsubtitle xeokit-clashes-progress");
+            this._clashesElement.appendChild(this._progressElement);
+            this._updateProgress();
+            return;
+        }
+        this._progressElement = null;
+        if (this._clashes.length === 0) {
+            const text = localeService.translate("clashesExplorer.noClashes") || "No clashes found.";
+            const noClashesElement = createElement("p", "xeokit-i18n subsubtitle xeokit-no-clashes", text);
+            noClashesElement.dataset.xeokitI18n = "clashesExplorer.noClashes";
+            this._clashesElement.appendChild(noClashesElement);
+            return;
+        }
+        const groups = new Map();
+        this._clashes.forEach((clash, i) => {
+            const key = this._getGroupKey(clash);
+            let group = groups.get(key);
+            if (!group) {
+                group = [];
+                groups.set(key, group);
+            }
+            group.push({clash, number: i + 1});
+        });
+        groups.forEach((group, key) => {
+            const groupElement = createElement("div", "xeokit-clashes-group");
+            if (key !== null) {
+                groupElement.appendChild(createElement("div", "xeokit-clashes-group-name", key + " (" + group.length + ")"));
+            }
+            group.forEach(({clash, number}) => {
+                groupElement.appendChild(this._createClashElement(clash, number));
+            });
+            this._clashesElement.appendChild(groupElement);
+        });
+        this._updateSelection();
+    }
+
+    _createClashElement(clash, number) {
+        const localeService = this.viewer.localeService;
+        const clashElement = createElement("div", "xeokit-clash xeokit-clash-status-" + clash.status + " xeokit-clash-state-" + (clash.state || "new"));
+        clashElement.dataset.clashId = clash.id;
+        clashElement.appendChild(createElement("div", "xeokit-clash-title", number + ". " + this._getObjectLabel(clash.objectIdA, clash.typeA, clash.nameA)));
+        clashElement.appendChild(createElement("div", "xeokit-clash-title", this._getObjectLabel(clash.objectIdB, clash.typeB, clash.nameB)));
+        const detailsElement = createElement("div", "xeokit-clash-details");
+        detailsElement.appendChild(createElement("span", "xeokit-clash-state", this._getStateLabel(clash)));
+        detailsElement.appendChild(createElement("span", "xeokit-clash-type", localeService.translate("clashesExplorer." + clash.type) || clash.type));
+        if (clash.type === "clearance") {
+            detailsElement.appendChild(createElement("span", "xeokit-clash-distance", clash.distance.toFixed(3)));
+        }
+        const statusKey = "clashesExplorer.status" + clash.status.charAt(0).toUpperCase() + clash.status.substring(1);
+        detailsElement.appendChild(createElement("span", "xeokit-clash-status", localeService.translate(statusKey) || clash.status));
+        if (!clash.exact) {
+            detailsElement.appendChild(createElement("span", "xeokit-clash-approximate", localeService.translate("clashesExplorer.approximate") || "Approximate"));
+        }
+        clashElement.appendChild(detailsElement);
+        clashElement.addEventListener("click", (event) => {
+            this.showClash(clash.id);
+            event.preventDefault();
+        });
+        clashElement.oncontextmenu = (event) => {
+            this._clashesContextMenu.context = {
+                bimViewer: this.bimViewer,
+                viewer: this.viewer,
+                clashesExplorer: this,
+                clash
+            };
+            this._clashesContextMenu.show(event.pageX, event.pageY);
+            event.preventDefault();
+        };
+        return clashElement;
+    }
+
+    _updateProgress() {
+        if (!this._progressElement || !this._progress) {
+            return;
+        }
+        const text = this.viewer.localeService.translate("clashesExplorer.testing") || "Testing object pairs";
+        this._progressElement.textContent = text + " " + this._progress.numPairsTested + " / " + this._progress.numPairs;
+    }
+
+    _updateSelection() {
+        const clashElements = this._clashesElement.querySelectorAll(".xeokit-clash");
+        for (let i = 0, len = clashElements.length; i < len; i++) {
+            const clashElement = clashElements[i];
+            clashElement.classList.toggle("selected", clashElement.dataset.clashId === this._selectedClashId);
+        }
+    }
+
+    setEnabled(enabled) {
+        if (!enabled) {
+            this._clashesTabButtonElement.classList.add("disabled");
+            this._runClashesButtonElement.classList.add("disabled");
+            this._clearClashesButtonElement.classList.add("disabled");
+            if (this._importClashesButtonElement) {
+                this._importClashesButtonElement.classList.add("disabled");
+            }
+            if (this._exportClashesButtonElement) {
+                this._exportClashesButtonElement.classList.add("disabled");
+            }
+        } else {
+            this._clashesTabButtonElement.classList.remove("disabled");
+            this._runClashesButtonElement.classList.remove("disabled");
+            this._clearClashesButtonElement.classList.remove("disabled");
+            if (this._importClashesButtonElement) {
+                this._importClashesButtonElement.classList.remove("disabled");
+            }
+            if (this._exportClashesButtonElement) {
+                this._exportClashesButtonElement.classList.remove("disabled");
+            }
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        if (this._run) {
+            this._run.abort();
+            this._run = null;
+        }
+        this._clashesContextMenu.destroy();
+        this.bimViewer._modelsExplorer.off(this._onModelLoaded);
+        this.bimViewer._modelsExplorer.off(this._onModelUnloaded);
+    }
+}
+
+export {ClashesExplorer};
@@ -80,10 +80,10 @@ class ClassesExplorer extends Controller {
             }
         });
 
-        this._onModelLoaded = this.viewer.scene.on("modelLoaded", (modelId) => {
+        this._onModelLoaded = this.bimViewer._modelsExplorer.on("modelLoaded", (modelId) => {
             if (this.viewer.metaScene.metaModels[modelId]) {
                 const modelInfo = this.bimViewer._modelsExplorer.getModelInfo(modelId);
-                if (!modelInfo) {
+                if (!modelInfo || this.bimViewer._modelsExplorer.isContextModel(modelId)) {
                     return;
                 }
                 this._treeView.addModel(modelId, {
@@ -132,7 +132,7 @@ class ClassesExplorer extends Controller {
         super.destroy();
         this._treeView.destroy();
         this._treeViewContextMenu.destroy();
-        this.viewer.scene.off(this._onModelLoaded);
+        this.bimViewer._modelsExplorer.off(this._onModelLoaded);
         this.viewer.scene.off(this._onModelUnloaded);
     }
 }
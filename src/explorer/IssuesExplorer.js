@@ -0,0 +1,954 @@
+import {AnnotationsPlugin, math} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+import {Controller} from "../Controller.js";
+import {isAbortError} from "../utils/callbackPromise.js";
+import {IssueDialog} from "../IssueDialog.js";
+import {IssuesContextMenu} from "../contextMenus/IssuesContextMenu.js";
+import {readBCFArchive, writeBCFArchive} from "../bcf/bcfArchive.js";
+import {isGuid, nameToGuid} from "../bcf/guids.js";
+
+const tempVec3 = math.vec3();
+
+const priorities = ["Low", "Normal", "High", "Critical"];
+
+function getStatusClass(status) {
+    return "xeokit-issue-status-" + String(status || "none").toLowerCase().replace(/[^a-z0-9]+/g, "-");
+}
+
+function toGuid(id, name) {
+    return isGuid(id) ? String(id) : nameToGuid(name);
+}
+
+function getCommentGuid(modelId, issue, comment) {
+    return toGuid(comment.id, modelId + "/" + issue.id + "/" + comment.id);
+}
+
+function getModifiedDate(topic) {
+    return Date.parse(topic.modified_date || topic.creation_date) || 0;
+}
+
+/**
+ * Converts an issue to a BCF topic, as written by {@link writeBCFArchive} and sent by {@link BCFAPIConnector#pushTopics}.
+ */
+function issueToTopic(modelId, issue) {
+    let viewpoint = issue.viewpoint;
+    if (viewpoint && !isGuid(viewpoint.guid)) { // Viewpoints can't change once sent, so a changed one needs a new GUID
+        viewpoint = Object.assign({}, viewpoint, {guid: nameToGuid(JSON.stringify(viewpoint))});
+    }
+    return {
+        guid: toGuid(issue.id, modelId + "/" + issue.id),
+        topic_type: "Issue",
+        topic_status: issue.status,
+        title: issue.title,
+        priority: issue.priority,
+        assigned_to: issue.assignee,
+        description: issue.description,
+        creation_date: issue.createdAt,
+        creation_author: issue.author,
+        modified_date: issue.updatedAt,
+        comments: (issue.comments || []).map((comment) => {
+            return {
+                guid: getCommentGuid(modelId, issue, comment),
+                date: comment.createdAt,
+                author: comment.author,
+                comment: comment.text
+            };
+        }),
+        viewpoints: viewpoint ? [viewpoint] : []
+    };
+}
+
+function toArrayBuffer(data) {
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        return Promise.resolve(data);
+    }
+    if (data && data.arrayBuffer) { // File or Blob
+        return data.arrayBuffer();
+    }
+    return Promise.reject(new Error("Expected a File, Blob or ArrayBuffer"));
+}
+
+function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    if (text !== undefined && text !== null && text !== "") {
+        element.textContent = text;
+    }
+    return element;
+}
+
+/**
+ * Lists the issues of each loaded model, which it gets with {@link Server#getIssues}, and shows a pin on the canvas
+ * at the position of each issue. Clicking an issue, or its pin, restores the issue's BCF viewpoint.
+ *
+ * Also lists the topics imported from BCF-XML archives, which can be exported again, along with the issues. The issues
+ * and topics can also be synced with a BCF API server, through a {@link BCFAPIConnector}.
+ *
+ * When editing is enabled, issues can also be filed on objects, commented on, have their status changed, and be
+ * deleted, with each change written back through the {@link Server}.
+ *
+ * @private
+ */
+class IssuesExplorer extends Controller {
+
+    constructor(parent, cfg = {}) {
+
+        super(parent);
+
+        if (!cfg.issuesTabElement) {
+            throw "Missing config: issuesTabElement";
+        }
+
+        if (!cfg.showIssuePinsButtonElement) {
+            throw "Missing config: showIssuePinsButtonElement";
+        }
+
+        if (!cfg.hideIssuePinsButtonElement) {
+            throw "Missing config: hideIssuePinsButtonElement";
+        }
+
+        if (!cfg.issuesElement) {
+            throw "Missing config: issuesElement";
+        }
+
+        this._containerElement = cfg.containerElement;
+        this._issuesTabElement = cfg.issuesTabElement;
+        this._showIssuePinsButtonElement = cfg.showIssuePinsButtonElement;
+        this._hideIssuePinsButtonElement = cfg.hideIssuePinsButtonElement;
+        this._issuesElement = cfg.issuesElement;
+        this._importBCFButtonElement = cfg.importBCFButtonElement; // Can be undefined
+        this._exportBCFButtonElement = cfg.exportBCFButtonElement; // Can be undefined
+        this._syncBCFButtonElement = cfg.syncBCFButtonElement; // Can be undefined
+        this._bcfConnector = cfg.bcfConnector || null;
+        this._bcfProjectId = cfg.bcfProjectId || null;
+        this._issuesTabButtonElement = this._issuesTabElement.querySelector(".xeokit-tab-btn");
+
+        if (!this._issuesTabButtonElement) {
+            throw "Missing DOM element: .xeokit-tab-btn";
+        }
+
+        this._issues = {};      // Issues of each loaded model, mapped to model ID
+        this._issueLoads = {};  // AbortControllers for issues still being loaded, mapped to model ID
+        this._pins = {};        // Annotations, mapped to model ID, then issue ID
+        this._pinIssues = {};   // {modelId, issueId} of each pin, mapped to Annotation ID
+        this._pinsVisible = true;
+        this._selectedIssue = null;
+        this._bcfTopics = [];   // Topics imported from BCF archives, or pulled from a BCF API server
+        this._selectedTopicGuid = null;
+        this._syncingBCF = false;
+        this._enableEditIssues = !!cfg.enableEditIssues;
+
+        if (this._enableEditIssues) {
+            this._issueDialog = new IssueDialog(this, {
+                dialogBackdropElement: cfg.dialogBackdropElement || this._containerElement
+            });
+            this._issuesContextMenu = new IssuesContextMenu({
+                hideOnAction: true,
+                parentNode: this._containerElement
+            });
+        }
+
+        this._annotations = new AnnotationsPlugin(this.viewer, {
+            container: this._containerElement,
+            markerHTML: "<div class='xeokit-issue-pin {{statusClass}}' title='{{title}}'>{{number}}</div>",
+            labelHTML: "<div></div>"
+        });
+
+        this._annotations.on("markerClicked", (annotation) => {
+            const pin = this._pinIssues[annotation.id];
+            if (pin) {
+                this.bimViewer.openTab("issues");
+                this.showIssue(pin.modelId, pin.issueId);
+            }
+        });
+
+        this._onModelLoaded = this.bimViewer._modelsExplorer.on("modelLoaded", (modelId) => {
+            if (!this.bimViewer._modelsExplorer.isLocalModel(modelId)) {
+                this.loadIssues(modelId);
+            }
+        });
+
+        this._onModelUnloaded = this.bimViewer._modelsExplorer.on("modelUnloaded", (modelId) => {
+            this._removeIssues(modelId);
+        });
+
+        this._showIssuePinsButtonElement.addEventListener("click", (event) => {
+            this.setPinsVisible(true);
+            event.preventDefault();
+        });
+
+        this._hideIssuePinsButtonElement.addEventListener("click", (event) => {
+            this.setPinsVisible(false);
+            event.preventDefault();
+        });
+
+        if (this._importBCFButtonElement) {
+            this._bcfFileInputElement = document.createElement("input");
+            this._bcfFileInputElement.type = "file";
+            this._bcfFileInputElement.accept = ".bcf,.bcfzip";
+            this._bcfFileInputElement.style.display = "none";
+            this._bcfFileInputElement.addEventListener("change", () => {
+                const file = this._bcfFileInputElement.files[0];
+                this._bcfFileInputElement.value = "";
+                if (file) {
+                    this.importBCF(file).catch((e) => {
+                        this.error("Failed to import BCF file '" + file.name + "': " + e.message);
+                    });
+                }
+            });
+            this._issuesTabElement.appendChild(this._bcfFileInputElement);
+            this._importBCFButtonElement.addEventListener("click", (event) => {
+                if (!this._importBCFButtonElement.classList.contains("disabled")) {
+                    this._bcfFileInputElement.click();
+                }
+                event.preventDefault();
+            });
+        }
+
+        if (this._exportBCFButtonElement) {
+            this._exportBCFButtonElement.addEventListener("click", (event) => {
+                event.preventDefault();
+                if (this._exportBCFButtonElement.classList.contains("disabled")) {
+                    return;
+                }
+                const fileName = (this.bimViewer._modelsExplorer.getLoadedProjectId() || "issues") + ".bcf";
+                this.exportBCF().then((blob) => {
+                    const url = URL.createObjectURL(blob);
+                    const linkElement = document.createElement("a");
+                    linkElement.href = url;
+                    linkElement.download = fileName;
+                    document.body.appendChild(linkElement);
+                    linkElement.click();
+                    document.body.removeChild(linkElement);
+                    setTimeout(() => URL.revokeObjectURL(url), 0);
+                }, (e) => {
+                    this.error("Failed to export BCF file: " + e.message);
+                });
+            });
+        }
+
+        if (this._syncBCFButtonElement && this._bcfConnector) {
+            this._syncBCFButtonElement.addEventListener("click", (event) => {
+                event.preventDefault();
+                if (this._syncBCFButtonElement.classList.contains("disabled") || this._syncingBCF) {
+                    return;
+                }
+                const bcfProjectId = this._bcfProjectId || this.bimViewer._modelsExplorer.getLoadedProjectId();
+                this._syncingBCF = true;
+                this._syncBCFButtonElement.classList.add("active");
+                this.syncBCFTopics(this._bcfConnector, bcfProjectId).catch((e) => {
+                    this.error("Failed to sync BCF topics with project '" + bcfProjectId + "': " + e.message);
+                }).then(() => {
+                    this._syncingBCF = false;
+                    this._syncBCFButtonElement.classList.remove("active");
+                });
+            });
+        }
+
+        this._update();
+    }
+
+    /**
+     * Loads the issues for a loaded model, replacing any it already has.
+     */
+    loadIssues(modelId, done, error) {
+        const projectId = this.bimViewer._modelsExplorer.getLoadedProjectId();
+        if (!projectId) {
+            if (error) {
+                error("No project loaded");
+            }
+            return;
+        }
+        if (this._issueLoads[modelId]) {
+            this._issueLoads[modelId].abort();
+        }
+        const abortController = new AbortController();
+        this._issueLoads[modelId] = abortController;
+        this.server.getIssues(projectId, modelId, {signal: abortController.signal})
+            .then((issuesInfo) => {
+                delete this._issueLoads[modelId];
+                const issues = Array.isArray(issuesInfo) ? issuesInfo : (issuesInfo.issues || []);
+                this._setIssues(modelId, issues);
+                if (done) {
+                    done(issues);
+                }
+            }, (e) => {
+                if (isAbortError(e)) {
+                    if (error) {
+                        error(e); // Superseded, or the model was unloaded
+                    }
+                    return;
+                }
+                delete this._issueLoads[modelId];
+                this._setIssues(modelId, []); // Models don't need an issues.json
+                this.log("No issues loaded for model '" + modelId + "': " + e.message);
+                if (error) {
+                    error(e.message);
+                }
+            });
+    }
+
+    getIssues(modelId) {
+        return this._issues[modelId] || [];
+    }
+
+    getIssue(modelId, issueId) {
+        const issues = this.getIssues(modelId);
+        for (let i = 0, len = issues.length; i < len; i++) {
+            if (issues[i].id === issueId) {
+                return issues[i];
+            }
+        }
+        return null;
+    }
+
+    showIssue(modelId, issueId) {
+        const issue = this.getIssue(modelId, issueId);
+        if (!issue) {
+            this.error("showIssue() - issue not found: '" + issueId + "'");
+            return;
+        }
+        this._selectedIssue = {modelId, issueId};
+        this._selectedTopicGuid = null;
+        this._updateSelection();
+        if (issue.viewpoint) {
+            this.bimViewer.loadBCFViewpoint(issue.viewpoint, {
+                immediate: false
+            });
+        } else if (issue.position) {
+            const camera = this.viewer.camera;
+            const eyeOffset = math.subVec3(camera.eye, camera.look, tempVec3);
+            this.viewer.cameraFlight.flyTo({
+                look: issue.position,
+                eye: math.addVec3(issue.position, eyeOffset, math.vec3()),
+                up: camera.up
+            });
+        }
+        this.fire("issueSelected", {modelId, issue});
+    }
+
+    /**
+     * Reads the topics in a BCF-XML archive, and adds them to the list, replacing any already imported with the same GUIDs.
+     */
+    importBCF(data) {
+        return toArrayBuffer(data)
+            .then((arrayBuffer) => readBCFArchive(arrayBuffer))
+            .then((bcf) => {
+                this._addBCFTopics(bcf.topics);
+                this.fire("bcfImported", bcf);
+                return bcf.topics;
+            });
+    }
+
+    /**
+     * Writes the issues of the loaded models, and the imported topics, to a BCF-XML archive.
+     */
+    exportBCF(options = {}) {
+        const projectId = this.bimViewer._modelsExplorer.getLoadedProjectId();
+        return writeBCFArchive({
+            topics: this._getAllBCFTopics(),
+            project: projectId ? {name: projectId} : null
+        }, options).then((bytes) => new Blob([bytes], {type: "application/octet-stream"}));
+    }
+
+    /**
+     * Pulls the topics of a BCF API project.
+     *
+     * A topic that is one of our issues updates the issue, where the topic was modified more recently, and adds the
+     * topic's new comments to it, as long as the issue can be edited. The other topics are listed like imported ones.
+     */
+    pullBCFTopics(connector, bcfProjectId) {
+        return connector.pullTopics(bcfProjectId).then((topics) => {
+            const issuesByGuid = {};
+            for (let modelId in this._issues) {
+                this._issues[modelId].forEach((issue) => {
+                    issuesByGuid[toGuid(issue.id, modelId + "/" + issue.id)] = {modelId, issue};
+                });
+            }
+            const otherTopics = [];
+            return topics.reduce((promise, topic) => {
+                const match = issuesByGuid[topic.guid];
+                if (!match) {
+                    otherTopics.push(topic);
+                    return promise;
+                }
+                return promise.then(() => this._pullIssue(match.modelId, match.issue, topic));
+            }, Promise.resolve()).then(() => {
+                this._addBCFTopics(otherTopics);
+                this.fire("bcfPulled", {projectId: bcfProjectId, topics});
+                return topics;
+            });
+        });
+    }
+
+    /**
+     * Pushes the issues of the loaded models, and the listed topics, to a BCF API project.
+     */
+    pushBCFTopics(connector, bcfProjectId) {
+        return connector.pushTopics(bcfProjectId, this._getAllBCFTopics()).then((result) => {
+            this.fire("bcfPushed", Object.assign({projectId: bcfProjectId}, result));
+            return result;
+        });
+    }
+
+    /**
+     * Pushes, then pulls, so that local changes are sent before the project's changes are applied.
+     */
+    syncBCFTopics(connector, bcfProjectId) {
+        return this.pushBCFTopics(connector, bcfProjectId)
+            .then(() => this.pullBCFTopics(connector, bcfProjectId));
+    }
+
+    _pullIssue(modelId, issue, topic) {
+        if (!this.canEditIssues(modelId)) {
+            return Promise.resolve();
+        }
+        const issueId = issue.id;
+        const changes = {};
+        if (getModifiedDate(topic) > (Date.parse(issue.updatedAt) || 0)) {
+            [["title", "title"], ["description", "description"], ["status", "topic_status"],
+                ["priority", "priority"], ["assignee", "assigned_to"]].forEach(([field, topicField]) => {
+                const value = (topic[topicField] !== undefined && topic[topicField] !== "") ? topic[topicField] : null;
+                if (value !== (issue[field] !== undefined ? issue[field] : null)) {
+                    changes[field] = value;
+                }
+            });
+        }
+        if (changes.title === null) { // An issue needs a title
+            delete changes.title;
+        }
+        const commentGuids = new Set((issue.comments || []).map((comment) => getCommentGuid(modelId, issue, comment)));
+        const newComments = (topic.comments || []).filter((comment) => !commentGuids.has(comment.guid) && !!comment.comment);
+        let promise = (Object.keys(changes).length > 0)
+            ? this.updateIssue(modelId, issueId, changes)
+            : Promise.resolve();
+        newComments.forEach((comment) => {
+            promise = promise.then(() => this.addIssueComment(modelId, issueId, {
+                id: comment.guid,
+                text: comment.comment,
+                author: comment.author
+            }));
+        });
+        return promise;
+    }
+
+    /**
+     * Topics for the issues of the loaded models, followed by the listed topics that aren't issues.
+     */
+    _getAllBCFTopics() {
+        const topics = [];
+        const guids = new Set();
+        for (let modelId in this._issues) {
+            this._issues[modelId].forEach((issue) => {
+                const topic = issueToTopic(modelId, issue);
+                guids.add(topic.guid);
+                topics.push(topic);
+            });
+        }
+        this._bcfTopics.forEach((topic) => {
+            if (!guids.has(topic.guid)) {
+                topics.push(topic);
+            }
+        });
+        return topics;
+    }
+
+    /**
+     * Adds topics to the list, replacing any with the same GUIDs.
+     */
+    _addBCFTopics(topics) {
+        const guids = new Set(topics.map((topic) => topic.guid));
+        this._bcfTopics = this._bcfTopics.filter((topic) => !guids.has(topic.guid)).concat(topics);
+        this._update();
+    }
+
+    getBCFTopics() {
+        return this._bcfTopics;
+    }
+
+    getBCFTopic(topicGuid) {
+        for (let i = 0, len = this._bcfTopics.length; i < len; i++) {
+            if (this._bcfTopics[i].guid === topicGuid) {
+                return this._bcfTopics[i];
+            }
+        }
+        return null;
+    }
+
+    showBCFTopic(topicGuid, viewpointGuid) {
+        const topic = this.getBCFTopic(topicGuid);
+        if (!topic) {
+            this.error("showBCFTopic() - topic not found: '" + topicGuid + "'");
+            return;
+        }
+        const viewpoints = topic.viewpoints || [];
+        let viewpoint = viewpoints[0];
+        if (viewpointGuid) {
+            viewpoint = viewpoints.find((viewpoint) => viewpoint.guid === viewpointGuid);
+            if (!viewpoint) {
+                this.error("showBCFTopic() - viewpoint not found: '" + viewpointGuid + "'");
+                return;
+            }
+        }
+        this._selectedTopicGuid = topicGuid;
+        this._selectedIssue = null;
+        this._updateSelection();
+        if (viewpoint) {
+            this.bimViewer.loadBCFViewpoint(viewpoint, {
+                immediate: false
+            });
+        }
+        this.fire("bcfTopicSelected", {topic, viewpoint: viewpoint || null});
+    }
+
+    clearBCFTopics() {
+        this._bcfTopics = [];
+        this._selectedTopicGuid = null;
+        this._update();
+    }
+
+    /**
+     * Gets whether issues can be filed on, or changed for, a model.
+     */
+    canEditIssues(modelId) {
+        return this._enableEditIssues
+            && !!this.bimViewer._modelsExplorer.getLoadedProjectId()
+            && this.bimViewer._modelsExplorer.isModelLoaded(modelId)
+            && !this.bimViewer._modelsExplorer.isLocalModel(modelId);
+    }
+
+    createIssue(modelId, issue) {
+        return this._writeIssue(modelId, (projectId) => this.server.createIssue(projectId, modelId, issue))
+            .then((issue) => {
+                this._putIssue(modelId, issue);
+                this.fire("issueChanged", {modelId, action: "create", issueId: issue.id, issue});
+                return issue;
+            });
+    }
+
+    updateIssue(modelId, issueId, changes) {
+        return this._writeIssue(modelId, (projectId) => this.server.updateIssue(projectId, modelId, issueId, changes))
+            .then((issue) => {
+                this._putIssue(modelId, issue);
+                this.fire("issueChanged", {modelId, action: "update", issueId, issue});
+                return issue;
+            });
+    }
+
+    deleteIssue(modelId, issueId) {
+        return this._writeIssue(modelId, (projectId) => this.server.deleteIssue(projectId, modelId, issueId))
+            .then(() => {
+                this._removeIssue(modelId, issueId);
+                this.fire("issueChanged", {modelId, action: "delete", issueId, issue: null});
+            });
+    }
+
+    addIssueComment(modelId, issueId, comment) {
+        return this._writeIssue(modelId, (projectId) => this.server.addIssueComment(projectId, modelId, issueId, comment))
+            .then((comment) => {
+                const issue = this.getIssue(modelId, issueId);
+                if (issue) {
+                    issue.comments = (issue.comments || []).concat([comment]);
+                    issue.updatedAt = comment.createdAt;
+                    this._update();
+                }
+                this.fire("issueChanged", {modelId, action: "comment", issueId, issue});
+                return comment;
+            });
+    }
+
+    /**
+     * Selects an object, captures a BCF viewpoint with a snapshot of the canvas, then shows a dialog in which the
+     * user files an issue on the object, pinned where they clicked it.
+     */
+    showCreateIssueDialog(entity, canvasPos) {
+        const modelId = entity.model.id;
+        const localeService = this.viewer.localeService;
+        const scene = this.viewer.scene;
+        let position = null;
+        if (canvasPos) {
+            const hit = scene.pick({canvasPos, pickSurface: true});
+            if (hit && hit.entity === entity && hit.worldPos) {
+                position = Array.from(hit.worldPos);
+            }
+        }
+        if (!position) {
+            position = Array.from(math.getAABB3Center(entity.aabb));
+        }
+        scene.setObjectsSelected(scene.selectedObjectIds, false);
+        entity.selected = true;
+        const viewpoint = this.bimViewer.saveBCFViewpoint({});
+        const translate = (key, fallback) => localeService.translate("issueDialog." + key) || fallback;
+        this._issueDialog.show({
+            title: translate("createTitle", "Create Issue"),
+            snapshot: viewpoint.snapshot ? viewpoint.snapshot.snapshot_data : null,
+            fields: [
+                {name: "title", label: translate("issueTitle", "Title"), required: true},
+                {name: "description", label: translate("description", "Description"), type: "textarea"},
+                {
+                    name: "priority", label: translate("priority", "Priority"), type: "select", value: "Normal",
+                    options: priorities.map((priority) => {
+                        return {value: priority, label: translate("priority" + priority, priority)};
+                    })
+                },
+                {name: "assignee", label: translate("assignee", "Assignee")}
+            ],
+            submitLabel: translate("create", "Create")
+        }, (values) => {
+            const issue = {
+                title: values.title,
+                status: "Open",
+                priority: values.priority,
+                position,
+                objectIds: [entity.id],
+                viewpoint
+            };
+            if (values.description) {
+                issue.description = values.description;
+            }
+            if (values.assignee) {
+                issue.assignee = values.assignee;
+            }
+            return this.createIssue(modelId, issue).then((issue) => {
+                this.bimViewer.openTab("issues");
+                this._selectedIssue = {modelId, issueId: issue.id};
+                this._updateSelection();
+            });
+        });
+    }
+
+    showAddCommentDialog(modelId, issueId) {
+        const issue = this.getIssue(modelId, issueId);
+        if (!issue) {
+            return;
+        }
+        const localeService = this.viewer.localeService;
+        this._issueDialog.show({
+            title: localeService.translate("issueDialog.commentTitle") || "Add Comment",
+            message: issue.title,
+            fields: [{
+                name: "text",
+                label: localeService.translate("issueDialog.comment") || "Comment",
+                type: "textarea",
+                required: true
+            }],
+            submitLabel: localeService.translate("issueDialog.addComment") || "Add"
+        }, (values) => {
+            return this.addIssueComment(modelId, issueId, {text: values.text});
+        });
+    }
+
+    showDeleteDialog(modelId, issueId) {
+        const issue = this.getIssue(modelId, issueId);
+        if (!issue) {
+            return;
+        }
+        const localeService = this.viewer.localeService;
+        this._issueDialog.show({
+            title: localeService.translate("issueDialog.deleteTitle") || "Delete Issue",
+            message: (localeService.translate("issueDialog.deleteMessage") || "Delete this issue and its comments?") + " " + issue.title,
+            submitLabel: localeService.translate("issueDialog.delete") || "Delete"
+        }, () => {
+            return this.deleteIssue(modelId, issueId);
+        });
+    }
+
+    setPinsVisible(visible) {
+        this._pinsVisible = visible;
+        for (let modelId in this._pins) {
+            const pins = this._pins[modelId];
+            for (let issueId in pins) {
+                pins[issueId].markerShown = visible;
+            }
+        }
+    }
+
+    getPinsVisible() {
+        return this._pinsVisible;
+    }
+
+    _writeIssue(modelId, write) {
+        const projectId = this.bimViewer._modelsExplorer.getLoadedProjectId();
+        if (!projectId) {
+            return Promise.reject(new Error("No project loaded"));
+        }
+        if (!this.bimViewer._modelsExplorer.isModelLoaded(modelId)) {
+            return Promise.reject(new Error("Model not loaded: '" + modelId + "'"));
+        }
+        if (this.bimViewer._modelsExplorer.isLocalModel(modelId)) {
+            return Promise.reject(new Error("Model not in project: '" + modelId + "'"));
+        }
+        return write(projectId);
+    }
+
+    _putIssue(modelId, issue) {
+        const issues = (this._issues[modelId] || []).slice();
+        let i = 0;
+        const len = issues.length;
+        while (i < len && String(issues[i].id) !== String(issue.id)) {
+            i++;
+        }
+        issues[i] = issue;
+        this._issues[modelId] = issues;
+        this._createPins(modelId);
+        this._update();
+    }
+
+    _removeIssue(modelId, issueId) {
+        const issues = this.getIssues(modelId);
+        this._issues[modelId] = issues.filter((issue) => String(issue.id) !== String(issueId));
+        if (this._selectedIssue && this._selectedIssue.modelId === modelId && String(this._selectedIssue.issueId) === String(issueId)) {
+            this._selectedIssue = null;
+        }
+        this._createPins(modelId);
+        this._update();
+    }
+
+    _setIssues(modelId, issues) {
+        this._issues[modelId] = issues;
+        this._createPins(modelId);
+        this._update();
+        this.fire("issuesLoaded", {modelId, issues});
+    }
+
+    _createPins(modelId) {
+        this._destroyPins(modelId);
+        const issues = this._issues[modelId];
+        const pins = {};
+        for (let i = 0, len = issues.length; i < len; i++) {
+            const issue = issues[i];
+            if (!issue.position) {
+                continue;
+            }
+            const annotation = this._annotations.createAnnotation({
+                id: "xeokit-issue-pin-" + modelId + "-" + issue.id,
+                worldPos: issue.position,
+                occludable: true,
+                markerShown: this._pinsVisible,
+                labelShown: false,
+                values: {
+                    number: String(i + 1),
+                    title: String(issue.title || "").replace(/[&<>'"]/g, (c) => "&#" + c.charCodeAt(0) + ";"),
+                    statusClass: getStatusClass(issue.status)
+                }
+            });
+            this._pinIssues[annotation.id] = {modelId, issueId: issue.id};
+            pins[issue.id] = annotation;
+        }
+        this._pins[modelId] = pins;
+    }
+
+    _removeIssues(modelId) {
+        if (this._issueLoads[modelId]) {
+            this._issueLoads[modelId].abort();
+            delete this._issueLoads[modelId];
+        }
+        if (!this._issues[modelId]) {
+            return;
+        }
+        this._destroyPins(modelId);
+        delete this._issues[modelId];
+        if (this._selectedIssue && this._selectedIssue.modelId === modelId) {
+            this._selectedIssue = null;
+        }
+        this._update();
+    }
+
+    _destroyPins(modelId) {
+        const pins = this._pins[modelId];
+        if (pins) {
+            for (let issueId in pins) {
+                delete this._pinIssues[pins[issueId].id];
+                pins[issueId].destroy();
+            }
+            delete this._pins[modelId];
+        }
+    }
+
+    _update() {
+        const modelsExplorer = this.bimViewer._modelsExplorer;
+        const localeService = this.viewer.localeService;
+        this._issuesElement.innerHTML = "";
+        let numIssues = 0;
+        for (let modelId in this._issues) {
+            const issues = this._issues[modelId];
+            if (issues.length === 0) {
+                continue;
+            }
+            const modelInfo = modelsExplorer.getModelInfo(modelId);
+            const modelElement = createElement("div", "xeokit-issues-model");
+            modelElement.appendChild(createElement("div", "xeokit-issues-model-name", modelInfo ? modelInfo.name : modelId));
+            for (let i = 0, len = issues.length; i < len; i++) {
+                const issue = issues[i];
+                const issueElement = createElement("div", "xeokit-issue " + getStatusClass(issue.status));
+                issueElement.dataset.modelId = modelId;
+                issueElement.dataset.issueId = issue.id;
+                issueElement.appendChild(createElement("div", "xeokit-issue-title", (i + 1) + ". " + (issue.title || issue.id)));
+                const detailsElement = createElement("div", "xeokit-issue-details");
+                detailsElement.appendChild(createElement("span", "xeokit-issue-status", issue.status));
+                detailsElement.appendChild(createElement("span", "xeokit-issue-priority", issue.priority));
+                detailsElement.appendChild(createElement("span", "xeokit-issue-assignee", issue.assignee));
+                issueElement.appendChild(detailsElement);
+                issueElement.appendChild(this._createMoreElement(issue.description, (issue.comments || []).map((comment) => {
+                    return {author: comment.author, date: comment.createdAt, text: comment.text};
+                })));
+                issueElement.addEventListener("click", (event) => {
+                    this.showIssue(modelId, issue.id);
+                    event.preventDefault();
+                });
+                if (this._issuesContextMenu) {
+                    issueElement.oncontextmenu = (event) => {
+                        if (!this.canEditIssues(modelId)) {
+                            return;
+                        }
+                        this._issuesContextMenu.context = {
+                            bimViewer: this.bimViewer,
+                            viewer: this.viewer,
+                            issuesExplorer: this,
+                            modelId,
+                            issue
+                        };
+                        this._issuesContextMenu.show(event.pageX, event.pageY);
+                        event.preventDefault();
+                    };
+                }
+                modelElement.appendChild(issueElement);
+            }
+            this._issuesElement.appendChild(modelElement);
+            numIssues += issues.length;
+        }
+        if (this._bcfTopics.length > 0) {
+            const topicsElement = createElement("div", "xeokit-issues-model xeokit-bcf-topics");
+            const titleElement = createElement("div", "xeokit-i18n xeokit-issues-model-name",
+                localeService.translate("issuesExplorer.bcfTopics") || "Imported BCF topics");
+            titleElement.dataset.xeokitI18n = "issuesExplorer.bcfTopics";
+            topicsElement.appendChild(titleElement);
+            this._bcfTopics.forEach((topic, i) => {
+                topicsElement.appendChild(this._createTopicElement(topic, i));
+            });
+            this._issuesElement.appendChild(topicsElement);
+            numIssues += this._bcfTopics.length;
+        }
+        if (numIssues === 0) {
+            const text = localeService.translate("issuesExplorer.noIssues") || "No issues found for the loaded models.";
+            const noIssuesElement = createElement("p", "xeokit-i18n subsubtitle xeokit-no-issues", text);
+            noIssuesElement.dataset.xeokitI18n = "issuesExplorer.noIssues";
+            this._issuesElement.appendChild(noIssuesElement);
+        }
+        this._updateSelection();
+    }
+
+    _createTopicElement(topic, i) {
+        const topicElement = createElement("div", "xeokit-issue xeokit-bcf-topic " + getStatusClass(topic.topic_status));
+        topicElement.dataset.topicGuid = topic.guid;
+        topicElement.appendChild(createElement("div", "xeokit-issue-title", (i + 1) + ". " + (topic.title || topic.guid)));
+        const detailsElement = createElement("div", "xeokit-issue-details");
+        detailsElement.appendChild(createElement("span", "xeokit-issue-status", topic.topic_status));
+        detailsElement.appendChild(createElement("span", "xeokit-issue-priority", topic.priority));
+        detailsElement.appendChild(createElement("span", "xeokit-issue-assignee", topic.assigned_to));
+        topicElement.appendChild(detailsElement);
+        const moreElement = this._createMoreElement(topic.description, (topic.comments || []).map((comment) => {
+            return {author: comment.author, date: comment.date, text: comment.comment};
+        }));
+        const viewpoints = (topic.viewpoints || []).filter((viewpoint) => !!viewpoint.snapshot);
+        if (viewpoints.length > 0) {
+            const viewpointsElement = createElement("div", "xeokit-bcf-viewpoints");
+            viewpoints.forEach((viewpoint) => {
+                const snapshotElement = createElement("img", "xeokit-bcf-snapshot");
+                snapshotElement.src = viewpoint.snapshot.snapshot_data;
+                snapshotElement.addEventListener("click", (event) => {
+                    this.showBCFTopic(topic.guid, viewpoint.guid);
+                    event.preventDefault();
+                    event.stopPropagation();
+                });
+                viewpointsElement.appendChild(snapshotElement);
+            });
+            moreElement.insertBefore(viewpointsElement, moreElement.firstChild);
+        }
+        topicElement.appendChild(moreElement);
+        topicElement.addEventListener("click", (event) => {
+            this.showBCFTopic(topic.guid);
+            event.preventDefault();
+        });
+        return topicElement;
+    }
+
+    /**
+     * Description and comments of an issue or topic, shown while it's selected.
+     */
+    _createMoreElement(description, comments) {
+        const moreElement = createElement("div", "xeokit-issue-more");
+        if (description) {
+            moreElement.appendChild(createElement("div", "xeokit-issue-description", description));
+        }
+        for (let i = 0, len = comments.length; i < len; i++) {
+            const comment = comments[i];
+            const commentElement = createElement("div", "xeokit-issue-comment");
+            const date = comment.date ? new Date(comment.date).toLocaleString() : "";
+            const byline = [comment.author, date].filter((part) => !!part).join(", ");
+            commentElement.appendChild(createElement("div", "xeokit-issue-comment-byline", byline));
+            commentElement.appendChild(createElement("div", "xeokit-issue-comment-text", comment.text));
+            moreElement.appendChild(commentElement);
+        }
+        return moreElement;
+    }
+
+    _updateSelection() {
+        const selected = this._selectedIssue;
+        const issueElements = this._issuesElement.querySelectorAll(".xeokit-issue");
+        for (let i = 0, len = issueElements.length; i < len; i++) {
+            const issueElement = issueElements[i];
+            const isSelected = (issueElement.dataset.topicGuid !== undefined)
+                ? issueElement.dataset.topicGuid === this._selectedTopicGuid
+                : (!!selected
+                    && issueElement.dataset.modelId === selected.modelId
+                    && issueElement.dataset.issueId === String(selected.issueId));
+            issueElement.classList.toggle("selected", isSelected);
+        }
+    }
+
+    setEnabled(enabled) {
+        if (!enabled) {
+            this._issuesTabButtonElement.classList.add("disabled");
+            this._showIssuePinsButtonElement.classList.add("disabled");
+            this._hideIssuePinsButtonElement.classList.add("disabled");
+            if (this._importBCFButtonElement) {
+                this._importBCFButtonElement.classList.add("disabled");
+            }
+            if (this._exportBCFButtonElement) {
+                this._exportBCFButtonElement.classList.add("disabled");
+            }
+            if (this._syncBCFButtonElement) {
+                this._syncBCFButtonElement.classList.add("disabled");
+            }
+        } else {
+            this._issuesTabButtonElement.classList.remove("disabled");
+            this._showIssuePinsButtonElement.classList.remove("disabled");
+            this._hideIssuePinsButtonElement.classList.remove("disabled");
+            if (this._importBCFButtonElement) {
+                this._importBCFButtonElement.classList.remove("disabled");
+            }
+            if (this._exportBCFButtonElement) {
+                this._exportBCFButtonElement.classList.remove("disabled");
+            }
+            if (this._syncBCFButtonElement) {
+                this._syncBCFButtonElement.classList.remove("disabled");
+            }
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        for (let modelId in this._issueLoads) {
+            this._issueLoads[modelId].abort();
+        }
+        this._issueLoads = {};
+        this._annotations.destroy();
+        if (this._issuesContextMenu) {
+            this._issuesContextMenu.destroy();
+        }
+        this.bimViewer._modelsExplorer.off(this._onModelLoaded);
+        this.bimViewer._modelsExplorer.off(this._onModelUnloaded);
+    }
+}
+
+export {IssuesExplorer};
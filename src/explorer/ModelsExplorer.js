@@ -1,38 +1,227 @@
-import {math, XKTLoaderPlugin} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+import {CityJSONLoaderPlugin, GLTFLoaderPlugin, LASLoaderPlugin, math, XKTLoaderPlugin} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
 import {Controller} from "../Controller.js";
 import {ModelsContextMenu} from "../contextMenus/ModelsContextMenu.js";
+import {createAbortError, isAbortError} from "../utils/callbackPromise.js";
+import {IFCLoader} from "../ifc/IFCLoader.js";
+import {TilesetLoader} from "../tiles/TilesetLoader.js";
 
 const tempVec3a = math.vec3();
 
+/**
+ * Geometry file for each model format, other than split XKT models, which have a manifest instead.
+ */
+const geometryFileNames = {
+    "xkt": "geometry.xkt",
+    "gltf": "geometry.gltf",
+    "glb": "geometry.glb",
+    "las": "geometry.las",
+    "laz": "geometry.laz",
+    "ifc": "geometry.ifc",
+    "cityjson": "geometry.city.json",
+    "3dtiles": "tileset.json"
+};
+
+/**
+ * Formats of context models, ie. the surrounding buildings and terrain, which bring their own metadata, and which
+ * we leave out of the Classes and Storeys trees.
+ */
+const contextModelFormats = {
+    "cityjson": true,
+    "3dtiles": true
+};
+
+/**
+ * Gets the number of points in a LAS or LAZ file, from its header, or null if it's not a LAS file.
+ */
+function getLASPointCount(arraybuffer) {
+    if (arraybuffer.byteLength < 227) {
+        return null;
+    }
+    const dataView = new DataView(arraybuffer);
+    if (String.fromCharCode(dataView.getUint8(0), dataView.getUint8(1), dataView.getUint8(2), dataView.getUint8(3)) !== "LASF") {
+        return null;
+    }
+    const versionMinor = dataView.getUint8(25);
+    if (versionMinor >= 4 && arraybuffer.byteLength >= 255) { // LAS 1.4 moved the count to a 64-bit field
+        const count = dataView.getUint32(247, true) + dataView.getUint32(251, true) * 0x100000000;
+        if (count > 0) {
+            return count;
+        }
+    }
+    return dataView.getUint32(107, true);
+}
+
+
+/**
+ * Tracks the bytes received for each part of a model as it loads, ie. its geometry and metadata files, or the files
+ * listed in its manifest, and reports the overall progress.
+ * @private
+ */
+class ModelLoadProgress {
+
+    constructor(modelId, onUpdate) {
+        this._modelId = modelId;
+        this._onUpdate = onUpdate;
+        this._parts = {};
+        this._numParts = null; // Unknown until we have the manifest
+    }
+
+    addParts(partNames) {
+        partNames.forEach((partName) => {
+            if (!this._parts[partName]) {
+                this._parts[partName] = {loaded: 0, total: null, complete: false};
+            }
+        });
+        this._numParts = Object.keys(this._parts).length;
+        this._report(null);
+    }
+
+    update(partName, e) {
+        const part = this._parts[partName];
+        if (!part) {
+            return;
+        }
+        part.loaded = e.loaded;
+        part.total = e.total;
+        this._report(partName);
+    }
+
+    complete(partName, data) {
+        const part = this._parts[partName];
+        if (!part || part.complete) {
+            return;
+        }
+        if (data instanceof ArrayBuffer) { // Servers may not report progress, so we count what they returned
+            part.loaded = part.total = data.byteLength;
+        } else if (part.total === null) {
+            part.total = part.loaded;
+        }
+        part.complete = true;
+        this._report(partName);
+    }
+
+    _report(partName) {
+        const partNames = Object.keys(this._parts);
+        let bytesLoaded = 0;
+        let bytesTotal = 0;
+        let numPartsLoaded = 0;
+        let fractionLoaded = 0;
+        for (let i = 0, len = partNames.length; i < len; i++) {
+            const part = this._parts[partNames[i]];
+            bytesLoaded += part.loaded;
+            if (bytesTotal !== null) {
+                bytesTotal = (part.total !== null) ? bytesTotal + part.total : null;
+            }
+            if (part.complete) {
+                numPartsLoaded++;
+                fractionLoaded += 1;
+            } else if (part.total) {
+                fractionLoaded += Math.min(1, part.loaded / part.total);
+            }
+        }
+        if (this._numParts === null) {
+            bytesTotal = null;
+        }
+        this._onUpdate({
+            modelId: this._modelId,
+            part: partName,
+            bytesLoaded: bytesLoaded,
+            bytesTotal: bytesTotal,
+            numParts: this._numParts,
+            numPartsLoaded: numPartsLoaded,
+            progress: bytesTotal ? (bytesLoaded / bytesTotal) : (this._numParts ? (fractionLoaded / this._numParts) : null)
+        });
+    }
+}
 
 /**
- * Custom data access strategy for {@link XKTLoaderPlugin}.
+ * Custom data access strategy for {@link XKTLoaderPlugin} and {@link GLTFLoaderPlugin}.
+ *
+ * Since the plugin requests the files of a split model long after loading starts, and several models may be loading
+ * at once, each load is registered here and its files are requested as ````"<loadId>/<fileName>"````, so that we can
+ * route each request to the right model, with that load's signal and progress.
+ *
  * @private
  */
 class BIMViewerDataSource {
 
     constructor(server) {
         this._server = server;
+        this._loads = {};
+        this._nextLoadId = 0;
     }
 
-    setProjectId(projectId) {
-        this._projectId = projectId;
+    addLoad(load) {
+        const loadId = "" + (this._nextLoadId++);
+        this._loads[loadId] = load;
+        return loadId;
     }
 
-    setModelId(modelId) {
-        this._modelId = modelId;
+    removeLoad(loadId) {
+        delete this._loads[loadId];
     }
 
     getManifest(src, ok, error) {
-        this._server.getSplitModelManifest(this._projectId, this._modelId, src, ok, error);
+        this._getFile(src, "getSplitModelManifest", ok, error);
     }
 
     getMetaModel(src, ok, error) {
-        this._server.getSplitModelMetadata(this._projectId, this._modelId, src, ok, error);
+        this._getFile(src, "getSplitModelMetadata", ok, error);
     }
 
     getXKT(src, ok, error) {
-        this._server.getSplitModelGeometry(this._projectId, this._modelId, src, ok, error)
+        this._getFile(src, "getSplitModelGeometry", ok, error);
+    }
+
+    getGLTF(src, ok, error) {
+        this._getFile(src, "getGLTF", ok, error);
+    }
+
+    getGLB(src, ok, error) {
+        this._getFile(src, "getGLB", ok, error);
+    }
+
+    /**
+     * Fetches a buffer or image that a glTF file refers to, for loaders.gl, which resolves the resource's path
+     * against the glTF file's ````"<loadId>/"```` base path.
+     */
+    fetchGLTFResource(url) {
+        if (url.startsWith("data:") || url.startsWith("http:") || url.startsWith("https:")) { // Embedded in the glTF, or not in the project
+            return fetch(url);
+        }
+        const i = url.indexOf("/");
+        const load = this._loads[url.substring(0, i)];
+        if (load) {
+            load.progress.addParts([url.substring(i + 1)]);
+        }
+        return new Promise((resolve, reject) => {
+            this._getFile(url, "getGLTFResource", (arraybuffer) => {
+                resolve(new Response(arraybuffer));
+            }, reject);
+        });
+    }
+
+    _getFile(src, method, ok, error) {
+        const i = src.indexOf("/");
+        const load = this._loads[src.substring(0, i)];
+        if (!load) {
+            error("Model load no longer active: " + src);
+            return;
+        }
+        const fileName = src.substring(i + 1);
+        const loadOptions = {
+            signal: load.signal,
+            onProgress: (e) => load.progress.update(fileName, e)
+        };
+        const complete = (data) => {
+            load.progress.complete(fileName, data);
+            ok(data);
+        };
+        if (method === "getGLTF" || method === "getGLB") { // The model's one geometry file
+            this._server[method](load.projectId, load.modelId, complete, error, loadOptions);
+        } else {
+            this._server[method](load.projectId, load.modelId, fileName, complete, error, loadOptions);
+        }
     }
 }
 
@@ -75,6 +264,24 @@ class ModelsExplorer extends Controller {
             dataSource: this._dataSource
         });
 
+        this._gltfLoader = new GLTFLoaderPlugin(this.viewer, {
+            dataSource: this._dataSource
+        });
+
+        this._lasLoader = new LASLoaderPlugin(this.viewer, {
+            colorDepth: "auto"
+        });
+
+        this._ifcLoader = new IFCLoader(this.viewer, {
+            workerSrc: cfg.ifcWorkerSrc,
+            wasmPath: cfg.ifcWasmPath
+        });
+        this._ifcLoader.objectDefaults = this._xktLoader.objectDefaults;
+
+        this._cityJSONLoader = new CityJSONLoaderPlugin(this.viewer);
+
+        this._tilesetLoader = new TilesetLoader(this.viewer);
+
         this._modelsContextMenu = new ModelsContextMenu({
             enableEditModels: cfg.enableEditModels,
             enableMeasurements: cfg.enableMeasurements,
@@ -85,20 +292,73 @@ class ModelsExplorer extends Controller {
         this._modelsInfo = {};
         this._numModels = 0;
         this._numModelsLoaded = 0;
+        this._modelLoads = {};
+        this._modelBatchLoads = new Set();
+        this._localModels = {};
+        this._nextLocalModelId = 0;
+        this._busyModalModelIds = null;
+        this._projectLoad = null;
         this._projectId = null;
     }
 
     setObjectColors(objectColors) {
         this._xktLoader.objectDefaults = objectColors;
+        this._gltfLoader.objectDefaults = objectColors;
+        this._ifcLoader.objectDefaults = objectColors;
     }
 
-    loadProject(projectId, done, error) {
+    loadProject(projectId, done, error, options = {}) {
+
+        // Loading the project's models stops when the given signal is aborted, when the project is unloaded, or when
+        // another project starts loading. Each of those fails the load with an AbortError.
+
+        if (this._projectLoad) {
+            this._projectLoad.abort();
+        }
+        const projectLoad = new AbortController();
+        this._projectLoad = projectLoad;
+        const signal = projectLoad.signal;
+        const cancel = () => projectLoad.abort();
+        const finish = () => {
+            if (options.signal) {
+                options.signal.removeEventListener("abort", cancel);
+            }
+            signal.removeEventListener("abort", onCancel);
+            if (this._projectLoad === projectLoad) {
+                this._projectLoad = null;
+            }
+        };
+        const onCancel = () => {
+            finish();
+            if (error) {
+                error(createAbortError("Project loading cancelled: " + projectId));
+            }
+        };
+        signal.addEventListener("abort", onCancel);
+        if (options.signal) {
+            if (options.signal.aborted) {
+                cancel();
+                return;
+            }
+            options.signal.addEventListener("abort", cancel);
+        }
+        const userDone = done;
+        done = () => {
+            if (signal.aborted) {
+                return;
+            }
+            finish();
+            userDone();
+        };
         this.server.getProject(projectId, (projectInfo) => {
-            this.unloadProject();
+            if (signal.aborted) {
+                return;
+            }
+            this._unloadProject();
             this._projectId = projectId;
             this._modelsInfo = {};
             this._numModels = 0;
-            this._parseProject(projectInfo, done);
+            this._parseProject(projectInfo, done, signal);
             if (this._numModelsLoaded < this._numModels) {
                 this._loadModelsButtonElement.classList.remove("disabled");
             }
@@ -109,21 +369,28 @@ class ModelsExplorer extends Controller {
                 this._addModelButtonElement.classList.remove("disabled");
             }
         }, (errMsg) => {
+            if (signal.aborted) {
+                return;
+            }
+            finish();
             this.error(errMsg);
             if (error) {
                 error(errMsg);
             }
-        });
+        }, {signal});
     }
 
-    _parseProject(projectInfo, done) {
+    _parseProject(projectInfo, done, signal) {
         this._buildModelsMenu(projectInfo);
         this._parseViewerConfigs(projectInfo);
         this._parseViewerContent(projectInfo, () => {
+            if (signal && signal.aborted) {
+                return;
+            }
             this._parseViewerState(projectInfo, () => {
                 done();
             });
-        });
+        }, signal);
     }
 
     _buildModelsMenu(projectInfo) {
@@ -140,38 +407,39 @@ class ModelsExplorer extends Controller {
         }
         this._modelsElement.innerHTML = html;
         for (let i = 0, len = modelsInfo.length; i < len; i++) {
-            const modelInfo = modelsInfo[i];
-            const modelId = modelInfo.id;
-            const checkBox = this._containerElement.querySelector("#input-" + modelId);
-            const span = this._containerElement.querySelector("#span-" + modelId);
-            checkBox.addEventListener("click", () => {
-                if (checkBox.checked) {
-                    this.loadModel(modelId);
-                } else {
-                    this.unloadModel(modelInfo.id);
-                }
-            });
-            span.addEventListener("click", () => {
-                const model = this.viewer.scene.models[modelId];
-                const modelLoaded = (!!model);
-                if (!modelLoaded) {
-                    this.loadModel(modelId);
-                } else {
-                    this.unloadModel(modelInfo.id);
-                }
-            });
-            span.oncontextmenu = (e) => {
-                this._modelsContextMenu.context = {
-                    bimViewer: this.bimViewer,
-                    viewer: this.viewer,
-                    modelId: modelId
-                };
-                this._modelsContextMenu.show(e.pageX, e.pageY);
-                e.preventDefault();
-            };
+            this._initModelMenuItem(modelsInfo[i]);
         }
     }
 
+    _initModelMenuItem(modelInfo) {
+        const modelId = modelInfo.id;
+        const checkBox = this._containerElement.querySelector("#input-" + modelId);
+        const span = this._containerElement.querySelector("#span-" + modelId);
+        checkBox.addEventListener("click", () => {
+            if (checkBox.checked) {
+                this.loadModel(modelId);
+            } else {
+                this.unloadModel(modelInfo.id);
+            }
+        });
+        span.addEventListener("click", () => {
+            if (!this.isModelLoaded(modelId) && !this.isModelLoading(modelId)) {
+                this.loadModel(modelId);
+            } else {
+                this.unloadModel(modelInfo.id);
+            }
+        });
+        span.oncontextmenu = (e) => {
+            this._modelsContextMenu.context = {
+                bimViewer: this.bimViewer,
+                viewer: this.viewer,
+                modelId: modelId
+            };
+            this._modelsContextMenu.show(e.pageX, e.pageY);
+            e.preventDefault();
+        };
+    }
+
     _parseViewerConfigs(projectInfo) {
         const viewerConfigs = projectInfo.viewerConfigs;
         if (viewerConfigs) {
@@ -179,7 +447,7 @@ class ModelsExplorer extends Controller {
         }
     }
 
-    _parseViewerContent(projectInfo, done) {
+    _parseViewerContent(projectInfo, done, signal) {
         const viewerContent = projectInfo.viewerContent;
         if (!viewerContent) {
             done();
@@ -187,31 +455,141 @@ class ModelsExplorer extends Controller {
         }
         this._parseModelsLoaded(viewerContent, () => {
             done();
-        });
+        }, signal);
     }
 
-    _parseModelsLoaded(viewerContent, done) {
+    _parseModelsLoaded(viewerContent, done, signal) {
         const modelsLoaded = viewerContent.modelsLoaded;
         if (!modelsLoaded || (modelsLoaded.length === 0)) {
             done();
             return;
         }
-        this._loadNextModel(modelsLoaded.slice(0), done);
+        this.loadModels(modelsLoaded, () => { // Models that failed to load are already logged - recover and carry on
+            done();
+        }, () => { // Cancelled - carry on with the models we have
+            done();
+        }, {signal});
     }
 
-    _loadNextModel(modelsLoaded, done) {
-        if (modelsLoaded.length === 0) {
-            done();
+    /**
+     * Loads the given models, several at a time.
+     *
+     * The number of models loading at once is set by the ````"modelLoadConcurrency"```` viewer config. Whatever order
+     * they finish loading in, ````"modelLoaded"```` events fire in the order of the given IDs. Models that fail to load
+     * don't stop the others from loading.
+     *
+     * Cancelling any of the models with {@link ModelsExplorer#cancelAllModelLoads}, which the busy modal's cancel button
+     * does, or unloading the project, cancels the rest of them.
+     *
+     * @param {String[]} modelIds IDs of the models to load.
+     * @param {Function} done Callback invoked once every model has either loaded or failed, into which an array of
+     * ````{modelId, message}```` is passed for the models that failed, which is empty if all loaded.
+     * @param {Function} [error] Callback invoked with an ````AbortError```` if loading is cancelled.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which loading may be aborted.
+     */
+    loadModels(modelIds, done, error, options = {}) {
+        const batchLoad = new AbortController();
+        const signal = batchLoad.signal;
+        const cancel = () => batchLoad.abort();
+        if (options.signal) {
+            options.signal.addEventListener("abort", cancel);
+        }
+        const finishBatch = () => {
+            this._modelBatchLoads.delete(batchLoad);
+            if (options.signal) {
+                options.signal.removeEventListener("abort", cancel);
+            }
+            signal.removeEventListener("abort", onCancel);
+        };
+        const results = new Array(modelIds.length);
+        const errors = [];
+        let numStarted = 0;
+        let numReported = 0;
+        const onCancel = () => {
+            finishBatch();
+            for (let i = numReported; i < modelIds.length; i++) { // Models that loaded behind one that hadn't yet
+                const result = results[i];
+                if (result && result.loaded && this.isModelLoaded(result.modelId)) {
+                    this.fire("modelLoaded", result.modelId);
+                }
+            }
+            if (error) {
+                error(createAbortError("Model loading cancelled"));
+            }
+        };
+        signal.addEventListener("abort", onCancel);
+        if (options.signal && options.signal.aborted) {
+            cancel();
             return;
         }
-        const modelId = modelsLoaded.pop();
-        this.loadModel(modelId,
-            () => { // Done
-                this._loadNextModel(modelsLoaded, done);
-            },
-            () => { // Error - recover and attempt to load next model
-                this._loadNextModel(modelsLoaded, done);
+        this._modelBatchLoads.add(batchLoad);
+        const concurrency = Math.max(1, parseInt(this.bimViewer.getConfig("modelLoadConcurrency")) || 1);
+
+        // Fires the events for the models that finished, up to the first one that hasn't, so that they fire in order
+
+        const report = () => {
+            if (numReported === modelIds.length) {
+                return;
+            }
+            while (numReported < modelIds.length && results[numReported]) {
+                const result = results[numReported];
+                if (result.error) {
+                    errors.push(result.error);
+                } else if (result.loaded && this.isModelLoaded(result.modelId)) {
+                    this.fire("modelLoaded", result.modelId);
+                }
+                numReported++;
+            }
+            if (numReported === modelIds.length) {
+                finishBatch();
+                done(errors);
+            }
+        };
+
+        const loadNext = () => {
+            if (signal && signal.aborted) {
+                return;
+            }
+            if (numStarted === modelIds.length) {
+                return;
+            }
+            const i = numStarted++;
+            const modelId = modelIds[i];
+            const finish = (result) => {
+                results[i] = result;
+                if (signal && signal.aborted) {
+                    return;
+                }
+                report();
+                loadNext();
+            };
+            if (this.isModelLoaded(modelId) || this.isModelLoading(modelId)) {
+                finish({modelId: modelId, loaded: false});
+                return;
+            }
+            this.loadModel(modelId, () => {
+                finish({modelId: modelId, loaded: true});
+            }, (e) => {
+                finish({
+                    modelId: modelId,
+                    loaded: false,
+                    error: isAbortError(e) ? null : {modelId: modelId, message: (e && e.message !== undefined) ? e.message : e}
+                });
+            }, {
+                signal: signal,
+                fireModelLoaded: false
             });
+        };
+
+        if (modelIds.length === 0) {
+            finishBatch();
+            done(errors);
+            return;
+        }
+        for (let i = 0; i < concurrency; i++) {
+            loadNext();
+        }
     }
 
     _parseViewerState(projectInfo, done) {
@@ -224,9 +602,22 @@ class ModelsExplorer extends Controller {
     }
 
     unloadProject() {
+        if (this._projectLoad) {
+            this._projectLoad.abort();
+            this._projectLoad = null;
+        }
+        this._unloadProject();
+    }
+
+    /**
+     * Unloads the current project and its models, without cancelling a project that's starting to load.
+     */
+    _unloadProject() {
+        this._unloadLocalModels();
         if (!this._projectId) {
             return;
         }
+        this.cancelAllModelLoads();
         const models = this.viewer.scene.models;
         for (var modelId in models) {
             if (models.hasOwnProperty(modelId)) {
@@ -257,8 +648,9 @@ class ModelsExplorer extends Controller {
         return Object.keys(this._modelsInfo);
     }
 
-    loadModel(modelId, done, error) {
-        if (!this._projectId) {
+    loadModel(modelId, done, error, options = {}) {
+        const modelInfo = this._modelsInfo[modelId];
+        if (!this._projectId && !(modelInfo && modelInfo.local)) {
             const errMsg = "No project currently loaded";
             this.error(errMsg);
             if (error) {
@@ -266,7 +658,6 @@ class ModelsExplorer extends Controller {
             }
             return;
         }
-        const modelInfo = this._modelsInfo[modelId];
         if (!modelInfo) {
             const errMsg = "Model not in currently loaded project";
             this.error(errMsg);
@@ -275,30 +666,161 @@ class ModelsExplorer extends Controller {
             }
             return;
         }
+        if (!modelInfo.manifest && !geometryFileNames[modelInfo.format || "xkt"]) {
+            const errMsg = "Unsupported model format: " + modelInfo.format;
+            this.error(errMsg);
+            if (error) {
+                error(errMsg);
+            }
+            return;
+        }
+        if (this._modelLoads[modelId] || this.viewer.scene.models[modelId]) {
+            const errMsg = "Model already " + (this._modelLoads[modelId] ? "loading" : "loaded") + ": " + modelId;
+            this.error(errMsg);
+            if (error) {
+                error(errMsg);
+            }
+            return;
+        }
+        const signal = options.signal;
+        if (signal && signal.aborted) {
+            if (error) {
+                error(createAbortError("Model loading cancelled: " + modelId));
+            }
+            return;
+        }
 
-        this.bimViewer._busyModal.show(`${this.viewer.localeService.translate("busyModal.loading") || "Loading"} ${modelInfo.name}`);
+        // Loading is cancelled by aborting the given signal, with the busy modal's cancel button, or by unloading the
+        // model or project. Cancelling aborts the requests, destroys the model if it's being built, and ignores
+        // whatever the server returns afterwards.
 
-        const externalMetadata = this.bimViewer.getConfig("externalMetadata");
+        const abortController = new AbortController();
+        const loadSignal = abortController.signal;
+        const cancel = () => abortController.abort();
+        if (signal) {
+            signal.addEventListener("abort", cancel);
+        }
 
-        if (externalMetadata && !modelInfo.manifest) {
-            this.server.getMetadata(this._projectId, modelId, (json) => {
-                this._loadGeometry(modelId, modelInfo, json, done, error);
-            },
-                (errMsg) => {
-                    this.bimViewer._busyModal.hide();
-                    this.error(errMsg);
-                    if (error) {
-                        error(errMsg);
-                    }
-                });
+        const externalMetadata = !modelInfo.manifest && !modelInfo.local && (modelInfo.format !== "ifc") && !contextModelFormats[modelInfo.format]
+            && ((modelInfo.externalMetadata !== undefined)
+            ? !!modelInfo.externalMetadata
+            : !!this.bimViewer.getConfig("externalMetadata"));
+
+        const load = {
+            cancel: cancel,
+            projectId: this._projectId,
+            modelId: modelId,
+            modelInfo: modelInfo,
+            signal: loadSignal,
+            progress: null,
+            progressInfo: null,
+            fireModelLoaded: (options.fireModelLoaded !== false),
+            model: null
+        };
+
+        const progress = load.progress = new ModelLoadProgress(modelId, (progressInfo) => {
+            if (!loadSignal.aborted) {
+                load.progressInfo = progressInfo;
+                this._updateBusyModalProgress();
+                this.fire("modelLoadProgress", progressInfo, true);
+            }
+        });
+
+        let finished = false;
+
+        const finish = () => {
+            finished = true;
+            delete this._modelLoads[modelId];
+            if (signal) {
+                signal.removeEventListener("abort", cancel);
+            }
+            loadSignal.removeEventListener("abort", onCancel);
+            if (load.loadId !== undefined) {
+                this._dataSource.removeLoad(load.loadId);
+            }
+            this._updateBusyModal();
+        };
+
+        const onCancel = () => {
+            if (finished) {
+                return;
+            }
+            finish();
+            if (load.model && !load.model.destroyed) {
+                load.model.destroy();
+            }
+            const checkbox = this._containerElement.querySelector("#input-" + modelId);
+            if (checkbox) {
+                checkbox.checked = false;
+            }
+            this.fire("modelLoadCancelled", modelId);
+            if (error) {
+                error(createAbortError("Model loading cancelled: " + modelId));
+            }
+        };
+
+        loadSignal.addEventListener("abort", onCancel);
+
+        this._modelLoads[modelId] = load;
+        this._updateBusyModal();
+
+        if (!modelInfo.manifest) {
+            const geometryFileName = geometryFileNames[modelInfo.format || "xkt"];
+            progress.addParts(externalMetadata ? ["metadata.json", geometryFileName] : [geometryFileName]);
+        }
+
+        load.done = () => {
+            if (finished) {
+                return;
+            }
+            finish();
+            if (done) {
+                done();
+            }
+        };
+
+        load.error = (errMsg) => {
+            if (finished) {
+                return;
+            }
+            finish();
+            this.error(errMsg);
+            if (error) {
+                error(errMsg);
+            }
+        };
+
+        if (modelInfo.local) {
+            this._loadGeometry(load, this._localModels[modelId].metadata);
+        } else if (externalMetadata) {
+            this.server.getMetadata(load.projectId, modelId, (json) => {
+                if (loadSignal.aborted) {
+                    return;
+                }
+                progress.complete("metadata.json", json);
+                this._loadGeometry(load, json);
+            }, load.error, {
+                signal: loadSignal,
+                onProgress: (e) => progress.update("metadata.json", e)
+            });
         } else {
-            this._loadGeometry(modelId, modelInfo, null, done, error);
+            this._loadGeometry(load, null);
         }
     }
 
-    _loadGeometry(modelId, modelInfo, json, done, error) {
+    _loadGeometry(load, json) {
+
+        const modelId = load.modelId;
+        const modelInfo = load.modelInfo;
+        const progress = load.progress;
 
         const modelLoaded = () => {
+            if (load.signal.aborted) {
+                return;
+            }
+            if (!this.viewer.metaScene.metaModels[modelId]) { // Model had no metadata
+                this._createDefaultMetaModel(load.model, modelInfo);
+            }
             const checkbox = this._containerElement.querySelector("#input-" + modelId);
             checkbox.checked = true;
             this._numModelsLoaded++;
@@ -310,40 +832,71 @@ class ModelsExplorer extends Controller {
             }
             if (this._numModelsLoaded === 1) { // Jump camera to view-fit first model loaded
                 this._jumpToInitialCamera();
+            }
+            if (load.fireModelLoaded) {
                 this.fire("modelLoaded", modelId);
-                this.bimViewer._busyModal.hide();
-                if (done) {
-                    done();
-                }
-            } else {
-                this.fire("modelLoaded", modelId);
-                this.bimViewer._busyModal.hide();
-                if (done) {
-                    done();
-                }
             }
+            load.done();
         };
 
         const loadError = (errMsg) => {
-            this.bimViewer._busyModal.hide();
-            this.error(errMsg);
-            if (error) {
-                error(errMsg);
+            if (load.signal.aborted) {
+                return;
             }
+            load.error(errMsg);
         };
 
         if (modelInfo.manifest) {
 
             // Load multi-part split model;
-            // Uses the BIMViewerDataSource, which then uses the BIMViewer's Server strategy
+            // Gets the manifest ourselves, then has the plugin request its files through the BIMViewerDataSource,
+            // which then uses the BIMViewer's Server strategy
 
-            this._dataSource.setProjectId(this._projectId);
-            this._dataSource.setModelId(modelId);
+            load.loadId = this._dataSource.addLoad(load);
+            const toSrc = (fileName) => load.loadId + "/" + fileName;
 
-            const model = this._xktLoader.load({
+            this._dataSource.getManifest(toSrc(modelInfo.manifest), (manifest) => {
+                if (load.signal.aborted) {
+                    return;
+                }
+                const xktFiles = manifest.xktFiles || [];
+                const metaModelFiles = manifest.metaModelFiles;
+                progress.addParts(xktFiles.concat(metaModelFiles || []));
+                load.model = this._xktLoader.load({
+                    id: modelId,
+                    manifest: {
+                        xktFiles: xktFiles.map(toSrc),
+                        metaModelFiles: metaModelFiles ? metaModelFiles.map(toSrc) : undefined
+                    },
+                    excludeUnclassifiedObjects: true,
+                    origin: modelInfo.origin || modelInfo.position,
+                    scale: modelInfo.scale,
+                    rotation: modelInfo.rotation,
+                    matrix: modelInfo.matrix,
+                    edges: (modelInfo.edges !== false),
+                    saoEnabled: modelInfo.saoEnabled,
+                    pbrEnabled: modelInfo.pbrEnabled,
+                    backfaces: modelInfo.backfaces,
+                    globalizeObjectIds: modelInfo.globalizeObjectIds,
+                    reuseGeometries: (modelInfo.reuseGeometries !== false)
+                });
+                load.model.on("loaded", modelLoaded);
+                load.model.on("error", loadError);
+            }, loadError);
+
+        } else if (modelInfo.format === "gltf" || modelInfo.format === "glb") {
+
+            // Load glTF model;
+            // Has the plugin request the glTF file through the BIMViewerDataSource, and has loaders.gl fetch any buffers
+            // and images it refers to through the same, which then uses the BIMViewer's Server strategy
+
+            load.loadId = this._dataSource.addLoad(load);
+
+            load.model = this._gltfLoader.load({
                 id: modelId,
-                manifestSrc: modelInfo.manifest,
-                excludeUnclassifiedObjects: true,
+                src: load.loadId + "/" + geometryFileNames[modelInfo.format],
+                metaModelJSON: json || undefined,
+                excludeUnclassifiedObjects: !!json,
                 origin: modelInfo.origin || modelInfo.position,
                 scale: modelInfo.scale,
                 rotation: modelInfo.rotation,
@@ -353,19 +906,164 @@ class ModelsExplorer extends Controller {
                 pbrEnabled: modelInfo.pbrEnabled,
                 backfaces: modelInfo.backfaces,
                 globalizeObjectIds: modelInfo.globalizeObjectIds,
-                reuseGeometries: (modelInfo.reuseGeometries !== false)
+                reuseGeometries: (modelInfo.reuseGeometries !== false),
+                parseOptions: {
+                    fetch: (url) => this._dataSource.fetchGLTFResource(url)
+                }
+            });
+            load.model.on("loaded", modelLoaded);
+            load.model.on("error", loadError);
+
+        } else if (modelInfo.format === "las" || modelInfo.format === "laz") {
+
+            // Load point cloud scan;
+            // Gets the scan ourselves, so that we can thin it out to the point budget before the plugin parses it
+
+            this.server.getPointCloud(load.projectId, modelId, (arraybuffer) => {
+                if (load.signal.aborted) {
+                    return;
+                }
+                const geometryFileName = geometryFileNames[modelInfo.format];
+                progress.complete(geometryFileName, arraybuffer);
+                const pointBudget = (modelInfo.pointBudget !== undefined) ? modelInfo.pointBudget : this.bimViewer.getConfig("pointBudget");
+                const numPoints = getLASPointCount(arraybuffer);
+                this._lasLoader.skip = (pointBudget > 0 && numPoints > pointBudget) ? Math.ceil(numPoints / pointBudget) : 1;
+                load.model = this._lasLoader.load({
+                    id: modelId,
+                    las: arraybuffer,
+                    metaModelJSON: json || undefined,
+                    origin: modelInfo.origin || modelInfo.position,
+                    scale: modelInfo.scale,
+                    rotation: modelInfo.rotation,
+                    matrix: modelInfo.matrix,
+                    saoEnabled: modelInfo.saoEnabled
+                });
+                load.model.on("loaded", modelLoaded);
+                load.model.on("error", loadError);
+            }, loadError, {
+                format: modelInfo.format,
+                signal: load.signal,
+                onProgress: (e) => progress.update(geometryFileNames[modelInfo.format], e)
             });
 
-            model.on("loaded", modelLoaded);
-            model.on("error", loadError);
+        } else if (modelInfo.format === "ifc") {
+
+            // Load IFC file, parsed in a Web Worker, which also creates the metadata;
+            // Gets the file through the BIMViewer's Server strategy directly
+
+            this.server.getIFC(load.projectId, modelId, (arraybuffer) => {
+                if (load.signal.aborted) {
+                    return;
+                }
+                progress.complete("geometry.ifc", arraybuffer);
+                this._ifcLoader.load({
+                    id: modelId,
+                    ifc: arraybuffer,
+                    origin: modelInfo.origin || modelInfo.position,
+                    scale: modelInfo.scale,
+                    rotation: modelInfo.rotation,
+                    matrix: modelInfo.matrix,
+                    edges: (modelInfo.edges !== false),
+                    saoEnabled: modelInfo.saoEnabled,
+                    pbrEnabled: modelInfo.pbrEnabled,
+                    backfaces: modelInfo.backfaces,
+                    signal: load.signal
+                }, (model) => {
+                    load.model = model;
+                    modelLoaded();
+                }, loadError);
+            }, loadError, {
+                signal: load.signal,
+                onProgress: (e) => progress.update("geometry.ifc", e)
+            });
+
+        } else if (modelInfo.format === "cityjson") {
+
+            // Load CityJSON context model, whose city objects become the metadata;
+            // Gets the file through the BIMViewer's Server strategy directly
+
+            this.server.getCityJSON(load.projectId, modelId, (cityJSON) => {
+                if (load.signal.aborted) {
+                    return;
+                }
+                progress.complete("geometry.city.json", cityJSON);
+                load.model = this._cityJSONLoader.load({
+                    id: modelId,
+                    cityJSON: cityJSON,
+                    loadMetadata: true,
+                    origin: modelInfo.origin || modelInfo.position,
+                    scale: modelInfo.scale,
+                    rotation: modelInfo.rotation,
+                    matrix: modelInfo.matrix,
+                    edges: (modelInfo.edges !== false),
+                    saoEnabled: modelInfo.saoEnabled,
+                    backfaces: modelInfo.backfaces
+                });
+                load.model.on("loaded", modelLoaded);
+            }, loadError, {
+                signal: load.signal,
+                onProgress: (e) => progress.update("geometry.city.json", e)
+            });
+
+        } else if (modelInfo.format === "3dtiles") {
+
+            // Load 3D Tiles context model;
+            // Gets the tileset ourselves, then has the loader request the tiles it selects, each of which we add
+            // to the progress as it's requested
+
+            this.server.getTileset(load.projectId, modelId, (tileset) => {
+                if (load.signal.aborted) {
+                    return;
+                }
+                progress.complete("tileset.json", tileset);
+                load.model = this._tilesetLoader.load({
+                    id: modelId,
+                    name: modelInfo.name,
+                    tileset: tileset,
+                    getResource: (resourcePath, ok, error) => {
+                        progress.addParts([resourcePath]);
+                        this.server.getTilesetResource(load.projectId, modelId, resourcePath, (arraybuffer) => {
+                            progress.complete(resourcePath, arraybuffer);
+                            ok(arraybuffer);
+                        }, error, {
+                            signal: load.signal,
+                            onProgress: (e) => progress.update(resourcePath, e)
+                        });
+                    },
+                    maxGeometricError: modelInfo.maxGeometricError,
+                    origin: modelInfo.origin || modelInfo.position,
+                    scale: modelInfo.scale,
+                    rotation: modelInfo.rotation,
+                    matrix: modelInfo.matrix,
+                    edges: !!modelInfo.edges,
+                    saoEnabled: modelInfo.saoEnabled,
+                    pbrEnabled: modelInfo.pbrEnabled,
+                    backfaces: modelInfo.backfaces,
+                    signal: load.signal
+                }, (model) => {
+                    load.model = model;
+                    modelLoaded();
+                }, loadError);
+            }, loadError, {
+                signal: load.signal,
+                onProgress: (e) => progress.update("tileset.json", e)
+            });
 
         } else {
 
             // Load single XKT/Metamodel file model;
-            // Uses the BIMViewer's Server strategy directly
+            // Uses the BIMViewer's Server strategy directly, unless it's a local file, which we already have
 
-            this.server.getGeometry(this._projectId, modelId, (arraybuffer) => {
-                const model = this._xktLoader.load({
+            const getGeometry = modelInfo.local
+                ? (projectId, modelId, ok) => ok(this._localModels[modelId].xkt)
+                : this.server.getGeometry.bind(this.server);
+
+            getGeometry(load.projectId, modelId, (arraybuffer) => {
+                if (load.signal.aborted) {
+                    return;
+                }
+                progress.complete("geometry.xkt", arraybuffer);
+                load.model = this._xktLoader.load({
                     id: modelId,
                     metaModelData: json,
                     xkt: arraybuffer,
@@ -381,12 +1079,111 @@ class ModelsExplorer extends Controller {
                     globalizeObjectIds: modelInfo.globalizeObjectIds,
                     reuseGeometries: (modelInfo.reuseGeometries !== false)
                 });
-                model.on("loaded", modelLoaded);
-                model.on("error", loadError);
-            }, loadError);
+                load.model.on("loaded", modelLoaded);
+                load.model.on("error", loadError);
+            }, loadError, {
+                signal: load.signal,
+                onProgress: (e) => progress.update("geometry.xkt", e)
+            });
         }
     }
 
+    /**
+     * Creates metadata for a model that was loaded without any, such as a glTF model from a non-IFC tool, so that
+     * its objects still appear in the Objects, Classes and Storeys trees.
+     *
+     * The objects go on a single storey, within a building, both named after the model. Their type is the model's
+     * ````objectType````, if given in the project's ````index.json````, otherwise ````"IfcBuildingElementProxy"````.
+     */
+    _createDefaultMetaModel(model, modelInfo) {
+        const modelId = model.id;
+        const storeyId = modelId + "#storey";
+        const objectType = modelInfo.objectType || "IfcBuildingElementProxy";
+        const metaObjects = [{
+            id: modelId,
+            name: modelInfo.name,
+            type: "IfcBuilding",
+            parent: null
+        }, {
+            id: storeyId,
+            name: modelInfo.name,
+            type: "IfcBuildingStorey",
+            parent: modelId
+        }];
+        const objectIds = Object.keys(model.objects);
+        for (let i = 0, len = objectIds.length; i < len; i++) {
+            metaObjects.push({
+                id: objectIds[i],
+                name: objectIds[i],
+                type: objectType,
+                parent: storeyId
+            });
+        }
+        this.viewer.metaScene.createMetaModel(modelId, {
+            projectId: this._projectId,
+            metaObjects: metaObjects
+        });
+    }
+
+    /**
+     * Shows the busy modal while any models are loading, listing them, with a cancel button that cancels them all.
+     */
+    _updateBusyModal() {
+        const busyModal = this.bimViewer._busyModal;
+        const modelIds = Object.keys(this._modelLoads);
+        if (modelIds.length === 0) {
+            this._busyModalModelIds = null;
+            busyModal.hide();
+            return;
+        }
+        const busyModalModelIds = modelIds.join("\n");
+        if (busyModalModelIds === this._busyModalModelIds) {
+            return;
+        }
+        this._busyModalModelIds = busyModalModelIds;
+        const names = modelIds.map(modelId => this._modelLoads[modelId].modelInfo.name);
+        busyModal.show(`${this.viewer.localeService.translate("busyModal.loading") || "Loading"} ${names.join(", ")}`, {
+            onCancel: () => this.cancelAllModelLoads()
+        });
+        this._updateBusyModalProgress();
+    }
+
+    /**
+     * Shows the combined progress of the models that are loading.
+     */
+    _updateBusyModalProgress() {
+        const modelIds = Object.keys(this._modelLoads);
+        let bytesLoaded = 0;
+        let bytesTotal = 0;
+        let numParts = 0;
+        let numPartsLoaded = 0;
+        let progress = 0;
+        for (let i = 0, len = modelIds.length; i < len; i++) {
+            const progressInfo = this._modelLoads[modelIds[i]].progressInfo;
+            if (!progressInfo) {
+                bytesTotal = numParts = progress = null;
+                continue;
+            }
+            bytesLoaded += progressInfo.bytesLoaded;
+            numPartsLoaded += progressInfo.numPartsLoaded;
+            bytesTotal = (bytesTotal !== null && progressInfo.bytesTotal !== null) ? bytesTotal + progressInfo.bytesTotal : null;
+            numParts = (numParts !== null && progressInfo.numParts !== null) ? numParts + progressInfo.numParts : null;
+            progress = (progress !== null && progressInfo.progress !== null) ? progress + progressInfo.progress : null;
+        }
+        if (bytesTotal) {
+            progress = bytesLoaded / bytesTotal;
+        } else if (progress !== null && modelIds.length > 0) {
+            progress /= modelIds.length;
+        }
+        this.bimViewer._busyModal.setProgress({
+            progress: progress,
+            bytesLoaded: bytesLoaded,
+            bytesTotal: bytesTotal,
+            numParts: numParts,
+            numPartsLoaded: numPartsLoaded
+        });
+    }
+
     _jumpToInitialCamera() {
         const viewer = this.viewer;
         const scene = viewer.scene;
@@ -408,7 +1205,39 @@ class ModelsExplorer extends Controller {
         });
     }
 
+    /**
+     * Cancels loading the given model, if it's loading.
+     *
+     * @param {String} modelId ID of the model.
+     * @returns {Boolean} True if the model was loading.
+     */
+    cancelModelLoad(modelId) {
+        const load = this._modelLoads[modelId];
+        if (!load) {
+            return false;
+        }
+        load.cancel();
+        return true;
+    }
+
+    cancelAllModelLoads() {
+        for (const batchLoad of Array.from(this._modelBatchLoads)) {
+            batchLoad.abort();
+        }
+        const modelIds = Object.keys(this._modelLoads);
+        for (let i = 0, len = modelIds.length; i < len; i++) {
+            this.cancelModelLoad(modelIds[i]);
+        }
+    }
+
+    isModelLoading(modelId) {
+        return (!!this._modelLoads[modelId]);
+    }
+
     unloadModel(modelId) {
+        if (this.cancelModelLoad(modelId)) {
+            return;
+        }
         const model = this.viewer.scene.models[modelId];
         if (!model) {
             this.error("Model not loaded: " + modelId);
@@ -417,8 +1246,8 @@ class ModelsExplorer extends Controller {
         model.destroy();
         const checkbox = this._containerElement.querySelector("#input-" + modelId);
         checkbox.checked = false;
-        const span = this._containerElement.querySelector("#span-" + modelId);
         this._numModelsLoaded--;
+        this._removeLocalModel(modelId);
         if (this._numModelsLoaded > 0) {
             this._unloadModelsButtonElement.classList.remove("disabled");
         } else {
@@ -432,7 +1261,105 @@ class ModelsExplorer extends Controller {
         this.fire("modelUnloaded", modelId);
     }
 
+    /**
+     * Loads an XKT file from the user's machine, along with an optional metadata JSON file, as a transient model.
+     *
+     * The model is listed in the Models tab, whether or not a project is loaded, until it's unloaded, which removes it.
+     * Its files never go to the server, and it doesn't become part of the project.
+     *
+     * @param {File|File[]|FileList} files The XKT file, or the XKT file and the metadata file.
+     * @param {Function} done Callback invoked with the ID of the model once it's loaded.
+     * @param {Function} [error] Callback invoked with an error message, or an ````AbortError```` if loading is cancelled.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which loading may be aborted.
+     */
+    loadLocalModel(files, done, error, options = {}) {
+        const fail = (errMsg) => {
+            this.error(errMsg);
+            if (error) {
+                error(errMsg);
+            }
+        };
+        files = (files instanceof Blob) ? [files] : Array.from(files || []);
+        const xktFile = files.find(file => /\.xkt$/i.test(file.name));
+        const metadataFile = files.find(file => /\.json$/i.test(file.name));
+        if (!xktFile) {
+            fail("No XKT file given" + (files.length > 0 ? ": " + files.map(file => file.name).join(", ") : ""));
+            return;
+        }
+        Promise.all([
+            xktFile.arrayBuffer(),
+            metadataFile ? metadataFile.text().then(text => JSON.parse(text)) : null
+        ]).then(([xkt, metadata]) => {
+            if (options.signal && options.signal.aborted) {
+                return;
+            }
+            const modelId = "local-" + (this._nextLocalModelId++) + "-" + xktFile.name.replace(/\.xkt$/i, "").replace(/[^A-Za-z0-9_-]/g, "_");
+            const modelInfo = {
+                id: modelId,
+                name: xktFile.name,
+                local: true
+            };
+            this._localModels[modelId] = {xkt, metadata};
+            this._modelsInfo[modelId] = modelInfo;
+            this._numModels++;
+            const element = document.createElement("div");
+            element.className = "xeokit-form-check xeokit-local-model";
+            element.innerHTML = "<input id='input-" + modelId + "' type='checkbox' value=''><span id='span-" + modelId + "' class='disabled'></span>";
+            element.querySelector("span").innerText = modelInfo.name;
+            this._modelsElement.appendChild(element);
+            this._initModelMenuItem(modelInfo);
+            this.loadModel(modelId, () => {
+                done(modelId);
+            }, (e) => {
+                this._removeLocalModel(modelId);
+                if (error) {
+                    error(e);
+                }
+            }, options);
+        }, (e) => {
+            fail("Failed to read local file: " + ((e && e.message) ? e.message : e));
+        });
+    }
+
+    /**
+     * Tests if a model was loaded from a file on the user's machine with {@link ModelsExplorer#loadLocalModel}.
+     */
+    isLocalModel(modelId) {
+        return !!this._localModels[modelId];
+    }
+
+    _removeLocalModel(modelId) {
+        if (!this._localModels[modelId]) {
+            return;
+        }
+        delete this._localModels[modelId];
+        delete this._modelsInfo[modelId];
+        this._numModels--;
+        const checkbox = this._containerElement.querySelector("#input-" + modelId);
+        if (checkbox) {
+            checkbox.parentNode.parentNode.removeChild(checkbox.parentNode);
+        }
+        if (this._numModelsLoaded < this._numModels) {
+            this._loadModelsButtonElement.classList.remove("disabled");
+        } else {
+            this._loadModelsButtonElement.classList.add("disabled");
+        }
+    }
+
+    _unloadLocalModels() {
+        Object.keys(this._localModels).forEach((modelId) => {
+            if (this.isModelLoaded(modelId)) {
+                this.unloadModel(modelId);
+            } else {
+                this.cancelModelLoad(modelId);
+                this._removeLocalModel(modelId);
+            }
+        });
+    }
+
     unloadAllModels() {
+        this.cancelAllModelLoads();
         const models = this.viewer.scene.models;
         const modelIds = Object.keys(models);
         for (var i = 0, len = modelIds.length; i < len; i++) {
@@ -446,11 +1373,11 @@ class ModelsExplorer extends Controller {
     }
 
     _getLoadedModelIds() {
-        return Object.keys(this.viewer.scene.models);
+        return Object.keys(this.viewer.scene.models).filter(modelId => !this._modelLoads[modelId]);
     }
 
     isModelLoaded(modelId) {
-        return (!!this.viewer.scene.models[modelId]);
+        return (!!this.viewer.scene.models[modelId] && !this._modelLoads[modelId]);
     }
 
     getModelsInfo() {
@@ -461,6 +1388,14 @@ class ModelsExplorer extends Controller {
         return this._modelsInfo[modelId];
     }
 
+    /**
+     * Tests if a model is context, such as surrounding buildings or terrain, rather than part of the design.
+     */
+    isContextModel(modelId) {
+        const modelInfo = this._modelsInfo[modelId];
+        return (!!modelInfo && !!contextModelFormats[modelInfo.format]);
+    }
+
     setEnabled(enabled) {
         if (!enabled) {
             this._modelsTabButtonElement.classList.add("disabled");
@@ -475,6 +1410,10 @@ class ModelsExplorer extends Controller {
     destroy() {
         super.destroy();
         this._xktLoader.destroy();
+        this._gltfLoader.destroy();
+        this._lasLoader.destroy();
+        this._ifcLoader.destroy();
+        this._cityJSONLoader.destroy();
     }
 }
 
@@ -80,7 +80,8 @@ class ObjectsExplorer extends Controller {
             }
         });
 
-        this._onModelLoaded = this.viewer.scene.on("modelLoaded", (modelId) => {
+        // Follows the models explorer's "modelLoaded" rather than the scene's, which can fire before the model has metadata
+        this._onModelLoaded = this.bimViewer._modelsExplorer.on("modelLoaded", (modelId) => {
             if (this.viewer.metaScene.metaModels[modelId]) {
                 const modelInfo = this.bimViewer._modelsExplorer.getModelInfo(modelId);
                 if (!modelInfo) {
@@ -132,7 +133,7 @@ class ObjectsExplorer extends Controller {
         super.destroy();
         this._treeView.destroy();
         this._treeViewContextMenu.destroy();
-        this.viewer.scene.off(this._onModelLoaded);
+        this.bimViewer._modelsExplorer.off(this._onModelLoaded);
         this.viewer.scene.off(this._onModelUnloaded);
     }
 }
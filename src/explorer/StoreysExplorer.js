@@ -83,9 +83,9 @@ class StoreysExplorer extends Controller {
             }
         });
 
-        this._onModelLoaded = this.viewer.scene.on("modelLoaded", (modelId) =>{
+        this._onModelLoaded = this.bimViewer._modelsExplorer.on("modelLoaded", (modelId) =>{
             const modelInfo = this.bimViewer._modelsExplorer.getModelInfo(modelId);
-            if (!modelInfo) {
+            if (!modelInfo || this.bimViewer._modelsExplorer.isContextModel(modelId)) {
                 return;
             }
             this._treeView.addModel(modelId, {
@@ -190,7 +190,7 @@ class StoreysExplorer extends Controller {
         super.destroy();
         this._treeView.destroy();
         this._treeViewContextMenu.destroy();
-        this.viewer.scene.off(this._onModelLoaded);
+        this.bimViewer._modelsExplorer.off(this._onModelLoaded);
         this.viewer.scene.off(this._onModelUnloaded);
     }
 }
@@ -0,0 +1,225 @@
+import {SceneModel} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+import {createAbortError} from "../utils/callbackPromise.js";
+
+/**
+ * Default location of the IFC worker, next to the viewer's bundle in ````dist/````.
+ */
+const defaultWorkerSrc = new URL("./xeokit-bim-viewer-ifc-worker.js", import.meta.url).href;
+
+/**
+ * Loads IFC files into a viewer, parsing them with web-ifc in a Web Worker, so that the UI stays responsive.
+ *
+ * Creates the same metadata that we get when converting IFC to XKT, so that the explorers and the properties
+ * inspector treat the model like any other.
+ *
+ * Loads the worker and web-ifc's WebAssembly from the viewer's own ````dist/```` directory, unless configured
+ * otherwise, with no dependency on a CDN.
+ *
+ * @private
+ */
+class IFCLoader {
+
+    /**
+     * @param {Viewer} viewer The xeokit Viewer.
+     * @param {*} [cfg] Configuration.
+     * @param {String} [cfg.workerSrc] URL of ````xeokit-bim-viewer-ifc-worker.js````.
+     * @param {String} [cfg.wasmPath] URL of the directory containing ````web-ifc.wasm````. Defaults to the directory
+     * containing the worker.
+     */
+    constructor(viewer, cfg = {}) {
+        this.viewer = viewer;
+        this._workerSrc = cfg.workerSrc || defaultWorkerSrc;
+        this._wasmPath = cfg.wasmPath || new URL("./", new URL(this._workerSrc, document.baseURI)).href;
+        this._worker = null;
+        this._parses = {};
+        this._nextParseId = 0;
+
+        /**
+         * Default states of objects, for each IFC type - see {@link XKTLoaderPlugin#objectDefaults}.
+         * @type {{String: Object}}
+         */
+        this.objectDefaults = null;
+    }
+
+    /**
+     * Loads an IFC file.
+     *
+     * Creates the model once the worker has parsed the file, since the model's origin comes from the file's
+     * coordinates. Aborting through ````params.signal```` while the file is parsing ignores the result.
+     *
+     * @param {*} params Loading parameters.
+     * @param {String} params.id ID for the model.
+     * @param {ArrayBuffer} params.ifc The IFC file.
+     * @param {Number[]} [params.origin] Origin of the model, which is added to the origin of the IFC file's coordinates.
+     * @param {Number[]} [params.scale] Scale of the model.
+     * @param {Number[]} [params.rotation] Rotation of the model, as Euler angles.
+     * @param {Number[]} [params.matrix] Modeling transform, as an alternative to scale and rotation.
+     * @param {Boolean} [params.edges=false] Whether to emphasize edges.
+     * @param {Boolean} [params.saoEnabled=true] Whether to enable SAO.
+     * @param {Boolean} [params.pbrEnabled=false] Whether to enable PBR.
+     * @param {Boolean} [params.backfaces=false] Whether to render backfaces.
+     * @param {AbortSignal} [params.signal] Signal through which parsing may be aborted.
+     * @param {Function} ok Callback invoked with the {@link SceneModel} once it's loaded.
+     * @param {Function} error Callback invoked with an error message if the file fails to parse.
+     */
+    load(params, ok, error) {
+        this._parse(params.ifc, params.signal).then((result) => {
+            if (params.signal && params.signal.aborted) {
+                return;
+            }
+            const sceneModel = this._createModel(params, result);
+            this.viewer.scene.fire("modelLoaded", sceneModel.id);
+            ok(sceneModel);
+        }).catch((e) => {
+            if (params.signal && params.signal.aborted) {
+                return;
+            }
+            error("Failed to load IFC: " + ((e && e.message) ? e.message : e));
+        });
+    }
+
+    _parse(ifc, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+            const parseId = this._nextParseId++;
+            const onAbort = () => {
+                delete this._parses[parseId];
+                reject(createAbortError());
+            };
+            this._parses[parseId] = {
+                resolve: (result) => {
+                    if (signal) {
+                        signal.removeEventListener("abort", onAbort);
+                    }
+                    resolve(result);
+                },
+                reject: (errMsg) => {
+                    if (signal) {
+                        signal.removeEventListener("abort", onAbort);
+                    }
+                    reject(new Error(errMsg));
+                }
+            };
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+            this._getWorker().postMessage({
+                id: parseId,
+                ifc: ifc,
+                wasmPath: this._wasmPath
+            }, [ifc]);
+        });
+    }
+
+    _getWorker() {
+        if (!this._worker) {
+            this._worker = new Worker(this._workerSrc, {type: "module"});
+            this._worker.onmessage = (event) => {
+                const parse = this._parses[event.data.id];
+                if (!parse) { // Aborted
+                    return;
+                }
+                delete this._parses[event.data.id];
+                if (event.data.error !== undefined) {
+                    parse.reject(event.data.error);
+                } else {
+                    parse.resolve(event.data.result);
+                }
+            };
+            this._worker.onerror = (event) => {
+                const parses = this._parses;
+                this._parses = {};
+                this._worker.terminate();
+                this._worker = null;
+                for (let parseId in parses) {
+                    parses[parseId].reject(event.message || "IFC worker failed to load: " + this._workerSrc);
+                }
+            };
+        }
+        return this._worker;
+    }
+
+    _createModel(params, result) {
+        const modelId = params.id;
+        const metaModelData = result.metaModelData;
+        const origin = params.origin;
+        const ifcOrigin = result.origin;
+        const sceneModel = new SceneModel(this.viewer.scene, {
+            id: modelId,
+            isModel: true,
+            origin: origin
+                ? [origin[0] + ifcOrigin[0], origin[1] + ifcOrigin[1], origin[2] + ifcOrigin[2]]
+                : ifcOrigin,
+            scale: params.scale,
+            rotation: params.rotation,
+            matrix: params.matrix,
+            edges: params.edges,
+            saoEnabled: params.saoEnabled,
+            pbrEnabled: params.pbrEnabled,
+            backfaces: params.backfaces,
+            dtxEnabled: this.viewer.scene.dtxEnabled
+        });
+
+        this.viewer.metaScene.createMetaModel(modelId, metaModelData);
+
+        for (let i = 0, len = result.geometries.length; i < len; i++) {
+            const geometry = result.geometries[i];
+            sceneModel.createGeometry({
+                id: geometry.id,
+                primitive: "triangles",
+                positions: geometry.positions,
+                normals: geometry.normals,
+                indices: geometry.indices
+            });
+        }
+
+        const meshIds = {};
+        for (let i = 0, len = result.meshes.length; i < len; i++) {
+            const mesh = result.meshes[i];
+            const meshId = modelId + "#mesh" + i;
+            sceneModel.createMesh({
+                id: meshId,
+                geometryId: mesh.geometryId,
+                matrix: mesh.matrix,
+                color: mesh.color,
+                opacity: mesh.opacity
+            });
+            (meshIds[mesh.entityId] || (meshIds[mesh.entityId] = [])).push(meshId);
+        }
+
+        const metaObjects = this.viewer.metaScene.metaObjects;
+        for (let entityId in meshIds) {
+            const metaObject = metaObjects[entityId];
+            const defaults = (this.objectDefaults && metaObject) ? (this.objectDefaults[metaObject.type] || {}) : {};
+            sceneModel.createEntity({
+                id: entityId,
+                meshIds: meshIds[entityId],
+                isObject: true,
+                visible: (defaults.visible !== false),
+                pickable: (defaults.pickable !== false),
+                colorize: defaults.colorize,
+                opacity: defaults.opacity
+            });
+        }
+
+        sceneModel.finalize();
+
+        return sceneModel;
+    }
+
+    /**
+     * Terminates the worker.
+     */
+    destroy() {
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+        }
+        this._parses = {};
+    }
+}
+
+export {IFCLoader};
@@ -0,0 +1,276 @@
+/**
+ * Web Worker that parses IFC files with web-ifc, for {@link IFCLoader}.
+ *
+ * Receives ````{id, ifc, wasmPath}````, where ````ifc```` is the IFC file as an ArrayBuffer, and responds with either
+ * ````{id, result}```` or ````{id, error}````. The result has the geometry, as triangle meshes, along with the metadata,
+ * in the same JSON format as the ````metadata.json```` files that we get when converting IFC to XKT.
+ *
+ * Bundled separately from the viewer, into ````dist/xeokit-bim-viewer-ifc-worker.js````, next to ````web-ifc.wasm````.
+ *
+ * @private
+ */
+
+import * as WebIFC from "web-ifc";
+import {IFCElementDescriptions} from "../IFCElementDescriptions/IFCElementDescriptions.js";
+
+// web-ifc gives IFC type names in upper case, while metadata has them in the schema's case, eg. "IfcWallStandardCase"
+
+const ifcTypeNames = {};
+Object.keys(IFCElementDescriptions).forEach((typeName) => {
+    ifcTypeNames[typeName.toUpperCase()] = typeName;
+});
+
+let ifcAPI = null;
+let initialized = null;
+
+function init(wasmPath) {
+    if (!initialized) {
+        ifcAPI = new WebIFC.IfcAPI();
+        ifcAPI.SetWasmPath(wasmPath, true);
+        initialized = ifcAPI.Init();
+    }
+    return initialized;
+}
+
+self.onmessage = (event) => {
+    const {id, ifc, wasmPath} = event.data;
+    init(wasmPath).then(() => {
+        const result = parseIFC(new Uint8Array(ifc));
+        const transfer = [];
+        result.geometries.forEach((geometry) => {
+            transfer.push(geometry.positions.buffer, geometry.normals.buffer, geometry.indices.buffer);
+        });
+        self.postMessage({id, result}, transfer);
+    }).catch((e) => {
+        self.postMessage({id, error: (e && e.message) ? e.message : String(e)});
+    });
+};
+
+function parseIFC(data) {
+    const modelID = ifcAPI.OpenModel(data, {
+        COORDINATE_TO_ORIGIN: true // Geometry is moved to the origin, then we place the model back with its origin
+    });
+    try {
+        const metaModelData = parseMetaModel(modelID);
+        const geometry = parseGeometry(modelID, metaModelData);
+        const coordinationMatrix = ifcAPI.GetCoordinationMatrix(modelID);
+        return {
+            metaModelData: metaModelData,
+            geometries: geometry.geometries,
+            meshes: geometry.meshes,
+            origin: [-coordinationMatrix[12], -coordinationMatrix[13], -coordinationMatrix[14]]
+        };
+    } finally {
+        ifcAPI.CloseModel(modelID);
+    }
+}
+
+function getValue(attribute) {
+    return (attribute && attribute.value !== undefined) ? attribute.value : attribute;
+}
+
+function getLineIDs(modelID, type) {
+    const lineIDs = ifcAPI.GetLineIDsWithType(modelID, type);
+    const ids = [];
+    for (let i = 0, len = lineIDs.size(); i < len; i++) {
+        ids.push(lineIDs.get(i));
+    }
+    return ids;
+}
+
+function getTypeName(modelID, expressID) {
+    const typeName = ifcAPI.GetNameFromTypeCode(ifcAPI.GetLineType(modelID, expressID));
+    return ifcTypeNames[typeName] || typeName;
+}
+
+/**
+ * Gets the metadata, with the same structure as we get from converting IFC to XKT: the spatial structure, from
+ * IfcProject down through the IfcRelAggregates and IfcRelContainedInSpatialStructure relationships, along with the
+ * property sets of each object.
+ */
+function parseMetaModel(modelID) {
+
+    const children = {};
+
+    const addChildren = (parentID, childRefs) => {
+        const childIDs = children[parentID] || (children[parentID] = []);
+        for (let i = 0, len = childRefs.length; i < len; i++) {
+            childIDs.push(getValue(childRefs[i]));
+        }
+    };
+
+    getLineIDs(modelID, WebIFC.IFCRELAGGREGATES).forEach((relID) => {
+        const rel = ifcAPI.GetLine(modelID, relID);
+        addChildren(getValue(rel.RelatingObject), rel.RelatedObjects || []);
+    });
+
+    getLineIDs(modelID, WebIFC.IFCRELCONTAINEDINSPATIALSTRUCTURE).forEach((relID) => {
+        const rel = ifcAPI.GetLine(modelID, relID);
+        addChildren(getValue(rel.RelatingStructure), rel.RelatedElements || []);
+    });
+
+    const propertySetIDs = {};
+
+    getLineIDs(modelID, WebIFC.IFCRELDEFINESBYPROPERTIES).forEach((relID) => {
+        const rel = ifcAPI.GetLine(modelID, relID);
+        const propertySetID = getValue(rel.RelatingPropertyDefinition);
+        (rel.RelatedObjects || []).forEach((objectRef) => {
+            const objectID = getValue(objectRef);
+            (propertySetIDs[objectID] || (propertySetIDs[objectID] = [])).push(propertySetID);
+        });
+    });
+
+    const metaObjects = [];
+    const propertySets = [];
+    const propertySetsCreated = {};
+    const globalIds = {};
+
+    const getPropertySetId = (propertySetID) => {
+        if (propertySetsCreated[propertySetID] !== undefined) {
+            return propertySetsCreated[propertySetID];
+        }
+        const propertySet = ifcAPI.GetLine(modelID, propertySetID);
+        const id = getValue(propertySet.GlobalId) || ("" + propertySetID);
+        const properties = [];
+        (propertySet.HasProperties || []).forEach((propertyRef) => {
+            const property = ifcAPI.GetLine(modelID, getValue(propertyRef));
+            if (!property || !property.Name) {
+                return;
+            }
+            const value = getValue(property.NominalValue);
+            properties.push({
+                name: getValue(property.Name),
+                value: (value !== undefined && value !== null) ? value : "",
+                type: getTypeName(modelID, property.expressID)
+            });
+        });
+        if (properties.length === 0) {
+            propertySetsCreated[propertySetID] = null;
+            return null;
+        }
+        propertySets.push({
+            id: id,
+            name: getValue(propertySet.Name) || id,
+            type: getTypeName(modelID, propertySetID),
+            properties: properties
+        });
+        propertySetsCreated[propertySetID] = id;
+        return id;
+    };
+
+    const addMetaObject = (expressID, parentId) => {
+        if (globalIds[expressID]) { // Already visited
+            return;
+        }
+        const line = ifcAPI.GetLine(modelID, expressID);
+        const type = getTypeName(modelID, expressID);
+        const id = getValue(line.GlobalId) || ("" + expressID);
+        globalIds[expressID] = id;
+        const metaObject = {
+            id: id,
+            originalSystemId: id,
+            name: getValue(line.Name) || type,
+            type: type,
+            parent: parentId
+        };
+        const propertySetIds = (propertySetIDs[expressID] || []).map(getPropertySetId).filter(id => id !== null);
+        if (propertySetIds.length > 0) {
+            metaObject.propertySetIds = propertySetIds;
+        }
+        metaObjects.push(metaObject);
+        (children[expressID] || []).forEach((childID) => {
+            addMetaObject(childID, id);
+        });
+    };
+
+    const projectIDs = getLineIDs(modelID, WebIFC.IFCPROJECT);
+    projectIDs.forEach((projectID) => {
+        addMetaObject(projectID, null);
+    });
+
+    return {
+        projectId: projectIDs.length > 0 ? globalIds[projectIDs[0]] : "",
+        author: "",
+        createdAt: "",
+        schema: ifcAPI.GetModelSchema(modelID),
+        creatingApplication: "web-ifc " + (ifcAPI.GetVersion ? ifcAPI.GetVersion() : ""),
+        metaObjects: metaObjects,
+        propertySets: propertySets,
+        globalIds: globalIds
+    };
+}
+
+/**
+ * Gets the triangle meshes of each object, sharing geometries between the meshes that reuse them.
+ */
+function parseGeometry(modelID, metaModelData) {
+
+    const globalIds = metaModelData.globalIds;
+    const rootId = metaModelData.projectId || null;
+    const geometries = [];
+    const geometriesCreated = {};
+    const meshes = [];
+
+    ifcAPI.StreamAllMeshes(modelID, (flatMesh) => {
+        const expressID = flatMesh.expressID;
+        let entityId = globalIds[expressID];
+        if (!entityId) { // Object is outside the spatial structure
+            const line = ifcAPI.GetLine(modelID, expressID);
+            const type = getTypeName(modelID, expressID);
+            entityId = globalIds[expressID] = getValue(line.GlobalId) || ("" + expressID);
+            metaModelData.metaObjects.push({
+                id: entityId,
+                originalSystemId: entityId,
+                name: getValue(line.Name) || type,
+                type: type,
+                parent: rootId
+            });
+        }
+        const placedGeometries = flatMesh.geometries;
+        for (let i = 0, len = placedGeometries.size(); i < len; i++) {
+            const placedGeometry = placedGeometries.get(i);
+            const geometryId = placedGeometry.geometryExpressID;
+            if (!geometriesCreated[geometryId]) {
+                const geometry = ifcAPI.GetGeometry(modelID, geometryId);
+                const vertexData = ifcAPI.GetVertexArray(geometry.GetVertexData(), geometry.GetVertexDataSize());
+                const indices = ifcAPI.GetIndexArray(geometry.GetIndexData(), geometry.GetIndexDataSize());
+                const numVertices = vertexData.length / 6; // Interleaved positions and normals
+                const positions = new Float32Array(numVertices * 3);
+                const normals = new Float32Array(numVertices * 3);
+                for (let j = 0, k = 0; j < numVertices; j++, k += 6) {
+                    positions[j * 3] = vertexData[k];
+                    positions[j * 3 + 1] = vertexData[k + 1];
+                    positions[j * 3 + 2] = vertexData[k + 2];
+                    normals[j * 3] = vertexData[k + 3];
+                    normals[j * 3 + 1] = vertexData[k + 4];
+                    normals[j * 3 + 2] = vertexData[k + 5];
+                }
+                geometries.push({
+                    id: "" + geometryId,
+                    positions: positions,
+                    normals: normals,
+                    indices: new Uint32Array(indices)
+                });
+                geometriesCreated[geometryId] = true;
+                if (geometry.delete) {
+                    geometry.delete();
+                }
+            }
+            const color = placedGeometry.color;
+            meshes.push({
+                entityId: entityId,
+                geometryId: "" + geometryId,
+                matrix: Array.from(placedGeometry.flatTransformation),
+                color: [color.x, color.y, color.z],
+                opacity: color.w
+            });
+        }
+    });
+
+    delete metaModelData.globalIds;
+
+    return {
+        geometries: geometries,
+        meshes: meshes
+    };
+}
@@ -0,0 +1,893 @@
+import {callbackPromise} from "../utils/callbackPromise.js";
+
+const DB_VERSION = 1;
+const META_STORE = "meta";
+const DATA_STORE = "data";
+
+function requestPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function openDatabase(indexedDB, dbName) {
+    const request = indexedDB.open(dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        const metaStore = db.createObjectStore(META_STORE, {keyPath: "key"});
+        metaStore.createIndex("lastAccess", "lastAccess");
+        metaStore.createIndex("path", "path");
+        metaStore.createIndex("projectId", "projectId");
+        db.createObjectStore(DATA_STORE);
+    };
+    return requestPromise(request);
+}
+
+function getSize(data) {
+    if (data instanceof ArrayBuffer) {
+        return data.byteLength;
+    }
+    return JSON.stringify(data).length;
+}
+
+/**
+ * A {@link Server} decorator that caches model content in IndexedDB, so that models don't need to be downloaded again
+ * each time they're loaded.
+ *
+ * Caches XKT geometry, metadata and split-model manifests. Each cache entry is keyed by project, model, file name, and
+ * the model's content hash, which is taken from the ````hash```` property of the model's entry in the project's
+ * ````index.json````, eg. ````{"id": "design", "name": "Duplex Design", "hash": "5f3c..."}````. When a model's hash
+ * changes, its entries are fetched again, and the entries with the old hash are deleted. Models without a hash are
+ * cached until evicted or cleared.
+ *
+ * Project information is always requested from the wrapped server first, so that hash changes are seen, and only
+ * comes from the cache when the request fails, eg. when offline.
+ *
+ * When the total size of the cache exceeds its quota, the least recently used entries are evicted. Entries larger than
+ * the whole quota are not cached.
+ *
+ * When IndexedDB is not available, requests simply pass through to the wrapped server. The same happens when the cache
+ * fails, eg. when a write exceeds the browser's storage quota, and the failure is reported through ````cfg.onError````.
+ *
+ * Usage:
+ *
+ * ````javascript
+ * const server = new CachingServer(new Server({dataDir: "./data"}), {
+ *     quota: 1024 * 1024 * 1024 // 1GB
+ * });
+ *
+ * const bimViewer = new BIMViewer(server, {...});
+ *
+ * // Download a whole project ahead of time
+ * await server.precacheProject("WestRiversideHospital", {
+ *     onProgress: (e) => console.log(`${e.numFilesCached} / ${e.numFiles}`)
+ * });
+ * ````
+ */
+class CachingServer {
+
+    /**
+     * Constructs a CachingServer.
+     *
+     * @param {Server} server The server to wrap.
+     * @param {*} [cfg] Cache configuration.
+     * @param {String} [cfg.dbName="xeokit-bim-viewer-cache"] Name of the IndexedDB database.
+     * @param {Number} [cfg.quota=524288000] Maximum total size of cached content, in bytes. Defaults to 500MB.
+     * @param {IDBFactory} [cfg.indexedDB] The IndexedDB factory to use, which is ````window.indexedDB```` by default.
+     * @param {Function} [cfg.onError] Callback invoked with an error message string whenever the cache fails to open, read or
+     * write. Loading carries on regardless, through the wrapped server.
+     */
+    constructor(server, cfg = {}) {
+        this.server = server;
+        this._quota = (cfg.quota !== undefined) ? cfg.quota : 500 * 1024 * 1024;
+        this._modelHashes = {};
+        this._pendingEntries = {}; // Data that's being written to the cache, mapped to keys
+        this._writes = Promise.resolve(); // Writes are serialized, so that they see each other's size changes
+        this._totalSize = 0;
+        this._onError = cfg.onError || null;
+        const indexedDB = cfg.indexedDB || ((typeof window !== "undefined") ? window.indexedDB : null);
+        this._db = indexedDB
+            ? openDatabase(indexedDB, cfg.dbName || "xeokit-bim-viewer-cache")
+                .then((db) => this._initTotalSize(db).then(() => db))
+                .catch((e) => {
+                    this._reportError("Failed to open IndexedDB - caching disabled", e);
+                    return null;
+                })
+            : Promise.resolve(null);
+    }
+
+    /**
+     * Adds a request interceptor to the wrapped server - see {@link Server#addRequestInterceptor}.
+     *
+     * @param {Function} interceptor The request interceptor.
+     */
+    addRequestInterceptor(interceptor) {
+        this.server.addRequestInterceptor(interceptor);
+    }
+
+    /**
+     * Removes a request interceptor from the wrapped server.
+     *
+     * @param {Function} interceptor The request interceptor.
+     */
+    removeRequestInterceptor(interceptor) {
+        this.server.removeRequestInterceptor(interceptor);
+    }
+
+    /**
+     * Gets information on all available projects.
+     *
+     * Comes from the wrapped server, or from the cache when that fails.
+     *
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getProjects}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getProjects(done, error, options) {
+        return this._loadNetworkFirst({path: "projects/index.json"}, (ok, err, loadOptions) => {
+            this.server.getProjects(ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets information for a project.
+     *
+     * Comes from the wrapped server, or from the cache when that fails.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getProject}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getProject(projectId, done, error, options) {
+        if (done && typeof done === "object") {
+            options = done;
+            done = null;
+        }
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            this._loadNetworkFirst({projectId, path: projectId + "/index.json"}, (ok, err, loadOptions) => {
+                this.server.getProject(projectId, ok, err, loadOptions);
+            }, null, null, Object.assign({}, options, {signal})).then((projectInfo) => {
+                this._setModelHashes(projectId, projectInfo);
+                resolve(projectInfo);
+            }, reject);
+        });
+    }
+
+    /**
+     * Gets metadata for a model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getMetadata}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getMetadata(projectId, modelId, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, "metadata.json", (ok, err, loadOptions) => {
+            this.server.getMetadata(projectId, modelId, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets geometry for a model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getGeometry}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getGeometry(projectId, modelId, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, "geometry.xkt", (ok, err, loadOptions) => {
+            this.server.getGeometry(projectId, modelId, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets metadata for an object within a model within a project. Not cached.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} objectId ID of the object.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getObjectInfo}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getObjectInfo(projectId, modelId, objectId, done, error, options) {
+        return this.server.getObjectInfo(projectId, modelId, objectId, done, error, options);
+    }
+
+    /**
+     * Gets existing issues for a model within a project. Not cached.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getIssues}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getIssues(projectId, modelId, done, error, options) {
+        return this.server.getIssues(projectId, modelId, done, error, options);
+    }
+
+    /**
+     * Creates an issue for a model within a project, through the wrapped server - see {@link Server#createIssue}.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Object} issue The issue.
+     * @param {Function} done Callback through which the new issue is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#createIssue}.
+     * @returns {Promise} Resolves with the new issue.
+     */
+    createIssue(projectId, modelId, issue, done, error, options) {
+        return this.server.createIssue(projectId, modelId, issue, done, error, options);
+    }
+
+    /**
+     * Updates an issue of a model within a project, through the wrapped server - see {@link Server#updateIssue}.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} issueId ID of the issue.
+     * @param {Object} changes The fields to change.
+     * @param {Function} done Callback through which the updated issue is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#updateIssue}.
+     * @returns {Promise} Resolves with the updated issue.
+     */
+    updateIssue(projectId, modelId, issueId, changes, done, error, options) {
+        return this.server.updateIssue(projectId, modelId, issueId, changes, done, error, options);
+    }
+
+    /**
+     * Deletes an issue of a model within a project, through the wrapped server - see {@link Server#deleteIssue}.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} issueId ID of the issue.
+     * @param {Function} done Callback invoked once the issue is deleted.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#deleteIssue}.
+     * @returns {Promise} Resolves once the issue is deleted.
+     */
+    deleteIssue(projectId, modelId, issueId, done, error, options) {
+        return this.server.deleteIssue(projectId, modelId, issueId, done, error, options);
+    }
+
+    /**
+     * Adds a comment to an issue of a model within a project, through the wrapped server - see {@link Server#addIssueComment}.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} issueId ID of the issue.
+     * @param {Object} comment The comment, as ````{text, author}````.
+     * @param {Function} done Callback through which the new comment is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#addIssueComment}.
+     * @returns {Promise} Resolves with the new comment.
+     */
+    addIssueComment(projectId, modelId, issueId, comment, done, error, options) {
+        return this.server.addIssueComment(projectId, modelId, issueId, comment, done, error, options);
+    }
+
+    /**
+     * Gets a JSON manifest file for a model that's split into multiple XKT files, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} manifestName Filename of the manifest.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getSplitModelManifest}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getSplitModelManifest(projectId, modelId, manifestName, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, manifestName, (ok, err, loadOptions) => {
+            this.server.getSplitModelManifest(projectId, modelId, manifestName, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets one of the metadata files within a split model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} metadataFileName Filename of the metadata file.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getSplitModelMetadata}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getSplitModelMetadata(projectId, modelId, metadataFileName, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, metadataFileName, (ok, err, loadOptions) => {
+            this.server.getSplitModelMetadata(projectId, modelId, metadataFileName, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets one of the XKT geometry files within a split model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} geometryFileName Filename of the XKT geometry file.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getSplitModelGeometry}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getSplitModelGeometry(projectId, modelId, geometryFileName, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, geometryFileName, (ok, err, loadOptions) => {
+            this.server.getSplitModelGeometry(projectId, modelId, geometryFileName, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets the glTF file for a model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getGLTF}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getGLTF(projectId, modelId, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, "geometry.gltf", (ok, err, loadOptions) => {
+            this.server.getGLTF(projectId, modelId, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets the binary glTF file for a model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getGLB}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getGLB(projectId, modelId, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, "geometry.glb", (ok, err, loadOptions) => {
+            this.server.getGLB(projectId, modelId, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets a buffer or image that a model's glTF file refers to, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} resourcePath Path of the resource, relative to the glTF file.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getGLTFResource}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getGLTFResource(projectId, modelId, resourcePath, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, resourcePath, (ok, err, loadOptions) => {
+            this.server.getGLTFResource(projectId, modelId, resourcePath, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets the IFC file for a model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getIFC}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getIFC(projectId, modelId, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, "geometry.ifc", (ok, err, loadOptions) => {
+            this.server.getIFC(projectId, modelId, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets the point cloud scan for a model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getPointCloud}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getPointCloud(projectId, modelId, done, error, options) {
+        const format = ((done && typeof done === "object") ? done : (options || {})).format || "las";
+        return this._loadCacheFirst(projectId, modelId, "geometry." + format, (ok, err, loadOptions) => {
+            this.server.getPointCloud(projectId, modelId, ok, err, Object.assign({format}, loadOptions));
+        }, done, error, options);
+    }
+
+    /**
+     * Gets the CityJSON file for a context model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getCityJSON}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getCityJSON(projectId, modelId, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, "geometry.city.json", (ok, err, loadOptions) => {
+            this.server.getCityJSON(projectId, modelId, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets the root tileset file for a context model within a project, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getTileset}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getTileset(projectId, modelId, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, "tileset.json", (ok, err, loadOptions) => {
+            this.server.getTileset(projectId, modelId, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets a tile, or an external tileset, that a model's tileset refers to, from the cache if possible.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} resourcePath Path of the resource, relative to the model's directory.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getTilesetResource}.
+     * @returns {Promise} Resolves with the result.
+     */
+    getTilesetResource(projectId, modelId, resourcePath, done, error, options) {
+        return this._loadCacheFirst(projectId, modelId, resourcePath, (ok, err, loadOptions) => {
+            this.server.getTilesetResource(projectId, modelId, resourcePath, ok, err, loadOptions);
+        }, done, error, options);
+    }
+
+    /**
+     * Gets the OData service metadata document from the wrapped server.
+     *
+     * @param {Function} done Callback through which the XML metadata document is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options, as for {@link Server#getODataMetadata}.
+     * @returns {Promise} Resolves with the XML metadata document.
+     */
+    getODataMetadata(done, error, options) {
+        return this.server.getODataMetadata(done, error, options);
+    }
+
+    /**
+     * Gets projects in OData format from the wrapped server - see {@link Server#getODataProjects}.
+     *
+     * @param {Object} [options] Query options.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @returns {Promise} Resolves with the OData JSON result.
+     */
+    getODataProjects(options, done, error) {
+        return this.server.getODataProjects(options, done, error);
+    }
+
+    /**
+     * Gets models in OData format from the wrapped server - see {@link Server#getODataModels}.
+     *
+     * @param {String|null} projectId ID of the project, or ````null```` to get the models of all projects.
+     * @param {Object} [options] Query options.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @returns {Promise} Resolves with the OData JSON result.
+     */
+    getODataModels(projectId, options, done, error) {
+        return this.server.getODataModels(projectId, options, done, error);
+    }
+
+    /**
+     * Gets elements in OData format from the wrapped server - see {@link Server#getODataElements}.
+     *
+     * @param {String|null} projectId ID of the project, or ````null```` to get the elements of all projects.
+     * @param {Object} [options] Query options.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @returns {Promise} Resolves with the OData JSON result.
+     */
+    getODataElements(projectId, options, done, error) {
+        return this.server.getODataElements(projectId, options, done, error);
+    }
+
+    /**
+     * Gets an OData resource from the wrapped server - see {@link Server#getOData}.
+     *
+     * @param {String} resourcePath The resource path.
+     * @param {Object} [options] Query options.
+     * @param {Function} done Callback through which the result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @returns {Promise} Resolves with the result.
+     */
+    getOData(resourcePath, options, done, error) {
+        return this.server.getOData(resourcePath, options, done, error);
+    }
+
+    /**
+     * Downloads all the models of a project into the cache, skipping files that are already cached.
+     *
+     * Files that fail to download are skipped, and reported through ````options.onProgress````. Metadata files that
+     * don't exist are expected, since models may embed their metadata in their XKT geometry.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Function} [done] Callback invoked on completion, with ````{numFiles, numFilesCached, numFilesFailed}````.
+     * @param {Function} [error] Callback invoked with an error message if the project information can't be loaded.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which pre-caching may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked after each file, with ````{projectId, modelId, fileName, numFiles, numFilesCached, numFilesFailed, error}````.
+     * @returns {Promise} Resolves on completion, with ````{numFiles, numFilesCached, numFilesFailed}````.
+     */
+    precacheProject(projectId, done, error, options) {
+        if (done && typeof done === "object") {
+            options = done;
+            done = null;
+        }
+        options = options || {};
+        const onProgress = options.onProgress;
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            this.getProject(projectId, {signal}).then((projectInfo) => {
+                const modelsInfo = projectInfo.models || [];
+                const files = [];
+                const result = {numFiles: 0, numFilesCached: 0, numFilesFailed: 0};
+                const addFile = (modelId, fileName, load, optional) => {
+                    files.push({modelId, fileName, load, optional});
+                    result.numFiles++;
+                };
+                const loadFile = (i) => {
+                    if (signal && signal.aborted) {
+                        return;
+                    }
+                    if (i >= files.length) {
+                        resolve(result);
+                        return;
+                    }
+                    const file = files[i];
+                    file.load().then(() => {
+                        result.numFilesCached++;
+                        return null;
+                    }, (e) => {
+                        if (file.optional) {
+                            result.numFiles--;
+                            return null;
+                        }
+                        result.numFilesFailed++;
+                        return (e && e.message) || String(e);
+                    }).then((errorMsg) => {
+                        if (signal && signal.aborted) {
+                            return;
+                        }
+                        if (onProgress) {
+                            onProgress(Object.assign({projectId, modelId: file.modelId, fileName: file.fileName, error: errorMsg}, result));
+                        }
+                        loadFile(i + 1);
+                    });
+                };
+                modelsInfo.forEach((modelInfo) => {
+                    const modelId = modelInfo.id;
+                    if (modelInfo.manifest) {
+                        addFile(modelId, modelInfo.manifest, () => this.getSplitModelManifest(projectId, modelId, modelInfo.manifest, {signal}).then((manifest) => {
+                            (manifest.xktFiles || []).forEach((fileName) => {
+                                addFile(modelId, fileName, () => this.getSplitModelGeometry(projectId, modelId, fileName, {signal}));
+                            });
+                            (manifest.metaModelFiles || []).forEach((fileName) => {
+                                addFile(modelId, fileName, () => this.getSplitModelMetadata(projectId, modelId, fileName, {signal}));
+                            });
+                        }));
+                    } else if (modelInfo.format === "gltf") { // Resources the glTF refers to get cached as they load
+                        addFile(modelId, "geometry.gltf", () => this.getGLTF(projectId, modelId, {signal}));
+                        addFile(modelId, "metadata.json", () => this.getMetadata(projectId, modelId, {signal}), true);
+                    } else if (modelInfo.format === "ifc") {
+                        addFile(modelId, "geometry.ifc", () => this.getIFC(projectId, modelId, {signal}));
+                    } else if (modelInfo.format === "las" || modelInfo.format === "laz") {
+                        addFile(modelId, "geometry." + modelInfo.format, () => this.getPointCloud(projectId, modelId, {format: modelInfo.format, signal}));
+                        addFile(modelId, "metadata.json", () => this.getMetadata(projectId, modelId, {signal}), true);
+                    } else if (modelInfo.format === "cityjson") {
+                        addFile(modelId, "geometry.city.json", () => this.getCityJSON(projectId, modelId, {signal}));
+                    } else if (modelInfo.format === "3dtiles") { // Tiles get cached as they load
+                        addFile(modelId, "tileset.json", () => this.getTileset(projectId, modelId, {signal}));
+                    } else if (modelInfo.format === "glb") {
+                        addFile(modelId, "geometry.glb", () => this.getGLB(projectId, modelId, {signal}));
+                        addFile(modelId, "metadata.json", () => this.getMetadata(projectId, modelId, {signal}), true);
+                    } else {
+                        addFile(modelId, "geometry.xkt", () => this.getGeometry(projectId, modelId, {signal}));
+                        addFile(modelId, "metadata.json", () => this.getMetadata(projectId, modelId, {signal}), true);
+                    }
+                });
+                loadFile(0);
+            }, reject);
+        });
+    }
+
+    /**
+     * Tests if a file is in the cache, with the model's current hash.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} fileName Filename, eg. ````"geometry.xkt"````, ````"metadata.json"```` or the name of a file within a split model.
+     * @returns {Promise} Resolves with ````true```` if the file is cached.
+     */
+    isCached(projectId, modelId, fileName) {
+        const key = this._getKey(projectId, modelId, fileName);
+        return this._db.then((db) => {
+            if (!db) {
+                return false;
+            }
+            return requestPromise(db.transaction(META_STORE).objectStore(META_STORE).get(key)).then(meta => !!meta);
+        });
+    }
+
+    /**
+     * Gets the total size of cached content, in bytes.
+     *
+     * @returns {Promise} Resolves with the size.
+     */
+    getCacheSize() {
+        return this._db.then(() => this._writes).then(() => this._totalSize);
+    }
+
+    /**
+     * Deletes all cached content for a project.
+     *
+     * @param {String} projectId ID of the project.
+     * @returns {Promise} Resolves when deleted.
+     */
+    clearProject(projectId) {
+        return this._write((db) => {
+            return requestPromise(db.transaction(META_STORE).objectStore(META_STORE).index("projectId").getAll(projectId))
+                .then(metas => this._deleteEntries(db, metas));
+        });
+    }
+
+    /**
+     * Deletes all cached content.
+     *
+     * @returns {Promise} Resolves when deleted.
+     */
+    clear() {
+        return this._write((db) => {
+            const transaction = db.transaction([META_STORE, DATA_STORE], "readwrite");
+            transaction.objectStore(META_STORE).clear();
+            transaction.objectStore(DATA_STORE).clear();
+            return transactionPromise(transaction).then(() => {
+                this._totalSize = 0;
+            });
+        });
+    }
+
+    _initTotalSize(db) {
+        return requestPromise(db.transaction(META_STORE).objectStore(META_STORE).getAll()).then((metas) => {
+            this._totalSize = metas.reduce((total, meta) => total + meta.size, 0);
+        });
+    }
+
+    _setModelHashes(projectId, projectInfo) {
+        const modelHashes = {};
+        ((projectInfo && projectInfo.models) || []).forEach((modelInfo) => {
+            modelHashes[modelInfo.id] = modelInfo.hash || "";
+        });
+        this._modelHashes[projectId] = modelHashes;
+    }
+
+    _getKey(projectId, modelId, fileName) {
+        const modelHashes = this._modelHashes[projectId];
+        const hash = (modelHashes && modelHashes[modelId]) || "";
+        return projectId + "/" + modelId + "/" + fileName + "#" + hash;
+    }
+
+    /**
+     * Loads from the cache, or from the wrapped server on a cache miss, then caches the result.
+     */
+    _loadCacheFirst(projectId, modelId, fileName, load, done, error, options) {
+        if (done && typeof done === "object") {
+            options = done;
+            done = null;
+        }
+        const onProgress = options ? options.onProgress : null;
+        const path = projectId + "/" + modelId + "/" + fileName;
+        const entry = {
+            key: this._getKey(projectId, modelId, fileName),
+            path: path,
+            projectId: projectId,
+            modelId: modelId
+        };
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            this._getEntry(entry.key).then((data) => {
+                if (data !== undefined) {
+                    if (onProgress) {
+                        const size = getSize(data);
+                        onProgress({loaded: size, total: size});
+                    }
+                    resolve(data);
+                    return;
+                }
+                if (signal && signal.aborted) {
+                    return;
+                }
+                load((data) => {
+                    resolve(data);
+                    this._putEntry(entry, data);
+                }, reject, {signal, onProgress});
+            });
+        });
+    }
+
+    /**
+     * Loads from the wrapped server, then caches the result, or loads from the cache when the wrapped server fails.
+     */
+    _loadNetworkFirst(entry, load, done, error, options) {
+        if (done && typeof done === "object") {
+            options = done;
+            done = null;
+        }
+        const onProgress = options ? options.onProgress : null;
+        entry = Object.assign({key: entry.path, modelId: null, projectId: null}, entry);
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            load((data) => {
+                resolve(data);
+                this._putEntry(entry, data);
+            }, (errMsg) => {
+                if (signal && signal.aborted) {
+                    return;
+                }
+                this._getEntry(entry.key).then((data) => {
+                    if (data !== undefined) {
+                        resolve(data);
+                    } else {
+                        reject(errMsg);
+                    }
+                });
+            }, {signal, onProgress});
+        });
+    }
+
+    /**
+     * Gets cached data, marking it as most recently used. Resolves with ````undefined```` on a cache miss, or if the
+     * cache fails.
+     */
+    _getEntry(key) {
+        if (this._pendingEntries[key] !== undefined) {
+            return Promise.resolve(this._pendingEntries[key]);
+        }
+        return this._db.then((db) => {
+            if (!db) {
+                return undefined;
+            }
+            const transaction = db.transaction([META_STORE, DATA_STORE], "readwrite");
+            const metaStore = transaction.objectStore(META_STORE);
+            const dataPromise = requestPromise(transaction.objectStore(DATA_STORE).get(key));
+            requestPromise(metaStore.get(key)).then((meta) => {
+                if (meta) {
+                    meta.lastAccess = Date.now();
+                    metaStore.put(meta);
+                }
+            });
+            return transactionPromise(transaction).then(() => dataPromise);
+        }).catch((e) => {
+            this._reportError("Failed to read from cache", e);
+            return undefined;
+        });
+    }
+
+    /**
+     * Caches data, replacing any entries for the same file with other hashes, then evicts least recently used
+     * entries until the cache is within its quota.
+     */
+    _putEntry(entry, data) {
+        const size = getSize(data);
+        if (size > this._quota) {
+            return Promise.resolve();
+        }
+        this._pendingEntries[entry.key] = data;
+        return this._write((db) => {
+            return requestPromise(db.transaction(META_STORE).objectStore(META_STORE).index("path").getAll(entry.path))
+                .then(metas => this._deleteEntries(db, metas))
+                .then(() => {
+                    const meta = Object.assign({size: size, lastAccess: Date.now()}, entry);
+                    const transaction = db.transaction([META_STORE, DATA_STORE], "readwrite");
+                    transaction.objectStore(META_STORE).put(meta);
+                    transaction.objectStore(DATA_STORE).put(data, entry.key);
+                    return transactionPromise(transaction).then(() => {
+                        this._totalSize += size;
+                    });
+                })
+                .then(() => this._evict(db));
+        }).then(() => {
+            delete this._pendingEntries[entry.key];
+        });
+    }
+
+    /**
+     * Queues a write to the cache, after any writes already queued. Resolves once written, or if the write fails.
+     */
+    _write(write) {
+        this._writes = this._writes
+            .then(() => this._db)
+            .then((db) => {
+                if (db) {
+                    return write(db);
+                }
+            })
+            .catch((e) => {
+                this._reportError("Failed to write to cache", e);
+            });
+        return this._writes;
+    }
+
+    _reportError(message, e) {
+        if (this._onError) {
+            this._onError(message + ": " + (e && e.message));
+        }
+    }
+
+    _evict(db) {
+        if (this._totalSize <= this._quota) {
+            return Promise.resolve();
+        }
+        const victims = [];
+        let excess = this._totalSize - this._quota;
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(META_STORE).objectStore(META_STORE).index("lastAccess").openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                victims.push(cursor.value);
+                excess -= cursor.value.size;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }).then(() => this._deleteEntries(db, victims));
+    }
+
+    _deleteEntries(db, metas) {
+        if (metas.length === 0) {
+            return Promise.resolve();
+        }
+        const transaction = db.transaction([META_STORE, DATA_STORE], "readwrite");
+        const metaStore = transaction.objectStore(META_STORE);
+        const dataStore = transaction.objectStore(DATA_STORE);
+        metas.forEach((meta) => {
+            metaStore.delete(meta.key);
+            dataStore.delete(meta.key);
+        });
+        return transactionPromise(transaction).then(() => {
+            metas.forEach((meta) => {
+                this._totalSize -= meta.size;
+            });
+        });
+    }
+}
+
+export {CachingServer};
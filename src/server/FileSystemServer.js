@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+import {Server} from "./Server.js";
+import {applyIssueChange, IssueError} from "./IssuesDocument.js";
+import {createAbortError} from "../utils/callbackPromise.js";
+
+/**
+ * Server client which reads content for a {@link BIMViewer} straight from the file system, under Node.js or Electron.
+ *
+ * Reads the same ````<dataDir>/projects```` directory layout that {@link Server} loads over HTTP, so that a
+ * FileSystemServer can be given to a BIMViewer in place of a Server, eg. in integration tests, or in an offline kiosk:
+ *
+ * ````javascript
+ * import {FileSystemServer} from "./src/server/FileSystemServer.js";
+ *
+ * const server = new FileSystemServer({
+ *     dataDir: "./app/data"
+ * });
+ *
+ * const projectInfo = await server.getProject("Duplex");
+ * ````
+ *
+ * Since it depends on Node's ````fs```` module, this class isn't included in the browser bundle, and is imported from
+ * its source file instead. Files outside the data directory are never read, whatever the project or model IDs contain.
+ *
+ * Issues that are created, updated, deleted or commented on are written to the model's ````issues.json```` file. Each
+ * change is written to a temporary file that then replaces ````issues.json````, so that readers never see a partly
+ * written file, and changes to the same file are applied one at a time, so that none are lost.
+ *
+ * Request headers, access tokens and interceptors have no effect, since no requests are made.
+ */
+class FileSystemServer extends Server {
+
+    /**
+     * Constructs a FileSystemServer.
+     *
+     * @param {*} [cfg] Server configuration.
+     * @param {String} [cfg.dataDir="./app/data"] Directory that contains the ````projects```` directory, resolved against the current working directory.
+     */
+    constructor(cfg = {}) {
+        super(cfg);
+        this._dataDir = path.resolve(cfg.dataDir || "./app/data");
+        this._issueWrites = new Map(); // Last pending change to each issues.json, mapped to its path
+    }
+
+    /**
+     * @private
+     */
+    _loadFile(url, signal, onProgress) {
+        const filePath = path.resolve(url);
+        if (filePath.indexOf(this._dataDir + path.sep) !== 0) {
+            return Promise.reject(new Error("Failed to load " + url + ": 403 Forbidden"));
+        }
+        return fs.promises.readFile(filePath, signal ? {signal} : {})
+            .then((buffer) => {
+                if (onProgress) {
+                    onProgress({loaded: buffer.byteLength, total: buffer.byteLength});
+                }
+                return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+            }, (e) => {
+                if (e.name === "AbortError") {
+                    throw e;
+                }
+                const status = (e.code === "ENOENT" || e.code === "ENOTDIR") ? "404 Not Found" : e.message;
+                throw new Error("Failed to load " + url + ": " + status);
+            });
+    }
+
+    /**
+     * @private
+     */
+    _writeIssue(projectId, modelId, action, issueId, data, signal) {
+        const projectsDir = path.join(this._dataDir, "projects");
+        const modelDir = path.join(projectsDir, String(projectId), "models", String(modelId));
+        if (path.relative(projectsDir, modelDir) !== [projectId, "models", modelId].join(path.sep)) { // Eg. ".." in an ID
+            return Promise.reject(new IssueError("Model not found: '" + modelId + "'", 404));
+        }
+        const filePath = path.join(modelDir, "issues.json");
+        const previousWrite = this._issueWrites.get(filePath) || Promise.resolve();
+        const write = previousWrite.catch(() => {
+        }).then(() => {
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+            return fs.promises.stat(modelDir).catch(() => {
+                throw new IssueError("Model not found: '" + modelId + "'", 404);
+            });
+        }).then(() => {
+            return fs.promises.readFile(filePath, "utf8").then((json) => JSON.parse(json), (e) => {
+                if (e.code === "ENOENT") {
+                    return null; // The first issue creates the file
+                }
+                throw e;
+            });
+        }).then((issuesInfo) => {
+            const change = applyIssueChange(issuesInfo, action, issueId, data);
+            const tempPath = filePath + "." + process.pid + "." + Math.random().toString(36).substring(2) + ".tmp";
+            return fs.promises.writeFile(tempPath, JSON.stringify(change.issuesInfo, null, 2))
+                .then(() => fs.promises.rename(tempPath, filePath))
+                .catch((e) => fs.promises.unlink(tempPath).catch(() => {
+                }).then(() => {
+                    throw e;
+                }))
+                .then(() => change.result);
+        });
+        this._issueWrites.set(filePath, write);
+        const forget = () => {
+            if (this._issueWrites.get(filePath) === write) {
+                this._issueWrites.delete(filePath);
+            }
+        };
+        write.then(forget, forget);
+        return write;
+    }
+}
+
+export {FileSystemServer};
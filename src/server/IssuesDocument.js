@@ -0,0 +1,159 @@
+/**
+ * Changes to the contents of a model's ````issues.json````, shared by the servers that keep issues themselves:
+ * {@link MemoryServer}, {@link FileSystemServer} and ````odata-server.js````.
+ *
+ * @private
+ */
+
+import {createGuid} from "../bcf/guids.js";
+
+/**
+ * Error thrown when an issue change is invalid, or addresses an issue that does not exist.
+ *
+ * @private
+ */
+class IssueError extends Error {
+
+    /**
+     * @param {String} message Description of the error.
+     * @param {Number} [status=400] HTTP status code.
+     */
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "IssueError";
+        this.status = status;
+    }
+}
+
+/**
+ * Fields of an issue that can be given when it's created, and changed afterwards.
+ */
+const issueFields = ["title", "description", "status", "priority", "assignee", "position", "viewpoint", "objectIds"];
+
+function getIssues(issuesInfo) {
+    if (Array.isArray(issuesInfo)) {
+        return issuesInfo;
+    }
+    if (!issuesInfo.issues) {
+        issuesInfo.issues = [];
+    }
+    return issuesInfo.issues;
+}
+
+function findIssueIndex(issues, issueId) {
+    for (let i = 0, len = issues.length; i < len; i++) {
+        if (String(issues[i].id) === String(issueId)) {
+            return i;
+        }
+    }
+    throw new IssueError("Issue not found: '" + issueId + "'", 404);
+}
+
+function checkObject(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new IssueError("Expected a JSON object");
+    }
+}
+
+/**
+ * Applies a change to the contents of an ````issues.json```` file, in place.
+ *
+ * The actions are:
+ *
+ * * ````"create"```` - adds an issue, given in ````data````, which needs a ````title````, and resolves with the new issue,
+ * * ````"update"```` - changes the fields given in ````data```` on an issue, and resolves with the updated issue,
+ * * ````"delete"```` - removes an issue, and resolves with ````null````, and
+ * * ````"comment"```` - adds a comment ````{text, author}````, given in ````data````, to an issue, and resolves with the new comment.
+ *
+ * @private
+ * @param {Object|Object[]|null} issuesInfo Contents of the file, or ````null```` if there's no file yet.
+ * @param {String} action The action - see above.
+ * @param {String|null} issueId ID of the issue, except when creating one.
+ * @param {Object} data The issue, changes or comment.
+ * @returns {{issuesInfo: (Object|Object[]), result: (Object|null)}} The new contents of the file, and the result of the change.
+ * @throws {IssueError} When the change is invalid, or the issue does not exist.
+ */
+function applyIssueChange(issuesInfo, action, issueId, data) {
+    issuesInfo = issuesInfo || {issues: []};
+    const issues = getIssues(issuesInfo);
+    const now = new Date().toISOString();
+    let issue;
+    switch (action) {
+        case "create":
+            checkObject(data);
+            if (!data.title || typeof data.title !== "string") {
+                throw new IssueError("An issue needs a title");
+            }
+            if (data.id !== undefined && data.id !== null) {
+                for (let i = 0, len = issues.length; i < len; i++) {
+                    if (String(issues[i].id) === String(data.id)) {
+                        throw new IssueError("Issue already exists: '" + data.id + "'", 409);
+                    }
+                }
+            }
+            issue = {
+                id: (data.id !== undefined && data.id !== null) ? data.id : createGuid(),
+                status: "Open"
+            };
+            issueFields.forEach((field) => {
+                if (data[field] !== undefined) {
+                    issue[field] = data[field];
+                }
+            });
+            if (data.author) {
+                issue.author = data.author;
+            }
+            issue.createdAt = now;
+            issue.updatedAt = now;
+            issue.comments = [];
+            issues.push(issue);
+            return {issuesInfo, result: issue};
+        case "update":
+            checkObject(data);
+            issue = issues[findIssueIndex(issues, issueId)];
+            if (data.title !== undefined && (!data.title || typeof data.title !== "string")) {
+                throw new IssueError("An issue needs a title");
+            }
+            issueFields.forEach((field) => {
+                if (data[field] === null) {
+                    delete issue[field];
+                } else if (data[field] !== undefined) {
+                    issue[field] = data[field];
+                }
+            });
+            issue.updatedAt = now;
+            return {issuesInfo, result: issue};
+        case "delete":
+            issues.splice(findIssueIndex(issues, issueId), 1);
+            return {issuesInfo, result: null};
+        case "comment":
+            checkObject(data);
+            issue = issues[findIssueIndex(issues, issueId)];
+            if (!data.text || typeof data.text !== "string") {
+                throw new IssueError("A comment needs some text");
+            }
+            if (data.id !== undefined && data.id !== null) {
+                (issue.comments || []).forEach((comment) => {
+                    if (String(comment.id) === String(data.id)) {
+                        throw new IssueError("Comment already exists: '" + data.id + "'", 409);
+                    }
+                });
+            }
+            const comment = {
+                id: (data.id !== undefined && data.id !== null) ? data.id : createGuid(),
+                text: data.text,
+                createdAt: now
+            };
+            if (data.author) {
+                comment.author = data.author;
+            }
+            issue.comments = issue.comments || [];
+            issue.comments.push(comment);
+            issue.updatedAt = now;
+            return {issuesInfo, result: comment};
+        default:
+            throw new IssueError("Unsupported issue action: '" + action + "'");
+    }
+}
+
+export {applyIssueChange, IssueError};
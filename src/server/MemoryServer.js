@@ -0,0 +1,199 @@
+import {Server} from "./Server.js";
+import {applyIssueChange} from "./IssuesDocument.js";
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Strips the base directory and any leading slashes from a URL, to get the path of a file relative to the data directory.
+ */
+function getRelativePath(dataDir, url) {
+    let path = url;
+    if (dataDir && path.indexOf(dataDir) === 0) {
+        path = path.substring(dataDir.length);
+    }
+    return path.replace(/^\/+/, "");
+}
+
+/**
+ * Copies a file's contents into a new ArrayBuffer, so that loaders which transfer or modify
+ * the buffer can't change what's stored.
+ */
+function toArrayBuffer(data) {
+    if (data instanceof ArrayBuffer) {
+        return data.slice(0);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+    const text = (typeof data === "string") ? data : JSON.stringify(data);
+    const bytes = textEncoder.encode(text);
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+function parseJSON(data) {
+    if (typeof data === "object" && !ArrayBuffer.isView(data) && !(data instanceof ArrayBuffer)) {
+        return JSON.parse(JSON.stringify(data));
+    }
+    return JSON.parse(new TextDecoder().decode(toArrayBuffer(data)));
+}
+
+/**
+ * Server client which serves content for a {@link BIMViewer} from memory, instead of via HTTP.
+ *
+ * Files are held under the same paths that {@link Server} loads them from, relative to the data directory. JSON files
+ * may be given as objects or strings, and binary files, such as XKT geometry, as ArrayBuffers or typed arrays. A
+ * MemoryServer can be given to a BIMViewer in place of a Server, which is useful for integration tests, and for
+ * offline kiosks that are bundled with their models:
+ *
+ * ````javascript
+ * const server = new MemoryServer({
+ *     files: {
+ *         "projects/Duplex/index.json": {
+ *             id: "Duplex",
+ *             name: "Duplex",
+ *             models: [{id: "design", name: "Design"}]
+ *         },
+ *         "projects/Duplex/models/design/geometry.xkt": xktArrayBuffer,
+ *         "projects/Duplex/models/design/props/2O2Fr$t4X7Zf8NOew3FLOH.json": {
+ *             id: "2O2Fr$t4X7Zf8NOew3FLOH",
+ *             name: "Default Building",
+ *             type: "IfcBuilding"
+ *         }
+ *     }
+ * });
+ *
+ * const bimViewer = new BIMViewer(server, {
+ *     // ...
+ * });
+ * ````
+ *
+ * When there's no ````projects/index.json````, {@link Server#getProjects} lists the projects that have a
+ * ````projects/<projectId>/index.json````.
+ *
+ * Issues that are created, updated, deleted or commented on are written to the model's ````issues.json```` file.
+ *
+ * Request headers, access tokens and interceptors have no effect, since no requests are made.
+ */
+class MemoryServer extends Server {
+
+    /**
+     * Constructs a MemoryServer.
+     *
+     * @param {*} [cfg] Server configuration.
+     * @param {Object} [cfg.files] Initial files, mapped to their paths, eg. ````"projects/Duplex/index.json"````.
+     * @param {String} [cfg.dataDir] Base directory, which is stripped from the front of each URL to get the path of the file.
+     */
+    constructor(cfg = {}) {
+        super(cfg);
+        this._files = new Map();
+        const files = cfg.files || {};
+        for (let path in files) {
+            if (files.hasOwnProperty(path)) {
+                this.setFile(path, files[path]);
+            }
+        }
+    }
+
+    /**
+     * Adds or replaces a file.
+     *
+     * @param {String} path Path of the file, relative to the data directory, eg. ````"projects/Duplex/models/design/geometry.xkt"````.
+     * @param {Object|String|ArrayBuffer|ArrayBufferView} data Contents of the file. Objects are served as JSON.
+     */
+    setFile(path, data) {
+        if (data === undefined || data === null) {
+            throw "Missing param: data";
+        }
+        this._files.set(getRelativePath("", path), data);
+    }
+
+    /**
+     * Gets the contents of a file, as it was given to {@link MemoryServer#setFile}.
+     *
+     * @param {String} path Path of the file, relative to the data directory.
+     * @returns {Object|String|ArrayBuffer|ArrayBufferView|undefined} Contents of the file, or ````undefined```` if there's no such file.
+     */
+    getFile(path) {
+        return this._files.get(getRelativePath("", path));
+    }
+
+    /**
+     * Gets whether there is a file at the given path.
+     *
+     * @param {String} path Path of the file, relative to the data directory.
+     * @returns {Boolean} True if there is a file at the path.
+     */
+    hasFile(path) {
+        return this._files.has(getRelativePath("", path));
+    }
+
+    /**
+     * Removes a file.
+     *
+     * @param {String} path Path of the file, relative to the data directory.
+     */
+    deleteFile(path) {
+        this._files.delete(getRelativePath("", path));
+    }
+
+    /**
+     * Gets the paths of all files.
+     *
+     * @returns {String[]} Paths of the files, relative to the data directory.
+     */
+    getFilePaths() {
+        return Array.from(this._files.keys());
+    }
+
+    /**
+     * @private
+     */
+    _loadFile(url, signal, onProgress) {
+        return new Promise((resolve) => {
+            const path = getRelativePath(this._dataDir, url);
+            let data = this._files.get(path);
+            if (data === undefined && path === "projects/index.json") {
+                data = this._getProjectsIndex();
+            }
+            if (data === undefined) {
+                throw new Error("Failed to load " + url + ": 404 Not Found");
+            }
+            const arrayBuffer = toArrayBuffer(data);
+            if (onProgress) {
+                onProgress({loaded: arrayBuffer.byteLength, total: arrayBuffer.byteLength});
+            }
+            resolve(arrayBuffer);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _writeIssue(projectId, modelId, action, issueId, data, signal) {
+        return new Promise((resolve) => {
+            const path = "projects/" + projectId + "/models/" + modelId + "/issues.json";
+            const issuesData = this._files.get(path);
+            const change = applyIssueChange((issuesData !== undefined) ? parseJSON(issuesData) : null, action, issueId, data);
+            this._files.set(path, change.issuesInfo);
+            resolve(change.result ? parseJSON(change.result) : null);
+        });
+    }
+
+    _getProjectsIndex() {
+        const projects = [];
+        for (let [path, data] of this._files) {
+            const match = /^projects\/([^/]+)\/index\.json$/.exec(path);
+            if (!match) {
+                continue;
+            }
+            const projectInfo = parseJSON(data);
+            projects.push({
+                id: match[1],
+                name: projectInfo.name || match[1]
+            });
+        }
+        return {projects: projects};
+    }
+}
+
+export {MemoryServer};
@@ -0,0 +1,950 @@
+/**
+ * OData v4 system query option support, shared by {@link Server} and the Node.js OData server (odata-server.js).
+ *
+ * This module has no dependencies, so that it can be loaded both in the browser and in Node.js.
+ *
+ * @private
+ */
+
+/**
+ * Error thrown when an OData request is malformed, uses syntax that we don't support, or addresses a resource
+ * that does not exist.
+ *
+ * Corresponds to an HTTP 400 (Bad Request) response by default.
+ *
+ * @private
+ */
+class ODataQueryError extends Error {
+
+    /**
+     * @param {String} message Description of the error.
+     * @param {Number} [status=400] HTTP status code.
+     * @param {String} [code="BadRequest"] OData error code.
+     */
+    constructor(message, status = 400, code = "BadRequest") {
+        super(message);
+        this.name = "ODataQueryError";
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const comparisonOperators = {
+    eq: true,
+    ne: true,
+    gt: true,
+    ge: true,
+    lt: true,
+    le: true
+};
+
+// Canonical functions - maps each name to its number of arguments
+
+const functionArities = {
+    contains: 2,
+    startswith: 2,
+    endswith: 2,
+    tolower: 1,
+    toupper: 1,
+    trim: 1,
+    length: 1
+};
+
+// Canonical functions that yield booleans, and so can be conditions by themselves
+
+const booleanFunctions = {
+    contains: true,
+    startswith: true,
+    endswith: true
+};
+
+/**
+ * Splits an OData expression into tokens.
+ *
+ * Each token is an object with a ````type```` - one of "string", "number", "identifier", "(", ")" or "," - and a ````value````.
+ *
+ * @private
+ */
+function tokenize(expression) {
+    const tokens = [];
+    const len = expression.length;
+    let i = 0;
+    while (i < len) {
+        const c = expression[i];
+        if (c === " " || c === "\t" || c === "\n" || c === "\r") {
+            i++;
+            continue;
+        }
+        if (c === "(" || c === ")" || c === ",") {
+            tokens.push({type: c, value: c, pos: i});
+            i++;
+            continue;
+        }
+        if (c === "'") { // String literal - quotes are escaped by doubling them
+            const start = i;
+            let value = "";
+            i++;
+            while (true) {
+                if (i >= len) {
+                    throw new ODataQueryError("Unterminated string literal at position " + start);
+                }
+                if (expression[i] === "'") {
+                    if (expression[i + 1] === "'") {
+                        value += "'";
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                value += expression[i++];
+            }
+            tokens.push({type: "string", value: value, pos: start});
+            continue;
+        }
+        const numberMatch = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(expression.substring(i));
+        if (numberMatch) {
+            tokens.push({type: "number", value: parseFloat(numberMatch[0]), pos: i});
+            i += numberMatch[0].length;
+            continue;
+        }
+        const identifierMatch = /^[A-Za-z_][A-Za-z0-9_]*(\/[A-Za-z_][A-Za-z0-9_]*)*/.exec(expression.substring(i));
+        if (identifierMatch) {
+            tokens.push({type: "identifier", value: identifierMatch[0], pos: i});
+            i += identifierMatch[0].length;
+            continue;
+        }
+        throw new ODataQueryError("Unexpected character '" + c + "' at position " + i);
+    }
+    return tokens;
+}
+
+function describeNode(node) {
+    switch (node.type) {
+        case "property":
+            return "property '" + node.path.join("/") + "'";
+        case "function":
+            return "function '" + node.name + "'";
+        case "literal":
+            return (node.value === null) ? "null" : ((typeof node.value === "string") ? "'" + node.value + "'" : String(node.value));
+    }
+    return node.type;
+}
+
+/**
+ * Recursive-descent parser for OData $filter expressions.
+ *
+ * Operator precedence, from highest to lowest, is: function call and grouping, ````not````, comparison
+ * (````eq````, ````ne````, ````gt````, ````ge````, ````lt````, ````le```` and ````in````), ````and````, ````or````.
+ *
+ * @private
+ */
+class FilterParser {
+
+    constructor(expression) {
+        this._tokens = tokenize(expression);
+        this._pos = 0;
+    }
+
+    parse() {
+        if (this._tokens.length === 0) {
+            throw new ODataQueryError("Empty $filter expression");
+        }
+        const node = this._parseOr();
+        if (this._pos < this._tokens.length) {
+            const token = this._tokens[this._pos];
+            throw new ODataQueryError("Unexpected '" + token.value + "' at position " + token.pos);
+        }
+        this._checkCondition(node);
+        return node;
+    }
+
+    /**
+     * Checks that a node is a boolean condition, eg. not a bare property like ````type````, which would otherwise
+     * quietly match nothing.
+     */
+    _checkCondition(node) {
+        switch (node.type) {
+            case "and":
+            case "or":
+                this._checkCondition(node.left);
+                this._checkCondition(node.right);
+                return;
+            case "not":
+                this._checkCondition(node.operand);
+                return;
+            case "compare":
+            case "in":
+                return;
+            case "literal":
+                if (typeof node.value === "boolean") {
+                    return;
+                }
+                break;
+            case "function":
+                if (booleanFunctions[node.name]) {
+                    return;
+                }
+                break;
+        }
+        throw new ODataQueryError("Expected a boolean condition in $filter expression, but found " + describeNode(node));
+    }
+
+    _peek() {
+        return this._tokens[this._pos];
+    }
+
+    _peekKeyword(keyword) {
+        const token = this._tokens[this._pos];
+        return (!!token && token.type === "identifier" && token.value === keyword);
+    }
+
+    _next() {
+        const token = this._tokens[this._pos++];
+        if (!token) {
+            throw new ODataQueryError("Unexpected end of $filter expression");
+        }
+        return token;
+    }
+
+    _expect(type) {
+        const token = this._next();
+        if (token.type !== type) {
+            throw new ODataQueryError("Expected '" + type + "' but found '" + token.value + "' at position " + token.pos);
+        }
+        return token;
+    }
+
+    _parseOr() {
+        let left = this._parseAnd();
+        while (this._peekKeyword("or")) {
+            this._pos++;
+            left = {type: "or", left: left, right: this._parseAnd()};
+        }
+        return left;
+    }
+
+    _parseAnd() {
+        let left = this._parseUnary();
+        while (this._peekKeyword("and")) {
+            this._pos++;
+            left = {type: "and", left: left, right: this._parseUnary()};
+        }
+        return left;
+    }
+
+    _parseUnary() {
+        if (this._peekKeyword("not")) {
+            this._pos++;
+            return {type: "not", operand: this._parseUnary()};
+        }
+        return this._parseComparison();
+    }
+
+    _parseComparison() {
+        const left = this._parsePrimary();
+        const token = this._peek();
+        if (!token || token.type !== "identifier") {
+            return left;
+        }
+        if (comparisonOperators[token.value]) {
+            this._pos++;
+            return {type: "compare", operator: token.value, left: left, right: this._parsePrimary()};
+        }
+        if (token.value === "in") {
+            this._pos++;
+            this._expect("(");
+            const items = [this._parsePrimary()];
+            while (this._peek() && this._peek().type === ",") {
+                this._pos++;
+                items.push(this._parsePrimary());
+            }
+            this._expect(")");
+            return {type: "in", left: left, items: items};
+        }
+        return left;
+    }
+
+    _parsePrimary() {
+        const token = this._next();
+        switch (token.type) {
+            case "(":
+                const node = this._parseOr();
+                this._expect(")");
+                return node;
+            case "string":
+            case "number":
+                return {type: "literal", value: token.value};
+            case "identifier":
+                switch (token.value) {
+                    case "null":
+                        return {type: "literal", value: null};
+                    case "true":
+                        return {type: "literal", value: true};
+                    case "false":
+                        return {type: "literal", value: false};
+                }
+                if (this._peek() && this._peek().type === "(") {
+                    return this._parseFunction(token);
+                }
+                if (comparisonOperators[token.value] || token.value === "and" || token.value === "or" || token.value === "not" || token.value === "in") {
+                    throw new ODataQueryError("Unexpected operator '" + token.value + "' at position " + token.pos);
+                }
+                return {type: "property", path: token.value.split("/")};
+            default:
+                throw new ODataQueryError("Unexpected '" + token.value + "' at position " + token.pos);
+        }
+    }
+
+    _parseFunction(nameToken) {
+        const name = nameToken.value;
+        const arity = functionArities[name];
+        if (arity === undefined) {
+            throw new ODataQueryError("Unsupported function '" + name + "' at position " + nameToken.pos);
+        }
+        this._expect("(");
+        const args = [];
+        if (!(this._peek() && this._peek().type === ")")) {
+            args.push(this._parseOr());
+            while (this._peek() && this._peek().type === ",") {
+                this._pos++;
+                args.push(this._parseOr());
+            }
+        }
+        this._expect(")");
+        if (args.length !== arity) {
+            throw new ODataQueryError("Function '" + name + "' expects " + arity + " argument(s) but got " + args.length);
+        }
+        return {type: "function", name: name, args: args};
+    }
+}
+
+/**
+ * Gets the value at a property path on an element, or ````null```` if the path does not resolve to a value.
+ *
+ * @private
+ * @param {Object} element The element.
+ * @param {String[]} path Path segments, eg. ````["propertySets", "name"]````.
+ * @returns {*} The value.
+ */
+function getPropertyValue(element, path) {
+    let value = element;
+    for (let i = 0, len = path.length; i < len; i++) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        value = value[path[i]];
+    }
+    return (value === undefined) ? null : value;
+}
+
+function compareValues(operator, a, b) {
+    if (operator === "eq") {
+        return a === b;
+    }
+    if (operator === "ne") {
+        return a !== b;
+    }
+    if (a === null || b === null) { // Ordering comparisons involving null are always false
+        return false;
+    }
+    switch (operator) {
+        case "gt":
+            return a > b;
+        case "ge":
+            return a >= b;
+        case "lt":
+            return a < b;
+        case "le":
+            return a <= b;
+    }
+    return false;
+}
+
+function evaluate(node, element, resolveProperty) {
+    switch (node.type) {
+        case "literal":
+            return node.value;
+        case "property":
+            return resolveProperty(element, node.path);
+        case "and":
+            return (evaluate(node.left, element, resolveProperty) === true) && (evaluate(node.right, element, resolveProperty) === true);
+        case "or":
+            return (evaluate(node.left, element, resolveProperty) === true) || (evaluate(node.right, element, resolveProperty) === true);
+        case "not":
+            return evaluate(node.operand, element, resolveProperty) !== true;
+        case "compare":
+            return compareValues(node.operator, evaluate(node.left, element, resolveProperty), evaluate(node.right, element, resolveProperty));
+        case "in":
+            const value = evaluate(node.left, element, resolveProperty);
+            for (let i = 0, len = node.items.length; i < len; i++) {
+                if (evaluate(node.items[i], element, resolveProperty) === value) {
+                    return true;
+                }
+            }
+            return false;
+        case "function":
+            return evaluateFunction(node, element, resolveProperty);
+    }
+    return null;
+}
+
+function evaluateFunction(node, element, resolveProperty) {
+    const args = node.args.map(arg => evaluate(arg, element, resolveProperty));
+    for (let i = 0, len = args.length; i < len; i++) {
+        if (args[i] === null) { // Functions propagate null
+            return null;
+        }
+    }
+    const strings = args.map(arg => String(arg));
+    switch (node.name) { // Text matching functions ignore case
+        case "contains":
+            return strings[0].toLowerCase().includes(strings[1].toLowerCase());
+        case "startswith":
+            return strings[0].toLowerCase().startsWith(strings[1].toLowerCase());
+        case "endswith":
+            return strings[0].toLowerCase().endsWith(strings[1].toLowerCase());
+        case "tolower":
+            return strings[0].toLowerCase();
+        case "toupper":
+            return strings[0].toUpperCase();
+        case "trim":
+            return strings[0].trim();
+        case "length":
+            return strings[0].length;
+    }
+    return null;
+}
+
+/**
+ * Parses an OData $filter expression into a predicate function.
+ *
+ * Supports logical operators ````and````, ````or```` and ````not````, parentheses, comparison operators ````eq````,
+ * ````ne````, ````gt````, ````ge````, ````lt```` and ````le````, the ````in```` operator, the canonical functions
+ * ````contains````, ````startswith````, ````endswith````, ````tolower````, ````toupper````, ````trim```` and ````length````,
+ * and string, number, boolean and ````null```` literals.
+ *
+ * ````contains````, ````startswith```` and ````endswith```` ignore case. Other string comparisons are case-sensitive, as
+ * in the OData specification; wrap operands in ````tolower()```` to compare them case-insensitively.
+ *
+ * The expression must be a boolean condition, so eg. a bare property is rejected.
+ *
+ * @private
+ * @param {String} filterExpression OData $filter expression.
+ * @param {Function} [resolveProperty] Gets the value of a property path, given as an array of path segments, on an
+ * element. By default, follows the path through the element's own fields, yielding ````null```` where it ends.
+ * @returns {Function} Predicate that returns ````true```` for each element that matches the expression.
+ * @throws {ODataQueryError} If the expression is malformed, is not a boolean condition, or uses unsupported syntax.
+ */
+function parseODataFilter(filterExpression, resolveProperty = getPropertyValue) {
+    const ast = new FilterParser(filterExpression).parse();
+    return (element) => (evaluate(ast, element, resolveProperty) === true);
+}
+
+/**
+ * Finds the values that an OData $filter expression requires a property to have.
+ *
+ * For example, for ````"projectId eq 'Duplex' and type eq 'IfcWall'"````, the values of ````projectId```` are
+ * ````["Duplex"]````. This lets us avoid loading elements that could never match the filter.
+ *
+ * @private
+ * @param {String} filterExpression OData $filter expression.
+ * @param {String} propertyName Name of the property.
+ * @returns {Array|null} The values, or ````null```` if the expression does not restrict the property to a fixed set of values.
+ * @throws {ODataQueryError} If the expression is malformed or uses unsupported syntax.
+ */
+function getODataFilterValues(filterExpression, propertyName) {
+    const ast = new FilterParser(filterExpression).parse();
+    const isProperty = (node) => (node.type === "property" && node.path.length === 1 && node.path[0] === propertyName);
+    const findValues = (node) => {
+        switch (node.type) {
+            case "compare":
+                if (node.operator === "eq") {
+                    if (isProperty(node.left) && node.right.type === "literal") {
+                        return [node.right.value];
+                    }
+                    if (isProperty(node.right) && node.left.type === "literal") {
+                        return [node.left.value];
+                    }
+                }
+                return null;
+            case "in":
+                if (isProperty(node.left) && node.items.every(item => item.type === "literal")) {
+                    return node.items.map(item => item.value);
+                }
+                return null;
+            case "and":
+                const leftAnd = findValues(node.left);
+                const rightAnd = findValues(node.right);
+                if (leftAnd && rightAnd) {
+                    return leftAnd.filter(value => rightAnd.includes(value));
+                }
+                return leftAnd || rightAnd;
+            case "or":
+                const leftOr = findValues(node.left);
+                const rightOr = findValues(node.right);
+                if (leftOr && rightOr) {
+                    return leftOr.concat(rightOr.filter(value => !leftOr.includes(value)));
+                }
+                return null;
+        }
+        return null;
+    };
+    return findValues(ast);
+}
+
+/**
+ * Applies an OData $filter expression to an array of elements.
+ *
+ * @private
+ * @param {Object[]} elements Elements to filter.
+ * @param {String} filterExpression OData $filter expression.
+ * @returns {Object[]} The elements that match the expression.
+ * @throws {ODataQueryError} If the expression is malformed or uses unsupported syntax.
+ */
+function applyODataFilter(elements, filterExpression) {
+    if (!filterExpression) {
+        return elements;
+    }
+    const predicate = parseODataFilter(filterExpression);
+    return elements.filter(predicate);
+}
+
+/**
+ * Parses an OData $orderby expression into a comparator function.
+ *
+ * The expression is a comma-separated list of property paths, each optionally followed by ````asc```` (default)
+ * or ````desc````. ````null```` values sort before all other values, as in the OData specification.
+ *
+ * @private
+ * @param {String} orderByExpression OData $orderby expression, eg. ````"type asc, name desc"````.
+ * @param {Function} [resolveProperty] Gets the value of a property path on an element - see {@link parseODataFilter}.
+ * @returns {Function} Comparator for ````Array.prototype.sort````.
+ * @throws {ODataQueryError} If the expression is malformed.
+ */
+function parseODataOrderBy(orderByExpression, resolveProperty = getPropertyValue) {
+    const keys = orderByExpression.split(",").map((item) => {
+        const parts = item.trim().split(/\s+/);
+        if (parts.length > 2 || !/^[A-Za-z_][A-Za-z0-9_]*(\/[A-Za-z_][A-Za-z0-9_]*)*$/.test(parts[0])) {
+            throw new ODataQueryError("Invalid $orderby item: '" + item.trim() + "'");
+        }
+        const direction = parts[1] || "asc";
+        if (direction !== "asc" && direction !== "desc") {
+            throw new ODataQueryError("Invalid $orderby direction: '" + direction + "'");
+        }
+        return {
+            path: parts[0].split("/"),
+            sign: (direction === "desc") ? -1 : 1
+        };
+    });
+    return (a, b) => {
+        for (let i = 0, len = keys.length; i < len; i++) {
+            const key = keys[i];
+            const order = compareForOrdering(resolveProperty(a, key.path), resolveProperty(b, key.path));
+            if (order !== 0) {
+                return order * key.sign;
+            }
+        }
+        return 0;
+    };
+}
+
+function compareForOrdering(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === null) {
+        return -1;
+    }
+    if (b === null) {
+        return 1;
+    }
+    if (typeof a !== typeof b) { // Mixed types - order by type name, so that the result is at least deterministic
+        return (typeof a < typeof b) ? -1 : 1;
+    }
+    return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+/**
+ * Splits an OData $search expression into tokens - words, quoted phrases, parentheses and the
+ * ````AND````, ````OR```` and ````NOT```` operators.
+ *
+ * @private
+ */
+function tokenizeSearch(expression) {
+    const tokens = [];
+    const regex = /\s*(?:(\()|(\))|"((?:[^"\\]|\\.)*)"|([^\s()"]+))/gy;
+    let match;
+    while (regex.lastIndex < expression.length) {
+        const start = regex.lastIndex;
+        match = regex.exec(expression);
+        if (!match) {
+            if (expression.substring(start).trim() === "") {
+                break;
+            }
+            throw new ODataQueryError("Invalid $search expression at position " + start);
+        }
+        if (match[1]) {
+            tokens.push({type: "("});
+        } else if (match[2]) {
+            tokens.push({type: ")"});
+        } else if (match[3] !== undefined) {
+            tokens.push({type: "term", value: match[3].replace(/\\(.)/g, "$1")});
+        } else if (match[4] === "AND" || match[4] === "OR" || match[4] === "NOT") {
+            tokens.push({type: match[4]});
+        } else {
+            tokens.push({type: "term", value: match[4]});
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses an OData $search expression into a predicate function.
+ *
+ * Search terms and quoted phrases are matched case-insensitively against the text of the given fields. Terms
+ * separated only by whitespace must all match; ````AND````, ````OR````, ````NOT```` and parentheses may be used to
+ * combine terms explicitly.
+ *
+ * @private
+ * @param {String} searchExpression OData $search expression, eg. ````"wall OR \"curtain wall\""````.
+ * @param {String[]} fields Names of the element fields to search.
+ * @returns {Function} Predicate that returns ````true```` for each element that matches the expression.
+ * @throws {ODataQueryError} If the expression is malformed.
+ */
+function parseODataSearch(searchExpression, fields) {
+    const tokens = tokenizeSearch(searchExpression);
+    let pos = 0;
+    if (tokens.length === 0) {
+        throw new ODataQueryError("Empty $search expression");
+    }
+    const parseOr = () => {
+        let left = parseAnd();
+        while (tokens[pos] && tokens[pos].type === "OR") {
+            pos++;
+            const l = left, r = parseAnd();
+            left = (text) => (l(text) || r(text));
+        }
+        return left;
+    };
+    const parseAnd = () => {
+        let left = parseNot();
+        while (tokens[pos] && (tokens[pos].type === "AND" || tokens[pos].type === "term" || tokens[pos].type === "NOT" || tokens[pos].type === "(")) {
+            if (tokens[pos].type === "AND") {
+                pos++;
+            }
+            const l = left, r = parseNot();
+            left = (text) => (l(text) && r(text));
+        }
+        return left;
+    };
+    const parseNot = () => {
+        const token = tokens[pos++];
+        if (!token) {
+            throw new ODataQueryError("Unexpected end of $search expression");
+        }
+        switch (token.type) {
+            case "NOT":
+                const operand = parseNot();
+                return (text) => !operand(text);
+            case "(":
+                const node = parseOr();
+                if (!tokens[pos] || tokens[pos++].type !== ")") {
+                    throw new ODataQueryError("Expected ')' in $search expression");
+                }
+                return node;
+            case "term":
+                const term = token.value.toLowerCase();
+                return (text) => text.includes(term);
+            default:
+                throw new ODataQueryError("Unexpected '" + token.type + "' in $search expression");
+        }
+    };
+    const matches = parseOr();
+    if (pos < tokens.length) {
+        throw new ODataQueryError("Unexpected '" + (tokens[pos].value || tokens[pos].type) + "' in $search expression");
+    }
+    return (element) => {
+        const text = fields
+            .map(field => element[field])
+            .filter(value => (value !== null && value !== undefined))
+            .join("\n")
+            .toLowerCase();
+        return matches(text);
+    };
+}
+
+/**
+ * Splits a string on a separator character, ignoring separators that are within parentheses or quoted strings.
+ *
+ * @private
+ */
+function splitTopLevel(str, separator) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let start = 0;
+    for (let i = 0, len = str.length; i < len; i++) {
+        const c = str[i];
+        if (c === "'") {
+            quoted = !quoted;
+        } else if (!quoted) {
+            if (c === "(") {
+                depth++;
+            } else if (c === ")") {
+                depth--;
+                if (depth < 0) {
+                    throw new ODataQueryError("Unbalanced parentheses in '" + str + "'");
+                }
+            } else if (c === separator && depth === 0) {
+                parts.push(str.substring(start, i));
+                start = i + 1;
+            }
+        }
+    }
+    if (depth !== 0 || quoted) {
+        throw new ODataQueryError("Unbalanced parentheses or quotes in '" + str + "'");
+    }
+    parts.push(str.substring(start));
+    return parts;
+}
+
+/**
+ * Parses an OData $expand expression.
+ *
+ * Each item names a navigation property, optionally followed by nested query options in parentheses, separated
+ * by semicolons, eg. ````propertySets($select=name;$expand=properties($filter=name eq 'FireRating'))````.
+ *
+ * @private
+ * @param {String} expandExpression OData $expand expression.
+ * @returns {Object[]} For each item, the ````name```` of the navigation property and its nested query ````options````.
+ * @throws {ODataQueryError} If the expression is malformed.
+ */
+function parseODataExpand(expandExpression) {
+    return splitTopLevel(expandExpression, ",").map((item) => {
+        item = item.trim();
+        const match = /^([A-Za-z_][A-Za-z0-9_]*|\*)\s*(?:\((.*)\))?$/.exec(item);
+        if (!match) {
+            throw new ODataQueryError("Invalid $expand item: '" + item + "'");
+        }
+        const options = {};
+        if (match[2] !== undefined && match[2].trim() !== "") {
+            splitTopLevel(match[2], ";").forEach((option) => {
+                const optionMatch = /^\s*(\$[a-z]+)\s*=(.*)$/.exec(option);
+                if (!optionMatch || !expandOptionNames[optionMatch[1]]) {
+                    throw new ODataQueryError("Invalid $expand option: '" + option.trim() + "'");
+                }
+                options[optionMatch[1]] = optionMatch[2].trim();
+            });
+        }
+        return {
+            name: match[1],
+            options: options
+        };
+    });
+}
+
+const expandOptionNames = {
+    $filter: true,
+    $search: true,
+    $orderby: true,
+    $skip: true,
+    $top: true,
+    $select: true,
+    $expand: true
+};
+
+/**
+ * Creates a function that projects each element of the given entity type to the JSON object we return for
+ * it, containing the properties chosen with $select and the navigation properties chosen with $expand.
+ *
+ * Navigation properties are only included when expanded.
+ *
+ * @private
+ */
+function createProjection(options, entityType) {
+    const navigationProperties = entityType.navigationProperties || {};
+    const selectFields = options.$select ? options.$select.split(',').map(f => f.trim()) : null;
+    const expandItems = [];
+    if (options.$expand) {
+        parseODataExpand(options.$expand).forEach((item) => {
+            if (item.name === "*") {
+                Object.keys(navigationProperties).forEach((name) => {
+                    expandItems.push({name: name, options: item.options});
+                });
+                return;
+            }
+            if (!navigationProperties[item.name]) {
+                throw new ODataQueryError("Unknown navigation property in $expand: '" + item.name + "'");
+            }
+            expandItems.push(item);
+        });
+    }
+    expandItems.forEach((item) => { // Fail early on invalid nested options
+        createProjection(item.options, navigationProperties[item.name]);
+    });
+    if (!selectFields && expandItems.length === 0 && Object.keys(navigationProperties).length === 0) {
+        return null;
+    }
+    return (element) => {
+        const projectedElement = {};
+        const fields = selectFields || Object.keys(element);
+        fields.forEach(field => {
+            if (element.hasOwnProperty(field) && !navigationProperties[field]) {
+                projectedElement[field] = element[field];
+            }
+        });
+        expandItems.forEach((item) => {
+            const nestedElements = element[item.name] || [];
+            projectedElement[item.name] = applyODataQuery(nestedElements, item.options, {
+                entityType: navigationProperties[item.name]
+            }).value;
+        });
+        return projectedElement;
+    };
+}
+
+const defaultSearchFields = ["name", "type", "attributes"];
+
+function parseBoolean(value, optionName) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    if (value === true || value === "true") {
+        return true;
+    }
+    if (value === false || value === "false") {
+        return false;
+    }
+    throw new ODataQueryError("Invalid " + optionName + " value: '" + value + "'");
+}
+
+function parseNonNegativeInteger(value, optionName) {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new ODataQueryError("Invalid " + optionName + " value: '" + value + "'");
+    }
+    return number;
+}
+
+/**
+ * Applies OData system query options to an entity set and builds the OData JSON response.
+ *
+ * Options are applied in the order that the OData specification prescribes: ````$filter```` and ````$search````,
+ * then ````$orderby````, then ````$skip```` and ````$top````, and finally ````$select```` and ````$expand````.
+ *
+ * ````@odata.count```` is the number of elements that match ````$filter```` and ````$search````, before paging. It is
+ * included when ````$count```` is ````true````, and also when ````$count```` is not given at all, for compatibility
+ * with clients that expect it on every response.
+ *
+ * When ````$skip```` or ````$top```` is given without ````$orderby````, the elements are ordered by their key property
+ * so that successive pages neither repeat nor miss elements.
+ *
+ * @private
+ * @param {Object[]} elements The entity set.
+ * @param {Object} options Query options.
+ * @param {String} [options.$filter] OData filter expression.
+ * @param {String} [options.$search] OData search expression.
+ * @param {String} [options.$orderby] OData orderby expression.
+ * @param {Boolean|String} [options.$count] Whether to include ````@odata.count```` in the response.
+ * @param {Number|String} [options.$skip] Number of elements to skip.
+ * @param {Number|String} [options.$top] Maximum number of elements to return.
+ * @param {String} [options.$select] Comma-separated names of the properties to return.
+ * @param {String} [options.$expand] Navigation properties to expand, with optional nested query options.
+ * @param {Object} [cfg] Response configuration.
+ * @param {String} [cfg.context="$metadata#Elements"] Value of ````@odata.context````.
+ * @param {Object} [cfg.entityType] Describes the type of the elements.
+ * @param {String} [cfg.entityType.keyProperty="id"] Name of the key property, used to give paged results a stable order.
+ * @param {String[]} [cfg.entityType.searchFields] Names of the fields that ````$search```` matches against.
+ * @param {Object} [cfg.entityType.navigationProperties] Maps the name of each navigation property to the entity type of its target.
+ * @param {Function} [cfg.entityType.resolveProperty] Gets the value of a property path on an element - see {@link parseODataFilter}.
+ * @returns {Object} OData JSON response.
+ * @throws {ODataQueryError} If a query option is malformed or uses unsupported syntax.
+ */
+function applyODataQuery(elements, options = {}, cfg = {}) {
+
+    const count = parseBoolean(options.$count, "$count");
+    const skip = parseNonNegativeInteger(options.$skip, "$skip") || 0;
+    const top = parseNonNegativeInteger(options.$top, "$top");
+    const entityType = cfg.entityType || {};
+    const keyProperty = entityType.keyProperty || "id";
+    const resolveProperty = entityType.resolveProperty || getPropertyValue;
+    const projection = createProjection(options, entityType);
+
+    let result = elements;
+
+    if (options.$filter) {
+        result = result.filter(parseODataFilter(options.$filter, resolveProperty));
+    }
+
+    if (options.$search) {
+        result = result.filter(parseODataSearch(options.$search, entityType.searchFields || defaultSearchFields));
+    }
+
+    const matchCount = result.length;
+
+    if (options.$orderby) {
+        const compare = parseODataOrderBy(options.$orderby, resolveProperty);
+        const compareKeys = parseODataOrderBy(keyProperty);
+        result = result.slice().sort((a, b) => (compare(a, b) || compareKeys(a, b)));
+    } else if (skip > 0 || top !== undefined) {
+        result = result.slice().sort(parseODataOrderBy(keyProperty));
+    }
+
+    if (skip > 0) {
+        result = result.slice(skip);
+    }
+
+    if (top !== undefined) {
+        result = result.slice(0, top);
+    }
+
+    if (projection) {
+        result = result.map(projection);
+    }
+
+    const response = {
+        "@odata.context": cfg.context || "$metadata#Elements"
+    };
+
+    if (count !== false) {
+        response["@odata.count"] = matchCount;
+    }
+
+    response.value = result;
+
+    return response;
+}
+
+/**
+ * Creates an OData JSON error response body.
+ *
+ * @private
+ * @param {String} code Error code, eg. "BadRequest".
+ * @param {String} message Description of the error.
+ * @returns {Object} OData error response body.
+ */
+function createODataError(code, message) {
+    return {
+        "error": {
+            "code": code,
+            "message": message
+        }
+    };
+}
+
+export {
+    ODataQueryError,
+    parseODataFilter,
+    getODataFilterValues,
+    parseODataOrderBy,
+    parseODataSearch,
+    parseODataExpand,
+    getPropertyValue,
+    applyODataFilter,
+    applyODataQuery,
+    createODataError
+};
@@ -0,0 +1,307 @@
+/**
+ * The OData entity data model (EDM) for BIM elements, shared by {@link Server} and the Node.js OData server (odata-server.js).
+ *
+ * This module has no dependencies, so that it can be loaded both in the browser and in Node.js.
+ *
+ * @private
+ */
+
+import {getPropertyValue} from "./ODataQuery.js";
+
+/**
+ * Gets the OData service metadata document (CSDL XML) that describes our entity types and entity sets.
+ *
+ * @private
+ * @returns {String} The metadata document.
+ */
+function getODataMetadataDocument() {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<edmx:Edmx xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx" Version="4.0">
+  <edmx:DataServices>
+    <Schema xmlns="http://docs.oasis-open.org/odata/ns/edm" Namespace="XeokitBIM">
+      <EntityType Name="Project">
+        <Key>
+          <PropertyRef Name="id"/>
+        </Key>
+        <Property Name="id" Type="Edm.String" Nullable="false"/>
+        <Property Name="name" Type="Edm.String" Nullable="true"/>
+        <NavigationProperty Name="Models" Type="Collection(XeokitBIM.Model)"/>
+      </EntityType>
+      <EntityType Name="Model">
+        <Key>
+          <PropertyRef Name="projectId"/>
+          <PropertyRef Name="id"/>
+        </Key>
+        <Property Name="id" Type="Edm.String" Nullable="false"/>
+        <Property Name="projectId" Type="Edm.String" Nullable="false"/>
+        <Property Name="name" Type="Edm.String" Nullable="true"/>
+      </EntityType>
+      <EntityType Name="Element">
+        <Key>
+          <PropertyRef Name="projectId"/>
+          <PropertyRef Name="modelId"/>
+          <PropertyRef Name="id"/>
+        </Key>
+        <Property Name="id" Type="Edm.String" Nullable="false"/>
+        <Property Name="projectId" Type="Edm.String" Nullable="false"/>
+        <Property Name="modelId" Type="Edm.String" Nullable="false"/>
+        <Property Name="name" Type="Edm.String" Nullable="true"/>
+        <Property Name="type" Type="Edm.String" Nullable="true"/>
+        <Property Name="parent" Type="Edm.String" Nullable="true"/>
+        <Property Name="attributes" Type="Edm.String" Nullable="true"/>
+        <NavigationProperty Name="propertySets" Type="Collection(XeokitBIM.PropertySet)" ContainsTarget="true"/>
+      </EntityType>
+      <EntityType Name="PropertySet">
+        <Key>
+          <PropertyRef Name="id"/>
+        </Key>
+        <Property Name="id" Type="Edm.String" Nullable="false"/>
+        <Property Name="name" Type="Edm.String" Nullable="true"/>
+        <Property Name="type" Type="Edm.String" Nullable="true"/>
+        <NavigationProperty Name="properties" Type="Collection(XeokitBIM.Property)" ContainsTarget="true"/>
+      </EntityType>
+      <EntityType Name="Property">
+        <Key>
+          <PropertyRef Name="name"/>
+        </Key>
+        <Property Name="name" Type="Edm.String" Nullable="false"/>
+        <Property Name="value" Type="Edm.String" Nullable="true"/>
+        <Property Name="type" Type="Edm.String" Nullable="true"/>
+        <Property Name="valueType" Type="Edm.String" Nullable="true"/>
+        <Property Name="description" Type="Edm.String" Nullable="true"/>
+      </EntityType>
+      <EntityContainer Name="Container">
+        <EntitySet Name="Projects" EntityType="XeokitBIM.Project">
+          <NavigationPropertyBinding Path="Models" Target="Models"/>
+        </EntitySet>
+        <EntitySet Name="Models" EntityType="XeokitBIM.Model"/>
+        <EntitySet Name="Elements" EntityType="XeokitBIM.Element"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+}
+
+/**
+ * Gets the OData service document, which lists our entity sets.
+ *
+ * @private
+ * @returns {Object} The service document.
+ */
+function getODataServiceDocument() {
+    return {
+        "@odata.context": "$metadata",
+        "@odata.serviceRoot": "/odata/",
+        "value": ["Projects", "Models", "Elements"].map(name => ({
+            "name": name,
+            "kind": "EntitySet",
+            "url": name
+        }))
+    };
+}
+
+/**
+ * Creates a Project entity from an entry in projects/index.json.
+ *
+ * When the project's own index.json is given, the entity's ````Models```` navigation property holds its Model entities.
+ *
+ * @private
+ * @param {Object} projectInfo Entry in projects/index.json.
+ * @param {Object} [projectData] Contents of the project's index.json.
+ * @returns {Object} The Project entity.
+ */
+function createODataProject(projectInfo, projectData) {
+    return {
+        id: projectInfo.id,
+        name: projectInfo.name || null,
+        Models: projectData ? createODataModels(projectInfo.id, projectData) : []
+    };
+}
+
+/**
+ * Creates Model entities from the contents of a project's index.json.
+ *
+ * @private
+ * @param {String} projectId ID of the project.
+ * @param {Object} projectData Contents of the project's index.json.
+ * @returns {Object[]} The Model entities.
+ */
+function createODataModels(projectId, projectData) {
+    return (projectData.models || []).map(modelInfo => ({
+        id: modelInfo.id,
+        projectId: projectId,
+        name: modelInfo.name || null
+    }));
+}
+
+function toNullableString(value) {
+    return (value === null || value === undefined) ? null : String(value);
+}
+
+/**
+ * Creates a Property entity from a property in a metadata.json property set.
+ *
+ * The entity's ````value```` is a string, as declared in the EDM. The value's original type is kept in a hidden
+ * field, so that filters like ````NetArea gt 10```` compare numbers as numbers.
+ */
+function createODataProperty(property) {
+    const value = (property.value === undefined) ? null : property.value;
+    const oDataProperty = {
+        name: property.name || property.label,
+        value: toNullableString(value),
+        type: toNullableString(property.type),
+        valueType: toNullableString(property.valueType),
+        description: toNullableString(property.description)
+    };
+    Object.defineProperty(oDataProperty, "rawValue", {value: value, enumerable: false});
+    return oDataProperty;
+}
+
+function createODataPropertySet(propertySet) {
+    return {
+        id: propertySet.id,
+        name: propertySet.name || null,
+        type: propertySet.type || null,
+        properties: (propertySet.properties || []).map(createODataProperty)
+    };
+}
+
+/**
+ * Creates Element entities from the contents of a model's metadata.json.
+ *
+ * Each element's ````propertySets```` navigation property holds the PropertySets that its metaObject
+ * references through ````propertySetIds````.
+ *
+ * @private
+ * @param {String} projectId ID of the project.
+ * @param {String} modelId ID of the model.
+ * @param {Object} metadata Contents of the model's metadata.json.
+ * @returns {Object[]} The elements.
+ */
+function createODataElements(projectId, modelId, metadata) {
+    if (!metadata || !metadata.metaObjects) {
+        return [];
+    }
+    const propertySets = {};
+    (metadata.propertySets || []).forEach((propertySet) => {
+        propertySets[propertySet.id] = createODataPropertySet(propertySet);
+    });
+    // metaObjects is usually an array, but may also be a map of IDs to metaObjects
+    const metaObjects = Array.isArray(metadata.metaObjects)
+        ? metadata.metaObjects
+        : Object.keys(metadata.metaObjects).map(objectId => Object.assign({id: objectId}, metadata.metaObjects[objectId]));
+    return metaObjects.map((metaObject) => {
+        const elementPropertySets = [];
+        (metaObject.propertySetIds || []).forEach((propertySetId) => {
+            const propertySet = propertySets[propertySetId];
+            if (propertySet) {
+                elementPropertySets.push(propertySet);
+            }
+        });
+        return {
+            id: metaObject.id,
+            projectId: projectId,
+            modelId: modelId,
+            name: metaObject.name || null,
+            type: metaObject.type || null,
+            parent: metaObject.parent || null,
+            attributes: metaObject.attributes ? JSON.stringify(metaObject.attributes) : null,
+            propertySets: elementPropertySets
+        };
+    });
+}
+
+/**
+ * Resolves a property path on an Element.
+ *
+ * Paths that don't start with one of the Element's own properties are resolved against its property sets: a
+ * single segment, like ````FireRating````, finds the first property of that name in any of the element's property
+ * sets, while two segments, like ````Pset_WallCommon/FireRating````, find the property within the named set.
+ */
+function resolveElementProperty(element, path) {
+    if (element.hasOwnProperty(path[0]) || path.length > 2) {
+        return getPropertyValue(element, path);
+    }
+    const propertySets = element.propertySets;
+    for (let i = 0, len = propertySets.length; i < len; i++) {
+        const propertySet = propertySets[i];
+        if (path.length === 2 && propertySet.name !== path[0]) {
+            continue;
+        }
+        const propertyName = path[path.length - 1];
+        const properties = propertySet.properties;
+        for (let j = 0, lenj = properties.length; j < lenj; j++) {
+            if (properties[j].name === propertyName) {
+                return properties[j].rawValue;
+            }
+        }
+    }
+    return null;
+}
+
+const propertyEntityType = {
+    keyProperty: "name",
+    searchFields: ["name", "value"]
+};
+
+const propertySetEntityType = {
+    keyProperty: "id",
+    searchFields: ["name", "type"],
+    navigationProperties: {
+        properties: propertyEntityType
+    }
+};
+
+/**
+ * Describes the Element entity type to {@link applyODataQuery}.
+ *
+ * @private
+ */
+const elementEntityType = {
+    keyProperty: "projectId,modelId,id",
+    searchFields: ["name", "type", "attributes"],
+    navigationProperties: {
+        propertySets: propertySetEntityType
+    },
+    resolveProperty: resolveElementProperty
+};
+
+/**
+ * Describes the Model entity type to {@link applyODataQuery}.
+ *
+ * Its elements can be addressed in resource paths, like ````Projects('Duplex')/Elements````, but they aren't a
+ * navigation property, and so can't be expanded.
+ *
+ * @private
+ */
+const modelEntityType = {
+    keyProperty: "projectId,id",
+    searchFields: ["id", "name"]
+};
+
+/**
+ * Describes the Project entity type to {@link applyODataQuery}.
+ *
+ * Its elements can be addressed in resource paths, like ````Projects('Duplex')/Elements````, but they aren't a
+ * navigation property, and so can't be expanded.
+ *
+ * @private
+ */
+const projectEntityType = {
+    keyProperty: "id",
+    searchFields: ["id", "name"],
+    navigationProperties: {
+        Models: modelEntityType
+    }
+};
+
+export {
+    getODataMetadataDocument,
+    getODataServiceDocument,
+    createODataProject,
+    createODataModels,
+    createODataElements,
+    projectEntityType,
+    modelEntityType,
+    elementEntityType
+};
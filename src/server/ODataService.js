@@ -0,0 +1,556 @@
+import {applyODataQuery, createODataError, getODataFilterValues, ODataQueryError} from "./ODataQuery.js";
+import {
+    createODataElements,
+    createODataModels,
+    createODataProject,
+    elementEntityType,
+    getODataMetadataDocument,
+    getODataServiceDocument,
+    modelEntityType,
+    projectEntityType
+} from "./ODataSchema.js";
+
+const entitySetTypes = {
+    Projects: projectEntityType,
+    Models: modelEntityType,
+    Elements: elementEntityType
+};
+
+// For each entity set, the navigation properties that may follow it in a resource path
+
+const entitySetNavigations = {
+    Projects: ["Models", "Elements"],
+    Models: ["Elements"],
+    Elements: []
+};
+
+/**
+ * Splits a resource path into segments, ignoring slashes within quoted key values.
+ *
+ * Each segment has a ````name```` and a ````key````, which is ````null````, a single key value, or a map of key
+ * property names to values.
+ */
+function parseResourcePath(resourcePath) {
+    const segmentStrings = [];
+    let quoted = false;
+    let start = 0;
+    for (let i = 0, len = resourcePath.length; i <= len; i++) {
+        const c = resourcePath[i];
+        if (c === "'") {
+            quoted = !quoted;
+        } else if ((c === "/" && !quoted) || i === len) {
+            const segmentString = resourcePath.substring(start, i);
+            if (segmentString !== "") {
+                segmentStrings.push(segmentString);
+            }
+            start = i + 1;
+        }
+    }
+    return segmentStrings.map((segmentString) => {
+        const match = /^(\$?[A-Za-z_][A-Za-z0-9_]*)(?:\((.*)\))?$/.exec(segmentString);
+        if (!match) {
+            throw new ODataQueryError("Invalid resource path segment: '" + segmentString + "'");
+        }
+        return {
+            name: match[1],
+            key: (match[2] !== undefined) ? parseKeyPredicate(match[2]) : null
+        };
+    });
+}
+
+function parseKeyPredicate(keyPredicate) {
+    const parseValue = (str) => {
+        const match = /^\s*'((?:[^']|'')*)'\s*$/.exec(str);
+        if (!match) {
+            throw new ODataQueryError("Invalid key value: '" + str.trim() + "' - expected a quoted string");
+        }
+        return match[1].replace(/''/g, "'");
+    };
+    const parts = keyPredicate.match(/(?:[^,']|'(?:[^']|'')*')+/g) || [];
+    if (parts.length === 1 && !/^\s*[A-Za-z_][A-Za-z0-9_]*\s*=/.test(parts[0])) {
+        return parseValue(parts[0]);
+    }
+    const key = {};
+    parts.forEach((part) => {
+        const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/.exec(part);
+        if (!match) {
+            throw new ODataQueryError("Invalid key predicate: '" + keyPredicate + "'");
+        }
+        key[match[1]] = parseValue(match[2]);
+    });
+    return key;
+}
+
+function getSingleKey(key, propertyName) {
+    if (typeof key === "string") {
+        return key;
+    }
+    if (key[propertyName] === undefined || Object.keys(key).length !== 1) {
+        throw new ODataQueryError("Invalid key predicate - expected '" + propertyName + "'");
+    }
+    return key[propertyName];
+}
+
+/**
+ * Gets an Element's key from a key predicate, taking the project and model from the resource path where it gives
+ * them, since element IDs are only unique within a model. For example, both
+ * ````Elements(projectId='Duplex',modelId='design',id='2HaS6zNOX8xOGjmaNi_rT3')```` and
+ * ````Models(projectId='Duplex',id='design')/Elements('2HaS6zNOX8xOGjmaNi_rT3')```` give the same key.
+ */
+function getElementKey(key, scope) {
+    const propertyNames = ["projectId", "modelId", "id"].filter(propertyName => (propertyName === "id" || !scope[propertyName]));
+    if (typeof key === "string" && propertyNames.length === 1) {
+        key = {id: key};
+    }
+    if (typeof key === "string" || Object.keys(key).length !== propertyNames.length || propertyNames.some(propertyName => key[propertyName] === undefined)) {
+        throw new ODataQueryError("Invalid key predicate - expected '" + propertyNames.join("', '") + "'");
+    }
+    return {
+        projectId: scope.projectId || key.projectId,
+        modelId: scope.modelId || key.modelId,
+        id: key.id
+    };
+}
+
+function notFound(message) {
+    return new ODataQueryError(message, 404, "NotFound");
+}
+
+/**
+ * Serves the OData entity sets - Projects, Models and Elements - from a data source.
+ *
+ * The data source has the same project and metadata getters as {@link Server}: ````getProjects(done, error)````,
+ * ````getProject(projectId, done, error)```` and ````getMetadata(projectId, modelId, done, error)````. Used by
+ * {@link Server} with itself as the data source, and by the Node.js OData server (odata-server.js) with a data
+ * source that reads the file system.
+ *
+ * Errors are passed to error callbacks as {@link ODataQueryError}s when they are caused by the request, or as
+ * whatever the data source gave us otherwise.
+ *
+ * @private
+ */
+class ODataService {
+
+    /**
+     * @param {*} dataSource Gets projects and model metadata.
+     */
+    constructor(dataSource) {
+        this._dataSource = dataSource;
+    }
+
+    /**
+     * Gets the Projects entity set.
+     *
+     * @param {Object} options OData query options.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error is returned.
+     */
+    getProjects(options, done, error) {
+        this._loadProjectInfos((projectInfos) => {
+            this._loadProjects(projectInfos, !!options.$expand, (projects) => {
+                this._respond(projects, options, "Projects", done, error);
+            });
+        }, error);
+    }
+
+    /**
+     * Gets a Project entity.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {Object} options OData query options - only $select and $expand apply.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error is returned.
+     */
+    getProject(projectId, options, done, error) {
+        this._findProjectInfo(projectId, (projectInfo) => {
+            this._loadProjects([projectInfo], !!options.$expand, (projects) => {
+                this._respondEntity(projects[0], options, "Projects", done, error);
+            });
+        }, error);
+    }
+
+    /**
+     * Gets Model entities, either for all projects, or for one project.
+     *
+     * @param {String|null} projectId ID of the project, or ````null```` for the models of all projects.
+     * @param {Object} options OData query options.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error is returned.
+     */
+    getModels(projectId, options, done, error) {
+        const withProjectInfos = projectId
+            ? (next) => this._findProjectInfo(projectId, (projectInfo) => next([projectInfo]), error)
+            : (next) => this._loadProjectInfos(next, error);
+        withProjectInfos((projectInfos) => {
+            this._loadProjects(projectInfos, true, (projects) => {
+                const models = [].concat(...projects.map(project => project.Models));
+                this._respond(models, options, "Models", done, error);
+            });
+        });
+    }
+
+    /**
+     * Gets a Model entity.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Object} options OData query options - only $select and $expand apply.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error is returned.
+     */
+    getModel(projectId, modelId, options, done, error) {
+        this._findProjectInfo(projectId, (projectInfo) => {
+            this._loadProjects([projectInfo], true, (projects) => {
+                const model = projects[0].Models.find(model => model.id === modelId);
+                if (!model) {
+                    error(notFound("Model not found: '" + modelId + "' in project '" + projectId + "'"));
+                    return;
+                }
+                this._respondEntity(model, options, "Models", done, error);
+            });
+        }, error);
+    }
+
+    /**
+     * Gets Element entities, within the given scope.
+     *
+     * Without a project in the scope, only loads the projects - and models - that the $filter could match, when
+     * it constrains ````projectId```` (and ````modelId````) to fixed values.
+     *
+     * @param {Object} scope Scope of the elements.
+     * @param {String} [scope.projectId] ID of the project, or omit for the elements of all projects.
+     * @param {String} [scope.modelId] ID of a model within the project, or omit for the elements of all its models.
+     * @param {Object} options OData query options.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error is returned.
+     */
+    getElements(scope, options, done, error) {
+        let projectIds;
+        let modelIds;
+        try {
+            projectIds = scope.projectId ? [scope.projectId] : (options.$filter ? getODataFilterValues(options.$filter, "projectId") : null);
+            modelIds = scope.modelId ? [scope.modelId] : (options.$filter ? getODataFilterValues(options.$filter, "modelId") : null);
+        } catch (e) {
+            error(e);
+            return;
+        }
+        this._loadElements(projectIds, modelIds, !!scope.projectId, (elements) => {
+            this._respond(elements, options, "Elements", done, error);
+        }, error);
+    }
+
+    /**
+     * Gets an Element entity.
+     *
+     * Only loads the metadata of the element's model.
+     *
+     * @param {Object} key Key of the element.
+     * @param {String} key.projectId ID of the element's project.
+     * @param {String} key.modelId ID of the element's model.
+     * @param {String} key.id ID of the element.
+     * @param {Object} options OData query options - only $select and $expand apply.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error is returned.
+     */
+    getElement(key, options, done, error) {
+        this._loadElements([key.projectId], [key.modelId], true, (elements) => {
+            const element = elements.find(element => element.id === key.id);
+            if (!element) {
+                error(notFound("Element not found: '" + key.id + "' in model '" + key.modelId + "' of project '" + key.projectId + "'"));
+                return;
+            }
+            this._respondEntity(element, options, "Elements", done, error);
+        }, error);
+    }
+
+    /**
+     * Handles a request for an OData resource.
+     *
+     * Supported resource paths are the service document (an empty path), ````$metadata````, the ````Projects````,
+     * ````Models```` and ````Elements```` entity sets, entities addressed by key, like ````Projects('Duplex')````,
+     * ````Models(projectId='Duplex',id='design')```` and ````Elements(projectId='Duplex',modelId='design',id='2HaS6zNOX8xOGjmaNi_rT3')````,
+     * paths from projects and models to their models and elements, like ````Projects('Duplex')/Elements```` and
+     * ````Models(projectId='Duplex',id='design')/Elements('2HaS6zNOX8xOGjmaNi_rT3')````, and ````$count```` after a collection.
+     *
+     * @param {String} resourcePath Decoded resource path, relative to the service root, eg. ````"Projects('Duplex')/Models"````.
+     * @param {Object} options OData query options.
+     * @param {Function} done Callback through which the response is returned, as arguments ````(status, contentType, body)````.
+     */
+    handleRequest(resourcePath, options, done) {
+        const fail = (e) => {
+            if (e instanceof ODataQueryError) {
+                done(e.status, "application/json", JSON.stringify(createODataError(e.code, e.message)));
+            } else {
+                const message = (e && e.message) ? e.message : String(e);
+                done(500, "application/json", JSON.stringify(createODataError("InternalServerError", message)));
+            }
+        };
+        const succeed = (result) => {
+            done(200, "application/json", JSON.stringify(result, null, 2));
+        };
+        let segments;
+        let target;
+        try {
+            segments = parseResourcePath(resourcePath);
+            if (segments.length === 0) {
+                succeed(getODataServiceDocument());
+                return;
+            }
+            if (segments.length === 1 && segments[0].name === "$metadata") {
+                done(200, "application/xml", getODataMetadataDocument());
+                return;
+            }
+            target = this._resolveResourcePath(segments);
+        } catch (e) {
+            fail(e);
+            return;
+        }
+        if (target.count) {
+            const countOptions = {
+                $filter: options.$filter,
+                $search: options.$search,
+                $count: true,
+                $top: 0
+            };
+            this._getTarget(target, countOptions, (result) => {
+                done(200, "text/plain", String(result["@odata.count"]));
+            }, fail);
+            return;
+        }
+        this._getTarget(target, options, succeed, fail);
+    }
+
+    _resolveResourcePath(segments) {
+        let count = false;
+        if (segments.length > 1 && segments[segments.length - 1].name === "$count") {
+            count = true;
+            segments = segments.slice(0, -1);
+        }
+        const scope = {};
+        let target = null;
+        for (let i = 0, len = segments.length; i < len; i++) {
+            const segment = segments[i];
+            if (target) {
+                if (target.key === null) {
+                    throw new ODataQueryError("Expected a key for '" + target.entitySet + "' before '" + segment.name + "'");
+                }
+                if (target.entitySet === "Projects") {
+                    scope.projectId = target.key;
+                } else if (target.entitySet === "Models") {
+                    scope.projectId = target.projectId;
+                    scope.modelId = target.key;
+                }
+                if (!entitySetNavigations[target.entitySet].includes(segment.name)) {
+                    throw notFound("Resource not found: '" + segment.name + "'");
+                }
+            } else if (!entitySetTypes[segment.name]) {
+                throw notFound("Resource not found: '" + segment.name + "'");
+            }
+            target = {
+                entitySet: segment.name,
+                key: null
+            };
+            if (segment.key !== null) {
+                if (segment.name === "Models") {
+                    if (scope.projectId) {
+                        target.projectId = scope.projectId;
+                        target.key = getSingleKey(segment.key, "id");
+                    } else {
+                        if (typeof segment.key === "string" || !segment.key.projectId || !segment.key.id || Object.keys(segment.key).length !== 2) {
+                            throw new ODataQueryError("Invalid key predicate - expected 'projectId' and 'id'");
+                        }
+                        target.projectId = segment.key.projectId;
+                        target.key = segment.key.id;
+                    }
+                } else if (segment.name === "Elements") {
+                    target.key = getElementKey(segment.key, scope);
+                } else {
+                    target.key = getSingleKey(segment.key, "id");
+                }
+            }
+        }
+        if (count && target.key !== null) {
+            throw new ODataQueryError("$count must follow a collection");
+        }
+        target.scope = scope;
+        target.count = count;
+        return target;
+    }
+
+    _getTarget(target, options, done, error) {
+        const scope = target.scope;
+        switch (target.entitySet) {
+            case "Projects":
+                if (target.key !== null) {
+                    this.getProject(target.key, options, done, error);
+                } else {
+                    this.getProjects(options, done, error);
+                }
+                break;
+            case "Models":
+                if (target.key !== null) {
+                    this.getModel(target.projectId, target.key, options, done, error);
+                } else {
+                    this.getModels(scope.projectId || null, options, done, error);
+                }
+                break;
+            case "Elements":
+                if (target.key !== null) {
+                    this.getElement(target.key, options, done, error);
+                } else {
+                    this.getElements(scope, options, done, error);
+                }
+                break;
+        }
+    }
+
+    _respond(entities, options, entitySet, done, error) {
+        let response;
+        try {
+            response = applyODataQuery(entities, options, {
+                context: "$metadata#" + entitySet,
+                entityType: entitySetTypes[entitySet]
+            });
+        } catch (e) {
+            error(e);
+            return;
+        }
+        done(response);
+    }
+
+    _respondEntity(entity, options, entitySet, done, error) {
+        let projectedEntity;
+        try {
+            projectedEntity = applyODataQuery([entity], {
+                $select: options.$select,
+                $expand: options.$expand
+            }, {
+                entityType: entitySetTypes[entitySet]
+            }).value[0];
+        } catch (e) {
+            error(e);
+            return;
+        }
+        done(Object.assign({"@odata.context": "$metadata#" + entitySet + "/$entity"}, projectedEntity));
+    }
+
+    _loadProjectInfos(done, error) {
+        this._dataSource.getProjects((json) => {
+            done((json && json.projects) || []);
+        }, error);
+    }
+
+    _findProjectInfo(projectId, done, error) {
+        this._loadProjectInfos((projectInfos) => {
+            const projectInfo = projectInfos.find(projectInfo => projectInfo.id === projectId);
+            if (!projectInfo) {
+                error(notFound("Project not found: '" + projectId + "'"));
+                return;
+            }
+            done(projectInfo);
+        }, error);
+    }
+
+    /**
+     * Creates Project entities, optionally loading each project's index.json to find its models.
+     * Projects whose index.json fails to load have no models.
+     */
+    _loadProjects(projectInfos, withModels, done) {
+        if (!withModels || projectInfos.length === 0) {
+            done(projectInfos.map(projectInfo => createODataProject(projectInfo)));
+            return;
+        }
+        const projects = [];
+        let numLoaded = 0;
+        projectInfos.forEach((projectInfo, i) => {
+            const projectLoaded = (projectData) => {
+                projects[i] = createODataProject(projectInfo, projectData);
+                if (++numLoaded === projectInfos.length) {
+                    done(projects);
+                }
+            };
+            this._dataSource.getProject(projectInfo.id, projectLoaded, () => projectLoaded(null));
+        });
+    }
+
+    /**
+     * Loads elements for the given projects and models, in project and model order, so that results are deterministic.
+     *
+     * Only loads projects that are in the projects index, and models that are in their project's index.json, so that
+     * a key from the request never reaches the data source unchecked. When the projects and models are named
+     * explicitly (ie. addressed in the resource path), fails if one isn't found or a project can't be loaded,
+     * otherwise skips it. Models whose metadata fails to load are skipped in either case.
+     */
+    _loadElements(projectIds, modelIds, keysRequired, done, error) {
+        this._loadProjectInfos((projectInfos) => {
+            const knownProjectIds = projectInfos.map(projectInfo => projectInfo.id);
+            if (projectIds) {
+                const unknownProjectId = projectIds.find(projectId => !knownProjectIds.includes(projectId));
+                if (unknownProjectId !== undefined && keysRequired) {
+                    error(notFound("Project not found: '" + unknownProjectId + "'"));
+                    return;
+                }
+            }
+            projectIds = projectIds ? knownProjectIds.filter(projectId => projectIds.includes(projectId)) : knownProjectIds;
+            const projectElements = [];
+            let numProjectsLoaded = 0;
+            let failed = false;
+            if (projectIds.length === 0) {
+                done([]);
+                return;
+            }
+            const fail = (e) => {
+                if (!failed) {
+                    failed = true;
+                    error(e);
+                }
+            };
+            const projectLoaded = () => {
+                if (++numProjectsLoaded === projectIds.length && !failed) {
+                    done([].concat(...projectElements));
+                }
+            };
+            projectIds.forEach((projectId, i) => {
+                projectElements[i] = [];
+                this._dataSource.getProject(projectId, (projectData) => {
+                    const projectModels = (projectData && projectData.models) || [];
+                    if (modelIds && keysRequired) {
+                        const unknownModelId = modelIds.find(modelId => !projectModels.some(model => model.id === modelId));
+                        if (unknownModelId !== undefined) {
+                            fail(notFound("Model not found: '" + unknownModelId + "' in project '" + projectId + "'"));
+                            return;
+                        }
+                    }
+                    const models = projectModels.filter(model => (!modelIds || modelIds.includes(model.id)));
+                    const modelElements = [];
+                    let numModelsLoaded = 0;
+                    if (models.length === 0) {
+                        projectLoaded();
+                        return;
+                    }
+                    const modelLoaded = () => {
+                        if (++numModelsLoaded === models.length) {
+                            projectElements[i] = [].concat(...modelElements);
+                            projectLoaded();
+                        }
+                    };
+                    models.forEach((model, j) => {
+                        modelElements[j] = [];
+                        this._dataSource.getMetadata(projectId, model.id, (metadata) => {
+                            modelElements[j] = createODataElements(projectId, model.id, metadata);
+                            modelLoaded();
+                        }, modelLoaded);
+                    });
+                }, (e) => {
+                    if (keysRequired) {
+                        fail(e);
+                        return;
+                    }
+                    projectLoaded();
+                });
+            });
+        }, error);
+    }
+}
+
+export {ODataService};
@@ -0,0 +1,245 @@
+import {createAbortError} from "../utils/callbackPromise.js";
+
+const defaultRetryStatuses = [408, 429, 500, 502, 503, 504];
+
+const idempotentMethods = ["GET", "HEAD", "PUT", "DELETE"];
+
+function createTimeoutError(url, timeout) {
+    const error = new Error("Request timed out after " + timeout + "ms: " + url);
+    error.name = "TimeoutError";
+    return error;
+}
+
+/**
+ * Waits for the given time, unless aborted first.
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+    });
+}
+
+/**
+ * Gets the delay requested by a response's ````Retry-After```` header, in milliseconds, if any.
+ */
+function getRetryAfter(response) {
+    const retryAfter = response.headers && response.headers.get ? response.headers.get("Retry-After") : null;
+    if (!retryAfter) {
+        return null;
+    }
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+        return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Makes the HTTP requests for a {@link Server}.
+ *
+ * Each request goes through the same steps:
+ *
+ * 1. adds the ````Authorization```` header, with the token from ````getAccessToken````, if configured,
+ * 2. passes the request through the request interceptors, in the order they were added,
+ * 3. fetches, and reads the body if asked to, failing with a ````TimeoutError```` if ````timeout```` elapses first,
+ * 4. on a ````401```` response, gets a new token from ````refreshAccessToken````, if configured, and repeats once, and
+ * 5. on a network error, timeout (including a body that stalls) or retryable status, waits with exponential backoff and
+ * repeats, up to ````retries```` times.
+ *
+ * Step 5 is skipped for ````POST```` and ````PATCH```` requests, which could otherwise be applied twice.
+ *
+ * Aborting the request's signal stops it at any step, including while waiting to retry.
+ *
+ * @private
+ */
+class RequestPipeline {
+
+    /**
+     * @param {*} [cfg] Request configuration - see {@link Server}.
+     */
+    constructor(cfg = {}) {
+        this._fetch = cfg.fetch || ((url, init) => fetch(url, init));
+        this._headers = cfg.headers || null;
+        this._getAccessToken = cfg.getAccessToken || null;
+        this._refreshAccessToken = cfg.refreshAccessToken || null;
+        this._retries = cfg.retries || 0;
+        this._retryDelay = (cfg.retryDelay !== undefined) ? cfg.retryDelay : 500;
+        this._maxRetryDelay = (cfg.maxRetryDelay !== undefined) ? cfg.maxRetryDelay : 10000;
+        this._retryStatuses = cfg.retryStatuses || defaultRetryStatuses;
+        this._timeout = cfg.timeout || 0;
+        this._requestInterceptors = (cfg.requestInterceptors || []).slice();
+        this._pendingTokenRefresh = null;
+    }
+
+    /**
+     * Adds a request interceptor.
+     *
+     * @param {Function} interceptor Given a request ````{url, method, headers, body}````, either modifies it in place, or returns
+     * (or resolves with) a replacement request.
+     */
+    addRequestInterceptor(interceptor) {
+        this._requestInterceptors.push(interceptor);
+    }
+
+    /**
+     * Removes a request interceptor.
+     *
+     * @param {Function} interceptor The request interceptor.
+     */
+    removeRequestInterceptor(interceptor) {
+        const i = this._requestInterceptors.indexOf(interceptor);
+        if (i > -1) {
+            this._requestInterceptors.splice(i, 1);
+        }
+    }
+
+    /**
+     * Fetches a URL.
+     *
+     * Resolves with the final response, whatever its status, once no more retries apply.
+     *
+     * @param {String} url The URL.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @param {String} [options.method="GET"] HTTP method.
+     * @param {Object} [options.headers] Headers to add to the request, after the configured headers.
+     * @param {String} [options.body] Request body.
+     * @param {Function} [options.readBody] Given a successful ````Response````, returns a Promise that resolves with its body.
+     * The timeout then also covers reading the body, and a body that fails to arrive is retried like a failed request.
+     * @returns {Promise} Resolves with the ````Response````, or with ````{response, body}```` when ````readBody```` is given, where
+     * ````body```` is undefined unless the response was successful.
+     */
+    fetch(url, options = {}) {
+        const signal = options.signal || null;
+        const retries = idempotentMethods.includes(options.method || "GET") ? this._retries : 0;
+        const attempt = (retry, tokenRefreshed) => {
+            return this._fetchOnce(url, options, signal)
+                .then((result) => {
+                    const response = result.response;
+                    if (response.status === 401 && this._refreshAccessToken && !tokenRefreshed) {
+                        return this._refreshToken().then(() => attempt(retry, true));
+                    }
+                    if (retry < retries && this._retryStatuses.includes(response.status)) {
+                        return this._backoff(retry, getRetryAfter(response), signal).then(() => attempt(retry + 1, tokenRefreshed));
+                    }
+                    return options.readBody ? result : response;
+                }, (error) => {
+                    if (error.name === "AbortError" || retry >= retries) {
+                        throw error;
+                    }
+                    return this._backoff(retry, null, signal).then(() => attempt(retry + 1, tokenRefreshed));
+                });
+        };
+        return attempt(0, false);
+    }
+
+    _fetchOnce(url, options, signal) {
+        return this._createRequest(url, options).then((request) => {
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+            const controller = (this._timeout > 0 || signal) ? new AbortController() : null;
+            let timedOut = false;
+            let timer = null;
+            const onAbort = () => controller.abort();
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+            if (this._timeout > 0) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, this._timeout);
+            }
+            const cleanUp = () => {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+            };
+            return this._fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                signal: controller ? controller.signal : undefined
+            }).then((response) => {
+                if (!options.readBody || !response.ok) {
+                    cleanUp();
+                    return {response};
+                }
+                return options.readBody(response).then((body) => { // Still aborted by the timeout or signal while the body arrives
+                    cleanUp();
+                    return {response, body};
+                });
+            }).catch((error) => {
+                cleanUp();
+                throw timedOut ? createTimeoutError(request.url, this._timeout) : error;
+            });
+        });
+    }
+
+    _createRequest(url, options) {
+        const headers = (typeof this._headers === "function") ? this._headers(url) : this._headers;
+        const request = {
+            url: url,
+            method: options.method || "GET",
+            headers: Object.assign({}, headers, options.headers)
+        };
+        if (options.body !== undefined) {
+            request.body = options.body;
+        }
+        let promise = Promise.resolve(this._getAccessToken ? this._getAccessToken() : null).then((token) => {
+            if (token) {
+                request.headers["Authorization"] = "Bearer " + token;
+            }
+            return request;
+        });
+        this._requestInterceptors.forEach((interceptor) => {
+            promise = promise.then((request) => Promise.resolve(interceptor(request)).then(result => result || request));
+        });
+        return promise;
+    }
+
+    /**
+     * Refreshes the access token, sharing one refresh between concurrent requests that were refused.
+     */
+    _refreshToken() {
+        if (!this._pendingTokenRefresh) {
+            this._pendingTokenRefresh = Promise.resolve()
+                .then(() => this._refreshAccessToken())
+                .then(() => {
+                    this._pendingTokenRefresh = null;
+                }, (error) => {
+                    this._pendingTokenRefresh = null;
+                    throw error;
+                });
+        }
+        return this._pendingTokenRefresh;
+    }
+
+    _backoff(retry, retryAfter, signal) {
+        const backoff = Math.min(this._maxRetryDelay, this._retryDelay * Math.pow(2, retry));
+        return delay((retryAfter !== null) ? Math.min(this._maxRetryDelay, retryAfter) : backoff, signal);
+    }
+}
+
+export {RequestPipeline};
@@ -1,4 +1,45 @@
-import {utils} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+import {getODataMetadataDocument} from "./ODataSchema.js";
+import {ODataService} from "./ODataService.js";
+import {RequestPipeline} from "./RequestPipeline.js";
+import {callbackPromise} from "../utils/callbackPromise.js";
+
+/**
+ * Reads a response body into an ArrayBuffer, reporting progress as chunks arrive.
+ *
+ * The total is taken from the ````Content-Length```` header. It's reported as ````null```` when unknown, or when the
+ * body turns out to be larger, as happens when the response is compressed.
+ */
+function readResponseBody(response, onProgress) {
+    const contentLength = Number(response.headers.get("Content-Length")) || null;
+    if (!onProgress || !response.body || !response.body.getReader) {
+        return response.arrayBuffer().then((arrayBuffer) => {
+            if (onProgress) {
+                onProgress({loaded: arrayBuffer.byteLength, total: arrayBuffer.byteLength});
+            }
+            return arrayBuffer;
+        });
+    }
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    const readNext = () => reader.read().then(({done, value}) => {
+        if (done) {
+            const bytes = new Uint8Array(loaded);
+            let offset = 0;
+            for (let i = 0, len = chunks.length; i < len; i++) {
+                bytes.set(chunks[i], offset);
+                offset += chunks[i].length;
+            }
+            onProgress({loaded: loaded, total: loaded});
+            return bytes.buffer;
+        }
+        chunks.push(value);
+        loaded += value.length;
+        onProgress({loaded: loaded, total: (contentLength && contentLength >= loaded) ? contentLength : null});
+        return readNext();
+    });
+    return readNext();
+}
 
 /**
  * Default server client which loads content for a {@link BIMViewer} via HTTP from the file system.
@@ -6,6 +47,34 @@ import {utils} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
  * A BIMViewer is instantiated with an instance of this class.
  *
  * To load content from an alternative source, instantiate BIMViewer with your own custom implementation of this class.
+ *
+ * Each method takes ````done```` and ````error```` callbacks, and also returns a Promise, so the callbacks may be omitted.
+ * Methods that load content also take an ````options```` argument, through which ````options.signal```` can abort the
+ * load with an ````AbortSignal````, and ````options.onProgress```` can track the bytes received. The options may be
+ * given in place of the callbacks, eg:
+ *
+ * ````javascript
+ * const controller = new AbortController();
+ * const projectInfo = await server.getProject("Duplex", {signal: controller.signal});
+ * ````
+ *
+ * All requests - for projects, geometry, metadata, manifests, props and issues alike - go through a configurable
+ * pipeline, which can add headers and access tokens, refresh expired tokens, retry failed requests and time them out:
+ *
+ * ````javascript
+ * const server = new Server({
+ *     dataDir: "https://gateway.example.com/bim",
+ *     getAccessToken: () => auth.token,
+ *     refreshAccessToken: () => auth.refresh(), // Called on a 401 response, before retrying once
+ *     retries: 3,                               // Retries network errors, timeouts, 408, 429 and 5xx responses
+ *     retryDelay: 500,                          // Doubles after each retry
+ *     timeout: 30000
+ * });
+ *
+ * server.addRequestInterceptor((request) => {
+ *     request.headers["X-Tenant"] = "acme";
+ * });
+ * ````
  */
 class Server {
 
@@ -14,9 +83,42 @@ class Server {
      *
      * @param {*} [cfg] Server configuration.
      * @param {String} [cfg.dataDir] Base directory for content.
+     * @param {Object|Function} [cfg.headers] Headers to add to each request, or a function that returns them, given the request URL.
+     * @param {Function} [cfg.getAccessToken] Returns, or resolves with, an access token to send as a ````Bearer```` token in the ````Authorization```` header.
+     * @param {Function} [cfg.refreshAccessToken] Invoked when a request gets a ````401```` response; once the returned Promise resolves, the request is repeated once, with a token from ````getAccessToken````.
+     * @param {Function[]} [cfg.requestInterceptors] Initial request interceptors - see {@link Server#addRequestInterceptor}.
+     * @param {Number} [cfg.retries=0] Number of times to retry a request that fails with a network error, a timeout, or one of ````retryStatuses````.
+     * @param {Number} [cfg.retryDelay=500] Milliseconds to wait before the first retry, doubling for each subsequent retry. A ````Retry-After```` response header overrides this.
+     * @param {Number} [cfg.maxRetryDelay=10000] Maximum milliseconds to wait before a retry.
+     * @param {Number[]} [cfg.retryStatuses=[408, 429, 500, 502, 503, 504]] Response statuses that are retried.
+     * @param {Number} [cfg.timeout=0] Milliseconds after which each request attempt, including reading the body of a file, fails with a ````TimeoutError````, or zero for no timeout.
+     * @param {Function} [cfg.fetch] Function that makes the requests, with the same signature as ````window.fetch````, which is the default.
      */
     constructor(cfg = {}) {
         this._dataDir = cfg.dataDir || "";
+        this._requestPipeline = new RequestPipeline(cfg);
+        this._oDataService = new ODataService(this);
+    }
+
+    /**
+     * Adds a request interceptor, which may modify each request before it is made.
+     *
+     * Interceptors run in the order they were added, after the ````Authorization```` header is added, and again for each retry.
+     *
+     * @param {Function} interceptor Given a request ````{url, method, headers, body}````, either modifies it in place, or returns
+     * (or resolves with) a replacement request.
+     */
+    addRequestInterceptor(interceptor) {
+        this._requestPipeline.addRequestInterceptor(interceptor);
+    }
+
+    /**
+     * Removes a request interceptor.
+     *
+     * @param {Function} interceptor The request interceptor.
+     */
+    removeRequestInterceptor(interceptor) {
+        this._requestPipeline.removeRequestInterceptor(interceptor);
     }
 
     /**
@@ -24,10 +126,14 @@ class Server {
      *
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getProjects(done, error) {
+    getProjects(done, error, options = {}) {
         const url = this._dataDir + "/projects/index.json";
-        utils.loadJSON(url, done, error);
+        return this._loadJSON(url, done, error, options);
     }
 
     /**
@@ -36,10 +142,14 @@ class Server {
      * @param {String} projectId ID of the project.
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getProject(projectId, done, error) {
+    getProject(projectId, done, error, options = {}) {
         const url = this._dataDir + "/projects/" + projectId + "/index.json";
-        utils.loadJSON(url, done, error);
+        return this._loadJSON(url, done, error, options);
     }
 
     /**
@@ -49,10 +159,14 @@ class Server {
      * @param {String} modelId ID of the model.
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getMetadata(projectId, modelId, done, error) {
+    getMetadata(projectId, modelId, done, error, options = {}) {
         const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/metadata.json";
-        utils.loadJSON(url, done, error);
+        return this._loadJSON(url, done, error, options);
     }
 
     /**
@@ -62,10 +176,14 @@ class Server {
      * @param {String} modelId ID of the model.
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getGeometry(projectId, modelId, done, error) {
+    getGeometry(projectId, modelId, done, error, options = {}) {
         const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/geometry.xkt";
-        utils.loadArraybuffer(url, done, error);
+        return this._loadArraybuffer(url, done, error, options);
     }
 
     /**
@@ -76,10 +194,14 @@ class Server {
      * @param {String} objectId ID of the object.
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getObjectInfo(projectId, modelId, objectId, done, error) {
+    getObjectInfo(projectId, modelId, objectId, done, error, options = {}) {
         const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/props/" + objectId + ".json";
-        utils.loadJSON(url, done, error);
+        return this._loadJSON(url, done, error, options);
     }
 
     /**
@@ -89,10 +211,91 @@ class Server {
      * @param {String} modelId ID of the model.
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getIssues(projectId, modelId, done, error) {
+    getIssues(projectId, modelId, done, error, options = {}) {
         const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/issues.json";
-        utils.loadJSON(url, done, error);
+        return this._loadJSON(url, done, error, options);
+    }
+
+    /**
+     * Creates an issue for a model within a project.
+     *
+     * Sends a ````POST```` request to ````<dataDir>/projects/<projectId>/models/<modelId>/issues````. The server adds the
+     * issue to the model's ````issues.json````, giving it an ````id````, if it has none, an ````"Open"```` ````status````,
+     * if it has none, and ````createdAt```` and ````updatedAt```` times.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Object} issue The issue, with a ````title````, and optionally a ````description````, ````status````,
+     * ````priority````, ````assignee````, ````author````, ````position````, ````objectIds```` and BCF ````viewpoint````.
+     * @param {Function} done Callback through which the new issue is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with the new issue.
+     */
+    createIssue(projectId, modelId, issue, done, error, options = {}) {
+        return this._changeIssues(projectId, modelId, "create", null, issue, done, error, options);
+    }
+
+    /**
+     * Updates an issue of a model within a project.
+     *
+     * Sends a ````PATCH```` request to ````<dataDir>/projects/<projectId>/models/<modelId>/issues/<issueId>````.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} issueId ID of the issue.
+     * @param {Object} changes The fields to change, eg. ````{status: "Closed"}````. Fields given as ````null```` are removed.
+     * @param {Function} done Callback through which the updated issue is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with the updated issue.
+     */
+    updateIssue(projectId, modelId, issueId, changes, done, error, options = {}) {
+        return this._changeIssues(projectId, modelId, "update", issueId, changes, done, error, options);
+    }
+
+    /**
+     * Deletes an issue of a model within a project.
+     *
+     * Sends a ````DELETE```` request to ````<dataDir>/projects/<projectId>/models/<modelId>/issues/<issueId>````.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} issueId ID of the issue.
+     * @param {Function} done Callback invoked once the issue is deleted.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves once the issue is deleted.
+     */
+    deleteIssue(projectId, modelId, issueId, done, error, options = {}) {
+        return this._changeIssues(projectId, modelId, "delete", issueId, null, done, error, options);
+    }
+
+    /**
+     * Adds a comment to an issue of a model within a project.
+     *
+     * Sends a ````POST```` request to ````<dataDir>/projects/<projectId>/models/<modelId>/issues/<issueId>/comments````.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} issueId ID of the issue.
+     * @param {Object} comment The comment, as ````{text, author}````, and optionally an ````id````, which is otherwise generated.
+     * @param {Function} done Callback through which the new comment is returned, with its ````id```` and ````createdAt```` time.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with the new comment.
+     */
+    addIssueComment(projectId, modelId, issueId, comment, done, error, options = {}) {
+        return this._changeIssues(projectId, modelId, "comment", issueId, comment, done, error, options);
     }
 
 
@@ -107,10 +310,14 @@ class Server {
      * @param {String} manifestName Filename of the manifest.
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getSplitModelManifest(projectId, modelId, manifestName, done, error) {
+    getSplitModelManifest(projectId, modelId, manifestName, done, error, options = {}) {
         const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/" + manifestName;
-        utils.loadJSON(url, done, error);
+        return this._loadJSON(url, done, error, options);
     }
 
     /**
@@ -121,10 +328,14 @@ class Server {
      * @param {String} metadataFileName Filename of the metadata file.
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getSplitModelMetadata(projectId, modelId, metadataFileName, done, error) {
+    getSplitModelMetadata(projectId, modelId, metadataFileName, done, error, options = {}) {
         const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/" + metadataFileName;
-        utils.loadJSON(url, done, error);
+        return this._loadJSON(url, done, error, options);
     }
 
     /**
@@ -135,211 +346,378 @@ class Server {
      *  @param {String} geometryFileName Filename of the XKT geometry file.
      * @param {Function} done Callback through which the JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
      */
-    getSplitModelGeometry(projectId, modelId, geometryFileName, done, error) {
+    getSplitModelGeometry(projectId, modelId, geometryFileName, done, error, options = {}) {
         const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/" + geometryFileName;
-        utils.loadArraybuffer(url, done, error);
+        return this._loadArraybuffer(url, done, error, options);
+    }
+
+    /**
+     * Gets the glTF file for a model within a project whose format is ````"gltf"````.
+     *
+     * Any external buffers or images that the glTF file refers to by relative paths are then loaded with
+     * {@link Server#getGLTFResource}. Those that it embeds as data URIs, or refers to by absolute URLs, are fetched directly.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
+     */
+    getGLTF(projectId, modelId, done, error, options = {}) {
+        const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/geometry.gltf";
+        return this._loadArraybuffer(url, done, error, options);
+    }
+
+    /**
+     * Gets the binary glTF file for a model within a project whose format is ````"glb"````.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
+     */
+    getGLB(projectId, modelId, done, error, options = {}) {
+        const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/geometry.glb";
+        return this._loadArraybuffer(url, done, error, options);
+    }
+
+    /**
+     * Gets a buffer or image that a model's glTF file refers to.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} resourcePath Path of the resource, relative to the glTF file, eg. ````"geometry.bin"````.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
+     */
+    getGLTFResource(projectId, modelId, resourcePath, done, error, options = {}) {
+        const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/" + resourcePath;
+        return this._loadArraybuffer(url, done, error, options);
+    }
+
+    /**
+     * Gets the IFC file for a model within a project whose format is ````"ifc"````.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
+     */
+    getIFC(projectId, modelId, done, error, options = {}) {
+        const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/geometry.ifc";
+        return this._loadArraybuffer(url, done, error, options);
+    }
+
+    /**
+     * Gets the point cloud scan for a model within a project whose format is ````"las"```` or ````"laz"````.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {String} [options.format="las"] Format of the scan, either ````"las"````, for ````geometry.las````, or ````"laz"````, for ````geometry.laz````.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
+     */
+    getPointCloud(projectId, modelId, done, error, options = {}) {
+        if (done && typeof done === "object") {
+            options = done;
+        }
+        const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/geometry." + (options.format || "las");
+        return this._loadArraybuffer(url, done, error, options);
+    }
+
+    /**
+     * Gets the CityJSON file for a context model within a project whose format is ````"cityjson"````.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
+     */
+    getCityJSON(projectId, modelId, done, error, options = {}) {
+        const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/geometry.city.json";
+        return this._loadJSON(url, done, error, options);
+    }
+
+    /**
+     * Gets the root tileset file for a context model within a project whose format is ````"3dtiles"````.
+     *
+     * The tiles, and any external tilesets, that the tileset refers to are loaded with {@link Server#getTilesetResource}.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
+     */
+    getTileset(projectId, modelId, done, error, options = {}) {
+        const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/tileset.json";
+        return this._loadJSON(url, done, error, options);
+    }
+
+    /**
+     * Gets a tile, or an external tileset, that a model's tileset refers to.
+     *
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} resourcePath Path of the resource, relative to the model's directory, eg. ````"tiles/0/0.b3dm"````.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the load may be aborted.
+     * @param {Function} [options.onProgress] Callback invoked as the response arrives, with ````{loaded, total}```` in bytes. ````total```` is ````null```` when unknown.
+     * @returns {Promise} Resolves with the result.
+     */
+    getTilesetResource(projectId, modelId, resourcePath, done, error, options = {}) {
+        const url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/" + resourcePath;
+        return this._loadArraybuffer(url, done, error, options);
     }
 
     /**
      * Gets OData service metadata document for elements and properties.
      *
+     * Describes the ````Project````, ````Model````, ````Element````, ````PropertySet```` and ````Property```` entity types, and the
+     * ````Projects````, ````Models```` and ````Elements```` entity sets.
+     *
      * @param {Function} done Callback through which the XML metadata document is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} [options] Options.
+     * @param {AbortSignal} [options.signal] Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with the XML metadata document.
      */
-    getODataMetadata(done, error) {
-        const metadata = `<?xml version="1.0" encoding="UTF-8"?>
-<edmx:Edmx xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx" Version="4.0">
-  <edmx:DataServices>
-    <Schema xmlns="http://docs.oasis-open.org/odata/ns/edm" Namespace="XeokitBIM">
-      <EntityType Name="Element">
-        <Key>
-          <PropertyRef Name="id"/>
-        </Key>
-        <Property Name="id" Type="Edm.String" Nullable="false"/>
-        <Property Name="projectId" Type="Edm.String" Nullable="false"/>
-        <Property Name="modelId" Type="Edm.String" Nullable="true"/>
-        <Property Name="name" Type="Edm.String" Nullable="true"/>
-        <Property Name="type" Type="Edm.String" Nullable="true"/>
-        <Property Name="parent" Type="Edm.String" Nullable="true"/>
-        <Property Name="attributes" Type="Edm.String" Nullable="true"/>
-      </EntityType>
-      <EntityContainer Name="Container">
-        <EntitySet Name="Elements" EntityType="XeokitBIM.Element"/>
-      </EntityContainer>
-    </Schema>
-  </edmx:DataServices>
-</edmx:Edmx>`;
-        
-        if (done) {
-            done(metadata);
-        }
+    getODataMetadata(done, error, options = {}) {
+        return callbackPromise(done, error, options, (resolve) => {
+            resolve(getODataMetadataDocument());
+        });
+    }
+
+    /**
+     * Gets projects in OData format.
+     *
+     * @param {Object} [options] Query options - ````$filter````, ````$search````, ````$orderby````, ````$count````, ````$select````, ````$top```` and ````$skip````,
+     * as for {@link Server#getODataElements}. ````$expand=Models```` includes each project's models.
+     * @param {AbortSignal} [options.signal] Signal through which the query may be aborted.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @returns {Promise} Resolves with the OData JSON result.
+     */
+    getODataProjects(options = {}, done, error) {
+        return callbackPromise(done, error, options, (resolve, reject) => {
+            this._oDataService.getProjects(options, resolve, reject);
+        });
+    }
+
+    /**
+     * Gets models in OData format.
+     *
+     * @param {String|null} projectId ID of the project, or ````null```` to get the models of all projects.
+     * @param {Object} [options] Query options - ````$filter````, ````$search````, ````$orderby````, ````$count````, ````$select````, ````$top```` and ````$skip````,
+     * as for {@link Server#getODataElements}.
+     * @param {AbortSignal} [options.signal] Signal through which the query may be aborted.
+     * @param {Function} done Callback through which the OData JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @returns {Promise} Resolves with the OData JSON result.
+     */
+    getODataModels(projectId, options = {}, done, error) {
+        return callbackPromise(done, error, options, (resolve, reject) => {
+            this._oDataService.getModels(projectId, options, resolve, reject);
+        });
     }
 
     /**
      * Gets elements and their properties for a project in OData format.
      *
-     * @param {String} projectId ID of the project.
+     * @param {String|null} projectId ID of the project, or ````null```` to get the elements of all projects. In that case, only the projects
+     * and models that ````$filter```` could match are loaded, when it constrains ````projectId```` or ````modelId````, eg. ````"projectId eq 'Duplex'"````.
      * @param {Object} [options] Query options.
-     * @param {String} [options.$filter] OData filter expression.
+     * @param {String} [options.$filter] OData filter expression. Invokes the error callback if the expression is malformed or uses unsupported syntax.
+     * Besides the element properties, the expression may refer to property set properties by name, eg. ````FireRating eq 'EI60'````,
+     * or qualified by property set name, eg. ````Pset_WallCommon/FireRating eq 'EI60'````.
+     * @param {String} [options.$search] OData free-text search expression, matched against each element's name, type and attributes.
+     * @param {String} [options.$orderby] OData orderby expression, eg. ````"type asc, name desc"````.
+     * @param {Boolean} [options.$count] Whether to include ````@odata.count```` - the number of elements that match ````$filter```` and ````$search```` - in the result. Included by default.
      * @param {String} [options.$select] OData select expression.
+     * @param {String} [options.$expand] OData expand expression, eg. ````"propertySets($expand=properties)"````. Property sets are only included when expanded.
      * @param {Number} [options.$top] Maximum number of results to return.
-     * @param {Number} [options.$skip] Number of results to skip.
+     * @param {Number} [options.$skip] Number of results to skip. Without ````$orderby````, paged results are ordered by ````id````.
+     * @param {AbortSignal} [options.signal] Signal through which the query may be aborted.
      * @param {Function} done Callback through which the OData JSON result is returned.
      * @param {Function} error Callback through which an error message is returned on error.
+     * @returns {Promise} Resolves with the OData JSON result.
      */
     getODataElements(projectId, options = {}, done, error) {
-        // Get project info first
-        this.getProject(projectId, (projectData) => {
-            if (!projectData || !projectData.models) {
-                if (error) {
-                    error("Project not found or has no models");
-                }
-                return;
-            }
-
-            const elements = [];
-            let modelsProcessed = 0;
-            const totalModels = projectData.models.length;
-
-            if (totalModels === 0) {
-                this._returnODataResponse(elements, options, done);
-                return;
-            }
+        return callbackPromise(done, error, options, (resolve, reject) => {
+            this._oDataService.getElements({projectId: projectId}, options, resolve, reject);
+        });
+    }
 
-            // Process each model in the project
-            projectData.models.forEach((model) => {
-                this.getMetadata(projectId, model.id, (metadata) => {
-                    if (metadata && metadata.metaObjects) {
-                        metadata.metaObjects.forEach((metaObject) => {
-                            const element = {
-                                id: metaObject.id,
-                                projectId: projectId,
-                                modelId: model.id,
-                                name: metaObject.name || null,
-                                type: metaObject.type || null,
-                                parent: metaObject.parent || null,
-                                attributes: metaObject.attributes ? JSON.stringify(metaObject.attributes) : null
-                            };
-                            elements.push(element);
-                        });
-                    }
-
-                    modelsProcessed++;
-                    if (modelsProcessed === totalModels) {
-                        this._returnODataResponse(elements, options, done);
-                    }
-                }, (err) => {
-                    modelsProcessed++;
-                    if (modelsProcessed === totalModels) {
-                        this._returnODataResponse(elements, options, done);
-                    }
-                });
+    /**
+     * Gets an OData resource by its resource path, relative to the OData service root.
+     *
+     * Supports the same resource paths as the Node.js OData server (odata-server.js), eg. ````"Projects('Duplex')/Elements"````,
+     * ````"Models(projectId='Duplex',id='design')/Elements('2HaS6zNOX8xOGjmaNi_rT3')"```` or ````"Elements/$count"````.
+     *
+     * @param {String} resourcePath The resource path.
+     * @param {Object} [options] Query options, and the abort signal, as for {@link Server#getODataElements}.
+     * @param {Function} done Callback through which the result is returned - JSON for entities and collections, XML for ````$metadata```` and a number for ````$count````.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @returns {Promise} Resolves with the result.
+     */
+    getOData(resourcePath, options = {}, done, error) {
+        return callbackPromise(done, error, options, (resolve, reject) => {
+            this._oDataService.handleRequest(resourcePath, options, (status, contentType, body) => {
+                if (status !== 200) {
+                    reject(JSON.parse(body).error.message);
+                    return;
+                }
+                resolve((contentType === "application/json") ? JSON.parse(body) : (contentType === "text/plain") ? Number(body) : body);
             });
-        }, error);
+        });
     }
 
     /**
-     * Private helper method to format and return OData response with query options applied.
+     * Private helper method that loads a JSON file.
      *
      * @private
-     * @param {Array} elements Array of element objects.
-     * @param {Object} options Query options.
-     * @param {Function} done Callback to return the formatted response.
+     * @param {String} url URL of the file.
+     * @param {Function} done Callback through which the JSON result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} options Options, including any abort signal and progress callback.
+     * @returns {Promise} Resolves with the JSON result.
      */
-    _returnODataResponse(elements, options, done) {
-        let filteredElements = elements;
+    _loadJSON(url, done, error, options) {
+        return this._load(url, (arrayBuffer) => JSON.parse(new TextDecoder().decode(arrayBuffer)), done, error, options);
+    }
 
-        // Apply OData $filter
-        if (options.$filter) {
-            filteredElements = this._applyODataFilter(filteredElements, options.$filter);
-        }
+    /**
+     * Private helper method that loads a binary file.
+     *
+     * @private
+     * @param {String} url URL of the file.
+     * @param {Function} done Callback through which the ArrayBuffer result is returned.
+     * @param {Function} error Callback through which an error message is returned on error.
+     * @param {Object} options Options, including any abort signal and progress callback.
+     * @returns {Promise} Resolves with the ArrayBuffer result.
+     */
+    _loadArraybuffer(url, done, error, options) {
+        return this._load(url, (arrayBuffer) => arrayBuffer, done, error, options);
+    }
 
-        // Apply OData $select
-        if (options.$select) {
-            const selectFields = options.$select.split(',').map(f => f.trim());
-            filteredElements = filteredElements.map(element => {
-                const selectedElement = {};
-                selectFields.forEach(field => {
-                    if (element.hasOwnProperty(field)) {
-                        selectedElement[field] = element[field];
-                    }
-                });
-                return selectedElement;
-            });
+    /**
+     * Private helper method that fetches a file through the request pipeline, converting its body with the given function.
+     *
+     * @private
+     */
+    _load(url, convert, done, error, options) {
+        if (done && typeof done === "object") {
+            options = done;
+            done = null;
         }
+        const onProgress = options ? options.onProgress : null;
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            this._loadFile(url, signal, onProgress)
+                .then(convert)
+                .then(resolve, reject);
+        });
+    }
 
-        // Apply OData $skip and $top
-        const skip = parseInt(options.$skip) || 0;
-        const top = parseInt(options.$top);
-
-        if (skip > 0) {
-            filteredElements = filteredElements.slice(skip);
-        }
+    /**
+     * @private
+     */
+    _changeIssues(projectId, modelId, action, issueId, data, done, error, options) {
+        return callbackPromise(done, error, options, (resolve, reject, signal) => {
+            this._writeIssue(projectId, modelId, action, issueId, data, signal).then(resolve, reject);
+        });
+    }
 
-        if (top && top > 0) {
-            filteredElements = filteredElements.slice(0, top);
+    /**
+     * Private helper method that sends a change to a model's issues to the server.
+     *
+     * Subclasses that keep issues themselves override this, to apply the change with ````applyIssueChange()````.
+     *
+     * @private
+     * @param {String} projectId ID of the project.
+     * @param {String} modelId ID of the model.
+     * @param {String} action ````"create"````, ````"update"````, ````"delete"```` or ````"comment"````.
+     * @param {String|null} issueId ID of the issue, except when creating one.
+     * @param {Object|null} data The issue, changes or comment.
+     * @param {AbortSignal|null} signal Signal through which the request may be aborted.
+     * @returns {Promise} Resolves with the new or updated issue, the new comment, or ````null```` once an issue is deleted.
+     */
+    _writeIssue(projectId, modelId, action, issueId, data, signal) {
+        let url = this._dataDir + "/projects/" + projectId + "/models/" + modelId + "/issues";
+        if (action !== "create") {
+            url += "/" + encodeURIComponent(issueId);
         }
-
-        const response = {
-            "@odata.context": "$metadata#Elements",
-            "@odata.count": elements.length,
-            "value": filteredElements
-        };
-
-        if (done) {
-            done(response);
+        if (action === "comment") {
+            url += "/comments";
         }
+        const method = (action === "update") ? "PATCH" : ((action === "delete") ? "DELETE" : "POST");
+        return this._requestPipeline.fetch(url, {
+            signal,
+            method,
+            headers: (data !== null) ? {"Content-Type": "application/json"} : {},
+            body: (data !== null) ? JSON.stringify(data) : undefined
+        }).then((response) => {
+            if (!response.ok) {
+                const message = "Failed to " + method + " " + url + ": " + response.status + " " + response.statusText;
+                return response.json().then((json) => json.error.message, () => null).then((reason) => {
+                    throw new Error(reason ? (message + " - " + reason) : message);
+                });
+            }
+            return (response.status === 204) ? null : response.json();
+        });
     }
 
     /**
-     * Private helper method to apply OData filter expressions.
+     * Private helper method that fetches a file through the request pipeline.
+     *
+     * Subclasses that get their files from somewhere other than HTTP override this, and inherit everything else.
      *
      * @private
-     * @param {Array} elements Array of element objects.
-     * @param {String} filterExpression OData filter expression.
-     * @returns {Array} Filtered array of elements.
-     */
-    _applyODataFilter(elements, filterExpression) {
-        // Basic implementation of common OData filter operations
-        // This supports simple equality and contains operations
-        
-        try {
-            // Handle 'eq' (equals) operations
-            if (filterExpression.includes(' eq ')) {
-                const [field, value] = filterExpression.split(' eq ').map(s => s.trim());
-                const cleanValue = value.replace(/'/g, ''); // Remove quotes
-                return elements.filter(element => element[field] === cleanValue);
-            }
-
-            // Handle 'contains' operations
-            if (filterExpression.includes('contains(')) {
-                const containsMatch = filterExpression.match(/contains\((\w+),\s*'([^']+)'\)/);
-                if (containsMatch) {
-                    const [, field, searchValue] = containsMatch;
-                    return elements.filter(element => 
-                        element[field] && element[field].toLowerCase().includes(searchValue.toLowerCase())
-                    );
-                }
-            }
-
-            // Handle 'startswith' operations
-            if (filterExpression.includes('startswith(')) {
-                const startswithMatch = filterExpression.match(/startswith\((\w+),\s*'([^']+)'\)/);
-                if (startswithMatch) {
-                    const [, field, searchValue] = startswithMatch;
-                    return elements.filter(element => 
-                        element[field] && element[field].toLowerCase().startsWith(searchValue.toLowerCase())
-                    );
+     * @param {String} url URL of the file.
+     * @param {AbortSignal|null} signal Signal through which the load may be aborted.
+     * @param {Function|null} onProgress Callback invoked as the file arrives, with ````{loaded, total}```` in bytes.
+     * @returns {Promise} Resolves with the contents of the file as an ArrayBuffer.
+     */
+    _loadFile(url, signal, onProgress) {
+        return this._requestPipeline.fetch(url, {signal, readBody: (response) => readResponseBody(response, onProgress)})
+            .then(({response, body}) => {
+                if (!response.ok) {
+                    throw new Error("Failed to load " + url + ": " + response.status + " " + response.statusText);
                 }
-            }
-
-            // If filter expression is not supported, return all elements
-            return elements;
-        } catch (e) {
-            // If there's an error parsing the filter, return all elements
-            return elements;
-        }
+                return body;
+            });
     }
 }
 
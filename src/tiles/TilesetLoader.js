@@ -0,0 +1,477 @@
+import {math, SceneModel} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+
+const componentTypeArrays = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+};
+
+const typeSizes = {
+    "SCALAR": 1,
+    "VEC2": 2,
+    "VEC3": 3,
+    "VEC4": 4,
+    "MAT2": 4,
+    "MAT3": 9,
+    "MAT4": 16
+};
+
+/**
+ * Number of tile contents that we request at once.
+ */
+const maxContentLoads = 4;
+
+/**
+ * glTF content is Y-up, while 3D Tiles are Z-up.
+ */
+const yUpToZUpMat4 = math.rotationMat4v(Math.PI / 2, [1, 0, 0], math.mat4());
+
+function getMagic(arraybuffer) {
+    if (arraybuffer.byteLength < 4) {
+        return "";
+    }
+    const bytes = new Uint8Array(arraybuffer, 0, 4);
+    return String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+}
+
+function decodeJSON(arraybuffer, byteOffset, byteLength) {
+    return JSON.parse(new TextDecoder().decode(new Uint8Array(arraybuffer, byteOffset, byteLength)));
+}
+
+/**
+ * Resolves a tile content URI against the directory of the tileset that refers to it.
+ */
+function resolvePath(basePath, uri) {
+    const parts = (basePath + decodeURI(uri.split("?")[0])).split("/");
+    const resolved = [];
+    for (let i = 0, len = parts.length; i < len; i++) {
+        const part = parts[i];
+        if (part === "..") {
+            resolved.pop();
+        } else if (part !== "." && part !== "") {
+            resolved.push(part);
+        }
+    }
+    return resolved.join("/");
+}
+
+function getBasePath(path) {
+    const i = path.lastIndexOf("/");
+    return (i === -1) ? "" : path.substring(0, i + 1);
+}
+
+/**
+ * Gets the JSON and binary chunks of a GLB.
+ */
+function parseGLB(arraybuffer, byteOffset) {
+    const dataView = new DataView(arraybuffer, byteOffset);
+    const length = dataView.getUint32(8, true);
+    let json = null;
+    let bin = null;
+    let chunkOffset = 12;
+    while (chunkOffset < length) {
+        const chunkLength = dataView.getUint32(chunkOffset, true);
+        const chunkType = dataView.getUint32(chunkOffset + 4, true);
+        const chunkStart = byteOffset + chunkOffset + 8;
+        if (chunkType === 0x4E4F534A) { // "JSON"
+            json = decodeJSON(arraybuffer, chunkStart, chunkLength);
+        } else if (chunkType === 0x004E4942) { // "BIN"
+            bin = new Uint8Array(arraybuffer, chunkStart, chunkLength);
+        }
+        chunkOffset += 8 + chunkLength;
+    }
+    if (!json) {
+        throw "GLB has no JSON chunk";
+    }
+    return {json, bin};
+}
+
+/**
+ * Reads a glTF accessor into a new typed array, without any interleaving.
+ */
+function readAccessor(gltf, bin, accessorIndex) {
+    const accessor = gltf.accessors[accessorIndex];
+    const ArrayType = componentTypeArrays[accessor.componentType];
+    const size = typeSizes[accessor.type];
+    const result = new ArrayType(accessor.count * size);
+    if (accessor.bufferView === undefined) { // All zeros
+        return result;
+    }
+    if (accessor.sparse) {
+        throw "Sparse accessors not supported";
+    }
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    if ((bufferView.buffer || 0) !== 0 || !bin) {
+        throw "External glTF buffers not supported in tile content";
+    }
+    const elementSize = ArrayType.BYTES_PER_ELEMENT * size;
+    const byteStride = bufferView.byteStride || elementSize;
+    const byteOffset = bin.byteOffset + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    if (byteStride === elementSize && byteOffset % ArrayType.BYTES_PER_ELEMENT === 0) {
+        result.set(new ArrayType(bin.buffer, byteOffset, accessor.count * size));
+    } else {
+        const bytes = new Uint8Array(result.buffer);
+        for (let i = 0; i < accessor.count; i++) {
+            bytes.set(new Uint8Array(bin.buffer, byteOffset + i * byteStride, elementSize), i * elementSize);
+        }
+    }
+    return result;
+}
+
+function getNodeMatrix(node, matrix) {
+    if (node.matrix) {
+        return math.mat4(node.matrix);
+    }
+    return math.composeMat4(
+        node.translation || [0, 0, 0],
+        node.rotation || [0, 0, 0, 1],
+        node.scale || [1, 1, 1],
+        matrix || math.mat4());
+}
+
+/**
+ * Loads 3D Tiles tilesets into a viewer, as a single model that we can place among a project's other models.
+ *
+ * Rather than streaming tiles as the camera moves, this loads the tiles once, down to the level of detail given by
+ * ````maxGeometricError````, which suits the static site context around a building. Supports Batched 3D Model
+ * (````.b3dm````) and glTF binary (````.glb````) tile contents, along with external tilesets. Each tile content
+ * becomes an object, with metadata, so that it can be hidden or X-rayed like any other object.
+ *
+ * Since tilesets are usually in Earth-centered coordinates, each mesh gets its own double-precision origin.
+ *
+ * @private
+ */
+class TilesetLoader {
+
+    /**
+     * @param {Viewer} viewer The xeokit Viewer.
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+    }
+
+    /**
+     * Loads a tileset.
+     *
+     * @param {*} params Loading parameters.
+     * @param {String} params.id ID for the model.
+     * @param {String} [params.name] Name of the model, for its root metadata object.
+     * @param {*} params.tileset The tileset JSON.
+     * @param {Function} params.getResource Callback that gets a file within the tileset, as an ArrayBuffer, given
+     * its path relative to the tileset, then an ````ok```` callback and an ````error```` callback.
+     * @param {Number} [params.maxGeometricError=0] Tiles are refined until their geometric error is at most this. The
+     * default loads the tileset's full detail.
+     * @param {Number[]} [params.origin] Origin of the model.
+     * @param {Number[]} [params.scale] Scale of the model.
+     * @param {Number[]} [params.rotation] Rotation of the model, as Euler angles.
+     * @param {Number[]} [params.matrix] Modeling transform, as an alternative to scale and rotation.
+     * @param {Boolean} [params.edges=false] Whether to emphasize edges.
+     * @param {Boolean} [params.saoEnabled=true] Whether to enable SAO.
+     * @param {Boolean} [params.pbrEnabled=false] Whether to enable PBR.
+     * @param {Boolean} [params.backfaces=false] Whether to render backfaces.
+     * @param {AbortSignal} [params.signal] Signal through which loading may be aborted.
+     * @param {Function} ok Callback invoked with the {@link SceneModel} once it's loaded.
+     * @param {Function} error Callback invoked with an error message if the tileset fails to load.
+     * @returns {SceneModel} The model, which is empty until its tiles have loaded.
+     */
+    load(params, ok, error) {
+
+        const modelId = params.id;
+        const signal = params.signal;
+
+        const sceneModel = new SceneModel(this.viewer.scene, {
+            id: modelId,
+            isModel: true,
+            origin: params.origin,
+            scale: params.scale,
+            rotation: params.rotation,
+            matrix: params.matrix,
+            edges: params.edges,
+            saoEnabled: params.saoEnabled,
+            pbrEnabled: params.pbrEnabled,
+            backfaces: params.backfaces,
+            dtxEnabled: this.viewer.scene.dtxEnabled
+        });
+
+        const ctx = {
+            params: params,
+            sceneModel: sceneModel,
+            maxGeometricError: params.maxGeometricError || 0,
+            queue: [],
+            numLoading: 0,
+            finished: false,
+            metaObjects: [{
+                id: modelId,
+                name: params.name || modelId,
+                type: "Model",
+                parent: null
+            }],
+            nextObjectId: 0
+        };
+
+        const fail = (errMsg) => {
+            if (ctx.finished) {
+                return;
+            }
+            ctx.finished = true;
+            if (signal && signal.aborted) {
+                return;
+            }
+            error("Failed to load 3D Tiles: " + errMsg);
+        };
+
+        const next = () => {
+            if (ctx.finished) {
+                return;
+            }
+            if (signal && signal.aborted) { // Whoever aborted destroys the model
+                ctx.finished = true;
+                return;
+            }
+            while (ctx.numLoading < maxContentLoads && ctx.queue.length > 0) {
+                const content = ctx.queue.shift();
+                ctx.numLoading++;
+                this._loadContent(ctx, content, () => {
+                    ctx.numLoading--;
+                    next();
+                }, fail);
+            }
+            if (ctx.numLoading === 0 && ctx.queue.length === 0) {
+                ctx.finished = true;
+                sceneModel.finalize();
+                this.viewer.metaScene.createMetaModel(modelId, {
+                    metaObjects: ctx.metaObjects
+                });
+                this.viewer.scene.fire("modelLoaded", modelId);
+                ok(sceneModel);
+            }
+        };
+
+        try {
+            this._addTile(ctx, params.tileset.root, math.identityMat4(), "REPLACE", "");
+        } catch (e) {
+            fail(e.message || e);
+            return sceneModel;
+        }
+
+        next();
+
+        return sceneModel;
+    }
+
+    /**
+     * Queues the contents of a tile, or of its descendants, where the tile's geometric error is more than we want.
+     */
+    _addTile(ctx, tile, parentMatrix, parentRefine, basePath) {
+        if (!tile) {
+            throw "Tileset has no root tile";
+        }
+        const matrix = tile.transform ? math.mulMat4(parentMatrix, tile.transform, math.mat4()) : parentMatrix;
+        const refine = tile.refine ? tile.refine.toUpperCase() : parentRefine;
+        const children = tile.children || [];
+        const refined = (children.length > 0 && tile.geometricError > ctx.maxGeometricError);
+        if (!refined || refine === "ADD") {
+            const contents = tile.contents || (tile.content ? [tile.content] : []);
+            contents.forEach((content) => {
+                ctx.queue.push({
+                    path: resolvePath(basePath, content.uri || content.url),
+                    matrix: matrix
+                });
+            });
+        }
+        if (refined) {
+            children.forEach((child) => {
+                this._addTile(ctx, child, matrix, refine, basePath);
+            });
+        }
+    }
+
+    _loadContent(ctx, content, done, error) {
+        ctx.params.getResource(content.path, (arraybuffer) => {
+            if (ctx.finished) {
+                return;
+            }
+            try {
+                const magic = getMagic(arraybuffer);
+                if (magic === "b3dm") {
+                    this._parseB3DM(ctx, content, arraybuffer);
+                } else if (magic === "glTF") {
+                    this._parseGLB(ctx, content, arraybuffer, 0, null);
+                } else if (magic.charAt(0) === "{") { // External tileset
+                    const tileset = decodeJSON(arraybuffer, 0, arraybuffer.byteLength);
+                    this._addTile(ctx, tileset.root, content.matrix, "REPLACE", getBasePath(content.path));
+                } else {
+                    this.viewer.warn("Unsupported 3D Tiles content ignored: " + content.path);
+                }
+            } catch (e) {
+                error(content.path + ": " + (e.message || e));
+                return;
+            }
+            done();
+        }, (errMsg) => {
+            error(content.path + ": " + errMsg);
+        });
+    }
+
+    _parseB3DM(ctx, content, arraybuffer) {
+        const dataView = new DataView(arraybuffer);
+        const featureTableJSONByteLength = dataView.getUint32(12, true);
+        const featureTableBinaryByteLength = dataView.getUint32(16, true);
+        const batchTableJSONByteLength = dataView.getUint32(20, true);
+        const batchTableBinaryByteLength = dataView.getUint32(24, true);
+        let rtcCenter = null;
+        if (featureTableJSONByteLength > 0) {
+            const featureTable = decodeJSON(arraybuffer, 28, featureTableJSONByteLength);
+            if (featureTable.RTC_CENTER) {
+                if (!Array.isArray(featureTable.RTC_CENTER)) {
+                    rtcCenter = Array.from(new Float32Array(arraybuffer.slice(
+                        28 + featureTableJSONByteLength + featureTable.RTC_CENTER.byteOffset,
+                        28 + featureTableJSONByteLength + featureTable.RTC_CENTER.byteOffset + 12)));
+                } else {
+                    rtcCenter = featureTable.RTC_CENTER;
+                }
+            }
+        }
+        const glbByteOffset = 28 + featureTableJSONByteLength + featureTableBinaryByteLength + batchTableJSONByteLength + batchTableBinaryByteLength;
+        this._parseGLB(ctx, content, arraybuffer, glbByteOffset, rtcCenter);
+    }
+
+    /**
+     * Creates an object from the triangle meshes in a tile's glTF, ignoring textures in favor of each material's base
+     * color, which suits context.
+     */
+    _parseGLB(ctx, content, arraybuffer, byteOffset, rtcCenter) {
+
+        const {json: gltf, bin} = parseGLB(arraybuffer, byteOffset);
+
+        if ((gltf.extensionsRequired || []).indexOf("KHR_draco_mesh_compression") !== -1) {
+            throw "Draco-compressed tiles not supported";
+        }
+
+        const cesiumRTC = gltf.extensions && gltf.extensions.CESIUM_RTC;
+        if (cesiumRTC) {
+            rtcCenter = cesiumRTC.center;
+        }
+
+        const sceneModel = ctx.sceneModel;
+        const modelId = ctx.params.id;
+
+        // Tile transform, then RTC center, then from glTF's Y-up to Z-up
+
+        const contentMatrix = rtcCenter
+            ? math.mulMat4(content.matrix, math.translationMat4v(rtcCenter), math.mat4())
+            : content.matrix;
+        const rootMatrix = math.mulMat4(contentMatrix, yUpToZUpMat4, math.mat4());
+
+        const entityId = modelId + "#" + (ctx.nextObjectId++);
+        const meshIds = [];
+
+        const parseNode = (nodeIndex, parentMatrix) => {
+            const node = gltf.nodes[nodeIndex];
+            const matrix = math.mulMat4(parentMatrix, getNodeMatrix(node), math.mat4());
+            if (node.mesh !== undefined) {
+                const primitives = gltf.meshes[node.mesh].primitives;
+                for (let i = 0, len = primitives.length; i < len; i++) {
+                    const meshId = this._createMesh(ctx, gltf, bin, primitives[i], matrix, entityId + "#" + meshIds.length);
+                    if (meshId) {
+                        meshIds.push(meshId);
+                    }
+                }
+            }
+            (node.children || []).forEach((childIndex) => parseNode(childIndex, matrix));
+        };
+
+        const scene = gltf.scenes ? gltf.scenes[gltf.scene || 0] : null;
+        const nodes = scene ? scene.nodes : (gltf.nodes || []).map((node, i) => i);
+        nodes.forEach((nodeIndex) => parseNode(nodeIndex, rootMatrix));
+
+        if (meshIds.length === 0) {
+            return;
+        }
+
+        sceneModel.createEntity({
+            id: entityId,
+            meshIds: meshIds,
+            isObject: true
+        });
+
+        ctx.metaObjects.push({
+            id: entityId,
+            name: content.path,
+            type: "Tile",
+            parent: modelId
+        });
+    }
+
+    /**
+     * Creates a mesh in World-space, relative to an origin at its transform's translation, so that it keeps its
+     * precision far from the model's origin.
+     */
+    _createMesh(ctx, gltf, bin, primitive, matrix, meshId) {
+        if (primitive.mode !== undefined && primitive.mode !== 4) { // Only triangles
+            return null;
+        }
+        const attributes = primitive.attributes;
+        if (attributes.POSITION === undefined) {
+            return null;
+        }
+        const localPositions = readAccessor(gltf, bin, attributes.POSITION);
+        const localNormals = (attributes.NORMAL !== undefined) ? readAccessor(gltf, bin, attributes.NORMAL) : null;
+        const numVertices = localPositions.length / 3;
+        let indices;
+        if (primitive.indices !== undefined) {
+            indices = readAccessor(gltf, bin, primitive.indices);
+        } else {
+            indices = new Uint32Array(numVertices);
+            for (let i = 0; i < numVertices; i++) {
+                indices[i] = i;
+            }
+        }
+        const origin = [matrix[12], matrix[13], matrix[14]];
+        const positions = new Float32Array(numVertices * 3);
+        for (let i = 0; i < numVertices * 3; i += 3) {
+            const x = localPositions[i];
+            const y = localPositions[i + 1];
+            const z = localPositions[i + 2];
+            positions[i] = matrix[0] * x + matrix[4] * y + matrix[8] * z;
+            positions[i + 1] = matrix[1] * x + matrix[5] * y + matrix[9] * z;
+            positions[i + 2] = matrix[2] * x + matrix[6] * y + matrix[10] * z;
+        }
+        let normals;
+        if (localNormals) {
+            const normalMatrix = math.transposeMat4(math.inverseMat4(matrix, math.mat4()));
+            normals = new Float32Array(numVertices * 3);
+            for (let i = 0; i < numVertices * 3; i += 3) {
+                const x = localNormals[i];
+                const y = localNormals[i + 1];
+                const z = localNormals[i + 2];
+                const nx = normalMatrix[0] * x + normalMatrix[4] * y + normalMatrix[8] * z;
+                const ny = normalMatrix[1] * x + normalMatrix[5] * y + normalMatrix[9] * z;
+                const nz = normalMatrix[2] * x + normalMatrix[6] * y + normalMatrix[10] * z;
+                const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+                normals[i] = nx / length;
+                normals[i + 1] = ny / length;
+                normals[i + 2] = nz / length;
+            }
+        }
+        const material = (primitive.material !== undefined && gltf.materials) ? gltf.materials[primitive.material] : null;
+        const pbr = material ? material.pbrMetallicRoughness : null;
+        const baseColorFactor = (pbr && pbr.baseColorFactor) ? pbr.baseColorFactor : [1, 1, 1, 1];
+        ctx.sceneModel.createMesh({
+            id: meshId,
+            primitive: "triangles",
+            origin: origin,
+            positions: positions,
+            normals: normals,
+            indices: (indices instanceof Uint32Array) ? indices : new Uint32Array(indices),
+            color: [baseColorFactor[0], baseColorFactor[1], baseColorFactor[2]],
+            opacity: baseColorFactor[3]
+        });
+        return meshId;
+    }
+}
+
+export {TilesetLoader};
@@ -0,0 +1,494 @@
+import {Controller} from "../Controller.js";
+import {
+    buildBoxLinesGeometry,
+    buildSphereGeometry,
+    math,
+    Mesh,
+    PhongMaterial,
+    ReadableGeometry,
+    SectionPlane
+} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+
+const SECTION_PLANE_ID_PREFIX = "sectionBox.";
+const HANDLE_SIZE = 8; // Radius of the face handles, in canvas pixels
+const COLOR = [0.0, 0.6, 1.0];
+
+const tempVec3a = math.vec3();
+const tempVec3b = math.vec3();
+const tempVec3c = math.vec3();
+
+/**
+ * Gets the index, within an AABB, of the coordinate of a face of the box.
+ *
+ * Faces are ordered min X, max X, min Y, max Y, min Z, max Z. The SectionPlane on each face points into the box,
+ * since SectionPlanes discard what's behind them.
+ */
+function getFaceAABBIndex(face) {
+    return (face >> 1) + ((face & 1) ? 3 : 0);
+}
+
+function getFaceDir(face) {
+    const dir = [0, 0, 0];
+    dir[face >> 1] = (face & 1) ? -1 : 1;
+    return dir;
+}
+
+function getFaceCenter(aabb, face, dest) {
+    math.getAABB3Center(aabb, dest);
+    dest[face >> 1] = aabb[getFaceAABBIndex(face)];
+    return dest;
+}
+
+/**
+ * Cuts a box out of the models, to see inside it, such as a room of a tower.
+ *
+ * The box is made of six linked {@link SectionPlane}s, one on each face, which are World axis-aligned and point into
+ * the box. Each face has a handle, which can be dragged to move the face in or out. Activating the tool fits the box
+ * to the selected objects, or to the visible objects when none are selected, and deactivating it removes the box.
+ *
+ * The box is saved in BCF viewpoints as six clipping planes, like any other section planes, and {@link SectionBoxTool#restoreSectionBox}
+ * finds it again among the section planes of a loaded viewpoint.
+ *
+ * @private
+ */
+class SectionBoxTool extends Controller {
+
+    constructor(parent, cfg) {
+
+        super(parent, cfg);
+
+        if (!cfg.buttonElement) {
+            throw "Missing config: buttonElement";
+        }
+
+        this._buttonElement = cfg.buttonElement;
+
+        this._aabb = null;              // Extents of the box, or null while there's no box
+        this._sectionPlanes = [];       // SectionPlane on each face
+        this._handleMeshes = [];        // Handle on each face
+        this._faces = {};               // Face of each handle, mapped to the handle's Mesh ID
+        this._outlineMesh = null;
+        this._handleScale = 0;
+        this._drag = null;              // Face being dragged, and where it was grabbed
+        this._hoverFace = -1;
+        this._destroyingSectionBox = false;
+
+        const viewer = this.viewer;
+        const scene = viewer.scene;
+        const canvas = scene.canvas.canvas;
+
+        this._handleGeometry = new ReadableGeometry(scene, buildSphereGeometry({
+            radius: 1,
+            heightSegments: 12,
+            widthSegments: 12
+        }));
+
+        this._outlineGeometry = new ReadableGeometry(scene, buildBoxLinesGeometry({
+            xSize: 0.5,
+            ySize: 0.5,
+            zSize: 0.5
+        }));
+
+        this._material = new PhongMaterial(scene, {
+            diffuse: COLOR,
+            emissive: COLOR,
+            ambient: [0, 0, 0],
+            lineWidth: 2
+        });
+
+        this.on("enabled", (enabled) => {
+            if (!enabled) {
+                this._buttonElement.classList.add("disabled");
+            } else {
+                this._buttonElement.classList.remove("disabled");
+            }
+        });
+
+        this._buttonElement.addEventListener("click", (event) => {
+            if (this.getEnabled()) {
+                this.setActive(!this.getActive());
+            }
+            event.preventDefault();
+        });
+
+        this.bimViewer.on("reset", () => {
+            this.setActive(false);
+        });
+
+        this._onSectionPlaneDestroyed = scene.on("sectionPlaneDestroyed", (sectionPlane) => {
+            if (!this._destroyingSectionBox && this._sectionPlanes.indexOf(sectionPlane) !== -1) { // Such as by loading a BCF viewpoint
+                this._sectionPlanes = []; // Let go of the other planes, rather than destroy them, since the Scene may be destroying them all
+                this.setActive(false);
+            }
+        });
+
+        this._onTick = scene.on("tick", () => {
+            this._updateHandleScale();
+        });
+
+        const getCanvasPos = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return [event.clientX - rect.left, event.clientY - rect.top];
+        };
+
+        this._onCanvasMouseDown = (event) => {
+            if (event.which !== 1 || !this._aabb || !this.getEnabled()) {
+                return;
+            }
+            const face = this._pickFace(getCanvasPos(event));
+            if (face === -1) {
+                return;
+            }
+            const coord = this._getAxisCoord(face, getCanvasPos(event));
+            if (coord === null) {
+                return;
+            }
+            this._drag = {face, offset: coord - this._aabb[getFaceAABBIndex(face)]};
+            viewer.cameraControl.pointerEnabled = false;
+            event.preventDefault();
+            event.stopPropagation();
+        };
+
+        this._onCanvasMouseMove = (event) => {
+            if (!this._aabb) {
+                return;
+            }
+            const canvasPos = getCanvasPos(event);
+            if (this._drag) {
+                const coord = this._getAxisCoord(this._drag.face, canvasPos);
+                if (coord !== null) {
+                    this._moveFace(this._drag.face, coord - this._drag.offset);
+                }
+                event.preventDefault();
+                event.stopPropagation();
+                return;
+            }
+            if (event.buttons === 0) { // Not while orbiting or panning
+                this._setHoverFace(this._pickFace(canvasPos));
+            }
+        };
+
+        this._onCanvasMouseUp = (event) => {
+            if (this._drag) {
+                this._endDrag();
+                event.stopPropagation(); // Keeps SectionTool from slicing where the handle was let go
+            }
+        };
+
+        this._onDocumentMouseUp = () => { // Let go outside the canvas
+            if (this._drag) {
+                this._endDrag();
+            }
+        };
+
+        canvas.addEventListener("mousedown", this._onCanvasMouseDown);
+        canvas.addEventListener("mousemove", this._onCanvasMouseMove);
+        canvas.addEventListener("mouseup", this._onCanvasMouseUp);
+        document.addEventListener("mouseup", this._onDocumentMouseUp);
+
+        this._active = false;
+        this._buttonElement.classList.remove("active");
+    }
+
+    /**
+     * Creates the box when activated, fitted to the selected objects, or else the visible objects, and removes it when
+     * deactivated.
+     */
+    setActive(active) {
+        if (this._active === active) {
+            return;
+        }
+        this._active = active;
+        if (active) {
+            this._buttonElement.classList.add("active");
+            if (!this._aabb) {
+                this._createSectionBox(this._getFittedAABB());
+            }
+        } else {
+            this._buttonElement.classList.remove("active");
+            this._destroySectionBox();
+        }
+        this.fire("active", this._active);
+        this.fire("sectionBoxChanged", this.getSectionBox(), true);
+    }
+
+    /**
+     * Sets the extents of the box, creating it if there isn't one.
+     */
+    setSectionBox(aabb) {
+        if (!aabb) {
+            aabb = this._getFittedAABB();
+        }
+        if (aabb[0] >= aabb[3] || aabb[1] >= aabb[4] || aabb[2] >= aabb[5]) {
+            this.error("setSectionBox() - AABB is empty: [" + Array.from(aabb).join(", ") + "]");
+            return;
+        }
+        if (this._aabb) {
+            this._aabb.set(aabb);
+            this._updateSectionBox();
+            this.fire("sectionBoxChanged", this.getSectionBox(), true);
+        } else {
+            this._createSectionBox(aabb);
+            this.setActive(true);
+        }
+    }
+
+    /**
+     * Gets the extents of the box, or null if there's no box.
+     */
+    getSectionBox() {
+        return this._aabb ? Array.from(this._aabb) : null;
+    }
+
+    clearSectionBox() {
+        this.setActive(false);
+    }
+
+    /**
+     * Finds a box among the section planes, such as those of a loaded BCF viewpoint, and replaces it with a section box.
+     *
+     * A box is six active section planes that are World axis-aligned, and point into a box of non-zero size. Returns
+     * true if a box was found.
+     */
+    restoreSectionBox() {
+        const sectionPlanes = [];
+        const allSectionPlanes = this.viewer.scene.sectionPlanes;
+        for (let id in allSectionPlanes) {
+            const sectionPlane = allSectionPlanes[id];
+            if (!sectionPlane.active || this.isSectionBoxPlane(sectionPlane)) {
+                continue;
+            }
+            const dir = math.normalizeVec3(sectionPlane.dir, tempVec3a);
+            for (let face = 0; face < 6; face++) {
+                const faceDir = getFaceDir(face);
+                if (math.dotVec3(dir, faceDir) > 0.999999) {
+                    if (sectionPlanes[face]) {
+                        return false; // Two planes on the same side, so it's not a box
+                    }
+                    sectionPlanes[face] = sectionPlane;
+                }
+            }
+        }
+        for (let face = 0; face < 6; face++) {
+            if (!sectionPlanes[face]) {
+                return false;
+            }
+        }
+        const aabb = math.AABB3();
+        for (let face = 0; face < 6; face++) {
+            aabb[getFaceAABBIndex(face)] = sectionPlanes[face].pos[face >> 1];
+        }
+        if (aabb[0] >= aabb[3] || aabb[1] >= aabb[4] || aabb[2] >= aabb[5]) {
+            return false;
+        }
+        sectionPlanes.forEach((sectionPlane) => sectionPlane.destroy());
+        this.setSectionBox(aabb);
+        return true;
+    }
+
+    /**
+     * Gets whether a SectionPlane belongs to the section box, so that SectionTool can leave it out of its slices.
+     */
+    isSectionBoxPlane(sectionPlane) {
+        return sectionPlane.id.indexOf(SECTION_PLANE_ID_PREFIX) === 0;
+    }
+
+    _getFittedAABB() {
+        const scene = this.viewer.scene;
+        const selectedObjectIds = scene.selectedObjectIds;
+        const aabb = math.AABB3();
+        aabb.set((selectedObjectIds.length > 0) ? scene.getAABB(selectedObjectIds) : scene.getAABB(scene.visibleObjectIds));
+        if (!(aabb[0] <= aabb[3] && aabb[1] <= aabb[4] && aabb[2] <= aabb[5])) { // Nothing visible
+            aabb.set(scene.aabb);
+        }
+        const margin = Math.max(math.getAABB3Diag(aabb) * 0.01, 0.001); // Keeps the objects' outer faces from being cut
+        for (let i = 0; i < 3; i++) {
+            aabb[i] -= margin;
+            aabb[i + 3] += margin;
+        }
+        return aabb;
+    }
+
+    _createSectionBox(aabb) {
+        const scene = this.viewer.scene;
+        this._aabb = math.AABB3();
+        this._aabb.set(aabb);
+        for (let face = 0; face < 6; face++) {
+            this._sectionPlanes.push(new SectionPlane(scene, {
+                id: SECTION_PLANE_ID_PREFIX + face,
+                pos: getFaceCenter(this._aabb, face, math.vec3()),
+                dir: getFaceDir(face)
+            }));
+        }
+        this._createHandles();
+        this._updateSectionBox();
+    }
+
+    _createHandles() {
+        const scene = this.viewer.scene;
+        for (let face = 0; face < 6; face++) {
+            const handleMesh = new Mesh(scene, {
+                geometry: this._handleGeometry,
+                material: this._material,
+                pickable: true,
+                collidable: false,
+                clippable: false,
+                isUI: true,
+                isObject: false
+            });
+            this._handleMeshes.push(handleMesh);
+            this._faces[handleMesh.id] = face;
+        }
+        this._outlineMesh = new Mesh(scene, {
+            geometry: this._outlineGeometry,
+            material: this._material,
+            pickable: false,
+            collidable: false,
+            clippable: false,
+            isUI: true,
+            isObject: false
+        });
+        this._handleScale = 0;
+        this._updateHandleScale();
+    }
+
+    _destroySectionBox() {
+        if (!this._aabb) {
+            return;
+        }
+        if (this._drag) {
+            this._drag = null;
+            this.viewer.cameraControl.pointerEnabled = true;
+        }
+        this._destroyingSectionBox = true;
+        this._sectionPlanes.forEach((sectionPlane) => {
+            if (!sectionPlane.destroyed) {
+                sectionPlane.destroy();
+            }
+        });
+        this._destroyingSectionBox = false;
+        this._handleMeshes.forEach((handleMesh) => handleMesh.destroy());
+        this._outlineMesh.destroy();
+        this._sectionPlanes = [];
+        this._handleMeshes = [];
+        this._faces = {};
+        this._outlineMesh = null;
+        this._hoverFace = -1;
+        this._aabb = null;
+    }
+
+    _endDrag() {
+        this._drag = null;
+        this.viewer.cameraControl.pointerEnabled = true;
+        this.fire("sectionBoxChanged", this.getSectionBox(), true);
+    }
+
+    _moveFace(face, coord) {
+        const aabb = this._aabb;
+        const axis = face >> 1;
+        const minSize = Math.max(math.getAABB3Diag(aabb) * 0.001, 0.0001);
+        if (face & 1) {
+            aabb[axis + 3] = Math.max(coord, aabb[axis] + minSize);
+        } else {
+            aabb[axis] = Math.min(coord, aabb[axis + 3] - minSize);
+        }
+        this._updateSectionBox();
+    }
+
+    _updateSectionBox() {
+        const aabb = this._aabb;
+        for (let face = 0; face < 6; face++) {
+            const faceCenter = getFaceCenter(aabb, face, tempVec3a);
+            this._sectionPlanes[face].pos = faceCenter;
+            this._handleMeshes[face].position = faceCenter;
+        }
+        this._outlineMesh.position = math.getAABB3Center(aabb, tempVec3a);
+        this._outlineMesh.scale = [aabb[3] - aabb[0], aabb[4] - aabb[1], aabb[5] - aabb[2]];
+    }
+
+    /**
+     * Keeps the handles the same size on the canvas, whatever their distance from the camera.
+     */
+    _updateHandleScale() {
+        if (!this._aabb) {
+            return;
+        }
+        const scene = this.viewer.scene;
+        const camera = scene.camera;
+        const canvasHeight = scene.canvas.canvas.clientHeight || 1;
+        let worldPerPixel;
+        if (camera.projection === "ortho") {
+            worldPerPixel = camera.ortho.scale / canvasHeight;
+        } else {
+            const dist = math.distVec3(camera.eye, math.getAABB3Center(this._aabb, tempVec3a));
+            worldPerPixel = 2 * dist * Math.tan(camera.perspective.fov * math.DEGTORAD / 2) / canvasHeight;
+        }
+        const handleScale = worldPerPixel * HANDLE_SIZE;
+        if (handleScale === this._handleScale) {
+            return;
+        }
+        this._handleScale = handleScale;
+        this._handleMeshes.forEach((handleMesh) => {
+            handleMesh.scale = [handleScale, handleScale, handleScale];
+        });
+    }
+
+    _pickFace(canvasPos) {
+        const pickResult = this.viewer.scene.pick({canvasPos});
+        const face = (pickResult && pickResult.entity) ? this._faces[pickResult.entity.id] : undefined;
+        return (face !== undefined) ? face : -1;
+    }
+
+    _setHoverFace(face) {
+        if (face === this._hoverFace) {
+            return;
+        }
+        if (this._hoverFace !== -1) {
+            this._handleMeshes[this._hoverFace].highlighted = false;
+        }
+        this._hoverFace = face;
+        if (face !== -1) {
+            this._handleMeshes[face].highlighted = true;
+        }
+    }
+
+    /**
+     * Finds where the mouse ray comes closest to the line through a face's center along its axis, and returns that
+     * point's coordinate on the axis, or null if the ray is parallel to the axis.
+     */
+    _getAxisCoord(face, canvasPos) {
+        const scene = this.viewer.scene;
+        const camera = scene.camera;
+        const axis = face >> 1;
+        const rayOrigin = tempVec3a;
+        const rayDir = tempVec3b;
+        math.canvasPosToWorldRay(scene.canvas.canvas, camera.viewMatrix, camera.projMatrix, camera.projection, canvasPos, rayOrigin, rayDir);
+        const faceCenter = getFaceCenter(this._aabb, face, tempVec3c);
+        const d = rayDir[axis];
+        const det = 1 - d * d;
+        if (Math.abs(det) < 1e-10) {
+            return null;
+        }
+        const v = math.subVec3(rayOrigin, faceCenter, tempVec3c);
+        const s = (v[axis] - d * math.dotVec3(v, rayDir)) / det;
+        return this._aabb[getFaceAABBIndex(face)] + s;
+    }
+
+    destroy() {
+        const scene = this.viewer.scene;
+        const canvas = scene.canvas.canvas;
+        this._destroySectionBox();
+        scene.off(this._onSectionPlaneDestroyed);
+        scene.off(this._onTick);
+        canvas.removeEventListener("mousedown", this._onCanvasMouseDown);
+        canvas.removeEventListener("mousemove", this._onCanvasMouseMove);
+        canvas.removeEventListener("mouseup", this._onCanvasMouseUp);
+        document.removeEventListener("mouseup", this._onDocumentMouseUp);
+        this._handleGeometry.destroy();
+        this._outlineGeometry.destroy();
+        this._material.destroy();
+        super.destroy();
+    }
+}
+
+export {SectionBoxTool};
@@ -0,0 +1,336 @@
+import {Controller} from "../Controller.js";
+import {PhongMaterial, Texture} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+
+const HATCH_IMAGE_SIZE = 128; // Hatch textures are square, and a power of two, so that they can repeat
+const HATCH_LINE_COLOR = "#262626";
+const HATCH_LINE_WIDTH = 2;
+
+// IFC types whose objects aren't solid material, and so are never capped
+const uncappedTypes = {
+    "IfcSpace": true,
+    "IfcOpeningElement": true
+};
+
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Draws a shape at each of the positions at which it would wrap around a hatch tile, so that the tile repeats without seams.
+ */
+function drawWrapped(ctx, size, draw) {
+    for (let dx = -size; dx <= size; dx += size) {
+        for (let dy = -size; dy <= size; dy += size) {
+            ctx.save();
+            ctx.translate(dx, dy);
+            draw();
+            ctx.restore();
+        }
+    }
+}
+
+function drawLines(ctx, size, numLines, rising) {
+    const spacing = size / numLines;
+    ctx.beginPath();
+    for (let x = -size; x <= size; x += spacing) {
+        ctx.moveTo(x, rising ? size : 0);
+        ctx.lineTo(x + size, rising ? 0 : size);
+    }
+    ctx.stroke();
+}
+
+/**
+ * Hatch patterns, each with its default size, in World-space units, of one tile of the pattern on a cap.
+ */
+const hatches = {
+
+    diagonal: {
+        scale: 0.2,
+        draw: (ctx, size) => {
+            drawLines(ctx, size, 4, true);
+        }
+    },
+
+    crosshatch: {
+        scale: 0.2,
+        draw: (ctx, size) => {
+            drawLines(ctx, size, 4, true);
+            drawLines(ctx, size, 4, false);
+        }
+    },
+
+    concrete: { // Stippling and aggregate, as concrete is drawn on architectural sections
+        scale: 0.5,
+        draw: (ctx, size) => {
+            const random = createRandom(7);
+            ctx.fillStyle = HATCH_LINE_COLOR;
+            for (let i = 0; i < 70; i++) {
+                const x = random() * size;
+                const y = random() * size;
+                drawWrapped(ctx, size, () => {
+                    ctx.fillRect(x, y, 1.5, 1.5);
+                });
+            }
+            for (let i = 0; i < 9; i++) {
+                const x = random() * size;
+                const y = random() * size;
+                const angle = random() * Math.PI * 2;
+                const radius = 4 + random() * 4;
+                drawWrapped(ctx, size, () => {
+                    ctx.beginPath();
+                    for (let j = 0; j < 3; j++) {
+                        const a = angle + (j * Math.PI * 2 / 3);
+                        ctx.lineTo(x + Math.cos(a) * radius, y + Math.sin(a) * radius);
+                    }
+                    ctx.closePath();
+                    ctx.stroke();
+                });
+            }
+        }
+    },
+
+    insulation: { // A zigzag across the layer, as batt insulation is drawn on architectural sections
+        scale: 0.2,
+        draw: (ctx, size) => {
+            const numSegments = 8;
+            ctx.beginPath();
+            for (let i = 0; i <= numSegments; i++) {
+                ctx.lineTo(i * size / numSegments, (i % 2) ? size * 0.9 : size * 0.1);
+            }
+            ctx.stroke();
+        }
+    }
+};
+
+/**
+ * Gets a color for an IFC type, which is always the same for that type, and differs from those of most other types.
+ */
+function getClassColor(type) {
+    let hash = 0;
+    for (let i = 0, len = type.length; i < len; i++) {
+        hash = Math.imul(hash ^ type.charCodeAt(i), 0x01000193);
+    }
+    const hue = ((hash >>> 0) % 360) / 60;
+    const saturation = 0.45;
+    const lightness = 0.6;
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const x = chroma * (1 - Math.abs((hue % 2) - 1));
+    const m = lightness - chroma / 2;
+    const rgb = [[chroma, x, 0], [x, chroma, 0], [0, chroma, x], [0, x, chroma], [x, 0, chroma], [chroma, 0, x]][Math.floor(hue)];
+    return rgb.map((value) => value + m);
+}
+
+/**
+ * Fills the cuts that {@link SectionPlane}s make through solid objects, so that sliced walls and slabs read as solid,
+ * as on a drawn section, instead of appearing hollow.
+ *
+ * Caps are made by the xeokit Scene, for each object that has a ````capMaterial````, so this just gives each visible,
+ * opaque object a material. The material is colored like the object, or by its IFC type, and may be hatched. A hatch
+ * is a texture, which repeats across each cap in World-space units, so that it keeps its size on the drawing as the
+ * camera moves.
+ *
+ * The Scene can only make caps when the Viewer was created with ````readableGeometryEnabled````, which keeps a copy
+ * of each model's geometry in browser memory.
+ *
+ * @private
+ */
+class SectionCaps extends Controller {
+
+    constructor(parent, cfg = {}) {
+
+        super(parent, cfg);
+
+        const scene = this.viewer.scene;
+
+        this._colorBy = "object";
+        this._hatch = "none";
+        this._styles = {};
+        this._materials = {};
+        this._usedMaterials = null;
+        this._textures = {};
+
+        this._onModelLoaded = scene.on("modelLoaded", (modelId) => {
+            const model = scene.models[modelId];
+            if (this._active && model) {
+                this._updateModel(model);
+            }
+        });
+
+        this._onObjectVisibility = scene.on("objectVisibility", (entity) => {
+            if (this._active) {
+                this._updateObject(entity);
+            }
+        });
+
+        this._onObjectXRayed = scene.on("objectXRayed", (entity) => {
+            if (this._active) {
+                this._updateObject(entity);
+            }
+        });
+
+        this._active = false;
+    }
+
+    /**
+     * Sets whether sliced objects are capped.
+     *
+     * @param {Boolean} active Whether to cap sliced objects.
+     */
+    setActive(active) {
+        if (this._active === active) {
+            return;
+        }
+        if (active && !this.viewer.scene.readableGeometryEnabled) {
+            throw "Section caps need the BIMViewer to be created with enableSectionCaps: true";
+        }
+        this._active = active;
+        this._updateAll();
+        this.fire("active", this._active);
+    }
+
+    /**
+     * Sets whether caps are colored like the objects they cap, or by IFC type.
+     *
+     * @param {String} colorBy Either "object" or "class".
+     */
+    setColorBy(colorBy) {
+        if (colorBy !== "object" && colorBy !== "class") {
+            throw "Unsupported sectionCapsColorBy: '" + colorBy + "' - supported values are 'object' and 'class'";
+        }
+        this._colorBy = colorBy;
+        this._updateAll();
+    }
+
+    /**
+     * Sets the hatch pattern of caps whose IFC types have no style of their own.
+     *
+     * @param {String} hatch Name of a hatch pattern, or "none".
+     */
+    setHatch(hatch) {
+        this._checkHatch(hatch);
+        this._hatch = hatch;
+        this._updateAll();
+    }
+
+    /**
+     * Sets styles for the caps of objects of particular IFC types.
+     *
+     * @param {*} styles Map of IFC type to style, where each style may have a ````color````, a ````hatch````,
+     * a ````hatchScale````, which is the size of one tile of the hatch in World-space units, and ````caps: false````,
+     * to never cap objects of that type.
+     */
+    setStyles(styles) {
+        styles = styles || {};
+        for (let type in styles) {
+            if (styles[type].hatch !== undefined) {
+                this._checkHatch(styles[type].hatch);
+            }
+        }
+        this._styles = styles;
+        this._updateAll();
+    }
+
+    _checkHatch(hatch) {
+        if (hatch !== "none" && !hatches[hatch]) {
+            throw "Unsupported hatch: '" + hatch + "' - supported values are 'none', '" + Object.keys(hatches).join("', '") + "'";
+        }
+    }
+
+    _updateAll() {
+        const scene = this.viewer.scene;
+        this._usedMaterials = {};
+        for (let modelId in scene.models) {
+            this._updateModel(scene.models[modelId]);
+        }
+        for (let key in this._materials) { // Objects have all been given their materials again, so any others are unused
+            if (!this._usedMaterials[key]) {
+                this._materials[key].destroy();
+                delete this._materials[key];
+            }
+        }
+        this._usedMaterials = null;
+        if (!this._active) {
+            for (let key in this._textures) {
+                this._textures[key].destroy();
+            }
+            this._textures = {};
+        }
+    }
+
+    _updateModel(model) {
+        const objects = model.objects;
+        for (let objectId in objects) {
+            this._updateObject(objects[objectId]);
+        }
+    }
+
+    _updateObject(entity) {
+        const metaObject = this.viewer.metaScene.metaObjects[entity.id];
+        if (!metaObject) { // Also skips the Scene's own cap Meshes
+            return;
+        }
+        const capMaterial = this._active ? this._getCapMaterial(entity, metaObject.type) : null;
+        if ((entity.capMaterial || null) !== capMaterial) {
+            entity.capMaterial = capMaterial;
+        }
+    }
+
+    _getCapMaterial(entity, type) {
+        const style = this._styles[type] || {};
+        if (uncappedTypes[type] || style.caps === false || !entity.visible || entity.xrayed || entity.opacity < 1.0) {
+            return null;
+        }
+        const color = Array.from(style.color || ((this._colorBy === "class") ? getClassColor(type) : entity.colorize));
+        const hatch = (style.hatch !== undefined) ? style.hatch : this._hatch;
+        const hatchScale = (hatch !== "none") ? (style.hatchScale || hatches[hatch].scale) : 0;
+        const key = color.map((value) => value.toFixed(3)).join(",") + ";" + hatch + ";" + hatchScale;
+        let material = this._materials[key];
+        if (!material) {
+            material = this._materials[key] = new PhongMaterial(this.viewer.scene, {
+                diffuse: color,
+                diffuseMap: (hatch !== "none") ? this._getHatchTexture(hatch, hatchScale) : undefined,
+                backfaces: true
+            });
+        }
+        if (this._usedMaterials) {
+            this._usedMaterials[key] = true;
+        }
+        return material;
+    }
+
+    _getHatchTexture(hatch, hatchScale) {
+        const key = hatch + ";" + hatchScale;
+        let texture = this._textures[key];
+        if (!texture) {
+            const canvas = document.createElement("canvas");
+            canvas.width = canvas.height = HATCH_IMAGE_SIZE;
+            const ctx = canvas.getContext("2d");
+            ctx.fillStyle = "#ffffff"; // Multiplied by the cap's color
+            ctx.fillRect(0, 0, HATCH_IMAGE_SIZE, HATCH_IMAGE_SIZE);
+            ctx.strokeStyle = HATCH_LINE_COLOR;
+            ctx.lineWidth = HATCH_LINE_WIDTH;
+            hatches[hatch].draw(ctx, HATCH_IMAGE_SIZE);
+            texture = this._textures[key] = new Texture(this.viewer.scene, {
+                image: canvas,
+                scale: [1 / hatchScale, 1 / hatchScale] // Cap UVs are in World-space units
+            });
+        }
+        return texture;
+    }
+
+    destroy() {
+        const scene = this.viewer.scene;
+        scene.off(this._onModelLoaded);
+        scene.off(this._onObjectVisibility);
+        scene.off(this._onObjectXRayed);
+        this._active = false;
+        this._updateAll();
+        super.destroy();
+    }
+}
+
+export {SectionCaps};
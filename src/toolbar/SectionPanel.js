@@ -0,0 +1,389 @@
+import {Controller} from "../Controller.js";
+import {math} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
+
+const SLIDER_STEPS = 1000;
+const DECIMALS = 3;
+
+const axes = ["X", "Y", "Z"];
+
+const tempVec3 = math.vec3();
+
+function formatNumber(value) {
+    return (Math.abs(value) < 0.5 * Math.pow(10, -DECIMALS)) ? (0).toFixed(DECIMALS) : value.toFixed(DECIMALS);
+}
+
+/**
+ * Gets the range of distances, along a direction, of the corners of an AABB.
+ */
+function getAABBExtentAlongDir(aabb, dir) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < 8; i++) {
+        const dist = aabb[(i & 1) ? 3 : 0] * dir[0] + aabb[(i & 2) ? 4 : 1] * dir[1] + aabb[(i & 4) ? 5 : 2] * dir[2];
+        min = Math.min(min, dist);
+        max = Math.max(max, dist);
+    }
+    return [min, max];
+}
+
+/**
+ * Floating panel in which the user positions a slice of the {@link SectionTool} by typing its position and direction,
+ * such as to cut at an exact elevation.
+ *
+ * The panel also offers presets, which put the slice through the center of the models, facing along a World axis,
+ * aligns the slice with the elevation of a storey, and has a slider that moves the slice along its direction. The
+ * presets and storey alignment create a slice when none is being edited.
+ *
+ * @private
+ */
+class SectionPanel extends Controller {
+
+    constructor(parent, cfg = {}) {
+
+        super(parent, cfg);
+
+        if (!cfg.sectionTool) {
+            throw "Missing config: sectionTool";
+        }
+
+        this._sectionTool = cfg.sectionTool;
+        this._sectionPlane = null;
+        this._onSectionPlanePos = null;
+        this._onSectionPlaneDir = null;
+
+        const panel = this._panel = document.createElement("div");
+        panel.classList.add("xeokit-section-panel");
+        panel.innerHTML = '<div class="xeokit-section-panel-header">' +
+            '<span class="xeokit-section-panel-title"></span>' +
+            '<button type="button" class="xeokit-section-panel-close">&times;</button>' +
+            '</div>' +
+            '<label class="xeokit-section-panel-field"><span class="xeokit-section-panel-sliceLabel"></span>' +
+            '<select class="xeokit-section-panel-slices"></select></label>' +
+            '<div class="xeokit-section-panel-field"><span class="xeokit-section-panel-presetsLabel"></span>' +
+            '<div class="xeokit-section-panel-row">' +
+            axes.map((axis, i) => '<button type="button" class="xeokit-section-panel-preset" data-axis="' + i + '">' + axis + '</button>').join("") +
+            '</div></div>' +
+            '<div class="xeokit-section-panel-field"><span class="xeokit-section-panel-storeyLabel"></span>' +
+            '<div class="xeokit-section-panel-row">' +
+            '<select class="xeokit-section-panel-storeys"></select>' +
+            '<button type="button" class="xeokit-section-panel-alignStorey"></button>' +
+            '</div></div>' +
+            '<div class="xeokit-section-panel-field"><span class="xeokit-section-panel-positionLabel"></span>' +
+            '<div class="xeokit-section-panel-row">' +
+            axes.map((axis, i) => '<input type="number" step="any" class="xeokit-section-panel-pos" data-axis="' + i + '" title="' + axis + '">').join("") +
+            '</div></div>' +
+            '<div class="xeokit-section-panel-field"><span class="xeokit-section-panel-directionLabel"></span>' +
+            '<div class="xeokit-section-panel-row">' +
+            axes.map((axis, i) => '<input type="number" step="any" class="xeokit-section-panel-dir" data-axis="' + i + '" title="' + axis + '">').join("") +
+            '<button type="button" class="xeokit-section-panel-flip"></button>' +
+            '</div></div>' +
+            '<label class="xeokit-section-panel-field"><span class="xeokit-section-panel-offsetLabel"></span>' +
+            '<input type="range" class="xeokit-section-panel-offset"></label>';
+
+        (cfg.containerElement || document.body).appendChild(panel);
+
+        this._slicesElement = panel.querySelector(".xeokit-section-panel-slices");
+        this._storeysElement = panel.querySelector(".xeokit-section-panel-storeys");
+        this._alignStoreyButtonElement = panel.querySelector(".xeokit-section-panel-alignStorey");
+        this._presetButtonElements = Array.from(panel.querySelectorAll(".xeokit-section-panel-preset"));
+        this._posElements = Array.from(panel.querySelectorAll(".xeokit-section-panel-pos"));
+        this._dirElements = Array.from(panel.querySelectorAll(".xeokit-section-panel-dir"));
+        this._flipButtonElement = panel.querySelector(".xeokit-section-panel-flip");
+        this._offsetElement = panel.querySelector(".xeokit-section-panel-offset");
+
+        panel.querySelector(".xeokit-section-panel-close").addEventListener("click", (event) => {
+            event.preventDefault();
+            this.hide();
+        });
+
+        panel.addEventListener("mouseup", (event) => {
+            event.stopPropagation(); // Keep the section tool from slicing through the panel
+        });
+
+        panel.addEventListener("keydown", (event) => {
+            event.stopPropagation(); // Keep typing from moving the camera
+            if (event.key === "Escape") {
+                this.hide();
+            }
+        });
+
+        this._slicesElement.addEventListener("change", () => {
+            const sectionPlane = this.viewer.scene.sectionPlanes[this._slicesElement.value];
+            this._setSectionPlane(sectionPlane || null);
+        });
+
+        this._presetButtonElements.forEach((buttonElement) => {
+            buttonElement.addEventListener("click", (event) => {
+                event.preventDefault();
+                this.setAxisAligned(parseInt(buttonElement.dataset.axis));
+            });
+        });
+
+        this._alignStoreyButtonElement.addEventListener("click", (event) => {
+            event.preventDefault();
+            if (this._storeysElement.value) {
+                this.alignWithStorey(this._storeysElement.value);
+            }
+        });
+
+        this._posElements.forEach((inputElement, i) => {
+            inputElement.addEventListener("change", () => {
+                const value = parseFloat(inputElement.value);
+                if (this._sectionPlane && isFinite(value)) {
+                    const pos = this._sectionPlane.pos.slice();
+                    pos[i] = value;
+                    this._sectionPlane.pos = pos;
+                }
+                this._update(); // Also reverts what isn't a number
+            });
+        });
+
+        this._dirElements.forEach((inputElement, i) => {
+            inputElement.addEventListener("change", () => {
+                const value = parseFloat(inputElement.value);
+                if (this._sectionPlane && isFinite(value)) {
+                    const dir = this._sectionPlane.dir.slice();
+                    dir[i] = value;
+                    if (math.lenVec3(dir) > 0) {
+                        this._sectionPlane.dir = math.normalizeVec3(dir);
+                    }
+                }
+                this._update();
+            });
+        });
+
+        this._flipButtonElement.addEventListener("click", (event) => {
+            event.preventDefault();
+            if (this._sectionPlane) {
+                this._sectionPlane.flipDir();
+            }
+        });
+
+        this._offsetElement.addEventListener("input", () => {
+            const sectionPlane = this._sectionPlane;
+            if (sectionPlane) {
+                const dir = sectionPlane.dir;
+                const pos = sectionPlane.pos;
+                const offset = parseFloat(this._offsetElement.value) - math.dotVec3(pos, dir);
+                sectionPlane.pos = math.addVec3(pos, math.mulVec3Scalar(dir, offset, tempVec3), math.vec3());
+            }
+        });
+
+        this._onSectionPlaneCreated = this.viewer.scene.on("sectionPlaneCreated", () => {
+            if (this._shown) {
+                this._updateSlices();
+            }
+        });
+
+        this._onSectionPlaneDestroyed = this.viewer.scene.on("sectionPlaneDestroyed", (sectionPlane) => {
+            if (sectionPlane === this._sectionPlane) {
+                this._setSectionPlane(null);
+            }
+            if (this._shown) {
+                this._updateSlices();
+            }
+        });
+
+        this._onModelLoaded = this.viewer.scene.on("modelLoaded", () => {
+            if (this._shown) {
+                this._updateStoreys();
+            }
+        });
+
+        this._onModelUnloaded = this.viewer.scene.on("modelUnloaded", () => {
+            if (this._shown) {
+                this._updateStoreys();
+            }
+        });
+
+        this.hide();
+    }
+
+    /**
+     * Shows the panel, editing the given slice, if any, or else the first one.
+     *
+     * @param {String} [sectionPlaneId] ID of the slice to edit.
+     */
+    show(sectionPlaneId) {
+        const localeService = this.viewer.localeService;
+        const panel = this._panel;
+        const translate = (key, text) => localeService.translate("sectionPanel." + key) || text;
+        panel.querySelector(".xeokit-section-panel-title").textContent = translate("title", "Section Plane");
+        panel.querySelector(".xeokit-section-panel-sliceLabel").textContent = translate("slice", "Slice");
+        panel.querySelector(".xeokit-section-panel-presetsLabel").textContent = translate("presets", "Through center, facing along");
+        panel.querySelector(".xeokit-section-panel-storeyLabel").textContent = translate("storey", "Storey elevation");
+        panel.querySelector(".xeokit-section-panel-positionLabel").textContent = translate("position", "Position");
+        panel.querySelector(".xeokit-section-panel-directionLabel").textContent = translate("direction", "Direction");
+        panel.querySelector(".xeokit-section-panel-offsetLabel").textContent = translate("offset", "Move along direction");
+        this._alignStoreyButtonElement.textContent = translate("alignStorey", "Align");
+        this._flipButtonElement.textContent = translate("flip", "Flip");
+        this._panel.style.display = "block";
+        this._shown = true;
+        const sectionPlane = sectionPlaneId ? this.viewer.scene.sectionPlanes[sectionPlaneId] : this._sectionPlane;
+        this._setSectionPlane(sectionPlane || this._sectionTool.getSections()[0] || null);
+        this._updateSlices();
+        this._updateStoreys();
+    }
+
+    /**
+     * Hides the panel.
+     */
+    hide() {
+        this._panel.style.display = "none";
+        this._shown = false;
+    }
+
+    /**
+     * Gets whether the panel is shown.
+     *
+     * @returns {Boolean}
+     */
+    getShown() {
+        return this._shown;
+    }
+
+    /**
+     * Puts the edited slice through the center of the models, facing along the negative of a World axis.
+     *
+     * @param {Number} axis Index of the axis: 0 for X, 1 for Y and 2 for Z.
+     */
+    setAxisAligned(axis) {
+        const dir = [0, 0, 0];
+        dir[axis] = -1;
+        this._setSectionPlanePosDir(math.getAABB3Center(this.viewer.scene.aabb, math.vec3()), dir);
+    }
+
+    /**
+     * Puts the edited slice at the elevation of a storey, facing down.
+     *
+     * The elevation is the ````elevation```` attribute of the storey, when that lies within the storey's boundary,
+     * since that's in the IFC file's units and coordinates, which need not be those of the World. Otherwise it's
+     * the bottom of the storey's boundary.
+     *
+     * @param {String} storeyObjectId ID of an ````IfcBuildingStorey```` object.
+     */
+    alignWithStorey(storeyObjectId) {
+        const viewer = this.viewer;
+        const scene = viewer.scene;
+        const metaObject = viewer.metaScene.metaObjects[storeyObjectId];
+        if (!metaObject) {
+            this.error("alignWithStorey() - storey not found: '" + storeyObjectId + "'");
+            return;
+        }
+        const worldUp = viewer.camera.worldUp;
+        const upAxis = (Math.abs(worldUp[0]) > Math.abs(worldUp[1]) && Math.abs(worldUp[0]) > Math.abs(worldUp[2])) ? 0 : ((Math.abs(worldUp[1]) > Math.abs(worldUp[2])) ? 1 : 2);
+        const up = (worldUp[upAxis] < 0) ? -1 : 1;
+        const storeyAABB = scene.getAABB(metaObject.getObjectIDsInSubtree());
+        const pos = math.getAABB3Center(scene.aabb, math.vec3());
+        const min = storeyAABB[upAxis];
+        const max = storeyAABB[upAxis + 3];
+        const elevation = parseFloat(metaObject.attributes && metaObject.attributes.elevation);
+        if (isFinite(elevation) && elevation >= min && elevation <= max) {
+            pos[upAxis] = elevation;
+        } else {
+            pos[upAxis] = (up > 0) ? min : max;
+        }
+        const dir = [0, 0, 0];
+        dir[upAxis] = -up;
+        this._setSectionPlanePosDir(pos, dir);
+    }
+
+    _setSectionPlanePosDir(pos, dir) {
+        if (this._sectionPlane) {
+            this._sectionPlane.pos = pos;
+            this._sectionPlane.dir = dir;
+        } else {
+            this._setSectionPlane(this._sectionTool.createSection(pos, dir));
+            this._updateSlices();
+        }
+    }
+
+    _setSectionPlane(sectionPlane) {
+        if (this._sectionPlane) {
+            this._sectionPlane.off(this._onSectionPlanePos);
+            this._sectionPlane.off(this._onSectionPlaneDir);
+        }
+        this._sectionPlane = sectionPlane;
+        if (sectionPlane) {
+            this._onSectionPlanePos = sectionPlane.on("pos", () => this._update());
+            this._onSectionPlaneDir = sectionPlane.on("dir", () => this._update());
+            this._sectionTool.showControl(sectionPlane.id);
+        }
+        this._slicesElement.value = sectionPlane ? sectionPlane.id : "";
+        this._update();
+    }
+
+    _updateSlices() {
+        const localeService = this.viewer.localeService;
+        const sliceTitle = localeService.translate("sectionToolContextMenu.slice") || "Slice";
+        this._slicesElement.innerHTML = "";
+        const newOptionElement = document.createElement("option");
+        newOptionElement.value = "";
+        newOptionElement.textContent = localeService.translate("sectionPanel.newSlice") || "New slice";
+        this._slicesElement.appendChild(newOptionElement);
+        this._sectionTool.getSections().forEach((sectionPlane, i) => { // Numbered as in the section tool's menu
+            const optionElement = document.createElement("option");
+            optionElement.value = sectionPlane.id;
+            optionElement.textContent = sliceTitle + " #" + (i + 1);
+            this._slicesElement.appendChild(optionElement);
+        });
+        this._slicesElement.value = this._sectionPlane ? this._sectionPlane.id : "";
+    }
+
+    _updateStoreys() {
+        const metaScene = this.viewer.metaScene;
+        const storeyObjectIds = metaScene.getObjectIDsByType("IfcBuildingStorey");
+        const selectedStoreyObjectId = this._storeysElement.value;
+        this._storeysElement.innerHTML = "";
+        storeyObjectIds.forEach((storeyObjectId) => {
+            const metaObject = metaScene.metaObjects[storeyObjectId];
+            const optionElement = document.createElement("option");
+            optionElement.value = storeyObjectId;
+            optionElement.textContent = metaObject.name || storeyObjectId;
+            this._storeysElement.appendChild(optionElement);
+        });
+        if (storeyObjectIds.indexOf(selectedStoreyObjectId) !== -1) {
+            this._storeysElement.value = selectedStoreyObjectId;
+        }
+        this._storeysElement.disabled = this._alignStoreyButtonElement.disabled = (storeyObjectIds.length === 0);
+    }
+
+    _update() {
+        const sectionPlane = this._sectionPlane;
+        const disabled = !sectionPlane;
+        this._posElements.forEach((inputElement, i) => {
+            inputElement.disabled = disabled;
+            inputElement.value = sectionPlane ? formatNumber(sectionPlane.pos[i]) : "";
+        });
+        this._dirElements.forEach((inputElement, i) => {
+            inputElement.disabled = disabled;
+            inputElement.value = sectionPlane ? formatNumber(sectionPlane.dir[i]) : "";
+        });
+        this._flipButtonElement.disabled = disabled;
+        this._offsetElement.disabled = disabled;
+        if (sectionPlane) {
+            const dir = sectionPlane.dir;
+            const offset = math.dotVec3(sectionPlane.pos, dir);
+            const extent = getAABBExtentAlongDir(this.viewer.scene.aabb, dir);
+            const min = Math.min(extent[0], offset); // Keep a slice that's outside the models on the slider
+            const max = Math.max(extent[1], offset);
+            this._offsetElement.min = min;
+            this._offsetElement.max = max;
+            this._offsetElement.step = ((max - min) / SLIDER_STEPS) || "any";
+            this._offsetElement.value = offset;
+        }
+    }
+
+    destroy() {
+        const scene = this.viewer.scene;
+        this._setSectionPlane(null);
+        scene.off(this._onSectionPlaneCreated);
+        scene.off(this._onSectionPlaneDestroyed);
+        scene.off(this._onModelLoaded);
+        scene.off(this._onModelUnloaded);
+        this._panel.parentNode.removeChild(this._panel);
+        super.destroy();
+    }
+}
+
+export {SectionPanel};
@@ -1,5 +1,6 @@
 import {Controller} from "../Controller.js";
 import {SectionToolContextMenu} from "./../contextMenus/SectionToolContextMenu.js";
+import {SectionPanel} from "./SectionPanel.js";
 import {math, SectionPlanesPlugin} from "@xeokit/xeokit-sdk/dist/xeokit-sdk.es.js";
 
 /** @private */
@@ -22,16 +23,23 @@ class SectionTool extends Controller { // XX
         this._containerElement = cfg.containerElement;
         this._menuButtonElement = cfg.menuButtonElement;
         this._menuButtonArrowElement = cfg.menuButtonArrowElement;
+        this._sectionBoxTool = cfg.sectionBoxTool; // Can be undefined
 
         this._sectionPlanesPlugin = new SectionPlanesPlugin(this.viewer, {});
 
         this._sectionToolContextMenu = new SectionToolContextMenu({
             sectionPlanesPlugin: this._sectionPlanesPlugin,
+            sectionBoxTool: this._sectionBoxTool,
             hideOnMouseDown: false,
             hideOnAction: false,
             parentNode: this._containerElement
         });
 
+        this._sectionPanel = new SectionPanel(this, {
+            sectionTool: this,
+            containerElement: this._containerElement
+        });
+
         this._sectionPlanesPlugin.setOverviewVisible(false);
 
         this.on("enabled", (enabled) => {
@@ -42,6 +50,7 @@ class SectionTool extends Controller { // XX
                 }
                 this._menuButtonElement.classList.add("disabled");
                 this._menuButtonArrowElement.classList.add("disabled");
+                this._sectionPanel.hide();
             } else {
                 this._buttonElement.classList.remove("disabled");
                 if (this._counterElement) {
@@ -114,6 +123,7 @@ class SectionTool extends Controller { // XX
         this.bimViewer.on("reset", () => {
             this.clear();
             this.setActive(false);
+            this._sectionPanel.hide();
         });
 
         this.viewer.scene.on("sectionPlaneCreated", () => {
@@ -164,33 +174,72 @@ class SectionTool extends Controller { // XX
         }
     }
 
+    /**
+     * Gets the SectionPlanes that are slices, which are all but those of the section box.
+     */
+    _getSectionPlanes() {
+        const sectionPlanes = Object.values(this.viewer.scene.sectionPlanes);
+        return this._sectionBoxTool
+            ? sectionPlanes.filter((sectionPlane) => !this._sectionBoxTool.isSectionBoxPlane(sectionPlane))
+            : sectionPlanes;
+    }
+
     getNumSections() {
-        return Object.keys(this.viewer.scene.sectionPlanes).length;
+        return this._getSectionPlanes().length;
+    }
+
+    getSections() {
+        return this._getSectionPlanes();
+    }
+
+    createSection(pos, dir) {
+        const sectionPlane = this._sectionPlanesPlugin.createSectionPlane({
+            pos: pos,
+            dir: dir
+        });
+        this._sectionPlanesPlugin.showControl(sectionPlane.id);
+        return sectionPlane;
+    }
+
+    showControl(sectionPlaneId) {
+        this._sectionPlanesPlugin.hideControl();
+        this._sectionPlanesPlugin.showControl(sectionPlaneId);
+    }
+
+    showPanel(sectionPlaneId) {
+        this._sectionPanel.show(sectionPlaneId);
+    }
+
+    hidePanel() {
+        this._sectionPanel.hide();
     }
 
     clear() {
-        this._sectionPlanesPlugin.clear();
+        const sectionPlanes = this._sectionPlanesPlugin.sectionPlanes;
+        this._getSectionPlanes().forEach((sectionPlane) => {
+            if (sectionPlanes[sectionPlane.id]) {
+                this._sectionPlanesPlugin.destroySectionPlane(sectionPlane.id);
+            }
+        });
         this._updateSectionPlanesCount();
     }
 
     flipSections() {
-        this._sectionPlanesPlugin.flipSectionPlanes();
+        this._getSectionPlanes().forEach((sectionPlane) => {
+            sectionPlane.flipDir();
+        });
     }
 
     enableSections() {
-        const sectionPlanes = this.viewer.scene.sectionPlanes;
-        for (let id in sectionPlanes) {
-            const sectionPlane = sectionPlanes[id];
+        this._getSectionPlanes().forEach((sectionPlane) => {
             sectionPlane.active = true;
-        }
+        });
     }
 
     disableSections() {
-        const sectionPlanes = this.viewer.scene.sectionPlanes;
-        for (let id in sectionPlanes) {
-            const sectionPlane = sectionPlanes[id];
+        this._getSectionPlanes().forEach((sectionPlane) => {
             sectionPlane.active = false;
-        }
+        });
     }
 
     hideControl() {
@@ -198,6 +247,7 @@ class SectionTool extends Controller { // XX
     }
 
     destroy() {
+        this._sectionPanel.destroy();
         this._sectionPlanesPlugin.destroy();
         this._sectionToolContextMenu.destroy();
         super.destroy();
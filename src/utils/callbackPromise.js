@@ -0,0 +1,123 @@
+/**
+ * Creates the error with which a Promise is rejected when its operation is aborted through an AbortSignal.
+ *
+ * @private
+ * @param {String} [message="Aborted"] Error message.
+ * @returns {Error} An error whose ````name```` is ````"AbortError"````, like those thrown by ````fetch()````.
+ */
+function createAbortError(message = "Aborted") {
+    if (typeof DOMException !== "undefined") {
+        return new DOMException(message, "AbortError");
+    }
+    const error = new Error(message);
+    error.name = "AbortError";
+    return error;
+}
+
+/**
+ * Tests if the given error is the result of aborting an operation through an AbortSignal.
+ *
+ * @private
+ * @param {*} error The error.
+ * @returns {Boolean} True if the error is an abort error.
+ */
+function isAbortError(error) {
+    return (!!error && error.name === "AbortError");
+}
+
+function getErrorMessage(error) {
+    return (error && error.message !== undefined) ? error.message : error;
+}
+
+/**
+ * Invokes a caller's callback, logging whatever it throws, since the Promise that it reports on has already settled.
+ */
+function invokeCallback(callback, value) {
+    try {
+        callback(value);
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+/**
+ * Runs an operation that reports its result through ````done```` and ````error```` callbacks, and returns a Promise
+ * that settles with the same result.
+ *
+ * The callbacks are optional, and are invoked once the Promise has settled, before its handlers run, so that callback
+ * and Promise styles can be mixed. The error callback receives an error message string, as it always has, while the
+ * Promise is rejected with an ````Error````. An exception thrown by a callback is logged, and doesn't affect the Promise.
+ *
+ * Since callers that pass callbacks typically ignore the Promise, its rejections are then not reported as unhandled.
+ * Only a caller that passes neither callback is expected to handle the Promise's rejection.
+ *
+ * When ````options.signal```` is given, aborting it rejects the Promise with an ````AbortError```` and ignores
+ * whatever the operation reports afterwards. The operation receives the signal, so that it can also stop its own work.
+ *
+ * For convenience, ````options```` may be given in place of ````done````, eg. ````server.getProject("Duplex", {signal})````.
+ *
+ * @private
+ * @param {Function|Object} [done] Callback invoked with the result on success, or the options.
+ * @param {Function} [error] Callback invoked with an error message string on failure.
+ * @param {Object} [options] Options.
+ * @param {AbortSignal} [options.signal] Signal through which the operation may be aborted.
+ * @param {Function} operation Performs the operation, given ````(resolve, reject, signal)````.
+ * @returns {Promise} Resolves with the result of the operation.
+ */
+function callbackPromise(done, error, options, operation) {
+    if (done && typeof done === "object") {
+        options = done;
+        done = null;
+    }
+    const signal = (options && options.signal) ? options.signal : null;
+    let settled = false;
+    let onAbort = null;
+    const promise = new Promise((resolvePromise, rejectPromise) => {
+        const resolve = (result) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (onAbort) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            resolvePromise(result);
+            if (done) {
+                invokeCallback(done, result);
+            }
+        };
+        const reject = (e) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (onAbort) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            rejectPromise((e instanceof Error || isAbortError(e)) ? e : new Error(getErrorMessage(e)));
+            if (error) {
+                invokeCallback(error, getErrorMessage(e));
+            }
+        };
+        if (signal) {
+            if (signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+            onAbort = () => reject(createAbortError());
+            signal.addEventListener("abort", onAbort);
+        }
+        try {
+            operation(resolve, reject, signal);
+        } catch (e) {
+            reject(e);
+        }
+    });
+    if (done || error) {
+        promise.catch(() => {
+        });
+    }
+    return promise;
+}
+
+export {callbackPromise, createAbortError, isAbortError};
@@ -473,7 +473,9 @@ class BimViewerWebComponent extends HTMLElement {
         bimViewer.loadProject(this.projectId, () => {
             this.modelId = this.getAttribute("modelId");
             if (this.modelId) {
-                bimViewer.loadModel(this.modelId);
+                bimViewer.loadModel(this.modelId).catch(() => {
+                    // Already logged
+                });
             }
             this.tab = this.getAttribute("tab");
             if (this.tab) {
@@ -495,7 +497,9 @@ class BimViewerWebComponent extends HTMLElement {
             this.bimViewer.loadProject(this.projectId, () => {
                 this.modelId = this.getAttribute("modelId");
                 if (this.modelId) {
-                    this.bimViewer.loadModel(this.modelId);
+                    this.bimViewer.loadModel(this.modelId).catch(() => {
+                        // Already logged
+                    });
                 }
                 this.tab = this.getAttribute("tab");
                 if (this.tab) {
@@ -511,7 +515,9 @@ class BimViewerWebComponent extends HTMLElement {
                 return;
             }
             this.bimViewer.loadProject(this.projectId, () => {
-                this.bimViewer.loadModel(this.modelId);
+                this.bimViewer.loadModel(this.modelId).catch(() => {
+                    // Already logged
+                });
                 this.tab = this.getAttribute("tab");
                 if (this.tab) {
                     this.bimViewer.openTab(this.tab);